@@ -9,12 +9,16 @@ import './src/modules/arabic';
 import './src/modules/autoprint';
 import './src/modules/canvas';
 import './src/modules/cell';
+import './src/modules/columns';
 import './src/modules/context2d';
 import './src/modules/filters';
 import './src/modules/fileloading';
 import './src/modules/html';
+import './src/modules/indic';
 import './src/modules/javascript';
+import './src/modules/named_destinations';
 import './src/modules/outline';
+import './src/modules/paragraph';
 import './src/modules/png_support';
 import './src/modules/gif_support';
 import './src/modules/bmp_support';
@@ -75,6 +75,11 @@ module.exports = (config) => {
         pattern: 'tests/**/reference/*.*',
         included: false,
         served: true
+      },
+      {
+        pattern: 'tests/**/*.jpg',
+        included: false,
+        served: true
       }
     ],
 
@@ -92,6 +92,383 @@ var jsPDF = (function (global) {
     }
   }
 
+  /**
+   * A graphics state object, which is written as an ExtGState resource.
+   *
+   * @class
+   * @name GState
+   * @param {Object} parameters The graphics state parameters.
+   * @param {number} [parameters.opacity] Opacity used for fills and text (PDF key /ca), between 0 and 1.
+   * @param {number} [parameters.strokeOpacity] Opacity used for strokes (PDF key /CA), between 0 and 1.
+   * @param {string} [parameters.blendMode] Blend mode (PDF key /BM), e.g. 'Normal', 'Multiply', 'Screen' or the canvas-like 'color-dodge'.
+   * @param {string} [parameters.softMask] Soft mask (PDF key /SMask). Currently only 'None' is supported.
+   * @returns {GState}
+   * @example
+   * var doc = new jsPDF();
+   * doc.setGState(new doc.GState({opacity: 0.5}));
+   * doc.rect(10, 10, 50, 50, 'F');
+   */
+  function GState(parameters) {
+    var supported = ['opacity', 'strokeOpacity', 'blendMode', 'softMask'];
+    parameters = parameters || {};
+
+    for (var p in parameters) {
+      if (parameters.hasOwnProperty(p) && supported.indexOf(p) !== -1) {
+        this[p] = parameters[p];
+      }
+    }
+
+    if (typeof this.blendMode !== 'undefined') {
+      this.blendMode = GState.getBlendMode(this.blendMode);
+    }
+    if (typeof this.softMask !== 'undefined' && this.softMask !== 'None') {
+      throw new Error('Invalid soft mask "' + this.softMask + '" passed to jsPDF.GState.');
+    }
+    /**
+     * @name id
+     * @type {string}
+     * @memberOf GState
+     * @instance
+     * @description The resource name of the GState, e.g. 'GS1'. Set when the GState is added to a document.
+     */
+    this.id = '';
+    this.objectNumber = -1;
+  }
+
+  GState.blendModes = ['Normal', 'Multiply', 'Screen', 'Overlay', 'Darken', 'Lighten', 'ColorDodge', 'ColorBurn', 'HardLight', 'SoftLight', 'Difference', 'Exclusion', 'Hue', 'Saturation', 'Color', 'Luminosity'];
+
+  /**
+   * Normalizes a blend mode to its PDF name. Accepts PDF names and canvas-like names (e.g. 'color-dodge').
+   * 'source-over' is mapped to 'Normal'.
+   *
+   * @name getBlendMode
+   * @memberOf GState
+   * @function
+   * @param {string} value
+   * @returns {string}
+   */
+  GState.getBlendMode = function (value) {
+    var normalized = ('' + value).replace(/-/g, '').toLowerCase();
+    if (normalized === 'sourceover') {
+      return 'Normal';
+    }
+    for (var i = 0; i < GState.blendModes.length; i++) {
+      if (GState.blendModes[i].toLowerCase() === normalized) {
+        return GState.blendModes[i];
+      }
+    }
+    throw new Error('Invalid blend mode "' + value + '" passed to jsPDF.GState.');
+  };
+
+  /**
+   * Compares the parameters of two GState objects.
+   *
+   * @name equals
+   * @memberOf GState
+   * @function
+   * @instance
+   * @param {GState} other
+   * @returns {boolean}
+   */
+  GState.prototype.equals = function (other) {
+    var ignore = ['id', 'objectNumber'];
+    var p;
+    if (!other || typeof other !== 'object') {
+      return false;
+    }
+    for (p in this) {
+      if (this.hasOwnProperty(p) && ignore.indexOf(p) === -1 && this[p] !== other[p]) {
+        return false;
+      }
+    }
+    for (p in other) {
+      if (other.hasOwnProperty(p) && ignore.indexOf(p) === -1 && !this.hasOwnProperty(p)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * A shading pattern (PatternType 2) painting an axial or a radial color gradient.
+   * The coordinates are specified in the units declared at inception of the document,
+   * relative to the upper left corner of the page, just like the coordinates of the drawing methods.
+   *
+   * Please note that PDF patterns are not affected by the transformation matrix that
+   * is active while the pattern is used. Use the matrix parameter instead.
+   *
+   * @class
+   * @name ShadingPattern
+   * @param {string} type One of 'axial' or 'radial'.
+   * @param {Array<number>} coords Either [x1, y1, x2, y2] for axial shadings, where (x1, y1) defines the start point and (x2, y2)
+   * the end point of the gradient, or [x1, y1, r1, x2, y2, r2] for radial shadings, where (x1, y1, r1) defines the start circle
+   * and (x2, y2, r2) the end circle.
+   * @param {Array<Object>} colors An array of color stops, e.g. [{offset: 0, color: '#ff0000'}, {offset: 1, color: [0, 0, 255]}].
+   * The offset is a number between 0 and 1, the color either a CSS color string or an array of RGB values between 0 and 255.
+   * @param {Array<boolean>} [extend=[true, true]] Whether the shading is extended beyond the start and the end point.
+   * @param {Matrix|Array<number>} [matrix] A transformation matrix [a, b, c, d, e, f], which is applied to the coords.
+   * @returns {ShadingPattern}
+   * @example
+   * var doc = new jsPDF();
+   * doc.setFillPattern(new doc.ShadingPattern('axial', [10, 10, 110, 10], [
+   *   {offset: 0, color: '#ff0000'},
+   *   {offset: 0.5, color: '#ffff00'},
+   *   {offset: 1, color: '#0000ff'}
+   * ]));
+   * doc.rect(10, 10, 100, 50, 'F');
+   */
+  function ShadingPattern(type, coords, colors, extend, matrix) {
+    if (type !== 'axial' && type !== 'radial') {
+      throw new Error('Invalid type "' + type + '" passed to jsPDF.ShadingPattern.');
+    }
+    if (!Array.isArray(coords) || coords.length !== (type === 'axial' ? 4 : 6)) {
+      throw new Error('Invalid coords passed to jsPDF.ShadingPattern.');
+    }
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new Error('Invalid colors passed to jsPDF.ShadingPattern.');
+    }
+
+    this.type = type;
+    this.coords = coords;
+    // stable sort, so that stops with equal offsets (hard color changes) keep their order
+    this.colors = colors.map(function (stop, index) {
+      return {stop: stop, index: index};
+    }).sort(function (a, b) {
+      return (a.stop.offset - b.stop.offset) || (a.index - b.index);
+    }).map(function (item) {
+      return item.stop;
+    });
+    this.extend = Array.isArray(extend) ? extend : [true, true];
+    this.matrix = getMatrixArray(matrix);
+    this.id = '';
+    this.objectNumber = -1;
+  }
+
+  /**
+   * A tiling pattern, which repeats a cell drawn by a callback. The bounding box and the steps are
+   * given in the units of the document. The callback is invoked with the jsPDF instance once the
+   * pattern is used on a page and may call any drawing method, e.g. to draw a hatching.
+   *
+   * The origin of the tiling is the upper left corner of the page. Like {@link ShadingPattern}s,
+   * tiling patterns are not affected by the transformation matrix that is active while the pattern is used.
+   *
+   * @class
+   * @name TilingPattern
+   * @param {Array<number>} boundingBox The bounding box [x1, y1, x2, y2] of the pattern cell.
+   * @param {number} [xStep] The horizontal spacing between two pattern cells. Defaults to the width of the bounding box.
+   * @param {number} [yStep] The vertical spacing between two pattern cells. Defaults to the height of the bounding box.
+   * @param {function} draw The callback which draws the pattern cell. It receives the jsPDF instance as only argument.
+   * @param {Matrix|Array<number>} [matrix] A transformation matrix [a, b, c, d, e, f], which is applied to the pattern cell.
+   * @returns {TilingPattern}
+   * @example
+   * var doc = new jsPDF();
+   * doc.setFillPattern(new doc.TilingPattern([0, 0, 5, 5], 5, 5, function (doc) {
+   *   doc.setLineWidth(0.2);
+   *   doc.line(0, 5, 5, 0);
+   * }));
+   * doc.rect(10, 10, 100, 50, 'F');
+   */
+  function TilingPattern(boundingBox, xStep, yStep, draw, matrix) {
+    if (!Array.isArray(boundingBox) || boundingBox.length !== 4 || boundingBox[0] === boundingBox[2] || boundingBox[1] === boundingBox[3]) {
+      throw new Error('Invalid boundingBox passed to jsPDF.TilingPattern.');
+    }
+    if (typeof draw !== 'function') {
+      throw new Error('Invalid draw callback passed to jsPDF.TilingPattern.');
+    }
+
+    this.boundingBox = boundingBox;
+    this.xStep = xStep || Math.abs(boundingBox[2] - boundingBox[0]);
+    this.yStep = yStep || Math.abs(boundingBox[3] - boundingBox[1]);
+    this.draw = draw;
+    this.matrix = getMatrixArray(matrix);
+    this.id = '';
+    this.objectNumber = -1;
+  }
+
+  /**
+   * An affine transformation matrix [sx, shy, shx, sy, tx, ty], which maps a point (x, y) to
+   * (x * sx + y * shx + tx, x * shy + y * sy + ty). The values are given in the units of the
+   * document and refer to the coordinate system of the drawing methods, i.e. with the origin
+   * in the upper left corner of the page.
+   *
+   * @class
+   * @name Matrix
+   * @param {number} [sx=1] Horizontal scaling
+   * @param {number} [shy=0] Vertical skewing
+   * @param {number} [shx=0] Horizontal skewing
+   * @param {number} [sy=1] Vertical scaling
+   * @param {number} [tx=0] Horizontal translation
+   * @param {number} [ty=0] Vertical translation
+   * @returns {Matrix}
+   * @example
+   * var doc = new jsPDF();
+   * doc.saveGraphicsState();
+   * doc.setCurrentTransformationMatrix(new doc.Matrix(1, 0, 0, 1, 50, 50).multiply(doc.Matrix.rotation(45)));
+   * doc.rect(0, 0, 20, 20);
+   * doc.restoreGraphicsState();
+   */
+  function Matrix(sx, shy, shx, sy, tx, ty) {
+    this.sx = !isNaN(sx) ? sx : 1;
+    this.shy = !isNaN(shy) ? shy : 0;
+    this.shx = !isNaN(shx) ? shx : 0;
+    this.sy = !isNaN(sy) ? sy : 1;
+    this.tx = !isNaN(tx) ? tx : 0;
+    this.ty = !isNaN(ty) ? ty : 0;
+  }
+
+  /**
+   * Creates a matrix which rotates counterclockwise (as seen on the page) around the origin.
+   *
+   * @name rotation
+   * @memberOf Matrix
+   * @function
+   * @param {number} angle The angle in degrees.
+   * @returns {Matrix}
+   */
+  Matrix.rotation = function (angle) {
+    var radians = angle * Math.PI / 180;
+    return new Matrix(Math.cos(radians), -Math.sin(radians), Math.sin(radians), Math.cos(radians), 0, 0);
+  };
+
+  /**
+   * Multiplies the matrix with the given matrix. The resulting matrix applies the given matrix
+   * first and then this matrix.
+   *
+   * @name multiply
+   * @memberOf Matrix#
+   * @function
+   * @param {Matrix} matrix
+   * @returns {Matrix}
+   */
+  Matrix.prototype.multiply = function (matrix) {
+    var sx = matrix.sx * this.sx + matrix.shy * this.shx;
+    var shy = matrix.sx * this.shy + matrix.shy * this.sy;
+    var shx = matrix.shx * this.sx + matrix.sy * this.shx;
+    var sy = matrix.shx * this.shy + matrix.sy * this.sy;
+    var tx = matrix.tx * this.sx + matrix.ty * this.shx + this.tx;
+    var ty = matrix.tx * this.shy + matrix.ty * this.sy + this.ty;
+
+    return new Matrix(sx, shy, shx, sy, tx, ty);
+  };
+
+  /**
+   * Returns the inverse of the matrix.
+   *
+   * @name inversed
+   * @memberOf Matrix#
+   * @function
+   * @returns {Matrix}
+   */
+  Matrix.prototype.inversed = function () {
+    var determinant = this.sx * this.sy - this.shy * this.shx;
+    if (determinant === 0) {
+      throw new Error('Matrix is not invertible.');
+    }
+    var sx = this.sy / determinant;
+    var shy = -this.shy / determinant;
+    var shx = -this.shx / determinant;
+    var sy = this.sx / determinant;
+
+    return new Matrix(sx, shy, shx, sy, -this.tx * sx - this.ty * shx, -this.tx * shy - this.ty * sy);
+  };
+
+  /**
+   * Applies the matrix to a point.
+   *
+   * @name applyToPoint
+   * @memberOf Matrix#
+   * @function
+   * @param {Object} point An object with the properties x and y.
+   * @returns {Object} The transformed point {x, y}.
+   */
+  Matrix.prototype.applyToPoint = function (point) {
+    return {
+      x: point.x * this.sx + point.y * this.shx + this.tx,
+      y: point.x * this.shy + point.y * this.sy + this.ty
+    };
+  };
+
+  /**
+   * Decomposes the matrix into scale, skew, rotation and translation, so that
+   * translate.multiply(rotate).multiply(skew).multiply(scale) equals this matrix.
+   *
+   * @name decompose
+   * @memberOf Matrix#
+   * @function
+   * @returns {Object} An object with the Matrix properties scale, translate, rotate and skew.
+   */
+  Matrix.prototype.decompose = function () {
+    var a = this.sx;
+    var b = this.shy;
+    var c = this.shx;
+    var d = this.sy;
+
+    var scaleX = Math.sqrt(a * a + b * b);
+    a /= scaleX;
+    b /= scaleX;
+
+    var shear = a * c + b * d;
+    c -= a * shear;
+    d -= b * shear;
+
+    var scaleY = Math.sqrt(c * c + d * d);
+    c /= scaleY;
+    d /= scaleY;
+    shear /= scaleY;
+
+    if (a * d < b * c) {
+      a = -a;
+      b = -b;
+      shear = -shear;
+      scaleX = -scaleX;
+    }
+
+    return {
+      scale: new Matrix(scaleX, 0, 0, scaleY, 0, 0),
+      translate: new Matrix(1, 0, 0, 1, this.tx, this.ty),
+      rotate: new Matrix(a, b, -b, a, 0, 0),
+      skew: new Matrix(1, 0, shear, 1, 0, 0)
+    };
+  };
+
+  /**
+   * @name isIdentity
+   * @memberOf Matrix#
+   * @function
+   * @returns {boolean} true if the matrix does not transform anything.
+   */
+  Matrix.prototype.isIdentity = function () {
+    return this.sx === 1 && this.shy === 0 && this.shx === 0 && this.sy === 1 && this.tx === 0 && this.ty === 0;
+  };
+
+  /**
+   * @name clone
+   * @memberOf Matrix#
+   * @function
+   * @returns {Matrix} A copy of the matrix.
+   */
+  Matrix.prototype.clone = function () {
+    return new Matrix(this.sx, this.shy, this.shx, this.sy, this.tx, this.ty);
+  };
+
+  /**
+   * @name toArray
+   * @memberOf Matrix#
+   * @function
+   * @returns {Array<number>} The matrix as array [sx, shy, shx, sy, tx, ty].
+   */
+  Matrix.prototype.toArray = function () {
+    return [this.sx, this.shy, this.shx, this.sy, this.tx, this.ty];
+  };
+
+  // matrix parameters may be given as Matrix or as array [a, b, c, d, e, f]
+  function getMatrixArray(matrix) {
+    if (matrix instanceof Matrix) {
+      return matrix.toArray();
+    }
+    return Array.isArray(matrix) ? matrix : [1, 0, 0, 1, 0, 0];
+  }
+
   /**
    * @constructor
    * @private
@@ -349,6 +726,8 @@ var jsPDF = (function (global) {
     var currentPage;
     var content_length = 0;
     var customOutputDestination;
+    var streamSink = null;
+    var isStreamed = false;
 
     var setOutputDestination = API.__private__.setCustomOutputDestination = function (destination) {
       customOutputDestination = destination;
@@ -362,6 +741,9 @@ var jsPDF = (function (global) {
       var writeArray;
       string = (typeof string === "string") ? string : string.toString();
       if (typeof customOutputDestination === "undefined") {
+        if (outToPages && pagesContext[currentPage] && pagesContext[currentPage].flushed === true) {
+          throw new Error('Page ' + currentPage + ' has already been flushed to the output stream.');
+        }
         writeArray = ((outToPages) ? pages[currentPage] : content);
       } else {
         writeArray = customOutputDestination;
@@ -602,6 +984,20 @@ var jsPDF = (function (global) {
     var fonts = {}; // collection of font objects, where key is fontKey - a dynamically created label for a given font.
     var fontmap = {}; // mapping structure fontName > fontStyle > font key - performance layer. See addFont()
     var activeFontKey; // will be string representing the KEY of the font as combination of fontName + fontStyle
+    var activeFallbackFontKeys = []; // KEYs of the fonts used for characters the active font has no glyph for
+    var gStates = {}; // collection of GState objects, where key is the resource name, e.g. 'GS1'
+    var gStatesMap = {}; // mapping structure user defined key > GState resource name. See addGState()
+    var activeGState = null;
+    var graphicsStateStack = [];
+    var patterns = {}; // collection of pattern resources, where key is the resource name, e.g. 'P1'
+    var patternsMap = {}; // mapping structure user defined key > pattern object. See addPattern()
+    var colorSpaces = {}; // collection of Separation and ICCBased color space resources, where key is the resource name, e.g. 'CS1'
+    var colorSpacesMap = {}; // mapping structure ink or profile name > color space resource name. See addSpotColor() and addICCProfile()
+    var defaultColorSpaces = {}; // mapping structure device color space > color space resource name, e.g. 'DeviceRGB' > 'CS1'
+    var outputIntents = [];
+    var formObjects = {}; // collection of form XObjects, where key is the user defined key. See endFormObject()
+    var formObjectsCount = 0;
+    var formObjectStack = [];
     var k; // Scale factor
     var page = 0;
     var pagesContext = [];
@@ -654,6 +1050,10 @@ var jsPDF = (function (global) {
 
     var decodeColorString = API.__private__.decodeColorString = function (color) {
       var colorEncoded = color.split(' ');
+      if (colorEncoded[0].charAt(0) === '/') {
+        // spot or ICC based color, approximated by its device color
+        colorEncoded = getColorSpaceRGB(colorSpaces[colorEncoded[0].substr(1)], colorEncoded.slice(2, -1).map(parseFloat));
+      }
       if (colorEncoded.length === 2 && (colorEncoded[1] === 'g' || colorEncoded[1] === 'G')) {
         // convert grayscale value to rgb so that it can be converted to hex for consistency
         var floatVal = parseFloat(colorEncoded[0]);
@@ -680,6 +1080,29 @@ var jsPDF = (function (global) {
       var precision = options.precision;
       var letterArray = (options.pdfColorType === "draw") ? ['G', 'RG', 'K'] : ['g', 'rg', 'k'];
 
+      if ((typeof ch1 === "string") && colorSpacesMap.hasOwnProperty(ch1)) {
+        var colorSpaceKey = colorSpacesMap[ch1];
+        var operands;
+        if (colorSpaces[colorSpaceKey].type === 'Separation') {
+          // spot color, ch2 is the tint between 0 (no ink) and 1 (full ink)
+          var tint = (typeof ch2 === "undefined") ? 1 : parseFloat(ch2);
+          if (isNaN(tint) || tint < 0 || tint > 1) {
+            throw new Error('Invalid tint "' + ch2 + '" passed to jsPDF.encodeColorString.');
+          }
+          operands = [tint];
+        } else {
+          // ICC based color, the channels are passed as ch2, ch3, ch4 or as array in ch2
+          operands = (Array.isArray(ch2) ? ch2 : [ch2, ch3, ch4].slice(0, colorSpaces[colorSpaceKey].components)).map(function (channel) {
+            return parseFloat(channel) / 255;
+          });
+          if (operands.length !== colorSpaces[colorSpaceKey].components || operands.some(isNaN)) {
+            throw new Error('Invalid color channels passed to jsPDF.encodeColorString.');
+          }
+        }
+        operands = operands.map(precision === 2 ? f2 : f3).join(' ');
+        return (options.pdfColorType === "draw") ? '/' + colorSpaceKey + ' CS ' + operands + ' SC' : '/' + colorSpaceKey + ' cs ' + operands + ' sc';
+      }
+
       if ((typeof ch1 === "string") && ch1.charAt(0) !== '#') {
         var rgbColor = new RGBColor(ch1);
         if (rgbColor.ok) {
@@ -872,35 +1295,49 @@ var jsPDF = (function (global) {
       out('endobj');
       return pageObjectNumber;
     }
+
+    var reservePageObjIds = function (n) {
+      pagesContext[n].objId = newObjectDeferred();
+      pagesContext[n].contentsObjId = newObjectDeferred();
+    };
+
+    var putPageByNumber = function (n) {
+      return putPage({
+        number: n,
+        data: pages[n],
+        objId: pagesContext[n].objId,
+        contentsObjId: pagesContext[n].contentsObjId,
+        mediaBox: pagesContext[n].mediaBox,
+        cropBox: pagesContext[n].cropBox,
+        bleedBox: pagesContext[n].bleedBox,
+        trimBox: pagesContext[n].trimBox,
+        artBox: pagesContext[n].artBox,
+        userUnit: pagesContext[n].userUnit,
+        rootDictionaryObjId: rootDictionaryObjId,
+        resourceDictionaryObjId: resourceDictionaryObjId
+      });
+    };
+
     var putPages = API.__private__.putPages = function () {
-      var n, p, i, pageObjectNumbers = [];
+      var n;
 
       for (n = 1; n <= page; n++) {
-        pagesContext[n].objId = newObjectDeferred();
-        pagesContext[n].contentsObjId = newObjectDeferred();
+        reservePageObjIds(n);
       }
 
       for (n = 1; n <= page; n++) {
-        pageObjectNumbers.push(putPage({
-          number: n,
-          data: pages[n],
-          objId: pagesContext[n].objId,
-          contentsObjId: pagesContext[n].contentsObjId,
-          mediaBox: pagesContext[n].mediaBox,
-          cropBox: pagesContext[n].cropBox,
-          bleedBox: pagesContext[n].bleedBox,
-          trimBox: pagesContext[n].trimBox,
-          artBox: pagesContext[n].artBox,
-          userUnit: pagesContext[n].userUnit,
-          rootDictionaryObjId: rootDictionaryObjId,
-          resourceDictionaryObjId: resourceDictionaryObjId
-        }));
+        putPageByNumber(n);
       }
+      putPagesRoot();
+    };
+
+    var putPagesRoot = function () {
+      var i;
       newObjectDeferredBegin(rootDictionaryObjId, true);
       out('<</Type /Pages');
       var kids = '/Kids [';
-      for (i = 0; i < page; i++) {
-        kids += pageObjectNumbers[i] + ' 0 R ';
+      for (i = 1; i <= page; i++) {
+        kids += pagesContext[i].objId + ' 0 R ';
       }
       out(kids + ']');
       out('/Count ' + page);
@@ -958,10 +1395,307 @@ var jsPDF = (function (global) {
       out('/XObject <<');
       events.publish('putXobjectDict');
       out('>>');
+      putGStatesDict();
+      putPatternsDict();
+      putColorSpacesDict();
+    };
+
+    var putGState = function (gState) {
+      gState.objectNumber = newObject();
+      out('<<');
+      out('/Type /ExtGState');
+      if (typeof gState.opacity === 'number') {
+        out('/ca ' + f2(gState.opacity));
+      }
+      if (typeof gState.strokeOpacity === 'number') {
+        out('/CA ' + f2(gState.strokeOpacity));
+      }
+      if (typeof gState.blendMode === 'string') {
+        out('/BM /' + gState.blendMode);
+      }
+      if (gState.softMask === 'None') {
+        out('/SMask /None');
+      }
+      out('>>');
+      out('endobj');
+    };
+
+    var putGStates = function () {
+      for (var gStateKey in gStates) {
+        if (gStates.hasOwnProperty(gStateKey)) {
+          putGState(gStates[gStateKey]);
+        }
+      }
+    };
+
+    var putGStatesDict = function () {
+      var gStateKey;
+      if (Object.keys(gStates).length === 0) {
+        return;
+      }
+      out('/ExtGState <<');
+      for (gStateKey in gStates) {
+        if (gStates.hasOwnProperty(gStateKey)) {
+          out('/' + gStateKey + ' ' + gStates[gStateKey].objectNumber + ' 0 R');
+        }
+      }
+      out('>>');
+    };
+
+    var getPatternColor = function (color) {
+      var rgbColor;
+      if (typeof color === 'string') {
+        rgbColor = new RGBColor(color);
+        if (!rgbColor.ok) {
+          throw new Error('Invalid color "' + color + '" passed to jsPDF.ShadingPattern.');
+        }
+        color = [rgbColor.r, rgbColor.g, rgbColor.b];
+      }
+      return color.map(function (channel) {
+        return f3(channel / 255);
+      }).join(' ');
+    };
+
+    var putShadingFunction = function (colors) {
+      var stops = colors.slice();
+      var functions = [];
+      var bounds = [];
+      var encode = [];
+      var i;
+
+      // pad the stops so that the function covers the whole domain
+      if (stops[0].offset > 0) {
+        stops.unshift({offset: 0, color: stops[0].color});
+      }
+      if (stops[stops.length - 1].offset < 1) {
+        stops.push({offset: 1, color: stops[stops.length - 1].color});
+      }
+      if (stops.length === 1) {
+        stops.push(stops[0]);
+      }
+
+      for (i = 1; i < stops.length; i++) {
+        functions.push('<< /FunctionType 2 /Domain [0 1] /C0 [' + getPatternColor(stops[i - 1].color) + '] /C1 [' + getPatternColor(stops[i].color) + '] /N 1 >>');
+        encode.push('0 1');
+        if (i < stops.length - 1) {
+          bounds.push(f3(stops[i].offset));
+        }
+      }
+
+      if (functions.length === 1) {
+        out('/Function ' + functions[0]);
+        return;
+      }
+      out('/Function <<');
+      out('/FunctionType 3');
+      out('/Domain [0 1]');
+      out('/Functions [' + functions.join(' ') + ']');
+      out('/Bounds [' + bounds.join(' ') + ']');
+      out('/Encode [' + encode.join(' ') + ']');
+      out('>>');
+    };
+
+    var putShadingPattern = function (entry) {
+      var pattern = entry.pattern;
+      entry.objectNumber = newObject();
+      out('<<');
+      out('/Type /Pattern');
+      out('/PatternType 2');
+      out('/Shading <<');
+      out('/ShadingType ' + (pattern.type === 'axial' ? 2 : 3));
+      out('/ColorSpace /DeviceRGB');
+      out('/Coords [' + pattern.coords.map(function (coord) {
+        return f3(coord);
+      }).join(' ') + ']');
+      putShadingFunction(pattern.colors);
+      out('/Extend [' + (pattern.extend[0] ? 'true' : 'false') + ' ' + (pattern.extend[1] ? 'true' : 'false') + ']');
+      out('>>');
+      out('/Matrix [' + matrixToString(entry.matrix) + ']');
+      out('>>');
+      out('endobj');
+    };
+
+    var putTilingPattern = function (entry) {
+      var pattern = entry.pattern;
+
+      entry.objectNumber = newObject();
+      putStream({
+        data: entry.stream.join('\n'),
+        additionalKeyValues: [
+          {key: 'Type', value: '/Pattern'},
+          {key: 'PatternType', value: '1'},
+          {key: 'PaintType', value: '1'},
+          {key: 'TilingType', value: '1'},
+          {key: 'BBox', value: '[' + entry.boundingBox.map(f3).join(' ') + ']'},
+          {key: 'XStep', value: f3(pattern.xStep * k)},
+          {key: 'YStep', value: f3(pattern.yStep * k)},
+          {key: 'Resources', value: resourceDictionaryObjId + ' 0 R'},
+          {key: 'Matrix', value: '[' + matrixToString(entry.matrix) + ']'}
+        ]
+      });
+      out('endobj');
+    };
+
+    var putPatterns = function () {
+      for (var patternKey in patterns) {
+        if (patterns.hasOwnProperty(patternKey)) {
+          if (patterns[patternKey].pattern instanceof TilingPattern) {
+            putTilingPattern(patterns[patternKey]);
+          } else {
+            putShadingPattern(patterns[patternKey]);
+          }
+        }
+      }
+    };
+
+    var putPatternsDict = function () {
+      var patternKey;
+      if (Object.keys(patterns).length === 0) {
+        return;
+      }
+      out('/Pattern <<');
+      for (patternKey in patterns) {
+        if (patterns.hasOwnProperty(patternKey)) {
+          out('/' + patternKey + ' ' + patterns[patternKey].objectNumber + ' 0 R');
+        }
+      }
+      out('>>');
+    };
+
+    // Escapes the characters which are not allowed in PDF names (PDF 32000-1:2008, 7.3.5)
+    var toPdfName = function (name) {
+      return name.replace(/[^\x21-\x7e]|[#()<>[\]{}\/%]/g, function (character) {
+        return '#' + ('0' + (character.charCodeAt(0) & 0xff).toString(16)).slice(-2);
+      });
+    };
+
+    var putColorSpace = function (colorSpace) {
+      if (colorSpace.type === 'ICCBased') {
+        colorSpace.profileObjectNumber = newObject();
+        putStream({
+          data: colorSpace.data,
+          additionalKeyValues: [
+            {key: 'N', value: colorSpace.components},
+            {key: 'Alternate', value: '/' + colorSpace.colorSpace}
+          ]
+        });
+        out('endobj');
+        colorSpace.objectNumber = newObject();
+        out('[/ICCBased ' + colorSpace.profileObjectNumber + ' 0 R]');
+        out('endobj');
+        return;
+      }
+      var zero = colorSpace.alternate.map(function () {
+        return colorSpace.colorSpace === 'DeviceCMYK' ? '0' : '1';
+      });
+      colorSpace.objectNumber = newObject();
+      out('[/Separation /' + toPdfName(colorSpace.name) + ' /' + colorSpace.colorSpace);
+      out('<< /FunctionType 2 /Domain [0 1] /C0 [' + zero.join(' ') + '] /C1 [' + colorSpace.alternate.map(f3).join(' ') + '] /N 1 >>');
+      out(']');
+      out('endobj');
+    };
+
+    var putColorSpaces = function () {
+      for (var colorSpaceKey in colorSpaces) {
+        if (colorSpaces.hasOwnProperty(colorSpaceKey)) {
+          putColorSpace(colorSpaces[colorSpaceKey]);
+        }
+      }
+    };
+
+    var putColorSpacesDict = function () {
+      var colorSpaceKey;
+      if (Object.keys(colorSpaces).length === 0) {
+        return;
+      }
+      out('/ColorSpace <<');
+      for (colorSpaceKey in colorSpaces) {
+        if (colorSpaces.hasOwnProperty(colorSpaceKey)) {
+          out('/' + colorSpaceKey + ' ' + colorSpaces[colorSpaceKey].objectNumber + ' 0 R');
+        }
+      }
+      // default color spaces replace the device color spaces of the content, including images
+      for (colorSpaceKey in defaultColorSpaces) {
+        if (defaultColorSpaces.hasOwnProperty(colorSpaceKey)) {
+          out('/' + colorSpaceKey.replace('Device', 'Default') + ' ' + colorSpaces[defaultColorSpaces[colorSpaceKey]].objectNumber + ' 0 R');
+        }
+      }
+      out('>>');
+    };
+
+    var getColorSpaceRGB = function (colorSpace, values) {
+      var deviceColor = values;
+      if (colorSpace.type === 'Separation') {
+        deviceColor = colorSpace.alternate.map(function (value) {
+          return colorSpace.colorSpace === 'DeviceCMYK' ? value * values[0] : 1 - (1 - value) * values[0];
+        });
+      }
+      switch (colorSpace.colorSpace) {
+        case 'DeviceCMYK':
+          return [0, 1, 2].map(function (i) {
+            return (1 - deviceColor[i]) * (1 - deviceColor[3]);
+          });
+        case 'DeviceGray':
+          return [deviceColor[0], deviceColor[0], deviceColor[0]];
+        default:
+          return deviceColor;
+      }
+    };
+
+    var putOutputIntents = function () {
+      out('/OutputIntents [' + outputIntents.map(function (outputIntent) {
+        var line = '<< /Type /OutputIntent /S /' + outputIntent.subtype;
+        line += ' /OutputConditionIdentifier (' + pdfEscape(outputIntent.outputConditionIdentifier) + ')';
+        if (typeof outputIntent.outputCondition === 'string') {
+          line += ' /OutputCondition (' + pdfEscape(outputIntent.outputCondition) + ')';
+        }
+        if (typeof outputIntent.registryName === 'string') {
+          line += ' /RegistryName (' + pdfEscape(outputIntent.registryName) + ')';
+        }
+        if (typeof outputIntent.info === 'string') {
+          line += ' /Info (' + pdfEscape(outputIntent.info) + ')';
+        }
+        return line + ' /DestOutputProfile ' + colorSpaces[outputIntent.colorSpaceKey].profileObjectNumber + ' 0 R >>';
+      }).join(' ') + ']');
+    };
+
+    var putFormObject = function (formObject) {
+      formObject.objectNumber = newObject();
+      putStream({
+        data: formObject.stream.join('\n'),
+        additionalKeyValues: [
+          {key: 'Type', value: '/XObject'},
+          {key: 'Subtype', value: '/Form'},
+          {key: 'BBox', value: '[' + formObject.boundingBox.map(f3).join(' ') + ']'},
+          {key: 'Resources', value: resourceDictionaryObjId + ' 0 R'},
+          {key: 'Matrix', value: '[' + matrixToString(formObject.matrix) + ']'}
+        ]
+      });
+      out('endobj');
+    };
+
+    var putFormObjects = function () {
+      for (var formObjectKey in formObjects) {
+        if (formObjects.hasOwnProperty(formObjectKey)) {
+          putFormObject(formObjects[formObjectKey]);
+        }
+      }
+    };
+
+    var putFormObjectsDict = function () {
+      for (var formObjectKey in formObjects) {
+        if (formObjects.hasOwnProperty(formObjectKey)) {
+          out('/' + formObjects[formObjectKey].id + ' ' + formObjects[formObjectKey].objectNumber + ' 0 R');
+        }
+      }
     };
 
     var putResources = function () {
       putFonts();
+      putGStates();
+      putPatterns();
+      putColorSpaces();
+      putFormObjects();
       events.publish('putResources');
       newObjectDeferredBegin(resourceDictionaryObjId, true);
       out('<<');
@@ -1273,6 +2007,9 @@ var jsPDF = (function (global) {
           topRightY: Number(height)
         }
       };
+      if (streamSink !== null) {
+        reservePageObjIds(page);
+      }
       _setPage(page);
     };
 
@@ -1306,6 +2043,9 @@ var jsPDF = (function (global) {
     };
     var _setPage = function (n) {
       if (n > 0 && n <= page) {
+        if (pagesContext[n].flushed === true) {
+          throw new Error('Page ' + n + ' has already been flushed to the output stream.');
+        }
         currentPage = n;
       }
     };
@@ -1427,6 +2167,14 @@ var jsPDF = (function (global) {
          */
         out('/PageMode /' + pageMode);
       }
+      // the plugins add the entries of the name dictionary, e.g. {Dests: '12 0 R'}
+      var names = {};
+      events.publish('putNames', names);
+      if (Object.keys(names).length > 0) {
+        out('/Names <<' + Object.keys(names).map(function (key) {
+          return '/' + key + ' ' + names[key];
+        }).join(' ') + '>>');
+      }
       events.publish('putCatalog');
       out('>>');
       out('endobj');
@@ -1469,6 +2217,7 @@ var jsPDF = (function (global) {
     };
 
     var buildDocument = API.__private__.buildDocument = function () {
+      checkOutputType();
       outToPages = false; // switches out() to content
 
       //reset fields relevant for objectNumber generation and xref.
@@ -1484,6 +2233,17 @@ var jsPDF = (function (global) {
 
       putHeader();
       putPages();
+      putEndOfDocument();
+
+      outToPages = true;
+
+      // plugins may change the finished document, e.g. to sign it
+      var pdfDocument = {data: content.join('\n')};
+      events.publish('postBuildDocument', pdfDocument);
+      return pdfDocument.data;
+    };
+
+    var putEndOfDocument = function () {
       putAdditionalObjects();
       putResources();
       putInfo();
@@ -1495,10 +2255,158 @@ var jsPDF = (function (global) {
       out('startxref');
       out('' + offsetOfXRef);
       out('%%EOF');
+    };
+
+    // Hands everything written to content since the last call over to the
+    // stream sink. content_length keeps counting, so the offsets stay valid.
+    var writeStreamContent = function (isLastChunk) {
+      if (content.length === 0) {
+        return;
+      }
+      var chunk = content.join('\n') + (isLastChunk ? '' : '\n');
+      content = [];
+      if (typeof streamSink === 'function') {
+        streamSink(chunk);
+      } else {
+        streamSink.write(new Uint8Array(getArrayBuffer(chunk)));
+      }
+    };
+
+    var flushPageToStream = function (n) {
+      putPageByNumber(n);
+      pages[n] = [];
+      pagesContext[n].flushed = true;
+    };
+
+    // Plugins which change the complete document after it has been built, like the signing of
+    // AcroForm signature fields, can not work on a stream. They add an error to the payload.
+    var checkStream = function () {
+      var payload = {errors: []};
+      events.publish('checkStream', payload);
+      if (payload.errors.length > 0) {
+        throw new Error(payload.errors[0]);
+      }
+    };
+
+    /**
+     * Switches the document to streaming output. The header is written to the sink immediately,
+     * pages are written as soon as they are passed to flushPage and output('stream') writes
+     * the remaining pages, the resources and the trailer. Only the unflushed pages are kept
+     * in memory, which allows generating documents with a very large number of pages. The other
+     * output types and save can not be used for the document anymore.
+     *
+     * The sink is either a function, which gets called with every chunk as a binary string,
+     * or an object with a write method (e.g. a Node.js Writable stream), which gets called
+     * with a Uint8Array. The sink is not closed by jsPDF.
+     *
+     * Object numbers are fixed once streaming starts, so links can only target pages which
+     * already exist when the link is created. AcroForm fields are only referenced from pages
+     * which have not been flushed before output('stream') is called. Documents with a signer
+     * of a signature field can not be streamed.
+     *
+     * @name beginStream
+     * @function
+     * @instance
+     * @param {Function|Object} sink Function receiving the chunks or an object with a write method.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @example
+     * var doc = new jsPDF();
+     * doc.beginStream(fs.createWriteStream('large.pdf'));
+     * for (var i = 1; i <= 10000; i++) {
+     *   doc.text('Page ' + i, 10, 10);
+     *   doc.addPage();
+     *   doc.flushPage(i);
+     * }
+     * doc.output('stream');
+     */
+    API.beginStream = function (sink) {
+      if (typeof sink !== 'function' && (typeof sink !== 'object' || sink === null || typeof sink.write !== 'function')) {
+        throw new Error('Invalid argument passed to jsPDF.beginStream');
+      }
+      if (streamSink !== null) {
+        throw new Error('jsPDF.beginStream has already been called for this document.');
+      }
+      checkStream();
+      streamSink = sink;
+      isStreamed = true;
+      outToPages = false;
+
+      objectNumber = 0;
+      content_length = 0;
+      content = [];
+      offsets = [];
+      additionalObjects = [];
+      rootDictionaryObjId = newObjectDeferred();
+      resourceDictionaryObjId = newObjectDeferred();
+      for (var n = 1; n <= page; n++) {
+        reservePageObjIds(n);
+      }
+
+      putHeader();
+      writeStreamContent(false);
 
       outToPages = true;
+      return this;
+    };
+
+    /**
+     * Marks a page as complete and writes it to the stream sink set by beginStream.
+     * The content of the page is released afterwards, so nothing may be drawn on it anymore
+     * and it can not be selected with setPage again.
+     *
+     * @name flushPage
+     * @function
+     * @instance
+     * @param {number} [pageNumber] The page to write. Defaults to the current page.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    API.flushPage = function (pageNumber) {
+      if (streamSink === null) {
+        throw new Error('jsPDF.flushPage requires jsPDF.beginStream to be called first.');
+      }
+      pageNumber = (typeof pageNumber === 'undefined') ? currentPage : pageNumber;
+      if (typeof pageNumber !== 'number' || pageNumber < 1 || pageNumber > page) {
+        throw new Error('Invalid argument passed to jsPDF.flushPage');
+      }
+      if (pagesContext[pageNumber].flushed !== true) {
+        outToPages = false;
+        flushPageToStream(pageNumber);
+        writeStreamContent(false);
+        outToPages = true;
+      }
+      return this;
+    };
+
+    // The flushed pages are gone, so a streamed document can only be written to its sink
+    var checkOutputType = function (type) {
+      if (type === 'stream' && streamSink === null) {
+        throw new Error("output('stream') requires jsPDF.beginStream to be called first.");
+      }
+      if (type !== 'stream' && isStreamed) {
+        throw new Error("A document started with jsPDF.beginStream can only be written by output('stream').");
+      }
+    };
 
-      return content.join('\n');
+    var endStream = function () {
+      checkOutputType('stream');
+      checkStream();
+      outToPages = false;
+
+      events.publish('buildDocument');
+
+      for (var n = 1; n <= page; n++) {
+        if (pagesContext[n].flushed !== true) {
+          flushPageToStream(n);
+        }
+      }
+      putPagesRoot();
+      putEndOfDocument();
+      writeStreamContent(true);
+
+      streamSink = null;
+      outToPages = true;
     };
 
     var getBlob = API.__private__.getBlob = function (data) {
@@ -1512,7 +2420,7 @@ var jsPDF = (function (global) {
      *
      * If `type` argument is undefined, output is raw body of resulting PDF returned as a string.
      *
-     * @param {string} type A string identifying one of the possible output types. Possible values are 'arraybuffer', 'blob', 'bloburi'/'bloburl', 'datauristring'/'dataurlstring', 'datauri'/'dataurl', 'dataurlnewwindow'.
+     * @param {string} type A string identifying one of the possible output types. Possible values are 'arraybuffer', 'blob', 'bloburi'/'bloburl', 'datauristring'/'dataurlstring', 'datauri'/'dataurl', 'dataurlnewwindow', 'stream'. 'stream' writes the rest of a document started with beginStream to its sink.
      * @param {Object} options An object providing some additional signalling to PDF generator. Possible options are 'filename'.
      *
      * @function
@@ -1521,9 +2429,14 @@ var jsPDF = (function (global) {
      * @memberOf jsPDF
      * @name output
      */
-    var output = API.output = API.__private__.output = SAFE(function output(type, options) {
+    var buildOutput = SAFE(function output(type, options) {
       options = options || {};
 
+      if (type === 'stream') {
+        endStream();
+        return this;
+      }
+
       var pdfDocument = buildDocument();
       if (typeof options === "string") {
         options = {
@@ -1575,6 +2488,12 @@ var jsPDF = (function (global) {
       }
     });
 
+    var output = API.output = API.__private__.output = function (type, options) {
+      // a misuse of the streaming is thrown instead of being logged by SAFE
+      checkOutputType(type);
+      return buildOutput.apply(this, arguments);
+    };
+
     /**
      * Used to see if a supplied hotfix was requested when the pdf instance was created.
      * @param {string} hotfixName - The name of the hotfix to check.
@@ -1758,12 +2677,323 @@ var jsPDF = (function (global) {
       return this;
     };
 
+    var isRichTextRun = function (run) {
+      return typeof run === 'object' && run !== null && !Array.isArray(run) && typeof run.text === 'string';
+    };
+
+    /**
+     * Splits rich text runs into words, spaces and line breaks. A word is a list of pieces of runs without spaces
+     * in between, each piece knows its run, font and width.
+     *
+     * @private
+     * @param {Array} runs Strings or rich text runs.
+     * @param {Object} [options]
+     * @param {number} [options.charSpace]
+     * @returns {Array<Object>} Items like {type: 'word'|'space'|'break', pieces, width}.
+     */
+    var getRichTextWords = API.__private__.getRichTextWords = function (runs, options) {
+      options = options || {};
+      var words = [];
+      var word = null;
+
+      runs.forEach(function (run) {
+        run = (typeof run === 'string') ? {text: run} : run;
+        var fontKey = getFont(run.font, run.style || (run.font === undefined ? undefined : 'normal'), {disableWarning: false});
+        var fontSize = run.size || activeFontSize;
+
+        run.text.split(/(\r\n|\r|\n| +)/).forEach(function (part) {
+          if (part.length === 0) {
+            return;
+          }
+          var piece = {
+            run: run,
+            text: part,
+            fontKey: fontKey,
+            fontSize: fontSize,
+            width: API.getStringUnitWidth(part, {
+              font: fonts[fontKey],
+              fontSize: fontSize,
+              charSpace: options.charSpace || activeCharSpace
+            }) * fontSize / k
+          };
+          if (/^(\r\n|\r|\n)$/.test(part)) {
+            word = null;
+            words.push({type: 'break', pieces: [piece], width: 0});
+          } else if (part.charAt(0) === ' ') {
+            word = null;
+            words.push({type: 'space', pieces: [piece], width: piece.width});
+          } else {
+            if (word === null) {
+              word = {type: 'word', pieces: [], width: 0};
+              words.push(word);
+            }
+            word.pieces.push(piece);
+            word.width += piece.width;
+          }
+        });
+      });
+      return words;
+    };
+
+    /**
+     * Takes the words of the next line of rich text starting at index, greedily up to the given width.
+     * The spaces at the start and the end of the line are dropped.
+     *
+     * @private
+     * @param {Array<Object>} words As returned by getRichTextWords.
+     * @param {number} index
+     * @param {number} width
+     * @returns {Object} {words, width, fontSize, end, paragraphEnd}, end is the index of the first word of the next line.
+     */
+    var getRichTextLine = API.__private__.getRichTextLine = function (words, index, width) {
+      var line = {words: [], width: 0, fontSize: 0, end: index, paragraphEnd: false};
+      var pending = [];
+      var pendingWidth = 0;
+
+      while (line.end < words.length) {
+        var word = words[line.end];
+        if (word.type === 'break') {
+          line.fontSize = line.fontSize || word.pieces[0].fontSize;
+          line.end++;
+          line.paragraphEnd = true;
+          return line;
+        }
+        if (word.type === 'space') {
+          if (line.words.length > 0) {
+            pending.push(word);
+            pendingWidth += word.width;
+          }
+          line.end++;
+          continue;
+        }
+        if (line.words.length > 0 && line.width + pendingWidth + word.width > width) {
+          return line;
+        }
+        line.words = line.words.concat(pending, [word]);
+        line.width += pendingWidth + word.width;
+        line.fontSize = Math.max.apply(Math, [line.fontSize].concat(word.pieces.map(function (piece) {
+          return piece.fontSize;
+        })));
+        pending = [];
+        pendingWidth = 0;
+        line.end++;
+      }
+      line.paragraphEnd = true;
+      return line;
+    };
+
+    // Lays out an array of styled runs like a single text, which is wrapped at the spaces between
+    // the words if maxWidth is given. Each piece of a run is written by a separate text() call.
+    var putRichText = function (runs, x, y, options) {
+      var scope = this;
+      var previousFontKey = activeFontKey;
+      var previousFontSize = activeFontSize;
+      var previousTextColor = textColor;
+      var maxWidth = options.maxWidth || 0;
+      var align = options.align || 'left';
+      var lineHeight = typeof options.lineHeightFactor === 'number' ? options.lineHeightFactor : lineHeightFactor;
+      var words = getRichTextWords(runs, options);
+      var lines = [];
+      var line;
+      var index = 0;
+      var i;
+      var j;
+
+      while (index < words.length) {
+        line = getRichTextLine(words, index, maxWidth > 0 ? maxWidth : Infinity);
+        // a line of trailing spaces is dropped, an empty line ended by a line break is kept
+        if (line.words.length > 0 || words[line.end - 1].type === 'break') {
+          line.pieces = [].concat.apply([], line.words.map(function (word) {
+            return word.pieces;
+          }));
+          lines.push(line);
+        }
+        index = line.end;
+      }
+
+      var baseline = y;
+      for (i = 0; i < lines.length; i++) {
+        line = lines[i];
+        if (i > 0) {
+          baseline += line.fontSize * lineHeight / k;
+        }
+        var left = x;
+        var extraSpace = 0;
+        var spaceCount = line.pieces.filter(function (piece) {
+          return piece.text.charAt(0) === ' ';
+        }).length;
+        if (align === 'right') {
+          left = x - line.width;
+        } else if (align === 'center') {
+          left = x - line.width / 2;
+        } else if (align === 'justify' && i < lines.length - 1 && spaceCount > 0) {
+          extraSpace = ((maxWidth || line.width) - line.width) / spaceCount;
+        }
+
+        for (j = 0; j < line.pieces.length; j++) {
+          var piece = line.pieces[j];
+          if (piece.text.charAt(0) === ' ' && extraSpace > 0) {
+            left += piece.width + extraSpace;
+            continue;
+          }
+          // neighbouring pieces of the same run are written at once, unless the spaces are stretched
+          piece = {
+            text: piece.text,
+            width: piece.width,
+            fontKey: piece.fontKey,
+            fontSize: piece.fontSize,
+            color: piece.run.color,
+            underline: piece.run.underline === true,
+            link: piece.run.link
+          };
+          while (extraSpace === 0 && j + 1 < line.pieces.length && line.pieces[j + 1].run === line.pieces[j].run) {
+            j++;
+            piece.text += line.pieces[j].text;
+            piece.width += line.pieces[j].width;
+          }
+          activeFontKey = piece.fontKey;
+          activeFontSize = piece.fontSize;
+          textColor = previousTextColor;
+          if (typeof piece.color !== 'undefined') {
+            setTextColor.apply(scope, Array.isArray(piece.color) ? piece.color : [piece.color]);
+          }
+          text.call(scope, piece.text, left, baseline, {charSpace: options.charSpace, R2L: options.R2L, underline: piece.underline});
+          if (typeof piece.link === 'string' && typeof scope.link === 'function') {
+            var linkHeight = piece.fontSize * lineHeight / k;
+            scope.link(left, baseline + linkHeight * 0.2 - linkHeight, piece.width, linkHeight, {url: piece.link});
+          }
+          left += piece.width;
+        }
+      }
+
+      activeFontKey = previousFontKey;
+      activeFontSize = previousFontSize;
+      textColor = previousTextColor;
+      return scope;
+    };
+
+    /**
+     * Returns the center positions and thicknesses of the underline and the strikeout line of the font,
+     * in thousandths of the font size. For TrueType fonts they are read from the post and OS/2 tables.
+     * The AFM files of the 14 standard fonts all specify an underline position of -100 and a thickness of 50,
+     * the strikeout line is drawn at about half of their x-height.
+     *
+     * @private
+     * @param {Object} font
+     * @returns {Object}
+     */
+    var getTextDecorationMetrics = API.__private__.getTextDecorationMetrics = function (font) {
+      var metadata = font.metadata || {};
+      var metrics = {
+        underlinePosition: -100,
+        underlineThickness: 50,
+        strikeoutPosition: 250,
+        strikeoutThickness: 50
+      };
+
+      // the TrueType values are the top of the lines
+      if (metadata.post && metadata.post.exists && metadata.post.underlineThickness > 0) {
+        metrics.underlineThickness = metadata.post.underlineThickness * metadata.scaleFactor;
+        metrics.underlinePosition = metadata.post.underlinePosition * metadata.scaleFactor - metrics.underlineThickness / 2;
+      }
+      if (metadata.os2 && metadata.os2.exists && metadata.os2.yStrikeoutSize > 0) {
+        metrics.strikeoutThickness = metadata.os2.yStrikeoutSize * metadata.scaleFactor;
+        metrics.strikeoutPosition = metadata.os2.yStrikeoutPosition * metadata.scaleFactor - metrics.strikeoutThickness / 2;
+      }
+      return metrics;
+    };
+
+    // Fills the given rectangles, which are relative to the origin of the (possibly rotated) text.
+    var putTextDecorations = function (rects, color, x, y, angle) {
+      saveGraphicsState();
+      out(color);
+      if (angle) {
+        setCurrentTransformationMatrix(new Matrix(1, 0, 0, 1, x, y).multiply(Matrix.rotation(angle)));
+        x = 0;
+        y = 0;
+      }
+      rects.forEach(function (r) {
+        rect(x + r[0], y + r[1], r[2], r[3], 'F');
+      });
+      restoreGraphicsState();
+    };
+
+    // The vertical variant of an embedded font uses the Identity-V encoding. It shares the glyphs with
+    // the font it was made of and is not added to the font map.
+    var getVerticalFontKey = function (fontKey) {
+      var font = fonts[fontKey];
+      if (font.verticalFontKey === undefined) {
+        font.verticalFontKey = 'F' + (Object.keys(fonts).length + 1).toString(10);
+        fonts[font.verticalFontKey] = {
+          'id': font.verticalFontKey,
+          'postScriptName': font.postScriptName,
+          'fontName': font.fontName,
+          'fontStyle': font.fontStyle,
+          'encoding': 'Identity-V',
+          'isStandardFont': false,
+          'metadata': font.metadata,
+          'horizontalFont': font
+        };
+      }
+      return font.verticalFontKey;
+    };
+
+    // Writes the lines as columns from top to bottom, the columns are placed from right to left. x is the
+    // center of the first column and y its top. Upright characters are written with the vertical variant
+    // of the font, the other runs are rotated by 90 degrees clockwise and centered on the column.
+    var putVerticalText = function (lines, x, y, options) {
+      var scope = this;
+      var horizontalFontKey = activeFontKey;
+      var font = fonts[horizontalFontKey];
+      var previousFallbackFontKeys = activeFallbackFontKeys;
+      var lineHeight = typeof options.lineHeightFactor === 'number' ? options.lineHeightFactor : lineHeightFactor;
+
+      if (font.encoding !== 'Identity-H' || typeof font.metadata.heightOfGlyph !== 'function') {
+        throw new Error('Vertical writing mode requires an embedded font with Identity-H encoding.');
+      }
+      var verticalFontKey = getVerticalFontKey(horizontalFontKey);
+      var rotatedBaseline = (font.metadata.ascender + font.metadata.decender) / 2000 * activeFontSize / k;
+
+      if (typeof lines === 'string') {
+        lines = lines.split(/\r\n|\r|\n/g);
+      }
+      if (options.maxWidth > 0) {
+        lines = scope.splitTextToSize(lines, options.maxWidth, {writingMode: 'vertical'});
+      }
+
+      activeFallbackFontKeys = [];
+      lines.forEach(function (line, i) {
+        var columnX = x - i * activeFontSize * lineHeight / k;
+        var top = y;
+        scope.getVerticalTextRuns(line, {font: font}).forEach(function (run) {
+          if (run.upright) {
+            activeFontKey = verticalFontKey;
+            text.call(scope, run.text, columnX, top, {renderingMode: options.renderingMode});
+          } else {
+            activeFontKey = horizontalFontKey;
+            text.call(scope, run.text, columnX - rotatedBaseline, top, {angle: -90, renderingMode: options.renderingMode});
+          }
+          top += run.height * activeFontSize / k;
+        });
+      });
+
+      activeFontKey = horizontalFontKey;
+      activeFallbackFontKeys = previousFallbackFontKeys;
+      usedFonts[horizontalFontKey] = true;
+      return scope;
+    };
+
     /**
      * Adds text to page. Supports adding multiline text when 'text' argument is an Array of Strings.
      *
+     * Rich text with mixed fonts, sizes and colors can be written by passing an array of runs, e.g.
+     * [{text: 'Some '}, {text: 'bold', style: 'bold'}, {text: ' text.'}]. Each run may define font, style, size,
+     * color (a CSS color or an array of channels, see {@link setTextColor}), underline and link (an URL, which is
+     * added as link annotation). The runs are wrapped together according to maxWidth and align, the angle is ignored.
+     *
      * @function
      * @instance
-     * @param {String|Array} text String or array of strings to be added to the page. Each line is shifted one line down per font, spacing settings declared before this call.
+     * @param {String|Array} text String, array of strings or array of rich text runs to be added to the page. Each line is shifted one line down per font, spacing settings declared before this call.
      * @param {number} x Coordinate (in units declared at inception of PDF document) against left edge of the page.
      * @param {number} y Coordinate (in units declared at inception of PDF document) against upper edge of the page.
      * @param {Object} [options] - Collection of settings signaling how the text must be encoded.
@@ -1777,6 +3007,10 @@ var jsPDF = (function (global) {
      * @param {string} [options.flags.autoencode=true] - Autoencode the Text.
      * @param {string} [options.maxWidth=0] - Split the text by given width, 0 = no split.
      * @param {string} [options.renderingMode=fill] - Set how the text should be rendered, possible values: fill, stroke, fillThenStroke, invisible, fillAndAddForClipping, strokeAndAddPathForClipping, fillThenStrokeAndAddToPathForClipping, addToPathForClipping.
+     * @param {boolean} [options.underline=false] - Underline each line in the text color, using the underline metrics of the font.
+     * @param {boolean} [options.strikethrough=false] - Strike through each line in the text color.
+     * @param {string|Array} [options.highlightColor] - Fill the line boxes behind the text with the given color, a CSS color or an array of channels (see {@link setFillColor}).
+     * @param {string} [options.writingMode=horizontal] - Set to 'vertical' to write the lines of an embedded font as columns from top to bottom and from right to left. Then x is the center of the first column, maxWidth the height of the columns and the angle, align, baseline and decoration options are ignored.
      * @returns {jsPDF}
      * @memberOf jsPDF
      * @name text
@@ -1851,6 +3085,14 @@ var jsPDF = (function (global) {
 
       var scope = options.scope || this;
 
+      if (Array.isArray(text) && text.some(isRichTextRun)) {
+        return putRichText.call(scope, text, x, y, options);
+      }
+
+      if (options.writingMode === 'vertical') {
+        return putVerticalText.call(scope, text, x, y, options);
+      }
+
       function ESC(s) {
         s = s.split("\t").join(Array(options.TabLen || 9).join(" "));
         return pdfEscape(s, flags);
@@ -1896,7 +3138,7 @@ var jsPDF = (function (global) {
             curDa = sa.shift();
             if (typeof curDa === "string") {
               da.push(processingFunction(curDa)[0]);
-            } else if ((Array.isArray(curDa) && curDa[0] === "string")) {
+            } else if ((Array.isArray(curDa) && typeof curDa[0] === "string")) {
               tmpResult = processingFunction(curDa[0], curDa[1], curDa[2]);
               da.push([tmpResult[0], tmpResult[1], tmpResult[2]]);
             }
@@ -1992,6 +3234,7 @@ var jsPDF = (function (global) {
           pdfEscape: pdfEscape,
           activeFontKey: activeFontKey,
           fonts: fonts,
+          fallbackFontKeys: activeFallbackFontKeys,
           activeFontSize: activeFontSize
         }
       };
@@ -2103,6 +3346,8 @@ var jsPDF = (function (global) {
       var lineWidths;
       var flags = {};
       var wordSpacingPerLine = [];
+      var highlightRects = [];
+      var lineRects = [];
 
       if (Object.prototype.toString.call(text) === '[object Array]') {
         var da = transformTextToSpecialArray(text);
@@ -2113,7 +3358,6 @@ var jsPDF = (function (global) {
         if (align !== "left") {
           lineWidths = da.map(function (v) {
             return scope.getStringUnitWidth(v, {
-              font: activeFont,
               charSpace: charSpace,
               fontSize: activeFontSize
             }) * activeFontSize / k;
@@ -2187,6 +3431,36 @@ var jsPDF = (function (global) {
               'Unrecognized alignment option, use "left", "center", "right" or "justify".'
           );
         }
+
+        //decorations, relative to the start of the first line
+        if (options.underline || options.strikethrough || typeof options.highlightColor !== 'undefined') {
+          var decorationMetrics = getTextDecorationMetrics(activeFont);
+          var shift = (align === "right") ? 1 : ((align === "center") ? 0.5 : 0);
+          var boxHeight = activeFontSize * lineHeight / k;
+          var firstLineWidth;
+          da.forEach(function (line, i) {
+            var width = scope.getStringUnitWidth(line, {
+              charSpace: charSpace,
+              fontSize: activeFontSize
+            }) * activeFontSize / k;
+            if (wordSpacingPerLine[i] !== undefined && isFinite(wordSpacingPerLine[i])) {
+              width = maxWidth;
+            }
+            firstLineWidth = (i === 0) ? width : firstLineWidth;
+            var lineLeft = shift * (firstLineWidth - width);
+            var baseline = i * leading / k;
+
+            if (typeof options.highlightColor !== 'undefined') {
+              highlightRects.push([lineLeft, baseline + boxHeight * 0.2 - boxHeight, width, boxHeight]);
+            }
+            if (options.underline) {
+              lineRects.push([lineLeft, baseline - (decorationMetrics.underlinePosition + decorationMetrics.underlineThickness / 2) * activeFontSize / 1000 / k, width, decorationMetrics.underlineThickness * activeFontSize / 1000 / k]);
+            }
+            if (options.strikethrough) {
+              lineRects.push([lineLeft, baseline - (decorationMetrics.strikeoutPosition + decorationMetrics.strikeoutThickness / 2) * activeFontSize / 1000 / k, width, decorationMetrics.strikeoutThickness * activeFontSize / 1000 / k]);
+            }
+          });
+        }
       }
 
       //R2L
@@ -2207,7 +3481,9 @@ var jsPDF = (function (global) {
           pdfEscape: pdfEscape,
           activeFontKey: activeFontKey,
           fonts: fonts,
-          activeFontSize: activeFontSize
+          fallbackFontKeys: activeFallbackFontKeys,
+          activeFontSize: activeFontSize,
+          R2L: doReversing
         }
       };
       events.publish('postProcessText', payload);
@@ -2223,6 +3499,8 @@ var jsPDF = (function (global) {
 
       text = payload.text;
       isHex = payload.mutex.isHex;
+      //kerned text is written as array with position adjustments
+      var textOperator = payload.mutex.isTJ ? " TJ" : " Tj";
 
       var da = transformTextToSpecialArray(text);
 
@@ -2248,6 +3526,9 @@ var jsPDF = (function (global) {
           content = (((isHex) ? "<" : "(")) + da[i][0] + ((isHex) ? ">" : ")");
           variant = 1;
         }
+        if (payload.mutex.isTJ) {
+          content = "[" + content + "]";
+        }
         if (wordSpacingPerLine !== undefined && wordSpacingPerLine[i] !== undefined) {
           wordSpacing = wordSpacingPerLine[i] + " Tw\n";
         }
@@ -2261,12 +3542,12 @@ var jsPDF = (function (global) {
         }
       }
       if (variant === 0) {
-        text = text.join(" Tj\nT* ");
+        text = text.join(textOperator + "\nT* ");
       } else {
-        text = text.join(" Tj\n");
+        text = text.join(textOperator + "\n");
       }
 
-      text += " Tj\n";
+      text += textOperator + "\n";
 
       var result = 'BT\n/' +
           activeFontKey + ' ' + activeFontSize + ' Tf\n' + // font face, style, size
@@ -2276,8 +3557,25 @@ var jsPDF = (function (global) {
       result += text;
       result += "ET";
 
+      if (highlightRects.length > 0) {
+        var highlightColor = Array.isArray(options.highlightColor) ? options.highlightColor : [options.highlightColor];
+        putTextDecorations(highlightRects, encodeColorString({
+          ch1: highlightColor[0],
+          ch2: highlightColor[1],
+          ch3: highlightColor[2],
+          ch4: highlightColor[3],
+          pdfColorType: 'fill',
+          precision: 2
+        }), x, y, options.angle);
+      }
       out(result);
+      if (lineRects.length > 0) {
+        putTextDecorations(lineRects, textColor, x, y, options.angle);
+      }
       usedFonts[activeFontKey] = true;
+      for (var i = 0; i < activeFallbackFontKeys.length; i++) {
+        usedFonts[activeFallbackFontKeys[i]] = true;
+      }
       return scope;
     };
 
@@ -2302,91 +3600,250 @@ var jsPDF = (function (global) {
       });
     };
 
+    var isEvenOddRule = function (rule, method) {
+      if (typeof rule === 'undefined' || rule === null || rule === 'nonzero') {
+        return false;
+      }
+      if (rule === 'evenodd') {
+        return true;
+      }
+      throw new Error('Invalid fill rule "' + rule + '" passed to jsPDF.' + method);
+    };
+
     /**
+     * Begins a new subpath by moving the current point to the given coordinates.
      *
-     * @name clip
+     * @name moveTo
      * @function
      * @instance
-     * @param {string} rule
+     * @param {number} x Coordinate (in units declared at inception of PDF document) against left edge of the page.
+     * @param {number} y Coordinate (in units declared at inception of PDF document) against upper edge of the page.
      * @returns {jsPDF}
      * @memberOf jsPDF
-     * @description All .clip() after calling drawing ops with a style argument of null.
+     * @example
+     * // a donut: two subpaths filled with the even-odd rule
+     * doc.moveTo(10, 10).lineTo(60, 10).lineTo(60, 60).lineTo(10, 60).closePath();
+     * doc.moveTo(20, 20).lineTo(50, 20).lineTo(50, 50).lineTo(20, 50).closePath();
+     * doc.fill('evenodd');
      */
-    var clip = API.__private__.clip = API.clip = function (rule) {
-      // Call .clip() after calling drawing ops with a style argument of null
-      // W is the PDF clipping op
-      if ('evenodd' === rule) {
-        out('W*');
-      } else {
-        out('W');
+    var moveTo = API.__private__.moveTo = API.moveTo = function (x, y) {
+      if (isNaN(x) || isNaN(y)) {
+        throw new Error('Invalid arguments passed to jsPDF.moveTo');
       }
-      // End the path object without filling or stroking it.
-      // This operator is a path-painting no-op, used primarily for the side effect of changing the current clipping path
-      // (see Section 4.4.3, “Clipping Path Operators”)
-      out('n');
+      out(getHorizontalCoordinateString(x) + ' ' + getVerticalCoordinateString(y) + ' m');
+      return this;
     };
 
     /**
-     * This fixes the previous function clip(). Perhaps the 'stroke path' hack was due to the missing 'n' instruction?
-     * We introduce the fixed version so as to not break API.
-     * @param fillRule
-     * @ignore
+     * Appends a straight line from the current point to the given coordinates to the current path.
+     *
+     * @name lineTo
+     * @function
+     * @instance
+     * @param {number} x Coordinate (in units declared at inception of PDF document) against left edge of the page.
+     * @param {number} y Coordinate (in units declared at inception of PDF document) against upper edge of the page.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
      */
-    var clip_fixed = API.__private__.clip_fixed = API.clip_fixed = function (rule) {
-      console.log("clip_fixed is deprecated");
-      API.clip(rule);
-    };
-
-
-    var isValidStyle = API.__private__.isValidStyle = function (style) {
-      var validStyleVariants = [undefined, null, 'S', 'F', 'DF', 'FD', 'f', 'f*', 'B', 'B*'];
-      var result = false;
-      if (validStyleVariants.indexOf(style) !== -1) {
-        result = true;
-      }
-      return (result);
-    }
-
-    var getStyle = API.__private__.getStyle = function (style) {
-
-      // see path-painting operators in PDF spec
-      var op = 'S'; // stroke
-      if (style === 'F') {
-        op = 'f'; // fill
-      } else if (style === 'FD' || style === 'DF') {
-        op = 'B'; // both
-      } else if (style === 'f' || style === 'f*' || style === 'B' ||
-          style === 'B*') {
-        /*
-         Allow direct use of these PDF path-painting operators:
-         - f    fill using nonzero winding number rule
-         - f*    fill using even-odd rule
-         - B    fill then stroke with fill using non-zero winding number rule
-         - B*    fill then stroke with fill using even-odd rule
-         */
-        op = style;
+    var lineTo = API.__private__.lineTo = API.lineTo = function (x, y) {
+      if (isNaN(x) || isNaN(y)) {
+        throw new Error('Invalid arguments passed to jsPDF.lineTo');
       }
-      return op;
+      out(getHorizontalCoordinateString(x) + ' ' + getVerticalCoordinateString(y) + ' l');
+      return this;
     };
 
     /**
-     * Draw a line on the current page.
+     * Appends a cubic bezier curve from the current point to (x3, y3) with the control points (x1, y1) and (x2, y2) to the current path.
      *
-     * @name line
+     * @name curveTo
      * @function
      * @instance
-     * @param {number} x1
-     * @param {number} y1
-     * @param {number} x2
-     * @param {number} y2
+     * @param {number} x1 x coordinate of the first control point.
+     * @param {number} y1 y coordinate of the first control point.
+     * @param {number} x2 x coordinate of the second control point.
+     * @param {number} y2 y coordinate of the second control point.
+     * @param {number} x3 x coordinate of the end point.
+     * @param {number} y3 y coordinate of the end point.
      * @returns {jsPDF}
      * @memberOf jsPDF
      */
-    var line = API.__private__.line = API.line = function (x1, y1, x2, y2) {
-      if (isNaN(x1) || isNaN(y1) || isNaN(x2) || isNaN(y2)) {
-        throw new Error('Invalid arguments passed to jsPDF.line');
+    var curveTo = API.__private__.curveTo = API.curveTo = function (x1, y1, x2, y2, x3, y3) {
+      if (isNaN(x1) || isNaN(y1) || isNaN(x2) || isNaN(y2) || isNaN(x3) || isNaN(y3)) {
+        throw new Error('Invalid arguments passed to jsPDF.curveTo');
       }
-      return this.lines([
+      out([
+        getHorizontalCoordinateString(x1),
+        getVerticalCoordinateString(y1),
+        getHorizontalCoordinateString(x2),
+        getVerticalCoordinateString(y2),
+        getHorizontalCoordinateString(x3),
+        getVerticalCoordinateString(y3),
+        'c'
+      ].join(' '));
+      return this;
+    };
+
+    /**
+     * Closes the current subpath with a straight line to its starting point.
+     *
+     * @name closePath
+     * @function
+     * @instance
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var closePath = API.__private__.closePath = API.closePath = function () {
+      out('h');
+      return this;
+    };
+
+    /**
+     * Strokes the current path.
+     *
+     * @name stroke
+     * @function
+     * @instance
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var stroke = API.__private__.stroke = API.stroke = function () {
+      out('S');
+      return this;
+    };
+
+    /**
+     * Fills the current path.
+     *
+     * @name fill
+     * @function
+     * @instance
+     * @param {string} [rule=nonzero] The fill rule, either 'nonzero' or 'evenodd'.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var fill = API.__private__.fill = API.fill = function (rule) {
+      out(isEvenOddRule(rule, 'fill') ? 'f*' : 'f');
+      return this;
+    };
+
+    /**
+     * Fills and then strokes the current path.
+     *
+     * @name fillStroke
+     * @function
+     * @instance
+     * @param {string} [rule=nonzero] The fill rule, either 'nonzero' or 'evenodd'.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var fillStroke = API.__private__.fillStroke = API.fillStroke = function (rule) {
+      out(isEvenOddRule(rule, 'fillStroke') ? 'B*' : 'B');
+      return this;
+    };
+
+    /**
+     * Ends the current path without filling or stroking it.
+     *
+     * @name discardPath
+     * @function
+     * @instance
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var discardPath = API.__private__.discardPath = API.discardPath = function () {
+      out('n');
+      return this;
+    };
+
+    /**
+     * Intersects the clipping path with the current path, e.g. one built with {@link moveTo} and {@link lineTo},
+     * and ends the path. The clipping path is reset by {@link restoreGraphicsState}.
+     *
+     * @name clip
+     * @function
+     * @instance
+     * @param {string} [rule=nonzero] The fill rule, either 'nonzero' or 'evenodd'.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @description All .clip() after calling drawing ops with a style argument of null.
+     */
+    var clip = API.__private__.clip = API.clip = function (rule) {
+      // Call .clip() after calling drawing ops with a style argument of null
+      // W is the PDF clipping op
+      if ('evenodd' === rule) {
+        out('W*');
+      } else {
+        out('W');
+      }
+      // End the path object without filling or stroking it.
+      // This operator is a path-painting no-op, used primarily for the side effect of changing the current clipping path
+      // (see Section 4.4.3, “Clipping Path Operators”)
+      out('n');
+      return this;
+    };
+
+    /**
+     * This fixes the previous function clip(). Perhaps the 'stroke path' hack was due to the missing 'n' instruction?
+     * We introduce the fixed version so as to not break API.
+     * @param fillRule
+     * @ignore
+     */
+    var clip_fixed = API.__private__.clip_fixed = API.clip_fixed = function (rule) {
+      console.log("clip_fixed is deprecated");
+      API.clip(rule);
+    };
+
+
+    var isValidStyle = API.__private__.isValidStyle = function (style) {
+      var validStyleVariants = [undefined, null, 'S', 'F', 'DF', 'FD', 'f', 'f*', 'B', 'B*'];
+      var result = false;
+      if (validStyleVariants.indexOf(style) !== -1) {
+        result = true;
+      }
+      return (result);
+    }
+
+    var getStyle = API.__private__.getStyle = function (style) {
+
+      // see path-painting operators in PDF spec
+      var op = 'S'; // stroke
+      if (style === 'F') {
+        op = 'f'; // fill
+      } else if (style === 'FD' || style === 'DF') {
+        op = 'B'; // both
+      } else if (style === 'f' || style === 'f*' || style === 'B' ||
+          style === 'B*') {
+        /*
+         Allow direct use of these PDF path-painting operators:
+         - f    fill using nonzero winding number rule
+         - f*    fill using even-odd rule
+         - B    fill then stroke with fill using non-zero winding number rule
+         - B*    fill then stroke with fill using even-odd rule
+         */
+        op = style;
+      }
+      return op;
+    };
+
+    /**
+     * Draw a line on the current page.
+     *
+     * @name line
+     * @function
+     * @instance
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var line = API.__private__.line = API.line = function (x1, y1, x2, y2) {
+      if (isNaN(x1) || isNaN(y1) || isNaN(x2) || isNaN(y2)) {
+        throw new Error('Invalid arguments passed to jsPDF.line');
+      }
+      return this.lines([
         [x2 - x1, y2 - y1]
       ], x1, y1);
     };
@@ -2680,7 +4137,12 @@ var jsPDF = (function (global) {
      * Sets text font face, variant for upcoming text elements.
      * See output of jsPDF.getFontList() for possible font names, styles.
      *
-     * @param {string} fontName Font name or family. Example: "times".
+     * An ordered list of fonts can be passed as fontName. The first font is the active
+     * font, the following fonts are used for the characters it has no glyphs for, e.g.
+     * doc.setFont(['PTSans', ['MouhitsuBold', 'bold']], 'normal'). A fallback font is
+     * either a font name using fontStyle or an array of font name and font style.
+     *
+     * @param {string|Array} fontName Font name or family. Example: "times".
      * @param {string} fontStyle Font style or variant. Example: "italic".
      * @function
      * @instance
@@ -2689,9 +4151,23 @@ var jsPDF = (function (global) {
      * @name setFont
      */
     API.setFont = function (fontName, fontStyle) {
+      var fallbackFonts = [];
+      if (Array.isArray(fontName)) {
+        fallbackFonts = fontName.slice(1);
+        fontName = fontName[0];
+      }
       activeFontKey = getFont(fontName, fontStyle, {
         disableWarning: false
       });
+      activeFallbackFontKeys = [];
+      for (var i = 0; i < fallbackFonts.length; i++) {
+        var fallbackFontKey = Array.isArray(fallbackFonts[i]) ?
+            getFont(fallbackFonts[i][0], fallbackFonts[i][1], {disableWarning: false, noFallback: true}) :
+            getFont(fallbackFonts[i], fontStyle, {disableWarning: false, noFallback: true});
+        if (fallbackFontKey !== undefined && fallbackFontKey !== activeFontKey) {
+          activeFallbackFontKeys.push(fallbackFontKey);
+        }
+      }
       return this;
     };
 
@@ -2902,6 +4378,14 @@ var jsPDF = (function (global) {
      * value must be a in the range from 0.00 (0% concentration) to to
      * 1.00 (100% concentration)
      *
+     * When ch1 is the name of a spot color registered with {@link addSpotColor},
+     * its Separation color space is used and ch2 is the tint from 0 (no ink)
+     * to 1 (full ink), which defaults to 1.
+     *
+     * When ch1 is the name of an ICC profile registered with {@link addICCProfile},
+     * its ICCBased color space is used and the following values are the color
+     * channels from 0 to 255. For CMYK profiles pass the channels as array in ch2.
+     *
      * Because JavaScript treats fixed point numbers badly (rounds to
      * floating point nearest to binary representation) it is highly advised to
      * communicate the fractional numbers as String types, not JavaScript Number type.
@@ -2969,6 +4453,14 @@ var jsPDF = (function (global) {
      * value must be a in the range from 0.00 (0% concentration) to to
      * 1.00 (100% concentration)
      *
+     * When ch1 is the name of a spot color registered with {@link addSpotColor},
+     * its Separation color space is used and ch2 is the tint from 0 (no ink)
+     * to 1 (full ink), which defaults to 1.
+     *
+     * When ch1 is the name of an ICC profile registered with {@link addICCProfile},
+     * its ICCBased color space is used and the following values are the color
+     * channels from 0 to 255. For CMYK profiles pass the channels as array in ch2.
+     *
      * Because JavaScript treats fixed point numbers badly (rounds to
      * floating point nearest to binary representation) it is highly advised to
      * communicate the fractional numbers as String types, not JavaScript Number type.
@@ -3035,6 +4527,14 @@ var jsPDF = (function (global) {
      * value must be a in the range from 0.00 (0% concentration) to to
      * 1.00 (100% concentration)
      *
+     * When ch1 is the name of a spot color registered with {@link addSpotColor},
+     * its Separation color space is used and ch2 is the tint from 0 (no ink)
+     * to 1 (full ink), which defaults to 1.
+     *
+     * When ch1 is the name of an ICC profile registered with {@link addICCProfile},
+     * its ICCBased color space is used and the following values are the color
+     * channels from 0 to 255. For CMYK profiles pass the channels as array in ch2.
+     *
      * Because JavaScript treats fixed point numbers badly (rounds to
      * floating point nearest to binary representation) it is highly advised to
      * communicate the fractional numbers as String types, not JavaScript Number type.
@@ -3189,6 +4689,578 @@ var jsPDF = (function (global) {
       return this;
     };
 
+    var registerGState = function (key, gState) {
+      var gStateKey, id;
+      if (!(gState instanceof GState)) {
+        throw new Error('Invalid argument passed to jsPDF.addGState');
+      }
+
+      // reuse an already registered GState with the same parameters
+      for (gStateKey in gStates) {
+        if (gStates.hasOwnProperty(gStateKey) && gStates[gStateKey].equals(gState)) {
+          id = gStateKey;
+          break;
+        }
+      }
+
+      if (typeof id === 'undefined') {
+        id = 'GS' + (Object.keys(gStates).length + 1).toString(10);
+        gStates[id] = gState;
+      }
+      gState.id = id;
+
+      if (typeof key === 'string' && key.length > 0) {
+        gStatesMap[key] = id;
+      }
+      return id;
+    };
+
+    /**
+     * Adds a new {@link GState} for later use. See {@link setGState}.
+     *
+     * @name addGState
+     * @function
+     * @instance
+     * @param {String} key Might also be null, if no later reference to this gState is needed
+     * @param {GState} gState The gState object
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var addGState = API.__private__.addGState = API.addGState = function (key, gState) {
+      registerGState(key, gState);
+      return this;
+    };
+
+    /**
+     * Sets the graphics state of the following drawing operations, e.g. the opacity of fills, strokes and text.
+     * The graphics state stays active until it is replaced or {@link restoreGraphicsState} is called.
+     *
+     * @name setGState
+     * @function
+     * @instance
+     * @param {String|GState} gState If type is string, a previously added GState is used, if type is GState
+     * it will be added before use.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @example
+     * var doc = new jsPDF();
+     * doc.saveGraphicsState();
+     * doc.setGState(new doc.GState({opacity: 0.2, blendMode: 'Multiply'}));
+     * doc.text('CONFIDENTIAL', 40, 150, {angle: 45});
+     * doc.restoreGraphicsState();
+     */
+    var setGState = API.__private__.setGState = API.setGState = function (gState) {
+      var id;
+      if (typeof gState === 'string') {
+        id = gStatesMap[gState];
+        if (typeof id === 'undefined') {
+          throw new Error('GState "' + gState + '" was not added to jsPDF. Use jsPDF.addGState first.');
+        }
+      } else {
+        id = registerGState(null, gState);
+      }
+
+      activeGState = gStates[id];
+      out('/' + id + ' gs');
+      return this;
+    };
+
+    /**
+     * Multiplies the current transformation matrix with the given matrix ("cm" operator). All following
+     * drawing operations (e.g. {@link rect}, {@link lines}, {@link ellipse}, {@link text} or images) are
+     * transformed until the graphics state is restored with {@link restoreGraphicsState}.
+     *
+     * @name setCurrentTransformationMatrix
+     * @function
+     * @instance
+     * @param {Matrix|Array<number>} matrix The matrix in the units of the document, see {@link Matrix}.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var setCurrentTransformationMatrix = API.__private__.setCurrentTransformationMatrix = API.setCurrentTransformationMatrix = function (matrix) {
+      if (!(matrix instanceof Matrix) && !(Array.isArray(matrix) && matrix.length === 6)) {
+        throw new Error('Invalid argument passed to jsPDF.setCurrentTransformationMatrix');
+      }
+      out(matrixToString(getPageSpaceMatrix(matrix)) + ' cm');
+      return this;
+    };
+
+    /**
+     * Saves the current graphics state ("pushes it on the stack"). It can be restored by {@link restoreGraphicsState}
+     * later. Here, the general pdf graphics state is meant, also including the current transformation matrix,
+     * fill and stroke colors, the {@link GState} etc.
+     *
+     * @name saveGraphicsState
+     * @function
+     * @instance
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var saveGraphicsState = API.__private__.saveGraphicsState = API.saveGraphicsState = function () {
+      out('q');
+      graphicsStateStack.push({
+        strokeColor: strokeColor,
+        fillColor: fillColor,
+        textColor: textColor,
+        lineCapID: lineCapID,
+        lineJoinID: lineJoinID,
+        gState: activeGState
+      });
+      return this;
+    };
+
+    /**
+     * Restores a previously saved graphics state saved by {@link saveGraphicsState} ("pops the stack").
+     *
+     * @name restoreGraphicsState
+     * @function
+     * @instance
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var restoreGraphicsState = API.__private__.restoreGraphicsState = API.restoreGraphicsState = function () {
+      out('Q');
+      var state = graphicsStateStack.pop();
+      if (typeof state !== 'undefined') {
+        strokeColor = state.strokeColor;
+        fillColor = state.fillColor;
+        textColor = state.textColor;
+        lineCapID = state.lineCapID;
+        lineJoinID = state.lineJoinID;
+        activeGState = state.gState;
+      }
+      return this;
+    };
+
+    /**
+     * Gets the {@link GState} that is active for upcoming drawing operations.
+     *
+     * @name getGState
+     * @function
+     * @instance
+     * @returns {GState|null}
+     * @memberOf jsPDF
+     */
+    var getGState = API.__private__.getGState = API.getGState = function () {
+      return activeGState;
+    };
+
+    var multiplyMatrix = API.__private__.multiplyMatrix = function (m1, m2) {
+      return [
+        m1[0] * m2[0] + m1[1] * m2[2],
+        m1[0] * m2[1] + m1[1] * m2[3],
+        m1[2] * m2[0] + m1[3] * m2[2],
+        m1[2] * m2[1] + m1[3] * m2[3],
+        m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+        m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+      ];
+    };
+
+    /**
+     * Converts a matrix in the units of the document into the default space of the current page,
+     * in which the drawing methods write their operators.
+     *
+     * @private
+     * @param {Matrix|Array<number>} matrix
+     * @param {number} [sourcePageHeight] The height of the page the transformed operators were written for.
+     * Defaults to the height of the current page.
+     * @returns {Array<number>}
+     */
+    var getPageSpaceMatrix = API.__private__.getPageSpaceMatrix = function (matrix, sourcePageHeight) {
+      var pageHeight = pagesContext[currentPage].mediaBox.topRightY - pagesContext[currentPage].mediaBox.bottomLeftY;
+      sourcePageHeight = (typeof sourcePageHeight === 'number') ? sourcePageHeight : pageHeight;
+      return multiplyMatrix(
+        multiplyMatrix([1 / k, 0, 0, -1 / k, 0, sourcePageHeight / k], getMatrixArray(matrix)),
+        [k, 0, 0, -k, 0, pageHeight]
+      );
+    };
+
+    var matrixToString = API.__private__.matrixToString = function (matrix) {
+      return matrix.map(function (value) {
+        return roundToPrecision(value, 5);
+      }).join(' ');
+    };
+
+    var recordTilingPattern = function (pattern) {
+      var stream = [];
+      var previousOutputDestination = customOutputDestination;
+
+      setOutputDestination(stream);
+      try {
+        saveGraphicsState();
+        pattern.draw.call(API, API);
+        restoreGraphicsState();
+      } finally {
+        setOutputDestination(previousOutputDestination);
+      }
+      return stream;
+    };
+
+    var registerPattern = function (pattern) {
+      var id, patternKey;
+      if (typeof pattern === 'string') {
+        if (!patternsMap.hasOwnProperty(pattern)) {
+          throw new Error('Pattern "' + pattern + '" was not added to jsPDF. Use jsPDF.addPattern first.');
+        }
+        pattern = patternsMap[pattern];
+      }
+      if (!(pattern instanceof ShadingPattern) && !(pattern instanceof TilingPattern)) {
+        throw new Error('Invalid pattern passed to jsPDF.');
+      }
+
+      // Patterns live in the default coordinate space of the page, so the matrix
+      // maps the user space (units, upper left origin) to the current page.
+      var pageHeight = pagesContext[currentPage].mediaBox.topRightY - pagesContext[currentPage].mediaBox.bottomLeftY;
+      var matrix = multiplyMatrix(pattern.matrix, [k, 0, 0, -k, 0, pageHeight]);
+      if (pattern instanceof TilingPattern) {
+        // the cell of a tiling pattern is recorded in the default space of the current page
+        matrix = getPageSpaceMatrix(pattern.matrix);
+      }
+
+      for (patternKey in patterns) {
+        if (patterns.hasOwnProperty(patternKey) && patterns[patternKey].pattern === pattern &&
+            patterns[patternKey].matrix.join(' ') === matrix.join(' ') && patterns[patternKey].pageHeight === pageHeight) {
+          id = patternKey;
+          break;
+        }
+      }
+      if (typeof id === 'undefined') {
+        id = 'P' + (Object.keys(patterns).length + 1).toString(10);
+        patterns[id] = {
+          pattern: pattern,
+          matrix: matrix,
+          pageHeight: pageHeight
+        };
+        if (pattern instanceof TilingPattern) {
+          patterns[id].boundingBox = [
+            getHorizontalCoordinate(Math.min(pattern.boundingBox[0], pattern.boundingBox[2])),
+            getVerticalCoordinate(Math.max(pattern.boundingBox[1], pattern.boundingBox[3])),
+            getHorizontalCoordinate(Math.max(pattern.boundingBox[0], pattern.boundingBox[2])),
+            getVerticalCoordinate(Math.min(pattern.boundingBox[1], pattern.boundingBox[3]))
+          ];
+          patterns[id].stream = recordTilingPattern(pattern);
+        }
+      }
+      pattern.id = id;
+      return id;
+    };
+
+    /**
+     * Adds a pattern ({@link ShadingPattern} or {@link TilingPattern}) for later use with {@link setFillPattern} or {@link setDrawPattern}.
+     *
+     * @name addPattern
+     * @function
+     * @instance
+     * @param {String} key The key by which the pattern can be referenced later.
+     * @param {ShadingPattern|TilingPattern} pattern The pattern object.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var addPattern = API.__private__.addPattern = API.addPattern = function (key, pattern) {
+      if (typeof key !== 'string' || (!(pattern instanceof ShadingPattern) && !(pattern instanceof TilingPattern))) {
+        throw new Error('Invalid arguments passed to jsPDF.addPattern');
+      }
+      patternsMap[key] = pattern;
+      return this;
+    };
+
+    /**
+     * Sets a pattern as fill color for upcoming elements. Calling {@link setFillColor} switches back to a plain color.
+     *
+     * @name setFillPattern
+     * @function
+     * @instance
+     * @param {String|ShadingPattern|TilingPattern} pattern Either the key of a pattern added by {@link addPattern} or the pattern itself.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var setFillPattern = API.__private__.setFillPattern = API.setFillPattern = function (pattern) {
+      out('/Pattern cs /' + registerPattern(pattern) + ' scn');
+      return this;
+    };
+
+    /**
+     * Sets a pattern as stroke color for upcoming elements. Calling {@link setDrawColor} switches back to a plain color.
+     *
+     * @name setDrawPattern
+     * @function
+     * @instance
+     * @param {String|ShadingPattern|TilingPattern} pattern Either the key of a pattern added by {@link addPattern} or the pattern itself.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var setDrawPattern = API.__private__.setDrawPattern = API.setDrawPattern = function (pattern) {
+      out('/Pattern CS /' + registerPattern(pattern) + ' SCN');
+      return this;
+    };
+
+    /**
+     * Registers a spot color (a named ink like a Pantone color or a varnish plate), which is written as
+     * Separation color space. Once registered, the name can be passed to {@link setDrawColor},
+     * {@link setFillColor} and {@link setTextColor}, followed by the tint between 0 (no ink) and 1 (full ink).
+     * Registered names take precedence over CSS color names.
+     *
+     * The alternate color is used by viewers and printers which do not have the ink. It is either a CSS color string,
+     * an array of RGB values or an array of CMYK values, each between 0 and 255.
+     *
+     * @name addSpotColor
+     * @function
+     * @instance
+     * @param {string} name The name of the ink, e.g. 'PANTONE 185 C'.
+     * @param {string|Array<number>} alternate The alternate color, either RGB or CMYK.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @example
+     * var doc = new jsPDF();
+     * doc.addSpotColor('PANTONE 185 C', [0, 232, 196, 0]);
+     * doc.setFillColor('PANTONE 185 C', 0.5);
+     * doc.rect(10, 10, 100, 50, 'F');
+     */
+    var addSpotColor = API.__private__.addSpotColor = API.addSpotColor = function (name, alternate) {
+      var colorSpace, rgbColor, id;
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Invalid arguments passed to jsPDF.addSpotColor');
+      }
+      if (typeof alternate === 'string') {
+        rgbColor = new RGBColor(alternate);
+        if (!rgbColor.ok) {
+          throw new Error('Invalid arguments passed to jsPDF.addSpotColor');
+        }
+        alternate = [rgbColor.r, rgbColor.g, rgbColor.b];
+      }
+      if (!Array.isArray(alternate) || (alternate.length !== 3 && alternate.length !== 4) || alternate.some(isNaN)) {
+        throw new Error('Invalid arguments passed to jsPDF.addSpotColor');
+      }
+      colorSpace = {
+        type: 'Separation',
+        name: name,
+        colorSpace: alternate.length === 4 ? 'DeviceCMYK' : 'DeviceRGB',
+        alternate: alternate.map(function (value) {
+          return Math.min(Math.max(value / 255, 0), 1);
+        }),
+        objectNumber: -1
+      };
+
+      registerColorSpace(name, colorSpace);
+      return this;
+    };
+
+    var registerColorSpace = function (name, colorSpace) {
+      var id = colorSpacesMap[name] || 'CS' + (Object.keys(colorSpaces).length + 1).toString(10);
+      colorSpaces[id] = colorSpace;
+      colorSpacesMap[name] = id;
+      return id;
+    };
+
+    var iccColorSpaces = {
+      'GRAY': ['DeviceGray', 1],
+      'RGB ': ['DeviceRGB', 3],
+      'CMYK': ['DeviceCMYK', 4]
+    };
+
+    /**
+     * Registers an ICC profile, which has been added to the virtual file system with {@link addFileToVFS} before,
+     * as ICCBased color space. Once registered, the name can be passed to {@link setDrawColor}, {@link setFillColor}
+     * and {@link setTextColor}, followed by the color channels between 0 and 255, either as separate arguments
+     * or as one array (e.g. for CMYK profiles).
+     *
+     * If options.useAsDefault is set, the profile replaces the device color space of the same type (DefaultGray,
+     * DefaultRGB or DefaultCMYK), so that all plain colors and images of the document become ICC based.
+     *
+     * @name addICCProfile
+     * @function
+     * @instance
+     * @param {string} name The name by which the profile is referenced later.
+     * @param {string} filename The name of the ICC profile in the virtual file system.
+     * @param {Object} [options]
+     * @param {boolean} [options.useAsDefault=false] Whether to use the profile for the device colors.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @example
+     * var doc = new jsPDF();
+     * doc.addFileToVFS('sRGB.icc', profileAsBinaryString);
+     * doc.addICCProfile('sRGB', 'sRGB.icc', {useAsDefault: true});
+     * doc.setFillColor('sRGB', 255, 0, 0);
+     * doc.rect(10, 10, 100, 50, 'F');
+     */
+    var addICCProfile = API.__private__.addICCProfile = API.addICCProfile = function (name, filename, options) {
+      var data, colorSpace, id;
+      options = options || {};
+      if (typeof name !== 'string' || name.length === 0 || typeof filename !== 'string') {
+        throw new Error('Invalid arguments passed to jsPDF.addICCProfile');
+      }
+      if (typeof this.existsFileInVFS !== 'function' || !this.existsFileInVFS(filename)) {
+        throw new Error("ICC profile does not exist in vFS, import the profile or remove declaration doc.addICCProfile('" + name + "', '" + filename + "').");
+      }
+      data = this.getFileFromVFS(filename);
+      if (typeof data !== 'string' || data.length < 128 || data.substr(36, 4) !== 'acsp') {
+        throw new Error('Invalid ICC profile "' + filename + '" passed to jsPDF.addICCProfile.');
+      }
+      colorSpace = iccColorSpaces[data.substr(16, 4)];
+      if (typeof colorSpace === 'undefined') {
+        throw new Error('Unsupported color space "' + data.substr(16, 4) + '" of ICC profile "' + filename + '" passed to jsPDF.addICCProfile.');
+      }
+
+      id = registerColorSpace(name, {
+        type: 'ICCBased',
+        name: name,
+        colorSpace: colorSpace[0],
+        components: colorSpace[1],
+        data: data,
+        objectNumber: -1,
+        profileObjectNumber: -1
+      });
+      if (options.useAsDefault === true) {
+        defaultColorSpaces[colorSpace[0]] = id;
+      }
+      return this;
+    };
+
+    /**
+     * Adds an output intent, which describes the intended printing condition (e.g. for PDF/X), to the document catalog.
+     * The destination profile is an ICC profile registered with {@link addICCProfile}.
+     *
+     * @name addOutputIntent
+     * @function
+     * @instance
+     * @param {string} name The name of an ICC profile registered with {@link addICCProfile}.
+     * @param {Object} [options]
+     * @param {string} [options.subtype=GTS_PDFX] The subtype of the output intent, e.g. 'GTS_PDFX' or 'GTS_PDFA1'.
+     * @param {string} [options.outputConditionIdentifier] The identifier of the printing condition. Defaults to the name.
+     * @param {string} [options.outputCondition] A human readable description of the printing condition.
+     * @param {string} [options.registryName] The registry in which the identifier is defined, e.g. 'http://www.color.org'.
+     * @param {string} [options.info] Additional information about the printing condition.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var addOutputIntent = API.__private__.addOutputIntent = API.addOutputIntent = function (name, options) {
+      options = options || {};
+      if (!colorSpacesMap.hasOwnProperty(name) || colorSpaces[colorSpacesMap[name]].type !== 'ICCBased') {
+        throw new Error('ICC profile "' + name + '" was not added to jsPDF. Use jsPDF.addICCProfile first.');
+      }
+      if (outputIntents.length === 0) {
+        events.subscribe('putCatalog', putOutputIntents);
+      }
+      outputIntents.push({
+        colorSpaceKey: colorSpacesMap[name],
+        subtype: options.subtype || 'GTS_PDFX',
+        outputConditionIdentifier: options.outputConditionIdentifier || name,
+        outputCondition: options.outputCondition,
+        registryName: options.registryName,
+        info: options.info
+      });
+      return this;
+    };
+
+    /**
+     * Starts a new form XObject (a reusable group of drawing operations). All drawing operations until the
+     * call of {@link endFormObject} are recorded into the form object instead of the current page.
+     * The coordinates are given in the units of the document, relative to the upper left corner of the page.
+     *
+     * @name beginFormObject
+     * @function
+     * @instance
+     * @param {number} x The x coordinate of the bounding box of the form object.
+     * @param {number} y The y coordinate of the bounding box of the form object.
+     * @param {number} width The width of the bounding box of the form object.
+     * @param {number} height The height of the bounding box of the form object.
+     * @param {Matrix|Array<number>} [matrix] A transformation matrix [a, b, c, d, e, f], which is applied to the content of the form object.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     * @example
+     * var doc = new jsPDF();
+     * doc.beginFormObject(0, 0, 210, 30);
+     * doc.text('Letterhead', 10, 20);
+     * doc.endFormObject('letterhead');
+     * doc.doFormObject('letterhead');
+     * doc.addPage();
+     * doc.doFormObject('letterhead');
+     */
+    var beginFormObject = API.__private__.beginFormObject = API.beginFormObject = function (x, y, width, height, matrix) {
+      if (isNaN(x) || isNaN(y) || isNaN(width) || isNaN(height)) {
+        throw new Error('Invalid arguments passed to jsPDF.beginFormObject');
+      }
+      var pageHeight = pagesContext[currentPage].mediaBox.topRightY - pagesContext[currentPage].mediaBox.bottomLeftY;
+      var formObject = {
+        id: '',
+        objectNumber: -1,
+        boundingBox: [
+          getHorizontalCoordinate(x),
+          getVerticalCoordinate(y + height),
+          getHorizontalCoordinate(x + width),
+          getVerticalCoordinate(y)
+        ],
+        // the content is recorded in the default space of the current page
+        matrix: getPageSpaceMatrix(matrix),
+        pageHeight: pageHeight,
+        stream: []
+      };
+
+      formObjectStack.push({
+        formObject: formObject,
+        outputDestination: customOutputDestination
+      });
+      setOutputDestination(formObject.stream);
+      saveGraphicsState();
+      return this;
+    };
+
+    /**
+     * Completes the form object started by {@link beginFormObject} and stores it under the given key.
+     *
+     * @name endFormObject
+     * @function
+     * @instance
+     * @param {string} key The key by which the form object can be referenced in {@link doFormObject}.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var endFormObject = API.__private__.endFormObject = API.endFormObject = function (key) {
+      if (formObjectStack.length === 0) {
+        throw new Error('jsPDF.endFormObject called without jsPDF.beginFormObject');
+      }
+      if (typeof key !== 'string') {
+        throw new Error('Invalid argument passed to jsPDF.endFormObject');
+      }
+      restoreGraphicsState();
+      var entry = formObjectStack.pop();
+      setOutputDestination(entry.outputDestination);
+
+      if (formObjectsCount === 0) {
+        events.subscribe('putXobjectDict', putFormObjectsDict);
+      }
+      formObjectsCount++;
+      entry.formObject.id = 'Xo' + formObjectsCount.toString(10);
+      formObjects[key] = entry.formObject;
+      return this;
+    };
+
+    /**
+     * Draws the form object with the given key on the current page.
+     *
+     * @name doFormObject
+     * @function
+     * @instance
+     * @param {string} key The key of the form object, see {@link endFormObject}.
+     * @param {Matrix|Array<number>} [matrix] A transformation matrix [a, b, c, d, e, f] in the units of the document,
+     * e.g. [1, 0, 0, 1, 0, 100] draws the form object 100 units below its original position.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    var doFormObject = API.__private__.doFormObject = API.doFormObject = function (key, matrix) {
+      if (!formObjects.hasOwnProperty(key)) {
+        throw new Error('Form object "' + key + '" was not added to jsPDF. Use jsPDF.beginFormObject and jsPDF.endFormObject first.');
+      }
+      var formObject = formObjects[key];
+      var placement = getPageSpaceMatrix(matrix, formObject.pageHeight);
+
+      out('q');
+      out(matrixToString(placement) + ' cm');
+      out('/' + formObject.id + ' Do');
+      out('Q');
+      return this;
+    };
+
     /**
      * Saves as PDF document. An alias of jsPDF.output('save', 'filename.pdf').
      * Uses FileSaver.js-method saveAs.
@@ -3278,6 +5350,11 @@ var jsPDF = (function (global) {
       'getFont': function () {
         return fonts[getFont.apply(API, arguments)];
       },
+      'getFallbackFonts': function () {
+        return activeFallbackFontKeys.map(function (fontKey) {
+          return fonts[fontKey];
+        });
+      },
       'getFontSize': getFontSize,
       'getCharSpace': getCharSpace,
       'getTextColor': getTextColor,
@@ -3326,6 +5403,9 @@ var jsPDF = (function (global) {
       'getPageInfo': getPageInfo,
       'getPageInfoByObjId': getPageInfoByObjId,
       'getCurrentPageInfo': getCurrentPageInfo,
+      'isStreaming': function () {
+        return streamSink !== null;
+      },
       'getPDFVersion': getPdfVersion,
       'hasHotfix': hasHotfix //Expose the hasHotfix check so plugins can also check them.
     };
@@ -3390,6 +5470,38 @@ var jsPDF = (function (global) {
   jsPDF.API = {
     events: []
   };
+
+  /**
+   * The {@link GState} class. Also available on every jsPDF instance, e.g. new doc.GState({opacity: 0.5}).
+   *
+   * @name GState
+   * @memberOf jsPDF
+   */
+  jsPDF.API.GState = jsPDF.GState = GState;
+
+  /**
+   * The {@link ShadingPattern} class for axial and radial gradients. Also available on every jsPDF instance.
+   *
+   * @name ShadingPattern
+   * @memberOf jsPDF
+   */
+  jsPDF.API.ShadingPattern = jsPDF.ShadingPattern = ShadingPattern;
+
+  /**
+   * The {@link TilingPattern} class for repeated pattern cells. Also available on every jsPDF instance.
+   *
+   * @name TilingPattern
+   * @memberOf jsPDF
+   */
+  jsPDF.API.TilingPattern = jsPDF.TilingPattern = TilingPattern;
+
+  /**
+   * The {@link Matrix} class for transformations, e.g. in {@link setCurrentTransformationMatrix}. Also available on every jsPDF instance.
+   *
+   * @name Matrix
+   * @memberOf jsPDF
+   */
+  jsPDF.API.Matrix = jsPDF.Matrix = Matrix;
   /**
    * The version of jsPDF.
    * @name version
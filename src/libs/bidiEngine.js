@@ -268,7 +268,7 @@ jsPDF.__bidiEngine__ = jsPDF.prototype.__bidiEngine__ = function( options ) {
 			charType = _getCharType( text.charAt( i ) );
 			if ( charType === "L" ) {
 				return false;
-			} else if ( charType === "R" ) {
+			} else if ( charType === "R" || charType === "AL" ) {
 				return true;
 			}
 		}
@@ -641,36 +641,4 @@ jsPDF.__bidiEngine__ = jsPDF.prototype.__bidiEngine__ = function( options ) {
 
 	var _bidiUnicodeTypes = bidiUnicodeTypes;
 
-	var bidiEngine = new jsPDF.__bidiEngine__({isInputVisual: true});
-
-	var bidiEngineFunction = function (args) {
-		var text = args.text;
-		var x = args.x;
-		var y = args.y;
-		var options = args.options || {};
-		var mutex = args.mutex || {};
-		var lang = options.lang;
-		var tmpText = [];
-		
-		if (Object.prototype.toString.call(text) === '[object Array]') {
-			var i = 0;
-			tmpText = [];
-			for (i = 0; i < text.length; i += 1) {
-				if (Object.prototype.toString.call(text[i]) === '[object Array]') {
-					tmpText.push([bidiEngine.doBidiReorder(text[i][0]), text[i][1], text[i][2]]);
-				} else {
-					tmpText.push([bidiEngine.doBidiReorder(text[i])]);
-				}
-			}
-			args.text = tmpText;
-		} else {
-			args.text = bidiEngine.doBidiReorder(text);
-		}
-	};
-
-	jsPDF.API.events.push([ 
-		'postProcessText'
-		,bidiEngineFunction
-	]);
-
 })(jsPDF);
\ No newline at end of file
@@ -97,6 +97,10 @@
         function TTFFont(rawData, name, encoding) {
             var data, i, numFonts, offset, offsets, version, _i, _j, _len;
             this.rawData = rawData;
+            this.features = {
+                kerning: false
+                , ligatures: false
+            };
             data = this.contents = new Data(rawData);
             this.contents.pos = 4;
             if (data.readString(4) === 'ttcf') {
@@ -126,10 +130,25 @@
             this.hhea = new HheaTable(this);
             this.maxp = new MaxpTable(this);
             this.hmtx = new HmtxTable(this);
+            this.vhea = new VheaTable(this);
+            this.vmtx = new VmtxTable(this);
             this.post = new PostTable(this);
             this.os2 = new OS2Table(this);
             this.loca = new LocaTable(this);
             this.glyf = new GlyfTable(this);
+            this.cff = new CFFTable(this);
+            this.kern = new KernTable(this);
+            this.gpos = new GposTable(this);
+            this.marks = new MarkTable(this);
+            this.gsub = new GsubTable(this);
+            this.rlig = new GsubTable(this, 'rlig');
+            this.vert = new SubstitutionTable(this, 'vert');
+            this.forms = {
+                isol: new SubstitutionTable(this, 'isol')
+                , fina: new SubstitutionTable(this, 'fina')
+                , medi: new SubstitutionTable(this, 'medi')
+                , init: new SubstitutionTable(this, 'init')
+            };
             this.ascender = (this.os2.exists && this.os2.ascender) || this.hhea.ascender;
             this.decender = (this.os2.exists && this.os2.decender) || this.hhea.decender;
             this.lineGap = (this.os2.exists && this.os2.lineGap) || this.hhea.lineGap;
@@ -200,13 +219,254 @@
             scale = 1000.0 / this.head.unitsPerEm;
             return this.hmtx.forGlyph(glyph).advance * scale;
         };
-        TTFFont.prototype.widthOfString = function (string, size, charSpace) {
-            var charCode, i, scale, width, _i, _ref, charSpace;
+        /*******************************************************************/
+        /* function : heightOfGlyph                                        */
+        /* comment : Returns the vertical advance of the glyph from vmtx.  */
+        /*   Fonts without vertical metrics advance by one em.             */
+        /*******************************************************************/
+        TTFFont.prototype.heightOfGlyph = function (glyph) {
+            if (!this.vmtx.exists) {
+                return 1000;
+            }
+            return this.vmtx.forGlyph(glyph).advance * 1000.0 / this.head.unitsPerEm;
+        };
+        /*********************************************************************/
+        /* function : verticalOriginOfGlyph                                  */
+        /* comment : Returns the distance from the baseline up to the origin */
+        /*   of the glyph in vertical writing, i.e. the top of its outline   */
+        /*   plus the top side bearing. Without vertical metrics the default */
+        /*   of PDF is used.                                                 */
+        /*********************************************************************/
+        TTFFont.prototype.verticalOriginOfGlyph = function (glyph) {
+            var outline;
+            if (!this.vmtx.exists || !this.glyf.exists) {
+                return 880;
+            }
+            outline = this.glyf.glyphFor(glyph);
+            if (!outline) {
+                return 880;
+            }
+            return Math.round((outline.yMax + this.vmtx.forGlyph(glyph).tsb) * 1000.0 / this.head.unitsPerEm);
+        };
+        /*****************************************************************/
+        /* function : layout                                             */
+        /* comment : Map the string to glyphs and apply the enabled      */
+        /*   features. The kerning of a glyph is the adjustment in 1/1000 */
+        /*   em between this glyph and the next one. Vertical text uses  */
+        /*   the vertical alternates of the glyphs instead of kerning.   */
+        /*   The string is expected in logical order, the glyphs are     */
+        /*   returned in the same order except inside of the syllables  */
+        /*   of complex scripts, which are reordered as a cluster. Marks */
+        /*   are positioned with kerning and rise (1/1000 em).           */
+        /*****************************************************************/
+        TTFFont.prototype.layout = function (string, vertical) {
+            var glyphs, i, kerning, scale;
             string = '' + string;
+            glyphs = [];
+            for (i = 0; i < string.length; i++) {
+                glyphs.push({
+                    glyph: this.characterToGlyph(string.charCodeAt(i))
+                    , text: string.charAt(i)
+                    , kerning: 0
+                });
+            }
+            if (vertical !== true && jsPDF.API.__arabicParser__ !== undefined) {
+                glyphs = this.shapeArabic(glyphs);
+            }
+            if (vertical !== true && jsPDF.API.__indicParser__ !== undefined) {
+                glyphs = this.shapeIndic(glyphs);
+            }
+            if (this.features.ligatures && this.gsub.exists) {
+                glyphs = this.gsub.substitute(glyphs);
+            }
+            if (vertical === true) {
+                //vertical alternates, pair kerning only applies to horizontal text
+                return this.vert.exists ? this.vert.substitute(glyphs) : glyphs;
+            }
+            if (this.features.kerning) {
+                scale = 1000.0 / this.head.unitsPerEm;
+                for (i = 0; i < glyphs.length - 1; i++) {
+                    if (this.gpos.exists && this.gpos.lookups.length) {
+                        kerning = this.gpos.kerningFor(glyphs[i].glyph, glyphs[i + 1].glyph);
+                    } else if (this.kern.exists) {
+                        kerning = this.kern.kerningFor(glyphs[i].glyph, glyphs[i + 1].glyph);
+                    } else {
+                        kerning = 0;
+                    }
+                    glyphs[i].kerning = Math.round(kerning * scale);
+                }
+            }
+            return this.positionMarks(glyphs);
+        };
+        /*********************************************************************/
+        /* function : shapeArabic                                            */
+        /* comment : Replace the letters by the initial, medial, final or    */
+        /*   isolated glyphs of the font and apply its required ligatures    */
+        /*   (lam with alef). Fonts without these features fall back to the  */
+        /*   Arabic presentation forms, if the font maps them.               */
+        /*********************************************************************/
+        TTFFont.prototype.shapeArabic = function (glyphs) {
+            var parser, forms, form, hasForms, substitute, code, i, j, result;
+            parser = jsPDF.API.__arabicParser__;
+            forms = parser.getJoiningForms(glyphs.map(function (glyph) {
+                return glyph.text;
+            }).join(''));
+            if (forms.length === 0) {
+                return glyphs;
+            }
+            hasForms = this.forms.fina.exists && (this.forms.fina.lookups.length + this.forms.medi.lookups.length + this.forms.init.lookups.length) > 0;
+            result = [];
+            for (i = 0; i < glyphs.length; i++) {
+                result.push(glyphs[i]);
+                form = glyphs[i].form = forms[i];
+                if (form === undefined) {
+                    continue;
+                }
+                if (!hasForms) {
+                    code = parser.getPresentationForm(glyphs[i].text.charCodeAt(0), form);
+                    glyphs[i].glyph = this.characterToGlyph(code) || glyphs[i].glyph;
+                    continue;
+                }
+                substitute = this.forms[form].substituteFor(glyphs[i].glyph);
+                if (substitute !== undefined) {
+                    //a multiple substitution adds glyphs without characters of their own
+                    substitute = [].concat(substitute);
+                    glyphs[i].glyph = substitute[0];
+                    for (j = 1; j < substitute.length; j++) {
+                        result.push({
+                            glyph: substitute[j]
+                            , text: ''
+                            , kerning: 0
+                        });
+                    }
+                }
+            }
+            if (this.rlig.exists && this.rlig.lookups.length) {
+                result = this.rlig.substitute(result);
+            }
+            //lam with alef is a required ligature, use its presentation form if the font did not form it
+            for (i = 0; i < result.length - 1; i++) {
+                if (result[i].text.length !== 1 || result[i + 1].text.length !== 1) {
+                    continue;
+                }
+                code = parser.getLigature(
+                    parser.getPresentationForm(result[i].text.charCodeAt(0), result[i].form),
+                    parser.getPresentationForm(result[i + 1].text.charCodeAt(0), result[i + 1].form)
+                );
+                if (code !== undefined && this.characterToGlyph(code)) {
+                    result[i].glyph = this.characterToGlyph(code);
+                    result[i].text += result[i + 1].text;
+                    result.splice(i + 1, 1);
+                }
+            }
+            return result;
+        };
+        /********************************************************************/
+        /* function : getSubstitutions                                      */
+        /* comment : Returns the GSUB lookups of a feature, they are only   */
+        /*   parsed when they are needed for the first time.                */
+        /********************************************************************/
+        TTFFont.prototype.getSubstitutions = function (featureTag) {
+            this.substitutions = this.substitutions || {};
+            if (!this.substitutions.hasOwnProperty(featureTag)) {
+                this.substitutions[featureTag] = new GsubTable(this, featureTag);
+            }
+            return this.substitutions[featureTag];
+        };
+        /*********************************************************************/
+        /* function : shapeIndic                                             */
+        /* comment : Replace the syllables of Indic and Thai text by their   */
+        /*   glyphs in visual order and apply the features of the font to    */
+        /*   the parts of each syllable they are meant for (e.g. half forms  */
+        /*   to the consonants before the base consonant). The glyphs of a   */
+        /*   syllable share its start as cluster, a reordered syllable keeps */
+        /*   its text in the actualText of its first glyph.                  */
+        /*********************************************************************/
+        TTFFont.prototype.shapeIndic = function (glyphs) {
+            var syllables, syllable, features, result, parts, string, index, i, j, k;
+            string = glyphs.map(function (glyph) {
+                return glyph.text;
+            }).join('');
+            syllables = jsPDF.API.__indicParser__.getSyllables(string);
+            if (syllables.length === 0) {
+                return glyphs;
+            }
+            result = [];
+            for (i = 0, j = 0, index = 0; i < syllables.length; i++) {
+                syllable = syllables[i];
+                for (; index < syllable.start; j++) {
+                    result.push(glyphs[j]);
+                    index += glyphs[j].text.length;
+                }
+                for (; index < syllable.end; j++) {
+                    index += glyphs[j].text.length;
+                }
+                parts = [];
+                for (k = 0; k < syllable.parts.length; k++) {
+                    parts.push({
+                        glyph: this.characterToGlyph(syllable.parts[k].code)
+                        , text: syllable.parts[k].text
+                        , kerning: 0
+                        , cluster: syllable.start
+                        , segment: syllable.parts[k].segment
+                    });
+                    if (syllable.parts[k].decomposed) {
+                        parts[k].decomposed = true;
+                    }
+                }
+                if (syllable.reordered) {
+                    parts[0].actualText = string.substring(syllable.start, syllable.end);
+                }
+                features = syllable.features;
+                for (k = 0; k < features.length; k++) {
+                    parts = this.getSubstitutions(features[k].tag).substitute(parts, features[k].segments && function (part) {
+                        return this.indexOf(part.segment) !== -1;
+                    }.bind(features[k].segments));
+                }
+                for (k = 0; k < parts.length; k++) {
+                    delete parts[k].segment;
+                }
+                result = result.concat(parts);
+            }
+            return result.concat(glyphs.slice(j));
+        };
+        /*********************************************************************/
+        /* function : positionMarks                                          */
+        /* comment : Attach the marks to their base glyph or to the mark     */
+        /*   before them with the anchors of the mark features of GPOS. The  */
+        /*   horizontal offset is written as kerning before and after the    */
+        /*   mark, the vertical one as rise. Marks of right-to-left scripts  */
+        /*   are left at their default position.                            */
+        /*********************************************************************/
+        TTFFont.prototype.positionMarks = function (glyphs) {
+            var pen, positions, attachment, scale, offset, kerning, i;
+            if (!this.marks.exists || this.marks.lookups.length === 0) {
+                return glyphs;
+            }
+            scale = 1000.0 / this.head.unitsPerEm;
+            pen = 0;
+            positions = [];
+            for (i = 0; i < glyphs.length; i++) {
+                positions.push(pen);
+                kerning = glyphs[i].kerning;
+                attachment = (i > 0 && !/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/.test(glyphs[i].text)) ? this.marks.attachmentFor(glyphs, i) : undefined;
+                if (attachment !== undefined) {
+                    offset = Math.round(positions[attachment.base] + attachment.x * scale - pen);
+                    positions[i] = pen + offset;
+                    glyphs[i - 1].kerning += offset;
+                    glyphs[i].kerning -= offset;
+                    glyphs[i].rise = (glyphs[attachment.base].rise || 0) + Math.round(attachment.y * scale);
+                }
+                pen += this.widthOfGlyph(glyphs[i].glyph) + kerning;
+            }
+            return glyphs;
+        };
+        TTFFont.prototype.widthOfString = function (string, size, charSpace) {
+            var glyphs, i, scale, width;
+            glyphs = this.layout(string);
             width = 0;
-            for (i = _i = 0, _ref = string.length; 0 <= _ref ? _i < _ref : _i > _ref; i = 0 <= _ref ? ++_i : --_i) {
-                charCode = string.charCodeAt(i);
-                width += (this.widthOfGlyph(this.characterToGlyph(charCode)) + charSpace * (1000/ size)) || 0;
+            for (i = 0; i < glyphs.length; i++) {
+                width += (this.widthOfGlyph(glyphs[i].glyph) + glyphs[i].kerning + charSpace * (1000/ size)) || 0;
             }
             scale = size / 1000;
             return width * scale;
@@ -1325,6 +1585,75 @@
         return HmtxTable;
     })(Table);
 
+    var VheaTable = (function (_super) {
+        __extends(VheaTable, _super);
+
+        function VheaTable() {
+            return VheaTable.__super__.constructor.apply(this, arguments);
+        }
+        VheaTable.prototype.tag = 'vhea';
+        VheaTable.prototype.parse = function (data) {
+            data.pos = this.offset;
+            this.version = data.readInt();
+            this.ascender = data.readShort();
+            this.decender = data.readShort();
+            this.lineGap = data.readShort();
+            this.advanceHeightMax = data.readShort();
+            this.minTopSideBearing = data.readShort();
+            this.minBottomSideBearing = data.readShort();
+            this.yMaxExtent = data.readShort();
+            this.caretSlopeRise = data.readShort();
+            this.caretSlopeRun = data.readShort();
+            this.caretOffset = data.readShort();
+            data.pos += 4 * 2;
+            this.metricDataFormat = data.readShort();
+            return this.numberOfMetrics = data.readUInt16();
+        };
+        return VheaTable;
+    })(Table);
+
+    var VmtxTable = (function (_super) {
+        __extends(VmtxTable, _super);
+
+        function VmtxTable() {
+            return VmtxTable.__super__.constructor.apply(this, arguments);
+        }
+        VmtxTable.prototype.tag = 'vmtx';
+        VmtxTable.prototype.parse = function (data) {
+            var i, tsbCount;
+            data.pos = this.offset;
+            this.metrics = [];
+            if (!this.file.vhea.exists) {
+                return;
+            }
+            for (i = 0; i < this.file.vhea.numberOfMetrics; i++) {
+                this.metrics.push({
+                    advance: data.readUInt16()
+                    , tsb: data.readInt16()
+                });
+            }
+            tsbCount = this.file.maxp.numGlyphs - this.file.vhea.numberOfMetrics;
+            this.topSideBearings = [];
+            for (i = 0; i < tsbCount; i++) {
+                this.topSideBearings.push(data.readInt16());
+            }
+        };
+        /******************************************************************/
+        /* function : forGlyph                                            */
+        /* comment : Returns the advance height and tsb for this glyph.   */
+        /******************************************************************/
+        VmtxTable.prototype.forGlyph = function (id) {
+            if (id in this.metrics) {
+                return this.metrics[id];
+            }
+            return {
+                advance: this.metrics[this.metrics.length - 1].advance
+                , tsb: this.topSideBearings[id - this.metrics.length] || 0
+            };
+        };
+        return VmtxTable;
+    })(Table);
+
     var __slice = [].slice;
 
     var GlyfTable = (function (_super) {
@@ -1537,6 +1866,954 @@
         return LocaTable;
     })(Table);
 
+    var CFFTable = (function (_super) {
+        var stringToBytes, readIndex, readDict, readPrivate, dictValue, encodeIndex, encodeDict, encodeOperand, encodeOffset, encodeOperator, OFFSET_OPERATORS;
+        __extends(CFFTable, _super);
+
+        function CFFTable() {
+            return CFFTable.__super__.constructor.apply(this, arguments);
+        }
+        CFFTable.prototype.tag = 'CFF ';
+        /*********************************************************************/
+        /* function : parse                                                  */
+        /* comment : Read the INDEX and DICT structures of the CFF font that */
+        /*   are needed to rebuild it as a CID-keyed font subset.            */
+        /*********************************************************************/
+        CFFTable.prototype.parse = function (data) {
+            var topDicts, fdSelectFormat, fdSelectStart, nRanges, i;
+            data.pos = this.offset + 2;
+            data.pos = this.offset + data.readByte();
+            this.names = readIndex(data);
+            topDicts = readIndex(data);
+            this.strings = readIndex(data);
+            this.globalSubrs = readIndex(data);
+            this.topDict = readDict(topDicts[0]);
+            data.pos = this.offset + dictValue(this.topDict, 17)[0];
+            this.charStrings = readIndex(data);
+            this.isCIDFont = dictValue(this.topDict, 1230) !== null;
+            this.fontDicts = [];
+            this.privateDicts = [];
+            if (this.isCIDFont) {
+                data.pos = this.offset + dictValue(this.topDict, 1236)[0];
+                topDicts = readIndex(data);
+                for (i = 0; i < topDicts.length; i++) {
+                    this.fontDicts.push(readDict(topDicts[i]));
+                    this.privateDicts.push(readPrivate(data, this.offset, this.fontDicts[i]));
+                }
+                fdSelectStart = this.offset + dictValue(this.topDict, 1237)[0];
+                data.pos = fdSelectStart;
+                fdSelectFormat = data.readByte();
+                if (fdSelectFormat === 0) {
+                    data.pos += this.charStrings.length;
+                } else {
+                    nRanges = data.readUInt16();
+                    data.pos += nRanges * 3 + 2;
+                }
+                i = data.pos - fdSelectStart;
+                data.pos = fdSelectStart;
+                this.fdSelect = data.read(i);
+            } else {
+                this.fontDicts.push([]);
+                this.privateDicts.push(readPrivate(data, this.offset, this.topDict));
+                this.fdSelect = [3, 0, 1, 0, 0, 0, this.charStrings.length >> 8, this.charStrings.length & 0xFF];
+            }
+        };
+        /*************************************************************************/
+        /* function : encode                                                     */
+        /* comment : Build a bare CID-keyed CFF font program. Glyph ids are kept */
+        /*   and the charstrings of unused glyphs are replaced by endchar.       */
+        /*************************************************************************/
+        CFFTable.prototype.encode = function (glyphIDs) {
+            var used, charStrings, strings, topDict, fontDicts, privates, subrs, charset, nGlyphs, i, entry, privateDict, result, offset, header, nameIndex, stringIndex, globalSubrIndex, charStringIndex, fdArrayIndex, topDictLength;
+            used = {
+                0: true
+            };
+            for (i = 0; i < glyphIDs.length; i++) {
+                used[glyphIDs[i]] = true;
+            }
+            nGlyphs = this.charStrings.length;
+            charStrings = [];
+            for (i = 0; i < nGlyphs; i++) {
+                charStrings.push(used[i] ? this.charStrings[i] : [14]);
+            }
+            charset = nGlyphs > 1 ? [2, 0, 1, (nGlyphs - 2) >> 8, (nGlyphs - 2) & 0xFF] : [0];
+
+            strings = this.strings.slice();
+            topDict = [];
+            if (!this.isCIDFont) {
+                strings.push(stringToBytes('Adobe'), stringToBytes('Identity'));
+                topDict.push({
+                    op: 1230
+                    , operands: [391 + strings.length - 2, 391 + strings.length - 1, 0]
+                });
+            }
+            for (i = 0; i < this.topDict.length; i++) {
+                entry = this.topDict[i];
+                if (OFFSET_OPERATORS.indexOf(entry.op) === -1 && entry.op !== 1234) {
+                    topDict.push(entry);
+                }
+            }
+            topDict.push({
+                op: 1234
+                , operands: [nGlyphs]
+            });
+
+            privates = [];
+            for (i = 0; i < this.privateDicts.length; i++) {
+                privateDict = this.privateDicts[i].dict.filter(function (entry) {
+                    return entry.op !== 19;
+                });
+                subrs = this.privateDicts[i].subrs;
+                if (subrs.length) {
+                    // the local subrs directly follow their private DICT
+                    privateDict.push({
+                        op: 19
+                        , operands: [encodeDict(privateDict).length + 6]
+                        , offset: true
+                    });
+                }
+                privateDict = encodeDict(privateDict);
+                privates.push({
+                    dict: privateDict
+                    , data: subrs.length ? privateDict.concat(encodeIndex(subrs)) : privateDict
+                });
+            }
+
+            header = [1, 0, 4, 4];
+            nameIndex = encodeIndex(this.names);
+            stringIndex = encodeIndex(strings);
+            globalSubrIndex = encodeIndex(this.globalSubrs);
+            charStringIndex = encodeIndex(charStrings);
+            // every offset is written with 5 bytes so the size is known in advance
+            topDictLength = encodeIndex([encodeDict(topDict.concat([
+                {op: 15, operands: [0], offset: true}
+                , {op: 1237, operands: [0], offset: true}
+                , {op: 17, operands: [0], offset: true}
+                , {op: 1236, operands: [0], offset: true}
+            ]))]).length;
+
+            offset = header.length + nameIndex.length + topDictLength + stringIndex.length + globalSubrIndex.length;
+            topDict.push({op: 15, operands: [offset], offset: true});
+            offset += charset.length;
+            topDict.push({op: 1237, operands: [offset], offset: true});
+            offset += this.fdSelect.length;
+            topDict.push({op: 17, operands: [offset], offset: true});
+            offset += charStringIndex.length;
+            topDict.push({op: 1236, operands: [offset], offset: true});
+
+            fontDicts = [];
+            for (i = 0; i < this.fontDicts.length; i++) {
+                fontDicts.push(this.fontDicts[i].filter(function (entry) {
+                    return entry.op !== 18;
+                }).concat([{op: 18, operands: [0, 0], offset: true}]));
+            }
+            offset += encodeIndex(fontDicts.map(encodeDict)).length;
+            for (i = 0; i < fontDicts.length; i++) {
+                fontDicts[i][fontDicts[i].length - 1].operands = [privates[i].dict.length, offset];
+                offset += privates[i].data.length;
+            }
+            fdArrayIndex = encodeIndex(fontDicts.map(encodeDict));
+
+            result = header.concat(nameIndex, encodeIndex([encodeDict(topDict)]), stringIndex, globalSubrIndex, charset, this.fdSelect, charStringIndex, fdArrayIndex);
+            for (i = 0; i < privates.length; i++) {
+                result = result.concat(privates[i].data);
+            }
+            return result;
+        };
+
+        OFFSET_OPERATORS = [15, 16, 17, 18, 1230, 1236, 1237];
+
+        stringToBytes = function (string) {
+            var bytes = [];
+            for (var i = 0; i < string.length; i++) {
+                bytes.push(string.charCodeAt(i) & 0xFF);
+            }
+            return bytes;
+        };
+
+        readIndex = function (data) {
+            var count, offSize, offsets, start, items, i, j, offset;
+            count = data.readUInt16();
+            items = [];
+            if (count === 0) {
+                return items;
+            }
+            offSize = data.readByte();
+            offsets = [];
+            for (i = 0; i <= count; i++) {
+                offset = 0;
+                for (j = 0; j < offSize; j++) {
+                    offset = offset * 256 + data.readByte();
+                }
+                offsets.push(offset);
+            }
+            start = data.pos - 1;
+            for (i = 0; i < count; i++) {
+                data.pos = start + offsets[i];
+                items.push(data.read(offsets[i + 1] - offsets[i]));
+            }
+            data.pos = start + offsets[count];
+            return items;
+        };
+
+        readDict = function (bytes) {
+            var entries, operands, raw, pos, b0, op;
+            entries = [];
+            operands = [];
+            raw = [];
+            pos = 0;
+            while (pos < bytes.length) {
+                b0 = bytes[pos];
+                if (b0 <= 21) {
+                    op = b0 === 12 ? 1200 + bytes[pos + 1] : b0;
+                    pos += b0 === 12 ? 2 : 1;
+                    entries.push({
+                        op: op
+                        , operands: operands
+                        , raw: raw
+                    });
+                    operands = [];
+                    raw = [];
+                    continue;
+                }
+                if (b0 === 28) {
+                    operands.push((bytes[pos + 1] << 24 | bytes[pos + 2] << 16) >> 16);
+                    raw = raw.concat(bytes.slice(pos, pos + 3));
+                    pos += 3;
+                } else if (b0 === 29) {
+                    operands.push(bytes[pos + 1] << 24 | bytes[pos + 2] << 16 | bytes[pos + 3] << 8 | bytes[pos + 4]);
+                    raw = raw.concat(bytes.slice(pos, pos + 5));
+                    pos += 5;
+                } else if (b0 === 30) {
+                    // real numbers are only copied through, their value is not needed
+                    op = pos++;
+                    while (pos < bytes.length && (bytes[pos] & 0x0F) !== 0x0F && (bytes[pos] & 0xF0) !== 0xF0) {
+                        pos++;
+                    }
+                    pos++;
+                    operands.push(0);
+                    raw = raw.concat(bytes.slice(op, pos));
+                } else if (b0 >= 32 && b0 <= 246) {
+                    operands.push(b0 - 139);
+                    raw.push(b0);
+                    pos += 1;
+                } else if (b0 >= 247 && b0 <= 250) {
+                    operands.push((b0 - 247) * 256 + bytes[pos + 1] + 108);
+                    raw = raw.concat(bytes.slice(pos, pos + 2));
+                    pos += 2;
+                } else if (b0 >= 251 && b0 <= 254) {
+                    operands.push(-(b0 - 251) * 256 - bytes[pos + 1] - 108);
+                    raw = raw.concat(bytes.slice(pos, pos + 2));
+                    pos += 2;
+                } else {
+                    throw new Error('Invalid CFF DICT data');
+                }
+            }
+            return entries;
+        };
+
+        readPrivate = function (data, tableOffset, dict) {
+            var privateOperands, privateDict, subrs, start;
+            privateOperands = dictValue(dict, 18);
+            if (privateOperands === null) {
+                return {
+                    dict: []
+                    , subrs: []
+                };
+            }
+            start = tableOffset + privateOperands[1];
+            data.pos = start;
+            privateDict = readDict(data.read(privateOperands[0]));
+            subrs = dictValue(privateDict, 19);
+            if (subrs !== null) {
+                data.pos = start + subrs[0];
+                subrs = readIndex(data);
+            }
+            return {
+                dict: privateDict
+                , subrs: subrs || []
+            };
+        };
+
+        dictValue = function (dict, op) {
+            for (var i = 0; i < dict.length; i++) {
+                if (dict[i].op === op) {
+                    return dict[i].operands;
+                }
+            }
+            return null;
+        };
+
+        encodeIndex = function (items) {
+            var result, offsets, offSize, offset, i, j, data;
+            result = [items.length >> 8, items.length & 0xFF];
+            if (items.length === 0) {
+                return result;
+            }
+            offsets = [1];
+            data = [];
+            for (i = 0; i < items.length; i++) {
+                data = data.concat(items[i]);
+                offsets.push(data.length + 1);
+            }
+            offset = data.length + 1;
+            offSize = offset < 0x100 ? 1 : offset < 0x10000 ? 2 : offset < 0x1000000 ? 3 : 4;
+            result.push(offSize);
+            for (i = 0; i < offsets.length; i++) {
+                for (j = offSize - 1; j >= 0; j--) {
+                    result.push((offsets[i] >> (8 * j)) & 0xFF);
+                }
+            }
+            return result.concat(data);
+        };
+
+        encodeDict = function (entries) {
+            var result, entry, i, j;
+            result = [];
+            for (i = 0; i < entries.length; i++) {
+                entry = entries[i];
+                if (entry.raw && !entry.offset) {
+                    result = result.concat(entry.raw);
+                } else {
+                    for (j = 0; j < entry.operands.length; j++) {
+                        result = result.concat(entry.offset ? encodeOffset(entry.operands[j]) : encodeOperand(entry.operands[j]));
+                    }
+                }
+                result = result.concat(encodeOperator(entry.op));
+            }
+            return result;
+        };
+
+        encodeOperand = function (value) {
+            if (value >= -107 && value <= 107) {
+                return [value + 139];
+            }
+            if (value >= 108 && value <= 1131) {
+                value -= 108;
+                return [(value >> 8) + 247, value & 0xFF];
+            }
+            if (value >= -1131 && value <= -108) {
+                value = -value - 108;
+                return [(value >> 8) + 251, value & 0xFF];
+            }
+            if (value >= -32768 && value <= 32767) {
+                return [28, (value >> 8) & 0xFF, value & 0xFF];
+            }
+            return encodeOffset(value);
+        };
+
+        encodeOffset = function (value) {
+            return [29, (value >> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+        };
+
+        encodeOperator = function (op) {
+            return op >= 1200 ? [12, op - 1200] : [op];
+        };
+        return CFFTable;
+    })(Table);
+
+    var KernTable = (function (_super) {
+        __extends(KernTable, _super);
+
+        function KernTable() {
+            return KernTable.__super__.constructor.apply(this, arguments);
+        }
+        KernTable.prototype.tag = 'kern';
+        /*************************************************************************/
+        /* function : parse                                                      */
+        /* comment : Read the horizontal format 0 subtables of a version 0 table. */
+        /*************************************************************************/
+        KernTable.prototype.parse = function (data) {
+            var nTables, start, length, coverage, nPairs, left, i, j;
+            data.pos = this.offset;
+            this.pairs = {};
+            if (data.readUInt16() !== 0) {
+                return;
+            }
+            nTables = data.readUInt16();
+            for (i = 0; i < nTables; i++) {
+                start = data.pos;
+                data.pos += 2;
+                length = data.readUInt16();
+                coverage = data.readUInt16();
+                if ((coverage >> 8) === 0 && (coverage & 0x07) === 0x01) {
+                    nPairs = data.readUInt16();
+                    data.pos += 6;
+                    for (j = 0; j < nPairs; j++) {
+                        left = data.readUInt16();
+                        this.pairs[left] = this.pairs[left] || {};
+                        this.pairs[left][data.readUInt16()] = data.readInt16();
+                    }
+                }
+                data.pos = start + length;
+            }
+        };
+        KernTable.prototype.kerningFor = function (left, right) {
+            return (this.pairs[left] && this.pairs[left][right]) || 0;
+        };
+        return KernTable;
+    })(Table);
+
+    /****************************************************************************/
+    /* function : readCoverage                                                  */
+    /* comment : Returns a map of glyph id to coverage index of a Coverage table.*/
+    /****************************************************************************/
+    var readCoverage = function (data, offset) {
+        var coverage, count, start, end, index, i, id;
+        data.pos = offset;
+        coverage = {};
+        if (data.readUInt16() === 1) {
+            count = data.readUInt16();
+            for (i = 0; i < count; i++) {
+                coverage[data.readUInt16()] = i;
+            }
+        } else {
+            count = data.readUInt16();
+            for (i = 0; i < count; i++) {
+                start = data.readUInt16();
+                end = data.readUInt16();
+                index = data.readUInt16();
+                for (id = start; id <= end; id++) {
+                    coverage[id] = index + id - start;
+                }
+            }
+        }
+        return coverage;
+    };
+
+    /***************************************************************************/
+    /* function : readClassDef                                                 */
+    /* comment : Returns a map of glyph id to class value of a ClassDef table. */
+    /***************************************************************************/
+    var readClassDef = function (data, offset) {
+        var classes, start, end, value, count, i, id;
+        data.pos = offset;
+        classes = {};
+        if (data.readUInt16() === 1) {
+            start = data.readUInt16();
+            count = data.readUInt16();
+            for (i = 0; i < count; i++) {
+                classes[start + i] = data.readUInt16();
+            }
+        } else {
+            count = data.readUInt16();
+            for (i = 0; i < count; i++) {
+                start = data.readUInt16();
+                end = data.readUInt16();
+                value = data.readUInt16();
+                for (id = start; id <= end; id++) {
+                    classes[id] = value;
+                }
+            }
+        }
+        return classes;
+    };
+
+    var LayoutTable = (function (_super) {
+        __extends(LayoutTable, _super);
+
+        function LayoutTable() {
+            return LayoutTable.__super__.constructor.apply(this, arguments);
+        }
+        /*****************************************************************************/
+        /* function : parse                                                          */
+        /* comment : Collect the subtables of all lookups referenced by the features */
+        /*   of the table (GSUB or GPOS), in lookup list order. The featureTag and   */
+        /*   the lookupType may also be lists of features and lookup types.          */
+        /*****************************************************************************/
+        LayoutTable.prototype.parse = function (data) {
+            var featureList, lookupList, featureCount, features, tag, offset, lookupCount, lookupOffsets, indices, lookupType, subTableType, subTableCount, subTableOffsets, start, i, j;
+            data.pos = this.offset + 6;
+            featureList = this.offset + data.readUInt16();
+            lookupList = this.offset + data.readUInt16();
+
+            data.pos = featureList;
+            featureCount = data.readUInt16();
+            features = [];
+            for (i = 0; i < featureCount; i++) {
+                tag = data.readString(4);
+                offset = data.readUInt16();
+                if ([].concat(this.featureTag).indexOf(tag) !== -1) {
+                    features.push(featureList + offset);
+                }
+            }
+            indices = [];
+            for (i = 0; i < features.length; i++) {
+                data.pos = features[i] + 2;
+                lookupCount = data.readUInt16();
+                for (j = 0; j < lookupCount; j++) {
+                    offset = data.readUInt16();
+                    if (indices.indexOf(offset) === -1) {
+                        indices.push(offset);
+                    }
+                }
+            }
+            indices.sort(function (a, b) {
+                return a - b;
+            });
+
+            data.pos = lookupList;
+            lookupCount = data.readUInt16();
+            lookupOffsets = [];
+            for (i = 0; i < lookupCount; i++) {
+                lookupOffsets.push(lookupList + data.readUInt16());
+            }
+            this.lookups = [];
+            for (i = 0; i < indices.length; i++) {
+                start = lookupOffsets[indices[i]];
+                data.pos = start;
+                lookupType = data.readUInt16();
+                data.pos += 2;
+                subTableCount = data.readUInt16();
+                subTableOffsets = [];
+                for (j = 0; j < subTableCount; j++) {
+                    subTableOffsets.push(start + data.readUInt16());
+                }
+                for (j = 0; j < subTableOffsets.length; j++) {
+                    offset = subTableOffsets[j];
+                    subTableType = lookupType;
+                    if (lookupType === this.extensionType) {
+                        data.pos = offset + 2;
+                        subTableType = data.readUInt16();
+                        offset += data.readUInt32();
+                    }
+                    if ([].concat(this.lookupType).indexOf(subTableType) !== -1) {
+                        this.lookups.push(this.parseSubTable(data, offset, subTableType));
+                    }
+                }
+            }
+        };
+        return LayoutTable;
+    })(Table);
+
+    var GposTable = (function (_super) {
+        var readValueRecord, valueRecordSize;
+        __extends(GposTable, _super);
+
+        function GposTable() {
+            return GposTable.__super__.constructor.apply(this, arguments);
+        }
+        GposTable.prototype.tag = 'GPOS';
+        GposTable.prototype.featureTag = 'kern';
+        GposTable.prototype.lookupType = 2;
+        GposTable.prototype.extensionType = 9;
+        /***************************************************************************/
+        /* function : parseSubTable                                                */
+        /* comment : Read a pair adjustment subtable. Only the horizontal advance  */
+        /*   of the first glyph is used, which is how fonts store pair kerning.    */
+        /***************************************************************************/
+        GposTable.prototype.parseSubTable = function (data, offset) {
+            var subTable, format, coverage, valueFormat1, valueFormat2, pairSetOffsets, pairCount, classDef1, classDef2, class1Count, class2Count, pairs, i, j;
+            data.pos = offset;
+            format = data.readUInt16();
+            coverage = offset + data.readUInt16();
+            valueFormat1 = data.readUInt16();
+            valueFormat2 = data.readUInt16();
+            subTable = {
+                format: format
+            };
+            if (format === 1) {
+                pairSetOffsets = [];
+                pairCount = data.readUInt16();
+                for (i = 0; i < pairCount; i++) {
+                    pairSetOffsets.push(offset + data.readUInt16());
+                }
+                subTable.pairSets = [];
+                for (i = 0; i < pairSetOffsets.length; i++) {
+                    data.pos = pairSetOffsets[i];
+                    pairCount = data.readUInt16();
+                    pairs = {};
+                    for (j = 0; j < pairCount; j++) {
+                        pairs[data.readUInt16()] = readValueRecord(data, valueFormat1);
+                        data.pos += valueRecordSize(valueFormat2);
+                    }
+                    subTable.pairSets.push(pairs);
+                }
+            } else {
+                classDef1 = offset + data.readUInt16();
+                classDef2 = offset + data.readUInt16();
+                class1Count = data.readUInt16();
+                class2Count = data.readUInt16();
+                subTable.values = [];
+                for (i = 0; i < class1Count; i++) {
+                    pairs = [];
+                    for (j = 0; j < class2Count; j++) {
+                        pairs.push(readValueRecord(data, valueFormat1));
+                        data.pos += valueRecordSize(valueFormat2);
+                    }
+                    subTable.values.push(pairs);
+                }
+                subTable.classDef1 = readClassDef(data, classDef1);
+                subTable.classDef2 = readClassDef(data, classDef2);
+            }
+            subTable.coverage = readCoverage(data, coverage);
+            return subTable;
+        };
+        GposTable.prototype.kerningFor = function (left, right) {
+            var subTable, index, i, value;
+            for (i = 0; i < this.lookups.length; i++) {
+                subTable = this.lookups[i];
+                index = subTable.coverage[left];
+                if (index === undefined) {
+                    continue;
+                }
+                if (subTable.format === 1) {
+                    value = subTable.pairSets[index][right];
+                    if (value !== undefined) {
+                        return value;
+                    }
+                } else {
+                    return subTable.values[subTable.classDef1[left] || 0][subTable.classDef2[right] || 0];
+                }
+            }
+            return 0;
+        };
+
+        readValueRecord = function (data, valueFormat) {
+            var xAdvance = 0;
+            data.pos += valueRecordSize(valueFormat & 0x03);
+            if (valueFormat & 0x04) {
+                xAdvance = data.readInt16();
+            }
+            data.pos += valueRecordSize(valueFormat & 0xF8);
+            return xAdvance;
+        };
+
+        valueRecordSize = function (valueFormat) {
+            var size = 0;
+            for (; valueFormat; valueFormat >>= 1) {
+                size += (valueFormat & 1) * 2;
+            }
+            return size;
+        };
+        return GposTable;
+    })(LayoutTable);
+
+    var MarkTable = (function (_super) {
+        var readAnchor;
+        __extends(MarkTable, _super);
+
+        function MarkTable() {
+            return MarkTable.__super__.constructor.apply(this, arguments);
+        }
+        MarkTable.prototype.tag = 'GPOS';
+        MarkTable.prototype.featureTag = ['mark', 'mkmk', 'abvm', 'blwm'];
+        MarkTable.prototype.lookupType = [4, 6];
+        MarkTable.prototype.extensionType = 9;
+        /******************************************************************************/
+        /* function : parseSubTable                                                   */
+        /* comment : Read a mark to base or mark to mark attachment subtable into the */
+        /*   anchors of its marks and of the glyphs they attach to, in font units.    */
+        /******************************************************************************/
+        MarkTable.prototype.parseSubTable = function (data, offset, lookupType) {
+            var markCoverage, baseCoverage, classCount, markArray, baseArray, marks, bases, records, id, i, j;
+            data.pos = offset + 2;
+            markCoverage = offset + data.readUInt16();
+            baseCoverage = offset + data.readUInt16();
+            classCount = data.readUInt16();
+            markArray = offset + data.readUInt16();
+            baseArray = offset + data.readUInt16();
+
+            marks = {};
+            markCoverage = readCoverage(data, markCoverage);
+            records = [];
+            for (id in markCoverage) {
+                data.pos = markArray + 2 + markCoverage[id] * 4;
+                records[markCoverage[id]] = {
+                    markClass: data.readUInt16()
+                    , anchor: markArray + data.readUInt16()
+                };
+            }
+            for (id in markCoverage) {
+                marks[id] = readAnchor(data, records[markCoverage[id]].anchor);
+                marks[id].markClass = records[markCoverage[id]].markClass;
+            }
+
+            bases = {};
+            baseCoverage = readCoverage(data, baseCoverage);
+            for (id in baseCoverage) {
+                data.pos = baseArray + 2 + baseCoverage[id] * classCount * 2;
+                records = [];
+                for (i = 0; i < classCount; i++) {
+                    records.push(data.readUInt16());
+                }
+                bases[id] = [];
+                for (j = 0; j < classCount; j++) {
+                    bases[id].push(records[j] ? readAnchor(data, baseArray + records[j]) : null);
+                }
+            }
+            return {
+                attachToMark: lookupType === 6
+                , marks: marks
+                , bases: bases
+            };
+        };
+        /*******************************************************************************/
+        /* function : attachmentFor                                                    */
+        /* comment : Returns the index of the glyph the mark at index is attached to   */
+        /*   and the offset of the mark from it or undefined if it is not attached.    */
+        /*   Marks attach to the last base glyph before them, skipping other marks, or */
+        /*   to the mark right before them. The last matching lookup is used.         */
+        /*******************************************************************************/
+        MarkTable.prototype.attachmentFor = function (glyphs, index) {
+            var subTable, mark, base, anchor, attachment, i, l;
+            for (l = 0; l < this.lookups.length; l++) {
+                subTable = this.lookups[l];
+                mark = subTable.marks[glyphs[index].glyph];
+                if (mark === undefined) {
+                    continue;
+                }
+                base = index - 1;
+                if (!subTable.attachToMark) {
+                    while (base >= 0 && this.isMark(glyphs[base].glyph)) {
+                        base--;
+                    }
+                }
+                if (base < 0 || subTable.bases[glyphs[base].glyph] === undefined) {
+                    continue;
+                }
+                anchor = subTable.bases[glyphs[base].glyph][mark.markClass];
+                if (anchor) {
+                    attachment = {
+                        base: base
+                        , x: anchor.x - mark.x
+                        , y: anchor.y - mark.y
+                    };
+                }
+            }
+            return attachment;
+        };
+        MarkTable.prototype.isMark = function (glyph) {
+            var l;
+            for (l = 0; l < this.lookups.length; l++) {
+                if (this.lookups[l].marks[glyph] !== undefined) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        readAnchor = function (data, offset) {
+            data.pos = offset + 2;
+            return {
+                x: data.readInt16()
+                , y: data.readInt16()
+            };
+        };
+        return MarkTable;
+    })(LayoutTable);
+
+    var GsubTable = (function (_super) {
+        __extends(GsubTable, _super);
+
+        function GsubTable(file, featureTag) {
+            if (featureTag !== undefined) {
+                this.featureTag = featureTag;
+            }
+            return GsubTable.__super__.constructor.apply(this, arguments);
+        }
+        GsubTable.prototype.tag = 'GSUB';
+        GsubTable.prototype.featureTag = 'liga';
+        GsubTable.prototype.lookupType = [1, 2, 4];
+        GsubTable.prototype.extensionType = 7;
+        /*************************************************************************/
+        /* function : parseSubTable                                              */
+        /* comment : Read a ligature substitution subtable into a map of first   */
+        /*   glyph id to the ligatures starting with that glyph. Single and      */
+        /*   multiple substitutions are read like the ones of SubstitutionTable. */
+        /*************************************************************************/
+        GsubTable.prototype.parseSubTable = function (data, offset, lookupType) {
+            var coverage, ligatureSetOffsets, ligatureOffsets, ligatureSets, first, ligatures, componentCount, glyph, components, count, i, j, k;
+            if (lookupType !== 4) {
+                return {
+                    alternates: SubstitutionTable.prototype.parseSubTable.call(this, data, offset, lookupType)
+                };
+            }
+            data.pos = offset + 2;
+            coverage = offset + data.readUInt16();
+            count = data.readUInt16();
+            ligatureSetOffsets = [];
+            for (i = 0; i < count; i++) {
+                ligatureSetOffsets.push(offset + data.readUInt16());
+            }
+            coverage = readCoverage(data, coverage);
+            ligatureSets = {};
+            for (first in coverage) {
+                data.pos = ligatureSetOffsets[coverage[first]];
+                count = data.readUInt16();
+                ligatureOffsets = [];
+                for (i = 0; i < count; i++) {
+                    ligatureOffsets.push(ligatureSetOffsets[coverage[first]] + data.readUInt16());
+                }
+                ligatures = [];
+                for (j = 0; j < ligatureOffsets.length; j++) {
+                    data.pos = ligatureOffsets[j];
+                    glyph = data.readUInt16();
+                    componentCount = data.readUInt16();
+                    components = [];
+                    for (k = 1; k < componentCount; k++) {
+                        components.push(data.readUInt16());
+                    }
+                    ligatures.push({
+                        glyph: glyph
+                        , components: components
+                    });
+                }
+                ligatureSets[first] = ligatures;
+            }
+            return {
+                ligatures: ligatureSets
+            };
+        };
+        /***********************************************************************/
+        /* function : substitute                                               */
+        /* comment : Apply the lookups to the glyph run. Each item keeps the   */
+        /*   characters it was made of, so the text can still be extracted.    */
+        /*   If a filter is passed, only the glyphs it accepts are substituted, */
+        /*   a ligature takes the properties of its last component.            */
+        /***********************************************************************/
+        GsubTable.prototype.substitute = function (glyphs, filter) {
+            var ligatures, ligature, alternate, lookup, matches, i, j, k, l;
+            if (!this.exists) {
+                return glyphs;
+            }
+            filter = filter || function () {
+                return true;
+            };
+            for (l = 0; l < this.lookups.length; l++) {
+                lookup = this.lookups[l];
+                for (i = 0; i < glyphs.length; i++) {
+                    if (!filter(glyphs[i])) {
+                        continue;
+                    }
+                    if (lookup.alternates !== undefined) {
+                        if (lookup.alternates.hasOwnProperty(glyphs[i].glyph)) {
+                            alternate = [].concat(lookup.alternates[glyphs[i].glyph]);
+                            glyphs[i].glyph = alternate[0];
+                            //a multiple substitution adds glyphs without characters of their own
+                            for (k = 1; k < alternate.length; k++) {
+                                glyphs.splice(i + k, 0, Object.assign({}, glyphs[i], {
+                                    glyph: alternate[k]
+                                    , text: ''
+                                    , kerning: 0
+                                    , actualText: undefined
+                                }));
+                            }
+                            i += alternate.length - 1;
+                        }
+                        continue;
+                    }
+                    ligatures = lookup.ligatures[glyphs[i].glyph] || [];
+                    for (j = 0; j < ligatures.length; j++) {
+                        ligature = ligatures[j];
+                        matches = i + ligature.components.length < glyphs.length;
+                        for (k = 0; matches && k < ligature.components.length; k++) {
+                            matches = glyphs[i + k + 1].glyph === ligature.components[k] && filter(glyphs[i + k + 1]);
+                        }
+                        if (matches) {
+                            for (k = 0; k < ligature.components.length; k++) {
+                                glyphs[i].text += glyphs[i + k + 1].text;
+                            }
+                            if (glyphs[i + ligature.components.length].segment !== undefined) {
+                                glyphs[i].segment = glyphs[i + ligature.components.length].segment;
+                            }
+                            glyphs[i].glyph = ligature.glyph;
+                            glyphs.splice(i + 1, ligature.components.length);
+                            break;
+                        }
+                    }
+                }
+            }
+            return glyphs;
+        };
+        return GsubTable;
+    })(LayoutTable);
+
+    var SubstitutionTable = (function (_super) {
+        __extends(SubstitutionTable, _super);
+
+        function SubstitutionTable(file, featureTag) {
+            this.featureTag = featureTag;
+            return SubstitutionTable.__super__.constructor.apply(this, arguments);
+        }
+        SubstitutionTable.prototype.tag = 'GSUB';
+        SubstitutionTable.prototype.lookupType = [1, 2];
+        SubstitutionTable.prototype.extensionType = 7;
+        /****************************************************************************/
+        /* function : parseSubTable                                                 */
+        /* comment : Read a single or multiple substitution subtable of the feature */
+        /*   into a map of glyph id to the id of its alternate, or to the list of   */
+        /*   ids of the glyphs replacing it.                                        */
+        /****************************************************************************/
+        SubstitutionTable.prototype.parseSubTable = function (data, offset, lookupType) {
+            var format, coverage, delta, count, substitutes, sequence, alternates, id, i, j;
+            data.pos = offset;
+            format = data.readUInt16();
+            coverage = offset + data.readUInt16();
+            if (lookupType === 1 && format === 1) {
+                delta = data.readInt16();
+            } else {
+                count = data.readUInt16();
+                substitutes = [];
+                for (i = 0; i < count; i++) {
+                    substitutes.push(lookupType === 1 ? data.readUInt16() : offset + data.readUInt16());
+                }
+            }
+            if (lookupType === 2) {
+                for (i = 0; i < substitutes.length; i++) {
+                    data.pos = substitutes[i];
+                    count = data.readUInt16();
+                    sequence = [];
+                    for (j = 0; j < count; j++) {
+                        sequence.push(data.readUInt16());
+                    }
+                    substitutes[i] = sequence.length === 1 ? sequence[0] : sequence;
+                }
+            }
+            coverage = readCoverage(data, coverage);
+            alternates = {};
+            for (id in coverage) {
+                alternates[id] = (delta !== undefined) ? (+id + delta) & 0xFFFF : substitutes[coverage[id]];
+            }
+            return alternates;
+        };
+        /*********************************************************************/
+        /* function : substituteFor                                          */
+        /* comment : Returns the alternate of the glyph, a list of glyphs    */
+        /*   for a multiple substitution or undefined if the feature does    */
+        /*   not apply to the glyph.                                         */
+        /*********************************************************************/
+        SubstitutionTable.prototype.substituteFor = function (glyph) {
+            var l;
+            if (!this.exists) {
+                return undefined;
+            }
+            for (l = 0; l < this.lookups.length; l++) {
+                if (this.lookups[l].hasOwnProperty(glyph)) {
+                    return this.lookups[l][glyph];
+                }
+            }
+            return undefined;
+        };
+        /*********************************************************************/
+        /* function : substitute                                             */
+        /* comment : Replace the glyphs by their alternates, the characters  */
+        /*   of each item are kept for the text extraction.                  */
+        /*********************************************************************/
+        SubstitutionTable.prototype.substitute = function (glyphs) {
+            var i, l;
+            for (l = 0; l < this.lookups.length; l++) {
+                for (i = 0; i < glyphs.length; i++) {
+                    if (this.lookups[l].hasOwnProperty(glyphs[i].glyph) && typeof this.lookups[l][glyphs[i].glyph] === 'number') {
+                        glyphs[i].glyph = this.lookups[l][glyphs[i].glyph];
+                    }
+                }
+            }
+            return glyphs;
+        };
+        return SubstitutionTable;
+    })(LayoutTable);
+
     /************************************************************************************/
     /* function : invert                                                                */
     /* comment : Change the object's (key: value) to create an object with (value: key).*/
@@ -145,6 +145,10 @@
       return formObject.appearanceStreamContent;
     }
 
+    if (formObject instanceof AcroFormSignatureField) {
+      return AcroFormAppearance.Signature.Normal(formObject);
+    }
+
     if (!formObject.V && !formObject.DV) {
       return;
     }
@@ -344,6 +348,8 @@
   var acroformPluginTemplate = {
     fields: [],
     xForms: [],
+    // The signature fields with a signer and the object IDs of their signature dictionaries
+    signatures: [],
     /**
     * acroFormDictionaryRoot contains information about the AcroForm
     * Dictionary 0: The Event-Token, the AcroFormDictionaryCallback has
@@ -361,6 +367,7 @@
   };
   
   var annotReferenceCallback = function () {
+    scope.internal.acroformPlugin.signatures = [];
     //set objId to undefined and force it to get a new objId on buildDocument
     scope.internal.acroformPlugin.acroFormDictionaryRoot.objId = undefined;
     var fields = scope.internal.acroformPlugin.acroFormDictionaryRoot.Fields;
@@ -467,6 +474,13 @@
           }
 
           fieldObject.Rect = oldRect;
+
+          if (fieldObject instanceof AcroFormSignatureField && typeof fieldObject.signer === 'function') {
+            // the signature dictionary is written after the fields
+            var signatureObjId = scope.internal.newObjectDeferred();
+            keyValueList.push({key : 'V', value : signatureObjId + ' 0 R'});
+            scope.internal.acroformPlugin.signatures.push({field: fieldObject, objId: signatureObjId});
+          }
           
           if (fieldObject.hasAppearanceStream && !fieldObject.appearanceStreamContent) {
             // Calculate Appearance
@@ -531,10 +545,78 @@
       }
     }
     if (standardFields) {
+      scope.internal.acroformPlugin.signatures.forEach(function (signature) {
+        putSignatureDictionary(signature.field, signature.objId);
+      });
       createXFormObjectCallback.call(this, scope.internal.acroformPlugin.xForms);
     }
   };
 
+  var toHex = function (signature) {
+    var bytes = (typeof signature === 'string') ? signature.split('').map(function (character) {
+      return character.charCodeAt(0);
+    }) : Array.prototype.slice.call(new Uint8Array(signature));
+    return bytes.map(function (value) {
+      return ('0' + (value & 0xff).toString(16)).slice(-2);
+    }).join('');
+  };
+
+  /**
+  * Signs the generated document: fills in the /ByteRange of the signature dictionary, hands
+  * everything but the /Contents placeholder to the signer and puts its signature into the
+  * placeholder.
+  */
+  var signDocumentCallback = function (pdfDocument) {
+    var signatures = scope.internal.acroformPlugin.signatures;
+    if (signatures.length === 0) {
+      return;
+    }
+    if (signatures.length > 1) {
+      throw new Error('Only one AcroFormSignatureField of a document can have a signer.');
+    }
+    var field = signatures[0].field;
+    var data = pdfDocument.data;
+
+    // find the signature dictionary with the cross-reference table, which has a line of 20 bytes
+    // per object after the lines 'xref' and '0 n'
+    var xrefOffset = parseInt(data.substr(data.lastIndexOf('startxref') + 10), 10);
+    var xrefEntries = data.indexOf('\n', data.indexOf('\n', xrefOffset) + 1) + 1;
+    var objectOffset = parseInt(data.substr(xrefEntries + signatures[0].objId * 20, 10), 10);
+
+    var byteRangeStart = data.indexOf('/ByteRange [', objectOffset) + 11;
+    var byteRangeEnd = data.indexOf(']', byteRangeStart) + 1;
+    var contentsStart = data.indexOf('/Contents <', objectOffset) + 10;
+    var contentsEnd = data.indexOf('>', contentsStart) + 1;
+
+    var byteRange = '[0 ' + contentsStart + ' ' + contentsEnd + ' ' + (data.length - contentsEnd) + ']';
+    while (byteRange.length < byteRangeEnd - byteRangeStart) {
+      byteRange += ' ';
+    }
+    data = data.substr(0, byteRangeStart) + byteRange + data.substr(byteRangeEnd);
+
+    var signature = field.signer(new Uint8Array(scope.__private__.getArrayBuffer(data.substr(0, contentsStart) + data.substr(contentsEnd))));
+    if (typeof signature !== 'string' && !(signature instanceof ArrayBuffer) && !ArrayBuffer.isView(signature)) {
+      throw new Error('Invalid signature returned by the signer of the AcroFormSignatureField.');
+    }
+    var contents = toHex(signature);
+    if (contents.length > contentsEnd - contentsStart - 2) {
+      throw new Error('The signature does not fit into the ' + field.signatureSize + ' bytes reserved by the AcroFormSignatureField.');
+    }
+    contents = '<' + contents + data.substring(contentsStart + 1 + contents.length, contentsEnd);
+    pdfDocument.data = data.substr(0, contentsStart) + contents + data.substr(contentsEnd);
+  };
+
+  /**
+  * The signature covers the complete document, which a stream does not keep.
+  */
+  var streamSignerError = 'Documents with a signer of an AcroFormSignatureField can not be streamed.';
+
+  var checkStreamCallback = function (payload) {
+    if (scope.internal.acroformPlugin.acroFormDictionaryRoot.SigFlags !== undefined) {
+      payload.errors.push(streamSignerError);
+    }
+  };
+
   var createXFormObjectCallback = function (fieldArray) {
     for (var i in fieldArray) {
           if (fieldArray.hasOwnProperty(i)) {
@@ -570,6 +652,10 @@
 
       scope.internal.events.subscribe('buildDocument', annotReferenceCallback); // buildDocument
 
+      // Register event, that signs the generated document
+      scope.internal.events.subscribe('postBuildDocument', signDocumentCallback);
+      scope.internal.events.subscribe('checkStream', checkStreamCallback);
+
       // Register event, that is triggered when the DocumentCatalog is
       // written, in order to add /AcroForm
       scope.internal.events.subscribe('putCatalog', putCatalogCallback);
@@ -813,6 +899,18 @@
           _DA = value;
         }
       });
+
+      // SignaturesExist and AppendOnly, if the document gets signed
+      Object.defineProperty(this, 'SigFlags', {
+        enumerable: false,
+        configurable: false,
+        get: function () {
+          var isSigned = _Kids.some(function (field) {
+            return (field instanceof AcroFormSignatureField && typeof field.signer === 'function');
+          });
+          return (isSigned) ? 3 : undefined;
+        }
+      });
     };
 
     inherit(AcroFormDictionary, AcroFormPDFObject);
@@ -2364,6 +2462,174 @@
       this.password = true;
     };
     inherit(AcroFormPasswordField, AcroFormTextField);
+
+    /**
+    * A signature field. The document gets signed when it is generated, if a signer is set.
+    * Without a signer the field is left empty, to be signed later in a PDF viewer.
+    *
+    * Only one signature field of a document can have a signer. The signature covers the
+    * whole document, so signing is not supported for documents written with beginStream.
+    *
+    * @class AcroFormSignatureField
+    * @extends AcroFormField
+    * @example
+    * var doc = new jsPDF();
+    * var signatureField = new doc.AcroFormSignatureField();
+    * signatureField.Rect = [20, 250, 80, 25];
+    * signatureField.signerName = 'Jane Doe';
+    * signatureField.reason = 'Invoice approved';
+    * signatureField.signer = function (bytes) {
+    *   // e.g. with node-forge: a detached PKCS#7 signature of the bytes as DER
+    *   var p7 = forge.pkcs7.createSignedData();
+    *   p7.content = forge.util.createBuffer(Buffer.from(bytes).toString('binary'));
+    *   p7.addCertificate(certificate);
+    *   p7.addSigner({key: privateKey, certificate: certificate, digestAlgorithm: forge.pki.oids.sha256});
+    *   p7.sign({detached: true});
+    *   return forge.asn1.toDer(p7.toAsn1()).getBytes();
+    * };
+    * doc.addField(signatureField);
+    * doc.save('signed.pdf');
+    */
+    var AcroFormSignatureField = function () {
+      AcroFormField.call(this);
+      this.FT = '/Sig';
+      this.hasAppearanceStream = true;
+
+      var _signer;
+      /**
+      * The function signing the document. It gets called with the bytes covered by the signature
+      * as Uint8Array, which is the whole document except for the placeholder of the signature, and
+      * has to return a DER encoded detached PKCS#7 signature (CMS) of them as Uint8Array, ArrayBuffer
+      * or binary string. The signer has to work synchronously. A streamed document can not be signed.
+      *
+      * @name AcroFormSignatureField#signer
+      * @default null
+      * @type {Function}
+      */
+      Object.defineProperty(this, 'signer', {
+        enumerable: true,
+        configurable: true,
+        get: function () {
+          return _signer;
+        },
+        set: function (value) {
+          if (typeof value !== 'function' && typeof value !== 'undefined' && value !== null) {
+            throw new Error('Invalid value for attribute signer supplied.');
+          }
+          // the field has already been added to a document, which might be streamed
+          if (typeof value === 'function' && this.page !== undefined && scope.internal.isStreaming()) {
+            throw new Error(streamSignerError);
+          }
+          _signer = value || undefined;
+        }
+      });
+
+      var _signatureSize = 8192;
+      /**
+      * The number of bytes reserved for the signature. Certificate chains and timestamps need
+      * more space.
+      *
+      * @name AcroFormSignatureField#signatureSize
+      * @default 8192
+      * @type {number}
+      */
+      Object.defineProperty(this, 'signatureSize', {
+        enumerable: true,
+        configurable: true,
+        get: function () {
+          return _signatureSize;
+        },
+        set: function (value) {
+          if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Invalid value "' + value + '" for attribute signatureSize supplied.');
+          }
+          _signatureSize = value;
+        }
+      });
+
+      /**
+      * The name of the person signing, written to the signature and its appearance.
+      *
+      * @name AcroFormSignatureField#signerName
+      * @default null
+      * @type {string}
+      */
+      this.signerName = undefined;
+
+      /**
+      * The reason for the signing, e.g. 'Invoice approved'.
+      *
+      * @name AcroFormSignatureField#reason
+      * @default null
+      * @type {string}
+      */
+      this.reason = undefined;
+
+      /**
+      * The location of the signing, e.g. 'Berlin'.
+      *
+      * @name AcroFormSignatureField#location
+      * @default null
+      * @type {string}
+      */
+      this.location = undefined;
+
+      /**
+      * Information to contact the signer, e.g. a phone number.
+      *
+      * @name AcroFormSignatureField#contactInfo
+      * @default null
+      * @type {string}
+      */
+      this.contactInfo = undefined;
+
+      /**
+      * The time of the signing as Date or PDF date string like D:20190101000000+00'00'.
+      * Defaults to the creation date of the document.
+      *
+      * @name AcroFormSignatureField#signingTime
+      * @default null
+      * @type {Date|string}
+      */
+      this.signingTime = undefined;
+    };
+    inherit(AcroFormSignatureField, AcroFormField);
+
+    // Returns the time of the signing as PDF date string
+    var getSigningTime = function (signatureField) {
+      var signingTime = signatureField.signingTime;
+      if (Object.prototype.toString.call(signingTime) === '[object Date]') {
+        return scope.__private__.convertDateToPDFDate(signingTime);
+      }
+      return signingTime || scope.getCreationDate();
+    };
+
+    /**
+    * Writes the signature dictionary with placeholders for the /ByteRange and the /Contents,
+    * which are filled in by signDocumentCallback.
+    */
+    var putSignatureDictionary = function (signatureField, objId) {
+      var placeholder = '';
+      var i;
+      for (i = 0; i < signatureField.signatureSize; i++) {
+        placeholder += '00';
+      }
+      scope.internal.newObjectDeferredBegin(objId, true);
+      scope.internal.out('<<');
+      scope.internal.out('/Type /Sig');
+      scope.internal.out('/Filter /Adobe.PPKLite');
+      scope.internal.out('/SubFilter /adbe.pkcs7.detached');
+      scope.internal.out('/ByteRange [0 0000000000 0000000000 0000000000]');
+      scope.internal.out('/Contents <' + placeholder + '>');
+      ['signerName', 'reason', 'location', 'contactInfo'].forEach(function (key, index) {
+        if (signatureField[key]) {
+          scope.internal.out('/' + ['Name', 'Reason', 'Location', 'ContactInfo'][index] + ' ' + toPdfString(signatureField[key]));
+        }
+      });
+      scope.internal.out('/M (' + getSigningTime(signatureField) + ')');
+      scope.internal.out('>>');
+      scope.internal.out('endobj');
+    };
     
 
   // Contains Methods for creating standard appearances
@@ -2628,6 +2894,56 @@
       },
     },
 
+    Signature: {
+      /**
+        * Returns the Appearance of a SignatureField: a frame with the signer, the reason, the
+        * location and the time of the signing
+        * 
+        * @returns {AcroFormXObject}
+        */
+      Normal: function (formObject) {
+        var xobj = createFormXObject(formObject);
+        var fontKey = scope.internal.getFont(formObject.fontName, formObject.fontStyle).id;
+        var encodedColor = scope.__private__.encodeColorString(formObject.color);
+        var width = AcroFormAppearance.internal.getWidth(formObject);
+        var height = AcroFormAppearance.internal.getHeight(formObject);
+        var borderPadding = 2;
+        var lines = [];
+        var stream = [];
+
+        if (formObject.signerName) {
+          lines.push('Digitally signed by ' + formObject.signerName);
+        }
+        if (formObject.reason) {
+          lines.push('Reason: ' + formObject.reason);
+        }
+        if (formObject.location) {
+          lines.push('Location: ' + formObject.location);
+        }
+        if (typeof formObject.signer === 'function') {
+          // D:YYYYMMDDHHmmSS+HH'mm' -> YYYY.MM.DD HH:mm:ss +HH'mm'
+          lines.push('Date: ' + getSigningTime(formObject).replace(/^D:(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/, '$1.$2.$3 $4:$5:$6 '));
+        }
+        var fontSize = formObject.fontSize || Math.min(10, (height - 2 * borderPadding) / (Math.max(lines.length, 1) * 1.15));
+
+        stream.push("q");
+        stream.push("0.5 w 0 G");
+        stream.push("0.25 0.25 " + f2(width - 0.5) + " " + f2(height - 0.5) + " re");
+        stream.push("S");
+        stream.push("BT");
+        stream.push("/" + fontKey + " " + f2(fontSize) + " Tf " + encodedColor);
+        stream.push(f2(fontSize * 1.15) + " TL");
+        stream.push(f2(borderPadding) + " " + f2(height - borderPadding - fontSize) + " Td");
+        lines.forEach(function (line, index) {
+          stream.push("(" + pdfEscape(line) + ") " + ((index === 0) ? "Tj" : "'"));
+        });
+        stream.push("ET");
+        stream.push("Q");
+        xobj.stream = stream.join("\n");
+        return xobj;
+      }
+    },
+
     /**
       * Returns the standard Appearance
       * 
@@ -2707,6 +3023,9 @@
   var addField = jsPDFAPI.addField = function (fieldObject) {
     initializeAcroForm.call(this);
     
+    if (fieldObject instanceof AcroFormSignatureField && typeof fieldObject.signer === 'function' && this.internal.isStreaming()) {
+      throw new Error(streamSignerError);
+    }
     if (fieldObject instanceof AcroFormField) {
       putForm.call(this, fieldObject);
     } else {
@@ -2772,7 +3091,8 @@
         typeof (globalObj["RadioButton"]) === "undefined" &&
         typeof (globalObj["CheckBox"]) === "undefined" &&
         typeof (globalObj["TextField"]) === "undefined" &&
-        typeof (globalObj["PasswordField"]) === "undefined"
+        typeof (globalObj["PasswordField"]) === "undefined" &&
+        typeof (globalObj["SignatureField"]) === "undefined"
     ) {
     globalObj["ChoiceField"] = AcroFormChoiceField;
     globalObj["ListBox"] = AcroFormListBox;
@@ -2784,6 +3104,7 @@
     globalObj["CheckBox"] = AcroFormCheckBox;
     globalObj["TextField"] = AcroFormTextField;
     globalObj["PasswordField"] = AcroFormPasswordField;
+    globalObj["SignatureField"] = AcroFormSignatureField;
     
     // backwardsCompatibility
     globalObj["AcroForm"] = {Appearance: AcroFormAppearance};
@@ -2801,6 +3122,7 @@
   jsPDFAPI.AcroFormCheckBox = AcroFormCheckBox;
   jsPDFAPI.AcroFormTextField = AcroFormTextField;
   jsPDFAPI.AcroFormPasswordField = AcroFormPasswordField;
+  jsPDFAPI.AcroFormSignatureField = AcroFormSignatureField;
   jsPDFAPI.AcroFormAppearance = AcroFormAppearance;
   
   jsPDFAPI.AcroForm = {
@@ -2814,6 +3136,7 @@
     CheckBox : AcroFormCheckBox,
     TextField : AcroFormTextField,
     PasswordField : AcroFormPasswordField,
+    SignatureField : AcroFormSignatureField,
     Appearance: AcroFormAppearance
   };
 })(jsPDF.API, (typeof window !== "undefined" && window || typeof global !== "undefined" && global));
@@ -14,22 +14,22 @@
  * <br />
  * This plugin current supports <br />
  * <li> Goto Page (set pageNumber and top in options)
- * <li> Goto Name (set name and top in options)
+ * <li> Goto Name (set name in options)
  * <li> Goto URL (set url in options)
  * <p>
  * 	The destination magnification factor can also be specified when goto is a page number or a named destination. (see documentation below)
  *  (set magFactor in options).  XYZ is the default.
  * </p>
  * <p>
- *  Links, Text, Popup, and FreeText are supported.
+ *  Links, Text, Popup, and FreeText are supported, as well as the markup annotations Highlight, Underline,
+ *  StrikeOut, Squiggly, Square, Circle, Line, Polygon, PolyLine, Ink and Stamp.
+ * </p>
+ * <p>
+ * Links can also run actions: GoTo, GoToR (other files), GoToE (embedded files), Launch, JavaScript and Named
+ * actions, which can be chained. Their borders and highlight modes can be set.
  * </p>
  * <p>
  * Options In PDF spec Not Implemented Yet
- * <li> link border
- * <li> named target
- * <li> page coordinates
- * <li> destination page scaling and layout
- * <li> actions other than URL and GotoPage
  * <li> background / hover actions
  * </p>
  * @name annotations
@@ -45,12 +45,10 @@
 	Fit (no options)
 	FitH (options: top)
 	FitV (options: left)
-
-	[not supported]
-	FitR
-	FitB
-	FitBH
-	FitBV
+	FitR (options: left top right bottom)
+	FitB (no options)
+	FitBH (options: top)
+	FitBV (options: left)
  */
 (function(jsPDFAPI) {
 	'use strict';
@@ -77,13 +75,14 @@
 			var anno = pageAnnos[a];
 			switch (anno.type) {
 			case 'link':
-				if (notEmpty(anno.options.url) || notEmpty(anno.options.pageNumber)) {
+				if (notEmpty(anno.options.url) || notEmpty(anno.options.pageNumber) || notEmpty(anno.options.name) || notEmpty(anno.options.action)) {
 					found = true;
 					break;
 				}
             case 'reference':
 			case 'text':
 			case 'freetext':
+			case 'markup':
 				found = true;
 				break;
 			}
@@ -96,6 +95,7 @@
 		var pageHeight = this.internal.pageSize.height;
 		var getHorizontalCoordinateString = this.internal.getCoordinateString;
 		var getVerticalCoordinateString = this.internal.getVerticalCoordinateString;
+		var line;
 		for (var a = 0; a < pageAnnos.length; a++) {
 			var anno = pageAnnos[a];
 
@@ -139,55 +139,39 @@
 				line += ' >>';
 				this.internal.write(line);
 				break;
-			case 'link':
-				if (anno.options.name) {
-					var loc = this.annotations._nameMap[anno.options.name];
-					anno.options.pageNumber = loc.page;
-					anno.options.top = loc.y;
-				} else {
-					if (!anno.options.top) {
-						anno.options.top = 0;
-					}
+			case 'markup':
+				var appearanceObjId = this.internal.newObjectDeferred();
+				var markup = anno.markup;
+				getAppearances.call(this).push({
+					objId: appearanceObjId,
+					data: markup.appearance.data,
+					keyValues: [
+						{key: 'Type', value: '/XObject'},
+						{key: 'Subtype', value: '/Form'},
+						{key: 'BBox', value: '[' + markup.rect.map(this.internal.f2).join(' ') + ']'},
+						{key: 'Resources', value: '<<' + markup.appearance.resources + '>>'}
+					]
+				});
+				line = '<</Type /Annot /Subtype /' + markup.subtype + ' /Rect [' + markup.rect.map(this.internal.f2).join(' ') + '] /F 4';
+				line += ' /P ' + pageInfo.objId + ' 0 R /C [' + markup.color + '] ' + markup.entries.join(' ');
+				if (notEmpty(markup.author)) {
+					line += ' /T (' + this.internal.pdfEscape(markup.author) + ')';
 				}
-
-				var rect = "/Rect [" + getHorizontalCoordinateString(anno.x) + " " + getVerticalCoordinateString(anno.y) + " " + getHorizontalCoordinateString(anno.x + anno.w) + " " + getVerticalCoordinateString(anno.y + anno.h) + "] ";
-
-				var line = '';
-				if (anno.options.url) {
-					line = '<</Type /Annot /Subtype /Link ' + rect + '/Border [0 0 0] /A <</S /URI /URI (' + anno.options.url + ') >>';
-				} else if (anno.options.pageNumber) {
-					// first page is 0
-					var info = this.internal.getPageInfo(anno.options.pageNumber);
-					line = '<</Type /Annot /Subtype /Link ' + rect + '/Border [0 0 0] /Dest [' + info.objId + " 0 R";
-					anno.options.magFactor = anno.options.magFactor || "XYZ";
-					switch (anno.options.magFactor) {
-					case 'Fit':
-						line += ' /Fit]';
-						break;
-					case 'FitH':
-						line += ' /FitH ' + anno.options.top + ']';
-						break;
-					case 'FitV':
-						anno.options.left = anno.options.left || 0;
-						line += ' /FitV ' + anno.options.left + ']';
-						break;
-					case 'XYZ':
-					default:
-						var top = getVerticalCoordinateString(anno.options.top);
-						anno.options.left = anno.options.left || 0;
-						// 0 or null zoom will not change zoom factor
-						if (typeof anno.options.zoom === 'undefined') {
-							anno.options.zoom = 0;
-						}
-						line += ' /XYZ ' + anno.options.left + ' ' + top + ' ' + anno.options.zoom + ']';
-						break;
-					}
-				} else {
-					// TODO error - should not be here
+				if (notEmpty(markup.subject)) {
+					line += ' /Subj (' + this.internal.pdfEscape(markup.subject) + ')';
+				}
+				if (notEmpty(markup.contents)) {
+					line += ' /Contents (' + this.internal.pdfEscape(markup.contents) + ')';
 				}
-				if (line != '') {
-					line += " >>";
-					this.internal.write(line);
+				line += ' /CreationDate (' + markup.date + ') /M (' + markup.date + ')';
+				line += ' /AP <</N ' + appearanceObjId + ' 0 R>> >>';
+				this.internal.write(line);
+				break;
+			case 'link':
+				var rect = "/Rect [" + getHorizontalCoordinateString(anno.x) + " " + getVerticalCoordinateString(anno.y) + " " + getHorizontalCoordinateString(anno.x + anno.w) + " " + getVerticalCoordinateString(anno.y + anno.h) + "] ";
+				var target = getLinkTarget.call(this, anno.options, pageInfo);
+				if (target !== '') {
+					this.internal.write('<</Type /Annot /Subtype /Link ' + rect + getLinkBorder.call(this, anno.options) + ' ' + target + ' >>');
 				}
 				break;
 			}
@@ -195,10 +179,512 @@
 		this.internal.write("]");
 	} ]);
 
+	var magFactors = ['XYZ', 'Fit', 'FitH', 'FitV', 'FitR', 'FitB', 'FitBH', 'FitBV'];
+	var actionTypes = ['URI', 'GoTo', 'GoToR', 'GoToE', 'Launch', 'JavaScript', 'Named'];
+	var borderStyles = {solid: 'S', dashed: 'D', beveled: 'B', inset: 'I', underline: 'U'};
+	var highlightModes = {none: 'N', invert: 'I', outline: 'O', push: 'P'};
+
+	var checkLinkOptions = function(options) {
+		var checkDestination = function(destination) {
+			if (typeof destination.magFactor !== 'undefined' && magFactors.indexOf(destination.magFactor) === -1) {
+				throw new Error('Invalid magFactor "' + destination.magFactor + '" passed to jsPDF.link');
+			}
+		};
+		var checkAction = function(action) {
+			if (!action || actionTypes.indexOf(action.type) === -1 || (action.type === 'Named' && !(/^[A-Za-z]+$/).test(action.name))) {
+				throw new Error('Invalid action passed to jsPDF.link');
+			}
+			checkDestination(action);
+			[].concat(action.next || []).forEach(checkAction);
+		};
+		checkDestination(options);
+		[].concat(options.action || []).forEach(checkAction);
+		if (options.border && !Array.isArray(options.border) && !borderStyles.hasOwnProperty(options.border.style || 'solid')) {
+			throw new Error('Invalid border style "' + options.border.style + '" passed to jsPDF.link');
+		}
+		if (typeof options.highlight !== 'undefined' && !highlightModes.hasOwnProperty(options.highlight)) {
+			throw new Error('Invalid highlight mode "' + options.highlight + '" passed to jsPDF.link');
+		}
+		if (options.border && options.border.color) {
+			getAnnotationColor.call(this, options.border.color, 'link');
+		}
+	};
+
+	/**
+	* Returns a named destination as string or an explicit destination like [page /XYZ left top zoom]. The
+	* coordinates are in the units of the document and measured from the upper left corner of the page. The
+	* pages of other files are referred to by their index, their coordinates are converted with the size of
+	* the page the link is on.
+	*
+	* @private
+	*/
+	var getDestination = function(options, pageInfo, isRemote) {
+		var f2 = this.internal.f2;
+		var scaleFactor = this.internal.scaleFactor;
+		var info = isRemote ? pageInfo : this.internal.getPageInfo(options.pageNumber);
+		var mediaBox = info.pageContext.mediaBox;
+		var width = mediaBox.topRightX - mediaBox.bottomLeftX;
+		var height = mediaBox.topRightY - mediaBox.bottomLeftY;
+		var page = isRemote ? Math.max((options.pageNumber || 1) - 1, 0) : info.objId + ' 0 R';
+		var magFactor = options.magFactor || 'XYZ';
+		var left = f2((options.left || 0) * scaleFactor);
+		var top = f2(height - (options.top || 0) * scaleFactor);
+
+		switch (magFactor) {
+		case 'Fit':
+		case 'FitB':
+			return '[' + page + ' /' + magFactor + ']';
+		case 'FitH':
+		case 'FitBH':
+			return '[' + page + ' /' + magFactor + ' ' + top + ']';
+		case 'FitV':
+		case 'FitBV':
+			return '[' + page + ' /' + magFactor + ' ' + left + ']';
+		case 'FitR':
+			return '[' + page + ' /FitR ' + left + ' ' + f2(height - ((typeof options.bottom === 'number') ? options.bottom * scaleFactor : height)) + ' ' +
+				f2((typeof options.right === 'number') ? options.right * scaleFactor : width) + ' ' + top + ']';
+		case 'XYZ':
+		default:
+			// 0 or null zoom will not change zoom factor
+			return '[' + page + ' /XYZ ' + left + ' ' + top + ' ' + (options.zoom || 0) + ']';
+		}
+	};
+
+	var getAction = function(action, pageInfo) {
+		var pdfEscape = this.internal.pdfEscape;
+		var isRemote = action.type === 'GoToR' || action.type === 'GoToE';
+		var next = [].concat(action.next || []);
+		var destination = (action.name && typeof action.pageNumber === 'undefined') ? '(' + pdfEscape(action.name) + ')' : '';
+		var result;
+
+		if (destination === '' && (action.type === 'GoTo' || isRemote)) {
+			destination = getDestination.call(this, action, pageInfo, isRemote);
+		}
+		switch (action.type) {
+		case 'URI':
+			result = '<</S /URI /URI (' + pdfEscape(action.url) + ')';
+			break;
+		case 'GoTo':
+			result = '<</S /GoTo /D ' + destination;
+			break;
+		case 'GoToR':
+			result = '<</S /GoToR /F (' + pdfEscape(action.file) + ') /D ' + destination;
+			break;
+		case 'GoToE':
+			// the target is a file embedded into this document
+			result = '<</S /GoToE /D ' + destination + ' /T <</R /C /N (' + pdfEscape(action.embeddedFile) + ')>>';
+			break;
+		case 'Launch':
+			result = '<</S /Launch /F (' + pdfEscape(action.file) + ')';
+			break;
+		case 'JavaScript':
+			result = '<</S /JavaScript /JS (' + pdfEscape(action.script) + ')';
+			break;
+		case 'Named':
+			result = '<</S /Named /N /' + action.name;
+			break;
+		}
+		if (action.newWindow === true && (isRemote || action.type === 'Launch')) {
+			result += ' /NewWindow true';
+		}
+		if (next.length === 1) {
+			result += ' /Next ' + getAction.call(this, next[0], pageInfo);
+		} else if (next.length > 1) {
+			result += ' /Next [' + next.map(function(nextAction) {
+				return getAction.call(this, nextAction, pageInfo);
+			}, this).join(' ') + ']';
+		}
+		return result + ' >>';
+	};
+
+	// Returns the action or the destination of a link
+	var getLinkTarget = function(options, pageInfo) {
+		var action = options.action;
+		var location;
+
+		if (Array.isArray(action)) {
+			action = (action.length > 1) ? Object.assign({}, action[0], {next: action.slice(1)}) : action[0];
+		}
+		if (action) {
+			return '/A ' + getAction.call(this, action, pageInfo);
+		}
+		if (options.url) {
+			return '/A ' + getAction.call(this, {type: 'URI', url: options.url}, pageInfo);
+		}
+		if (options.name && this.annotations && this.annotations._nameMap && this.annotations._nameMap[options.name]) {
+			// names registered by html2pdf
+			location = this.annotations._nameMap[options.name];
+			options = Object.assign({}, options, {name: undefined, pageNumber: location.page, top: location.y});
+		}
+		if (options.name && !options.pageNumber) {
+			return '/Dest (' + this.internal.pdfEscape(options.name) + ')';
+		}
+		if (options.pageNumber) {
+			return '/Dest ' + getDestination.call(this, options, pageInfo, false);
+		}
+		return '';
+	};
+
+	var getLinkBorder = function(options) {
+		var border = options.border;
+		var f2 = this.internal.f2;
+		var scaleFactor = this.internal.scaleFactor;
+		var result = '/Border [0 0 0]';
+
+		if (Array.isArray(border)) {
+			result = '/Border [' + border.map(function(value) {
+				return Array.isArray(value) ? '[' + value.join(' ') + ']' : value;
+			}).join(' ') + ']';
+		} else if (border) {
+			result = '/BS <</W ' + f2((typeof border.width === 'number') ? border.width * scaleFactor : 1) + ' /S /' + borderStyles[border.style || 'solid'];
+			if (Array.isArray(border.dashArray)) {
+				result += ' /D [' + border.dashArray.map(function(value) {
+					return f2(value * scaleFactor);
+				}).join(' ') + ']';
+			}
+			result += '>>';
+			if (border.color) {
+				result += ' /C [' + getAnnotationColor.call(this, border.color, 'link') + ']';
+			}
+		}
+		if (options.highlight) {
+			result += ' /H /' + highlightModes[options.highlight];
+		}
+		return result;
+	};
+
+	var markupSubtypes = {
+		highlight: 'Highlight',
+		underline: 'Underline',
+		strikeout: 'StrikeOut',
+		squiggly: 'Squiggly',
+		square: 'Square',
+		circle: 'Circle',
+		line: 'Line',
+		polygon: 'Polygon',
+		polyline: 'PolyLine',
+		ink: 'Ink',
+		stamp: 'Stamp'
+	};
+
+	var stampNames = ['Approved', 'Experimental', 'NotApproved', 'AsIs', 'Expired', 'NotForPublicRelease', 'Confidential', 'Final', 'Sold', 'Departmental', 'ForComment', 'TopSecret', 'Draft', 'ForPublicRelease'];
+
+	// magic number for approximating an ellipse with bezier curves
+	var KAPPA = 4 / 3 * (Math.SQRT2 - 1);
+
+	// The appearance streams are written after the pages, when the object ids of all annotations are known
+	var getAppearances = function() {
+		var appearances = this.internal.collections.annotationAppearances;
+		//first run, so initialise stuff
+		if (!appearances) {
+			this.internal.collections.annotationAppearances = appearances = [];
+			this.internal.events.subscribe('putAdditionalObjects', function() {
+				for (var i = 0; i < appearances.length; i++) {
+					this.internal.newObjectDeferredBegin(appearances[i].objId, true);
+					this.internal.putStream({data: appearances[i].data, additionalKeyValues: appearances[i].keyValues});
+					this.internal.out('endobj');
+				}
+				appearances.length = 0;
+			});
+		}
+		return appearances;
+	};
+
+	var getMarkupColor = function(color, pdfColorType) {
+		var channels = Array.isArray(color) ? color : [color];
+		return this.__private__.encodeColorString({ch1: channels[0], ch2: channels[1], ch3: channels[2], ch4: channels[3], pdfColorType: pdfColorType});
+	};
+
+	/**
+	* Returns the numbers of a color for the /C and /IC arrays of an annotation. These arrays only know gray, RGB
+	* and CMYK, so spot colors and ICC based colors are rejected.
+	*
+	* @private
+	*/
+	var getAnnotationColor = function(color, method) {
+		var operands = getMarkupColor.call(this, color).split(' ');
+		if (['g', 'rg', 'k'].indexOf(operands.pop()) === -1) {
+			throw new Error('Invalid color passed to jsPDF.' + method + ', annotations only support gray, RGB and CMYK colors');
+		}
+		return operands.join(' ');
+	};
+
+	var getMarkupDate = function(date) {
+		if (date instanceof Date) {
+			return this.__private__.convertDateToPDFDate(date);
+		}
+		return date || this.getCreationDate();
+	};
+
+	// Converts [x, y] from the units and coordinates of the document to points on the page
+	var toPagePoint = function(point) {
+		if (!Array.isArray(point) || isNaN(point[0]) || isNaN(point[1])) {
+			throw new Error('Invalid arguments passed to jsPDF.createAnnotation');
+		}
+		return [this.internal.getHorizontalCoordinate(point[0]), this.internal.getVerticalCoordinate(point[1])];
+	};
+
+	// The quadrilaterals of a text markup annotation, each as [x1 y1 x2 y2 x3 y3 x4 y4] in the order upper left,
+	// upper right, lower left, lower right
+	var getQuadPoints = function(options) {
+		var quads = [];
+		var i;
+		if (Array.isArray(options.quadPoints)) {
+			for (i = 0; i + 7 < options.quadPoints.length; i += 8) {
+				quads.push([0, 2, 4, 6].reduce(function(quad, j) {
+					return quad.concat(toPagePoint.call(this, [options.quadPoints[i + j], options.quadPoints[i + j + 1]]));
+				}.bind(this), []));
+			}
+		} else if (options.bounds) {
+			[].concat(options.bounds).forEach(function(bounds) {
+				var upperLeft = toPagePoint.call(this, [bounds.x, bounds.y]);
+				var lowerRight = toPagePoint.call(this, [bounds.x + bounds.w, bounds.y + bounds.h]);
+				quads.push([upperLeft[0], upperLeft[1], lowerRight[0], upperLeft[1], upperLeft[0], lowerRight[1], lowerRight[0], lowerRight[1]]);
+			}, this);
+		}
+		if (quads.length === 0) {
+			throw new Error('Invalid arguments passed to jsPDF.createAnnotation');
+		}
+		return quads;
+	};
+
+	var getBoundingRect = function(points, padding) {
+		var xs = points.map(function(point) {
+			return point[0];
+		});
+		var ys = points.map(function(point) {
+			return point[1];
+		});
+		return [Math.min.apply(Math, xs) - padding, Math.min.apply(Math, ys) - padding, Math.max.apply(Math, xs) + padding, Math.max.apply(Math, ys) + padding];
+	};
+
+	var getPathOperators = function(points, f2) {
+		return points.map(function(point, i) {
+			return f2(point[0]) + ' ' + f2(point[1]) + (i === 0 ? ' m' : ' l');
+		});
+	};
+
+	var getEllipseOperators = function(rect, f2) {
+		var rx = (rect[2] - rect[0]) / 2;
+		var ry = (rect[3] - rect[1]) / 2;
+		var cx = rect[0] + rx;
+		var cy = rect[1] + ry;
+		var lx = rx * KAPPA;
+		var ly = ry * KAPPA;
+		var curve = function(values) {
+			return values.map(f2).join(' ') + ' c';
+		};
+		return [
+			f2(cx + rx) + ' ' + f2(cy) + ' m',
+			curve([cx + rx, cy + ly, cx + lx, cy + ry, cx, cy + ry]),
+			curve([cx - lx, cy + ry, cx - rx, cy + ly, cx - rx, cy]),
+			curve([cx - rx, cy - ly, cx - lx, cy - ry, cx, cy - ry]),
+			curve([cx + lx, cy - ry, cx + rx, cy - ly, cx + rx, cy])
+		];
+	};
+
+	// The label of a stamp, e.g. NOT APPROVED for NotApproved
+	var getStampLabel = function(name) {
+		return name.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase();
+	};
+
+	/**
+	* Computes the geometry, the dictionary entries and the appearance stream of a markup annotation. All
+	* coordinates are converted to points on the current page.
+	*
+	* @private
+	*/
+	var createMarkupAnnotation = function(options) {
+		var f2 = this.internal.f2;
+		var scaleFactor = this.internal.scaleFactor;
+		var type = options.type;
+		var color = options.color || (type === 'highlight' ? '#ffff00' : '#ff0000');
+		var fillColor = getMarkupColor.call(this, color);
+		var strokeColor = getMarkupColor.call(this, color, 'draw');
+		var interiorColor = (options.interiorColor && ['square', 'circle', 'polygon'].indexOf(type) !== -1) ? getMarkupColor.call(this, options.interiorColor) : null;
+		var colorChannels = getAnnotationColor.call(this, color, 'createAnnotation');
+		var interiorChannels = interiorColor ? getAnnotationColor.call(this, options.interiorColor, 'createAnnotation') : null;
+		var lineWidth = (typeof options.lineWidth === 'number') ? options.lineWidth * scaleFactor : 1;
+		var opacity = (typeof options.opacity === 'number') ? Math.min(Math.max(options.opacity, 0), 1) : 1;
+		var entries = [];
+		var stream = [];
+		var paintOperator = interiorColor ? 'B' : 'S';
+		var rect, points, inset, quads, vertices, inkList, name, label, font, fontSize;
+
+		switch (type) {
+		case 'highlight':
+		case 'underline':
+		case 'strikeout':
+		case 'squiggly':
+			quads = getQuadPoints.call(this, options);
+			rect = getBoundingRect(quads.reduce(function(result, quad) {
+				return result.concat([[quad[0], quad[1]], [quad[2], quad[3]], [quad[4], quad[5]], [quad[6], quad[7]]]);
+			}, []), 0);
+			entries.push('/QuadPoints [' + quads.map(function(quad) {
+				return quad.map(f2).join(' ');
+			}).join(' ') + ']');
+			stream.push(type === 'highlight' ? fillColor : strokeColor);
+			quads.forEach(function(quad) {
+				var height = Math.abs(quad[1] - quad[5]);
+				var width = Math.max(height / 14, 0.5);
+				var y, step, x;
+				switch (type) {
+				case 'highlight':
+					stream = stream.concat(getPathOperators([[quad[0], quad[1]], [quad[2], quad[3]], [quad[6], quad[7]], [quad[4], quad[5]]], f2), ['h f']);
+					break;
+				case 'underline':
+				case 'strikeout':
+					y = (type === 'underline') ? width : height / 2;
+					stream = stream.concat([f2(width) + ' w'], getPathOperators([[quad[4], quad[5] + y], [quad[6], quad[7] + y]], f2), ['S']);
+					break;
+				case 'squiggly':
+					step = height / 6;
+					points = [];
+					for (x = quad[4], y = 0; x < quad[6]; x += step, y = 1 - y) {
+						points.push([x, quad[5] + width + y * step]);
+					}
+					points.push([quad[6], quad[7] + width + y * step]);
+					stream = stream.concat([f2(width / 2) + ' w'], getPathOperators(points, f2), ['S']);
+					break;
+				}
+			});
+			break;
+		case 'square':
+		case 'circle':
+		case 'stamp':
+			if (!options.bounds || isNaN(options.bounds.w) || isNaN(options.bounds.h)) {
+				throw new Error('Invalid arguments passed to jsPDF.createAnnotation');
+			}
+			rect = getBoundingRect([toPagePoint.call(this, [options.bounds.x, options.bounds.y]), toPagePoint.call(this, [options.bounds.x + options.bounds.w, options.bounds.y + options.bounds.h])], 0);
+			// the border is drawn inside of the rectangle
+			inset = [rect[0] + lineWidth / 2, rect[1] + lineWidth / 2, rect[2] - lineWidth / 2, rect[3] - lineWidth / 2];
+			stream.push(strokeColor, f2(lineWidth) + ' w');
+			if (interiorColor) {
+				stream.push(interiorColor);
+				entries.push('/IC [' + interiorChannels + ']');
+			}
+			if (type === 'circle') {
+				stream = stream.concat(getEllipseOperators(inset, f2), [paintOperator]);
+			} else {
+				stream.push([inset[0], inset[1], inset[2] - inset[0], inset[3] - inset[1]].map(f2).join(' ') + ' re ' + paintOperator);
+			}
+			if (type === 'stamp') {
+				name = options.name || 'Draft';
+				label = (typeof options.label === 'string') ? options.label : getStampLabel(name);
+				font = this.internal.getFont('helvetica', 'bold');
+				fontSize = Math.min((inset[3] - inset[1]) * 0.6, (inset[2] - inset[0]) * 0.9 / (this.getStringUnitWidth(label, {font: font, fontSize: 1, charSpace: 0}) || 1));
+				entries.push('/Name /' + name.replace(/[^A-Za-z0-9]/g, ''));
+				stream.push('BT', '/F1 ' + f2(fontSize) + ' Tf', fillColor,
+					f2((rect[0] + rect[2] - this.getStringUnitWidth(label, {font: font, fontSize: 1, charSpace: 0}) * fontSize) / 2) + ' ' + f2((rect[1] + rect[3]) / 2 - fontSize * 0.35) + ' Td',
+					'(' + this.internal.pdfEscape(label) + ') Tj', 'ET');
+			} else {
+				entries.push('/BS <</W ' + f2(lineWidth) + ' /S /S>>');
+			}
+			break;
+		case 'line':
+		case 'polygon':
+		case 'polyline':
+			vertices = (options.points || []).map(toPagePoint, this);
+			if (vertices.length < 2) {
+				throw new Error('Invalid arguments passed to jsPDF.createAnnotation');
+			}
+			if (type === 'line') {
+				vertices = vertices.slice(0, 2);
+				entries.push('/L [' + vertices[0].concat(vertices[1]).map(f2).join(' ') + ']');
+			} else {
+				entries.push('/Vertices [' + vertices.reduce(function(result, vertex) {
+					return result.concat(vertex);
+				}, []).map(f2).join(' ') + ']');
+			}
+			if (interiorColor) {
+				stream.push(interiorColor);
+				entries.push('/IC [' + interiorChannels + ']');
+			}
+			entries.push('/BS <</W ' + f2(lineWidth) + ' /S /S>>');
+			rect = getBoundingRect(vertices, lineWidth);
+			stream = stream.concat([strokeColor, f2(lineWidth) + ' w'], getPathOperators(vertices, f2), [type === 'polygon' ? 'h ' + paintOperator : 'S']);
+			break;
+		case 'ink':
+			inkList = (options.inkList || []).map(function(path) {
+				return path.map(toPagePoint, this);
+			}, this).filter(function(path) {
+				return path.length > 0;
+			});
+			if (inkList.length === 0) {
+				throw new Error('Invalid arguments passed to jsPDF.createAnnotation');
+			}
+			entries.push('/InkList [' + inkList.map(function(path) {
+				return '[' + path.reduce(function(result, point) {
+					return result.concat(point);
+				}, []).map(f2).join(' ') + ']';
+			}).join(' ') + ']', '/BS <</W ' + f2(lineWidth) + ' /S /S>>');
+			rect = getBoundingRect([].concat.apply([], inkList), lineWidth);
+			stream.push(strokeColor, f2(lineWidth) + ' w', '1 J', '1 j');
+			inkList.forEach(function(path) {
+				stream = stream.concat(getPathOperators(path.length > 1 ? path : [path[0], path[0]], f2), ['S']);
+			});
+			break;
+		}
+
+		if (opacity < 1) {
+			entries.push('/CA ' + f2(opacity));
+		}
+		if (opacity < 1 || type === 'highlight') {
+			stream.unshift('/GS0 gs');
+		}
+		return {
+			type: type,
+			subtype: markupSubtypes[type],
+			rect: rect,
+			color: colorChannels,
+			date: getMarkupDate.call(this, options.creationDate),
+			author: options.author,
+			subject: options.subject,
+			contents: options.contents,
+			entries: entries,
+			appearance: {
+				data: ['q'].concat(stream, ['Q']).join('\n'),
+				resources: ((opacity < 1 || type === 'highlight') ? '/ExtGState <</GS0 <</Type /ExtGState /CA ' + f2(opacity) + ' /ca ' + f2(opacity) + (type === 'highlight' ? ' /BM /Multiply' : '') + '>>>> ' : '') +
+					(type === 'stamp' ? '/Font <</F1 <</Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding>>>>' : '')
+			}
+		};
+	};
+
 	/**
+	* Adds an annotation to the current page.
+	* <p>
+	* Besides link, text and freetext annotations, the markup annotations highlight, underline, strikeout and
+	* squiggly (set bounds, a rectangle or an array of rectangles e.g. one per line, or quadPoints), square, circle
+	* and stamp (set bounds), line, polygon and polyline (set points) and ink (set inkList) are supported. Markup
+	* annotations get an appearance stream, so that they are shown by viewers which do not generate appearances.
+	* </p>
 	* @name createAnnotation
 	* @function
-	* @param {Object} options 
+	* @param {Object} options
+	* @param {string} options.type link, text, freetext, highlight, underline, strikeout, squiggly, square, circle, line, polygon, polyline, ink or stamp.
+	* @param {Object|Array} [options.bounds] The rectangle {x, y, w, h} of the annotation.
+	* @param {Array<number>} [options.quadPoints] The quadrilaterals of a text markup annotation, 8 numbers each: upper left, upper right, lower left and lower right corner.
+	* @param {Array} [options.points] The points [x, y] of a line, polygon or polyline.
+	* @param {Array} [options.inkList] The paths of an ink annotation, each an array of points [x, y].
+	* @param {string|Array} [options.color] The color of a markup annotation, as name, hex string or array of gray, RGB or CMYK channels. Defaults to yellow for highlights and red otherwise.
+	* @param {string|Array} [options.interiorColor] The fill color of a square, circle or polygon.
+	* @param {number} [options.opacity=1] The opacity of a markup annotation.
+	* @param {number} [options.lineWidth] The line width of a markup annotation. Defaults to 1 point.
+	* @param {string} [options.author] The author of a markup annotation.
+	* @param {string} [options.subject] The subject of a markup annotation.
+	* @param {string} [options.contents] The text of the annotation.
+	* @param {Date|string} [options.creationDate] The creation date of a markup annotation. Defaults to the creation date of the document.
+	* @param {string} [options.name=Draft] The name of a stamp, e.g. Approved, Confidential or Draft.
+	* @param {string} [options.label] The text shown in a stamp. Defaults to its name in capital letters.
+	* @example
+	* var metrics = doc.getTextMetrics('Reviewed text');
+	* doc.text('Reviewed text', 20, 20);
+	* doc.createAnnotation({
+	*   type: 'highlight',
+	*   bounds: {x: 20, y: 20 - metrics.ascent, w: metrics.width, h: metrics.height},
+	*   author: 'Reviewer',
+	*   contents: 'Please check'
+	* });
 	*/
 	jsPDFAPI.createAnnotation = function(options) {
 		var pageInfo = this.internal.getCurrentPageInfo();
@@ -210,6 +696,11 @@
 		case 'freetext':
 			pageInfo.pageContext.annotations.push(options);
 			break;
+		default:
+			if (markupSubtypes.hasOwnProperty(options.type)) {
+				pageInfo.pageContext.annotations.push({type: 'markup', markup: createMarkupAnnotation.call(this, options)});
+			}
+			break;
 		}
 	}
 
@@ -217,8 +708,8 @@
 	 * Create a link
 	 *
 	 * valid options
-	 * <li> pageNumber or url [required]
-	 * <p>If pageNumber is specified, top and zoom may also be specified</p>
+	 * <li> pageNumber, name, url or action [required]
+	 * <p>If pageNumber is specified, magFactor, left, top, right, bottom and zoom may also be specified</p>
 	 * @name link
 	 * @function
 	 * @param {number} x
@@ -226,9 +717,32 @@
 	 * @param {number} w
 	 * @param {number} h
 	 * @param {Object} options
+	 * @param {number} [options.pageNumber] The page the link goes to.
+	 * @param {string} [options.name] The named destination the link goes to.
+	 * @param {string} [options.url] The URL the link opens.
+	 * @param {string} [options.magFactor=XYZ] The view of the page: XYZ (left, top, zoom), Fit, FitH (top), FitV (left),
+	 * FitR (left, top, right, bottom), FitB, FitBH (top) or FitBV (left).
+	 * @param {Object|Array} [options.action] The action of the link, or a list of actions which are executed one after
+	 * another. An action is an object with a type and the options of the type:
+	 * <li> URI: url
+	 * <li> GoTo: pageNumber or name and the options of the view
+	 * <li> GoToR: file and pageNumber or name and the options of the view, newWindow
+	 * <li> GoToE: embeddedFile (the name of a file embedded into this document) and pageNumber or name and the options of the view, newWindow
+	 * <li> Launch: file, newWindow
+	 * <li> JavaScript: script
+	 * <li> Named: name (NextPage, PrevPage, FirstPage, LastPage or Print)
+	 * <p>Further actions can be chained to an action with next.</p>
+	 * @param {Array|Object} [options.border] The border of the link, either as array [horizontal radius, vertical
+	 * radius, width] in points or as object {width, style, dashArray, color}. The style is solid, dashed, beveled, inset
+	 * or underline. Defaults to no border.
+	 * @param {string} [options.highlight] The highlighting of the link when it is clicked: none, invert, outline or push.
+	 * @example
+	 * doc.link(20, 20, 40, 10, {action: [{type: 'Named', name: 'Print'}, {type: 'JavaScript', script: 'app.alert("Printed");'}]});
+	 * doc.link(20, 40, 40, 10, {action: {type: 'GoToR', file: 'other.pdf', pageNumber: 2, magFactor: 'Fit'}, border: {width: 0.5, style: 'dashed', dashArray: [1, 1], color: 'blue'}});
 	 */
 	jsPDFAPI.link = function(x,y,w,h,options) {
 		var pageInfo = this.internal.getCurrentPageInfo();
+		checkLinkOptions.call(this, options || {});
 		pageInfo.pageContext.annotations.push({
 			x : x,
 			y : y,
@@ -240,8 +754,8 @@
 	};
 
 	/**
-	 * Currently only supports single line text.
-	 * Returns the width of the text/link
+	 * Adds a text with a link, which covers the text from the ascender of the first line to the
+	 * descender of the last one. Returns the width of the text/link
 	 *
 	 * @name textWithLink
 	 * @function
@@ -252,14 +766,10 @@
 	 * @returns {number} width the width of the text/link
 	 */
 	jsPDFAPI.textWithLink = function(text,x,y,options) {
-		var width = this.getTextWidth(text);
-		var height = this.internal.getLineHeight() / this.internal.scaleFactor;
+		var metrics = this.getTextMetrics(text);
 		this.text(text, x, y);
-		//TODO We really need the text baseline height to do this correctly.
-		// Or ability to draw text on top, bottom, center, or baseline.
-		y += height * .2;
-		this.link(x, y - height, width, height, options);
-		return width;
+		this.link(x, y - metrics.ascent, metrics.width, metrics.height, options);
+		return metrics.width;
 	};
 
 	//TODO move into external library
@@ -135,6 +135,35 @@
 
     var alfletter = [1570, 1571, 1573, 1575];
 
+    /**
+     * Joining types of the Arabic letters: [first char code, last char code, type].
+     * D joins on both sides, R only to the preceding letter, U does not join,
+     * C (tatweel, zero width joiner) causes joining and T is transparent (marks).
+     * Characters which are not listed do not join.
+     */
+    var joiningTypes = [
+        [0x0610, 0x061A, 'T'], [0x0620, 0x0620, 'D'], [0x0621, 0x0621, 'U'],
+        [0x0622, 0x0625, 'R'], [0x0626, 0x0626, 'D'], [0x0627, 0x0627, 'R'],
+        [0x0628, 0x0628, 'D'], [0x0629, 0x0629, 'R'], [0x062A, 0x062E, 'D'],
+        [0x062F, 0x0632, 'R'], [0x0633, 0x063F, 'D'], [0x0640, 0x0640, 'C'],
+        [0x0641, 0x064A, 'D'], [0x064B, 0x065F, 'T'], [0x066E, 0x066F, 'D'],
+        [0x0670, 0x0670, 'T'], [0x0671, 0x0673, 'R'], [0x0674, 0x0674, 'U'],
+        [0x0675, 0x0677, 'R'], [0x0678, 0x0687, 'D'], [0x0688, 0x0699, 'R'],
+        [0x069A, 0x06BF, 'D'], [0x06C0, 0x06C0, 'R'], [0x06C1, 0x06C2, 'D'],
+        [0x06C3, 0x06CB, 'R'], [0x06CC, 0x06CC, 'D'], [0x06CD, 0x06CD, 'R'],
+        [0x06CE, 0x06CE, 'D'], [0x06CF, 0x06CF, 'R'], [0x06D0, 0x06D1, 'D'],
+        [0x06D2, 0x06D3, 'R'], [0x06D5, 0x06D5, 'R'], [0x06D6, 0x06DC, 'T'],
+        [0x06DD, 0x06DD, 'U'], [0x06DF, 0x06E4, 'T'], [0x06E7, 0x06E8, 'T'],
+        [0x06EA, 0x06ED, 'T'], [0x06EE, 0x06EF, 'R'], [0x06FA, 0x06FC, 'D'],
+        [0x06FF, 0x06FF, 'D'], [0x0750, 0x0758, 'D'], [0x0759, 0x075B, 'R'],
+        [0x075C, 0x076A, 'D'], [0x076B, 0x076C, 'R'], [0x076D, 0x0770, 'D'],
+        [0x0771, 0x0771, 'R'], [0x0772, 0x0772, 'D'], [0x0773, 0x0774, 'R'],
+        [0x0775, 0x0777, 'D'], [0x0778, 0x0779, 'R'], [0x077A, 0x077F, 'D'],
+        [0x200D, 0x200D, 'C']
+    ];
+
+    var formFeatures = ['isol', 'fina', 'init', 'medi'];
+
 	var noChangeInForm = -1;
     var isolatedForm = 0;
     var finalForm = 1;
@@ -211,6 +240,85 @@
         return result;
       };
 	
+    var getJoiningType = function (charCode) {
+        var i;
+        for (i = 0; i < joiningTypes.length && joiningTypes[i][0] <= charCode; i += 1) {
+            if (charCode <= joiningTypes[i][1]) {
+                return joiningTypes[i][2];
+            }
+        }
+        return 'U';
+    };
+
+    /**
+    * Returns the OpenType feature ('isol', 'fina', 'init' or 'medi') selecting the
+    * contextual form of each character of the text, which is expected in logical order.
+    * Characters without contextual forms are undefined in the result.
+    *
+    * @name getJoiningForms
+    * @function
+    * @param {string} text
+    * @returns {Array}
+    */
+    var getJoiningForms = jsPDFAPI.__arabicParser__.getJoiningForms = function (text) {
+        var forms = [];
+        var types = [];
+        var prev = -1;
+        var joinsPrev;
+        var i;
+
+        if (!/[\u0620-\u06FF\u0750-\u077F]/.test(text)) {
+            return forms;
+        }
+        for (i = 0; i < text.length; i += 1) {
+            types.push(getJoiningType(text.charCodeAt(i)));
+        }
+        for (i = 0; i < text.length; i += 1) {
+            if (types[i] === 'T') {
+                continue;
+            }
+            joinsPrev = prev !== -1 && (types[i] === 'R' || types[i] === 'D' || types[i] === 'C') && (types[prev] === 'D' || types[prev] === 'C');
+            if (joinsPrev && types[prev] === 'D') {
+                forms[prev] = (forms[prev] === 'fina') ? 'medi' : 'init';
+            }
+            if (types[i] === 'R' || types[i] === 'D' || (types[i] === 'U' && isArabicLetter(text.charAt(i)))) {
+                forms[i] = joinsPrev ? 'fina' : 'isol';
+            }
+            prev = i;
+        }
+        return forms;
+    };
+
+    /**
+    * Returns the char code of the Arabic presentation form of the letter for the
+    * feature returned by getJoiningForms or undefined if there is none.
+    *
+    * @name getPresentationForm
+    * @function
+    * @param {number} charCode
+    * @param {string} form
+    * @returns {number}
+    */
+    var getPresentationForm = jsPDFAPI.__arabicParser__.getPresentationForm = function (charCode, form) {
+        var forms = arabicSubstitionA[charCode];
+        return (forms !== undefined) ? forms[formFeatures.indexOf(form)] : undefined;
+    };
+
+    /**
+    * Returns the char code of the presentation form ligature (lam with alef) of
+    * two presentation forms or undefined if they do not form a ligature.
+    *
+    * @name getLigature
+    * @function
+    * @param {number} first
+    * @param {number} second
+    * @returns {number}
+    */
+    var getLigature = jsPDFAPI.__arabicParser__.getLigature = function (first, second) {
+        var ligature = (ligatures[first] !== undefined) ? ligatures[first][second] : undefined;
+        return (typeof ligature === "number") ? ligature : undefined;
+    };
+
     var isArabicDiacritic = jsPDFAPI.__arabicParser__.isArabicDiacritic = function (letter) {
         return (letter !== undefined && arabic_diacritics[letter.charCodeAt(0)] !== undefined);
     };
@@ -287,75 +395,18 @@
     */
     var processArabic = jsPDFAPI.__arabicParser__.processArabic = jsPDFAPI.processArabic = function (text) {
         text = text || "";
-        
-        var result = "";
-        var i = 0;
-		var j = 0;
-        var position = 0;
-        var currentLetter = "";
-        var prevLetter = "";
-        var nextLetter = "";
-        var resultingLetter;
 
-        var localPrevLetter;
-        var localCurrentLetter;
-        var localNextLetter;
+        var result = "";
+        var forms = getJoiningForms(text);
+        var charCode;
+        var i;
 
-		var words = text.split("\\s+");
-		var newWords = [];
-        for (i = 0; i < words.length; i += 1) {
-			newWords.push('');
-			for (j = 0; j < words[i].length; j += 1) {
-				currentLetter = words[i][j];
-				prevLetter = words[i][j - 1];
-				nextLetter = words[i][j + 1]
-				if (isArabicLetter(currentLetter)) {
-					position = getCorrectForm(currentLetter, prevLetter, nextLetter);
-					if (position !== -1) {
-						newWords[i] += String.fromCharCode(arabicSubstitionA[currentLetter.charCodeAt(0)][position]);
-					} else {
-						newWords[i] += currentLetter;
-					}
-				} else {
-					newWords[i] += currentLetter;
-				}
-			}
-			
-			newWords[i] = resolveLigatures(newWords[i]);
+        for (i = 0; i < text.length; i += 1) {
+            charCode = getPresentationForm(text.charCodeAt(i), forms[i]);
+            result += (charCode !== undefined) ? String.fromCharCode(charCode) : text.charAt(i);
         }
-		result = newWords.join(' ');
 
-        return result;
-    }
-
-    var arabicParserFunction = function (args) {
-        var text = args.text;
-        var x = args.x;
-        var y = args.y;
-        var options = args.options || {};
-        var mutex = args.mutex || {};
-        var lang = options.lang;
-        var tmpText = [];
-		
-	if (Object.prototype.toString.call(text) === '[object Array]') {
-		var i = 0;
-		tmpText = [];
-		for (i = 0; i < text.length; i += 1) {
-			if (Object.prototype.toString.call(text[i]) === '[object Array]') {
-				tmpText.push([processArabic(text[i][0]), text[i][1], text[i][2]]);
-			} else {
-				tmpText.push([processArabic(text[i])]);
-			}
-		}
-		args.text = tmpText;
-	} else {
-		args.text = processArabic(text);
-	}
+        return resolveLigatures(result);
     };
 
-    jsPDFAPI.events.push([ 
-        'preProcessText'
-        ,arabicParserFunction
-    ]);
-    
 })(jsPDF.API);
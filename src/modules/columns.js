@@ -0,0 +1,210 @@
+/**
+ * @license
+ * Licensed under the MIT License.
+ * http://opensource.org/licenses/mit-license
+ */
+
+/**
+ * jsPDF columns PlugIn
+ *
+ * Flows text or rich text runs through the columns of one or more frames per page and continues on new pages.
+ *
+ * @name columns
+ * @module
+ */
+(function (jsPDFAPI) {
+  'use strict';
+
+  // Splits the frames of a page into their columns, from left to right and frame by frame
+  var getColumns = function (frames, options) {
+    var columns = [];
+    frames.forEach(function (frame) {
+      var count = frame.columns || options.columns || 1;
+      var gutter = (typeof frame.gutter === 'number') ? frame.gutter : (options.gutter || 0);
+      var width = (frame.width - (count - 1) * gutter) / count;
+      var i;
+
+      if (isNaN(frame.x) || isNaN(frame.y) || !(width > 0) || !(frame.height > 0)) {
+        throw new Error('Invalid frame passed to jsPDF.flowText');
+      }
+      for (i = 0; i < count; i++) {
+        columns.push({x: frame.x + i * (width + gutter), y: frame.y, width: width, height: frame.height});
+      }
+    });
+    return columns;
+  };
+
+  // Writes a line of runs, neighbouring pieces of the same run are written by the same text() call
+  var putRunLine = function (doc, line, x, baseline, width, align) {
+    var spaceCount = line.words.filter(function (word) {
+      return word.type === 'space';
+    }).length;
+    var extraSpace = 0;
+    var groups = [[]];
+
+    if (align === 'center') {
+      x += (width - line.width) / 2;
+    } else if (align === 'right') {
+      x += width - line.width;
+    } else if (align === 'justify' && !line.paragraphEnd && spaceCount > 0) {
+      extraSpace = (width - line.width) / spaceCount;
+    }
+    line.words.forEach(function (word) {
+      if (extraSpace > 0 && word.type === 'space') {
+        groups.push(word, []);
+      } else {
+        groups[groups.length - 1] = groups[groups.length - 1].concat(word.pieces);
+      }
+    });
+    groups.forEach(function (group) {
+      if (!Array.isArray(group)) {
+        x += group.width + extraSpace;
+        return;
+      }
+      var runs = [];
+      var sources = [];
+      group.forEach(function (piece) {
+        if (sources[sources.length - 1] === piece.run) {
+          runs[runs.length - 1].text += piece.text;
+        } else {
+          runs.push(Object.assign({}, piece.run, {text: piece.text}));
+          sources.push(piece.run);
+        }
+      });
+      if (runs.length > 0) {
+        doc.text(runs, x, baseline);
+      }
+      x += group.reduce(function (sum, piece) {
+        return sum + piece.width;
+      }, 0);
+    });
+  };
+
+  // Fills the column with lines of runs and returns the index of the first word which did not fit
+  var flowRuns = function (doc, words, index, column, options) {
+    var scaleFactor = doc.internal.scaleFactor;
+    var lineHeightFactor = options.lineHeightFactor || doc.internal.getLineHeightFactor();
+    var paragraphSpacing = options.paragraphSpacing || 0;
+    var top = 0;
+    var spacing = 0;
+    var line;
+
+    while (index < words.length) {
+      line = doc.__private__.getRichTextLine(words, index, column.width);
+      if (top > 0 && top + spacing + line.fontSize * lineHeightFactor / scaleFactor > column.height + 1e-6) {
+        break;
+      }
+      top += (top > 0) ? spacing : 0;
+      putRunLine(doc, line, column.x, column.y + top + line.fontSize / scaleFactor, column.width, options.align);
+      top += line.fontSize * lineHeightFactor / scaleFactor;
+      spacing = line.paragraphEnd ? paragraphSpacing : 0;
+      index = line.end;
+    }
+    return {index: index, height: top};
+  };
+
+  /**
+   * Flows text through columns, which are laid out in frames on the page. The text continues in the next column
+   * when a column is full, after the last column of a page a new page is added and the flow continues in its
+   * frames. Strings are laid out like {@link paragraph}, so that line breaks separate paragraphs which can be
+   * justified, indented and hyphenated. Arrays of rich text runs as accepted by {@link text} are wrapped at their
+   * spaces and line breaks.
+   *
+   * @name flowText
+   * @function
+   * @param {string|Array} text The text or an array of rich text runs, e.g. [{text: 'Some '}, {text: 'bold', style: 'bold'}].
+   * @param {Object} options
+   * @param {Array<Object>|Function} options.frames The rectangles {x, y, width, height} the text flows through, used on
+   * every page, or a function which returns the rectangles for a page number, e.g. to leave space for a masthead on
+   * the first page. A frame may define its own columns and gutter.
+   * @param {number} [options.columns=1] The number of columns of each frame.
+   * @param {number} [options.gutter=0] The space between two columns.
+   * @param {Function} [options.onPage] Called with the document and the page number after a page has been added,
+   * e.g. to draw headers and footers.
+   * @param {string} [options.align=left] The alignment of the lines, possible values: left, center, right, justify.
+   * @param {number} [options.lineHeightFactor] The line height as factor of the font size. Defaults to the line height factor of the document.
+   * @param {number} [options.paragraphSpacing=0] The space between two paragraphs.
+   * @param {number} [options.indent=0] The indentation of the first line of each paragraph (only for strings).
+   * @param {string} [options.hyphenate] The language code of the hyphenation patterns to use (only for strings).
+   * @param {number} [options.orphans=2] The minimum number of lines of a split paragraph at the end of a column (only for strings).
+   * @param {number} [options.widows=2] The minimum number of lines of a split paragraph at the start of a column (only for strings).
+   * @returns {Object} The page number and the column the text ends in and the y coordinate below its last line:
+   * {pageNumber, x, y, width}.
+   * @example
+   * var doc = new jsPDF();
+   * doc.flowText(article, {
+   *   frames: function (pageNumber) {
+   *     return pageNumber === 1 ? [{x: 20, y: 60, width: 170, height: 217}] : [{x: 20, y: 30, width: 170, height: 247}];
+   *   },
+   *   columns: 3,
+   *   gutter: 6,
+   *   align: 'justify',
+   *   onPage: function (doc, pageNumber) {
+   *     doc.text('Newsletter - page ' + pageNumber, 20, 20);
+   *   }
+   * });
+   */
+  jsPDFAPI.flowText = function (text, options) {
+    options = options || {};
+    var isRuns = Array.isArray(text);
+    var getFrames = (typeof options.frames === 'function') ? options.frames : function () {
+      return options.frames;
+    };
+    var align = options.align || 'left';
+    var words = isRuns ? this.__private__.getRichTextWords(text) : [];
+    var remaining = isRuns ? 0 : text;
+    var continued = false;
+    var pageNumber = this.internal.getCurrentPageInfo().pageNumber;
+    var lineHeight = this.internal.getFontSize() * (options.lineHeightFactor || this.internal.getLineHeightFactor()) / this.internal.scaleFactor;
+    var columns, column, result, frames, progress, i;
+
+    if ((typeof text !== 'string' && !isRuns) || (typeof options.frames !== 'function' && !Array.isArray(options.frames))) {
+      throw new Error('Invalid arguments passed to jsPDF.flowText');
+    }
+    if (['left', 'center', 'right', 'justify'].indexOf(align) === -1) {
+      throw new Error('Unrecognized alignment option, use "left", "center", "right" or "justify".');
+    }
+
+    for (;;) {
+      frames = getFrames(pageNumber);
+      columns = getColumns(Array.isArray(frames) ? frames : [], options);
+      progress = false;
+      for (i = 0; i < columns.length; i++) {
+        column = columns[i];
+        // an empty text ends where it starts
+        if (isRuns ? words.length === 0 : remaining.length === 0) {
+          return {pageNumber: pageNumber, x: column.x, y: column.y, width: column.width};
+        }
+        if (isRuns) {
+          result = flowRuns(this, words, remaining, column, options);
+          progress = progress || result.index > remaining;
+          remaining = result.index;
+          if (remaining >= words.length) {
+            return {pageNumber: pageNumber, x: column.x, y: column.y + result.height, width: column.width};
+          }
+        } else if (column.height + 1e-6 >= lineHeight) {
+          // paragraph() refuses columns which can not hold a line
+          result = this.paragraph(remaining, column.x, column.y, Object.assign({}, options, {
+            width: column.width,
+            height: column.height,
+            continued: continued
+          }));
+          progress = progress || result.lines > 0;
+          remaining = result.overflow;
+          continued = result.continued;
+          if (remaining.length === 0) {
+            return {pageNumber: pageNumber, x: column.x, y: column.y + result.height, width: column.width};
+          }
+        }
+      }
+      if (!progress) {
+        throw new Error('The frames passed to jsPDF.flowText are too small for the text.');
+      }
+      this.addPage();
+      pageNumber = this.internal.getCurrentPageInfo().pageNumber;
+      if (typeof options.onPage === 'function') {
+        options.onPage(this, pageNumber);
+      }
+    }
+  };
+})(jsPDF.API);
@@ -14,6 +14,8 @@
 */
 (function (jsPDFAPI, globalObj) {
     'use strict';
+    var Matrix = jsPDFAPI.Matrix;
+
     var ContextLayer = function(ctx) {
         ctx = ctx || {};
         this.isStrokeTransparent =             ctx.isStrokeTransparent         || false;
@@ -33,6 +35,7 @@
         this.globalCompositeOperation =        ctx.globalCompositeOperation    || 'normal';
         this.globalAlpha =                     ctx.globalAlpha                 || 1.0;
         this.clip_path =                       ctx.clip_path                   || [];
+        this.clip_fill_rule =                  ctx.clip_fill_rule              || 'nonzero';
         this.currentPoint =                    ctx.currentPoint                || new Point();
         this.miterLimit =                      ctx.miterLimit                  || 10.0;
         this.lastPoint =                       ctx.lastPoint                   || new Point();
@@ -41,19 +44,9 @@
         return this;
     };
 
-    //stub
-    var f2, f3, getHorizontalCoordinateString, getVerticalCoordinateString, getHorizontalCoordinate, getVerticalCoordinate;
-
     jsPDFAPI.events.push([
         'initialized', function () {
             this.context2d = new Context2D(this);
-
-            f2 = this.internal.f2;
-            f3 = this.internal.f3;
-            getHorizontalCoordinateString = this.internal.getCoordinateString;
-            getVerticalCoordinateString = this.internal.getVerticalCoordinateString;
-            getHorizontalCoordinate = this.internal.getHorizontalCoordinate;
-            getVerticalCoordinate = this.internal.getVerticalCoordinate;
         }
     ]);
 
@@ -245,7 +238,11 @@
                 var rgba; 
                 rgba = getRGBA(value);
 
-                this.ctx.fillStyle = rgba.style;
+                if (getGradientStops(value) !== null || (value && value.isCanvasPattern === true)) {
+                    rgba.a = 1;
+                }
+
+                this.ctx.fillStyle = (value && (value.isCanvasGradient === true || value.isCanvasPattern === true)) ? value : rgba.style;
                 this.ctx.isFillTransparent = (rgba.a === 0);
                 this.ctx.fillOpacity = rgba.a;
 
@@ -270,7 +267,11 @@
             set: function (value) {
                 var rgba = getRGBA(value);
 
-                this.ctx.strokeStyle = rgba.style;
+                if (getGradientStops(value) !== null || (value && value.isCanvasPattern === true)) {
+                    rgba.a = 1;
+                }
+
+                this.ctx.strokeStyle = (value && (value.isCanvasGradient === true || value.isCanvasPattern === true)) ? value : rgba.style;
                 this.ctx.isStrokeTransparent = (rgba.a === 0);
                 this.ctx.strokeOpacity = rgba.a;
 
@@ -475,6 +476,13 @@
             }
         });
 
+        /**
+        * Sets or returns the current alpha or transparency value of the drawing
+        *
+        * @name globalAlpha
+        * @default 1.0
+        * @property {number} globalAlpha A value between 0.0 (fully transparent) and 1.0 (no transparency)
+        */
         Object.defineProperty(this, 'globalAlpha', {
             get: function () {
                 return this.ctx.globalAlpha;
@@ -495,8 +503,8 @@
         });
     };
 
-    Context2D.prototype.fill = function () {
-        pathPreProcess.call(this, 'fill', false);
+    Context2D.prototype.fill = function (fillRule) {
+        pathPreProcess.call(this, 'fill', false, fillRule);
     };
 
     /**
@@ -609,11 +617,13 @@
     * 
     * @name clip
     * @function
+    * @param fillRule {String} The fill rule 'nonzero' (default) or 'evenodd'
     * @description The clip() method clips a region of any shape and size from the original canvas.
     */
-    Context2D.prototype.clip = function () {
+    Context2D.prototype.clip = function (fillRule) {
         this.ctx.clip_path = JSON.parse(JSON.stringify(this.path));
-        pathPreProcess.call(this, null, true);
+        this.ctx.clip_fill_rule = fillRule || 'nonzero';
+        pathPreProcess.call(this, null, true, fillRule);
     };
 
     /**
@@ -700,7 +710,7 @@
         }
         counterclockwise = Boolean(counterclockwise);
 
-        if (!(this.ctx.transform.isIdentity)) {
+        if (!(this.ctx.transform.isIdentity())) {
             var xpt = this.ctx.transform.applyToPoint(new Point(x, y));
             x = xpt.x;
             y = xpt.y;
@@ -934,7 +944,7 @@
 
         var r, g, b, a;
 
-        if (style.isCanvasGradient === true) {
+        if (style.isCanvasGradient === true || style.isCanvasPattern === true) {
           style = style.getColor();
         }
 
@@ -1038,10 +1048,10 @@
         }
 
         y = getBaseline.call(this, y);
-        var degs = rad2deg(this.ctx.transform.rotation);
+        var degs = rad2deg(Math.atan2(this.ctx.transform.shx, this.ctx.transform.sx));
 
         // We only use X axis as scale hint 
-        var scale = this.ctx.transform.scaleX;
+        var scale = this.ctx.transform.decompose().scale.sx;
 
         putText.call(this, {text: text, x: x, y: y, scale: scale, angle: degs, align : this.textAlign, maxWidth: maxWidth});
     };
@@ -1069,20 +1079,23 @@
         maxWidth = isNaN(maxWidth) ? undefined : maxWidth;
         y = getBaseline.call(this, y);
 
-        var degs = rad2deg(this.ctx.transform.rotation);
-        var scale = this.ctx.transform.scaleX;
+        var degs = rad2deg(Math.atan2(this.ctx.transform.shx, this.ctx.transform.sx));
+        var scale = this.ctx.transform.decompose().scale.sx;
 
         putText.call(this, {text: text, x: x, y: y , scale: scale, renderingMode: 'stroke', angle: degs, align : this.textAlign, maxWidth: maxWidth});
     };
 
     /**
-    * Returns an object that contains the width of the specified text
+    * Returns an object that contains the width and the vertical metrics of the specified text
     *
     * @name measureText
     * @function 
     * @param text {String} The text to be measured
-    * @description The measureText() method returns an object that contains the width of the specified text, in pixels.
-    * @returns {Number}
+    * @description The measureText() method returns a TextMetrics object with the width of the specified text, the
+    * bounding box of its glyphs (actualBoundingBoxLeft, actualBoundingBoxRight, actualBoundingBoxAscent and
+    * actualBoundingBoxDescent) and the ascent and descent of the font (fontBoundingBoxAscent and
+    * fontBoundingBoxDescent), in pixels. The distances are measured from the alphabetic baseline and the start of the text.
+    * @returns {Object}
     */
     Context2D.prototype.measureText = function (text) {
         if (typeof text !== 'string') {
@@ -1091,22 +1104,32 @@
         }
         var pdf = this.pdf;
         var k = this.pdf.internal.scaleFactor;
-
-        var fontSize = pdf.internal.getFontSize();
-        var txtWidth = pdf.getStringUnitWidth(text) * fontSize / pdf.internal.scaleFactor;
-        txtWidth *= Math.round(k * 96 / 72 * 10000) / 10000;
+        var pixelRatio = Math.round(k * 96 / 72 * 10000) / 10000;
+        var metrics = pdf.getTextMetrics(text);
+        var box = metrics.boundingBox;
 
         var TextMetrics = function (options) {
             options = options || {};
-            var _width = options.width || 0;
-            Object.defineProperty(this, 'width', {
-                get : function() {
-                    return _width;
-                }
+            var _this = this;
+            Object.keys(options).forEach(function (key) {
+                var _value = options[key] || 0;
+                Object.defineProperty(_this, key, {
+                    get : function() {
+                        return _value;
+                    }
+                });
             });
             return this;
         }
-        return new TextMetrics({width: txtWidth});
+        return new TextMetrics({
+            width: metrics.width * pixelRatio,
+            actualBoundingBoxLeft: -box.x * pixelRatio,
+            actualBoundingBoxRight: (box.x + box.w) * pixelRatio,
+            actualBoundingBoxAscent: -box.y * pixelRatio,
+            actualBoundingBoxDescent: (box.y + box.h) * pixelRatio,
+            fontBoundingBoxAscent: metrics.ascent * pixelRatio,
+            fontBoundingBoxDescent: metrics.descent * pixelRatio
+        });
     };
 
     //Transformations
@@ -1306,7 +1329,7 @@
         matrix = matrix.multiply(decomposedTransformationMatrix.skew);
         matrix = matrix.multiply(decomposedTransformationMatrix.scale);
         var mP = matrix.applyToPoint(new Point(width, height));
-        var xRect = matrix.applyToRectangle(new Rectangle(x - (sx *clipFactorX), y - (sy*clipFactorY), swidth * factorX, sheight * factorY));
+        var xRect = applyToRectangle(matrix, new Rectangle(x - (sx *clipFactorX), y - (sy*clipFactorY), swidth * factorX, sheight * factorY));
         var pageArray = getPagesByPath.call(this, xRect);
         var pages = [];
         for (var ii = 0; ii < pageArray.length; ii += 1) {
@@ -1328,15 +1351,23 @@
                 var tmpPaths = this.path;
                 clipPath = JSON.parse(JSON.stringify(this.ctx.clip_path));
                 this.path = pathPositionRedo(clipPath, this.posX, -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY);
-                drawPaths.call(this, 'fill', true);
+                drawPaths.call(this, 'fill', true, undefined, this.ctx.clip_fill_rule);
                 this.path = tmpPaths;
             }
             var tmpRect = JSON.parse(JSON.stringify(xRect));
             tmpRect = pathPositionRedo([tmpRect], this.posX, -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY)[0];
+            var isTransparent = putAlpha.call(this, 'fill');
             this.pdf.addImage(img, 'jpg', tmpRect.x, tmpRect.y, tmpRect.w, tmpRect.h, null, null, angle);
+            if (isTransparent) {
+              this.pdf.restoreGraphicsState();
+            }
           }
         } else {
+            var isTransparent = putAlpha.call(this, 'fill');
             this.pdf.addImage(img, 'jpg', xRect.x, xRect.y, xRect.w, xRect.h, null, null, angle);
+            if (isTransparent) {
+                this.pdf.restoreGraphicsState();
+            }
         }
     };
 
@@ -1415,7 +1446,7 @@
         return paths;
     };
 
-    var pathPreProcess = function (rule, isClip) {
+    var pathPreProcess = function (rule, isClip, fillRule) {
       var fillStyle = this.fillStyle;
       var strokeStyle = this.strokeStyle;
       var font = this.font;
@@ -1464,17 +1495,17 @@
                 var tmpPaths = this.path;
                 clipPath = JSON.parse(JSON.stringify(this.ctx.clip_path));
                 this.path = pathPositionRedo(clipPath, this.posX, -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY);
-                drawPaths.call(this, rule, true);
+                drawPaths.call(this, rule, true, undefined, this.ctx.clip_fill_rule);
                 this.path = tmpPaths;
             }
             tmpPath = JSON.parse(JSON.stringify(origPath));
             this.path = pathPositionRedo(tmpPath, this.posX, -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY);
             if (isClip === false || i === 0) {
-                drawPaths.call(this, rule, isClip);
+                drawPaths.call(this, rule, isClip, {x: this.posX, y: -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY}, fillRule);
             }
           }
       } else {
-          drawPaths.call(this, rule, isClip);
+          drawPaths.call(this, rule, isClip, undefined, fillRule);
       }
       this.path = origPath;
     };
@@ -1485,10 +1516,12 @@
     * @function 
     * @param rule {String}
     * @param isClip {Boolean}
+    * @param offset {Object} offset of the paths on the current page, used to position gradients
+    * @param fillRule {String} 'nonzero' or 'evenodd'
     * @private
     * @ignore
     */
-    var drawPaths = function (rule, isClip) {
+    var drawPaths = function (rule, isClip, offset, fillRule) {
         if ((rule === 'stroke') && !isClip && isStrokeTransparent.call(this)) {
           return;
         }
@@ -1498,11 +1531,8 @@
         }
 
         var moves = [];
-        var alpha = this.ctx.globalAlpha;
-
-        if (this.ctx.fillOpacity < 1) {
-          alpha = this.ctx.fillOpacity;
-        }
+        var isTransparent = !isClip && putAlpha.call(this, rule);
+        var isPattern = !isClip && putPattern.call(this, rule, offset || {x: 0, y: 0});
 
         var xPath = this.path;
           for (var i = 0; i < xPath.length; i++) {
@@ -1599,7 +1629,7 @@
                   var x = arc.x;
                   var y = arc.y;
 
-                  drawArc.call(this, x, y, arc.radius, start, end, arc.counterclockwise, style, isClip);
+                  drawArc.call(this, x, y, arc.radius, start, end, arc.counterclockwise, style, isClip, fillRule);
                 } else {
                   drawLine.call(this, arc.x, arc.y);
                 }
@@ -1615,11 +1645,140 @@
         }
 
         if (style) {
-            putStyle.call(this, style);
+            putStyle.call(this, style, fillRule);
         } 
         if (isClip) {
-            doClip.call(this);
+            doClip.call(this, fillRule);
+        }
+        if (isPattern) {
+            this.pdf.restoreGraphicsState();
+        }
+        if (isTransparent) {
+            this.pdf.restoreGraphicsState();
+        }
+    };
+
+    /**
+    * Sets a gradient fill or stroke style as ShadingPattern or an image pattern as TilingPattern.
+    *
+    * @function
+    * @param rule {String}
+    * @param offset {Object}
+    * @returns {Boolean} true if a graphics state was saved, which has to be restored after painting
+    * @private
+    * @ignore
+    */
+    var putPattern = function (rule, offset) {
+        var style = (rule === 'stroke') ? this.ctx.strokeStyle : this.ctx.fillStyle;
+        var transform = this.ctx.transform;
+        var matrix = [transform.sx, transform.shy, transform.shx, transform.sy, transform.tx + offset.x, transform.ty + offset.y];
+        var pattern;
+
+        if (style && style.isCanvasPattern === true) {
+            pattern = getTilingPattern.call(this, style, matrix);
+        } else {
+            var colors = getGradientStops(style);
+            if (colors === null) {
+                return false;
+            }
+            pattern = new this.pdf.ShadingPattern(style.type, style.coords, colors, [true, true], matrix);
+        }
+
+        this.pdf.saveGraphicsState();
+        if (rule === 'stroke') {
+            this.pdf.setDrawPattern(pattern);
+        } else {
+            this.pdf.setFillPattern(pattern);
+        }
+        return true;
+    };
+
+    /**
+    * Creates a TilingPattern, which repeats the image of a CanvasPattern. Directions
+    * without repetition get a step larger than the page, so that only one row or
+    * column of the image is visible.
+    *
+    * @function
+    * @param style {CanvasPattern}
+    * @param matrix {Array}
+    * @returns {TilingPattern}
+    * @private
+    * @ignore
+    */
+    var getTilingPattern = function (style, matrix) {
+        var imageProperties = this.pdf.getImageProperties(style.image);
+        var width = imageProperties.width;
+        var height = imageProperties.height;
+        var pageSize = Math.max(this.pdf.internal.pageSize.getWidth(), this.pdf.internal.pageSize.getHeight());
+        var xStep = (style.repetition === 'repeat' || style.repetition === 'repeat-x') ? width : width + 2 * pageSize;
+        var yStep = (style.repetition === 'repeat' || style.repetition === 'repeat-y') ? height : height + 2 * pageSize;
+
+        return new this.pdf.TilingPattern([0, 0, width, height], xStep, yStep, function (pdf) {
+            pdf.addImage(style.image, imageProperties.fileType, 0, 0, width, height);
+        }, matrix);
+    };
+
+    /**
+    * Returns the color stops of a gradient in the format of ShadingPattern or
+    * null, if the style can not be painted as ShadingPattern. This is the case
+    * for plain colors, gradients without color stops and gradients with
+    * transparent color stops, which are painted with the color of their first stop.
+    *
+    * @function
+    * @param style {String|CanvasGradient}
+    * @returns {Array|null}
+    * @private
+    * @ignore
+    */
+    var getGradientStops = function (style) {
+        if (!style || style.isCanvasGradient !== true || !style.type || style.colorStops.length === 0) {
+            return null;
         }
+
+        var colors = [];
+        for (var i = 0; i < style.colorStops.length; i++) {
+            var rgba = getRGBA(style.colorStops[i][1]);
+            if (rgba.a < 1) {
+                return null;
+            }
+            colors.push({offset: style.colorStops[i][0], color: [rgba.r, rgba.g, rgba.b]});
+        }
+        return colors;
+    };
+
+    /**
+    * Sets the opacity of the fill or stroke style combined with globalAlpha
+    * and the blend mode of globalCompositeOperation as GState.
+    *
+    * @function
+    * @param rule {String}
+    * @returns {Boolean} true if a graphics state was saved, which has to be restored after painting
+    * @private
+    * @ignore
+    */
+    var putAlpha = function (rule) {
+        var alpha = ((rule === 'stroke') ? this.ctx.strokeOpacity : this.ctx.fillOpacity) * this.ctx.globalAlpha;
+        var blendMode;
+        try {
+            blendMode = this.pdf.GState.getBlendMode(this.ctx.globalCompositeOperation);
+        } catch (e) {
+            blendMode = 'Normal';
+        }
+
+        if (alpha >= 1 && blendMode === 'Normal') {
+            return false;
+        }
+
+        var parameters = {};
+        if (alpha < 1) {
+            parameters[(rule === 'stroke') ? 'strokeOpacity' : 'opacity'] = alpha;
+        }
+        if (blendMode !== 'Normal') {
+            parameters.blendMode = blendMode;
+        }
+        this.pdf.saveGraphicsState();
+        this.pdf.setGState(new this.pdf.GState(parameters));
+        return true;
     };
 
     var getBaseline = function (y) {
@@ -1643,30 +1802,95 @@
         }
     };
 
-    Context2D.prototype.createLinearGradient = function createLinearGradient() {
-        var canvasGradient = function canvasGradient() {};
+    var CanvasGradient = function (type, coords) {
+        this.type = type;
+        this.coords = coords;
+        this.colorStops = [];
+        this.isCanvasGradient = true;
+    };
 
-        canvasGradient.colorStops = [];
-        canvasGradient.addColorStop = function (offset, color) {
-            this.colorStops.push([offset, color]);
-        };
+    /**
+    * Adds a color stop to the gradient
+    *
+    * @param offset {Number} A value between 0 and 1 that represents the position between start and end in a gradient
+    * @param color {String} A CSS color value to display at the offset
+    */
+    CanvasGradient.prototype.addColorStop = function (offset, color) {
+        offset = parseFloat(offset);
+        if (isNaN(offset) || offset < 0 || offset > 1) {
+            throw new Error('Invalid offset passed to CanvasGradient.addColorStop');
+        }
+        this.colorStops.push([offset, color]);
+    };
 
-        canvasGradient.getColor = function () {
-            if (this.colorStops.length === 0) {
-                return '#000000';
-            }
+    CanvasGradient.prototype.getColor = function () {
+        if (this.colorStops.length === 0) {
+            return '#000000';
+        }
 
-            return this.colorStops[0][1];
-        };
+        return this.colorStops[0][1];
+    };
 
-        canvasGradient.isCanvasGradient = true;
-        return canvasGradient;
+    /**
+    * Creates a linear gradient, which can be used as fillStyle or strokeStyle.
+    * Gradients with transparent color stops are painted with the color of their first stop.
+    *
+    * @name createLinearGradient
+    * @function
+    * @param x0 {Number} The x-coordinate of the start point of the gradient
+    * @param y0 {Number} The y-coordinate of the start point of the gradient
+    * @param x1 {Number} The x-coordinate of the end point of the gradient
+    * @param y1 {Number} The y-coordinate of the end point of the gradient
+    * @returns {CanvasGradient}
+    */
+    Context2D.prototype.createLinearGradient = function createLinearGradient(x0, y0, x1, y1) {
+        return new CanvasGradient('axial', [x0 || 0, y0 || 0, x1 || 0, y1 || 0]);
     };
-      Context2D.prototype.createPattern = function createPattern() {
-        return this.createLinearGradient();
+
+    var CanvasPattern = function (image, repetition) {
+        this.image = image;
+        this.repetition = repetition;
+        this.isCanvasPattern = true;
+    };
+
+    CanvasPattern.prototype.getColor = function () {
+        return '#000000';
     };
-      Context2D.prototype.createRadialGradient = function createRadialGradient() {
-        return this.createLinearGradient();
+
+    /**
+    * Creates a pattern from an image, which can be used as fillStyle or strokeStyle.
+    * The pattern is embedded as PDF tiling pattern, so it repeats without being rasterized to the fill area.
+    *
+    * @name createPattern
+    * @function
+    * @param image {Image|String} The image to repeat. Any image data supported by addImage
+    * @param repetition {String} One of 'repeat', 'repeat-x', 'repeat-y' or 'no-repeat'. Default is 'repeat'
+    * @returns {CanvasPattern}
+    */
+    Context2D.prototype.createPattern = function createPattern(image, repetition) {
+        repetition = repetition || 'repeat';
+        if (['repeat', 'repeat-x', 'repeat-y', 'no-repeat'].indexOf(repetition) === -1) {
+            throw new Error('Invalid repetition "' + repetition + '" passed to createPattern');
+        }
+        return new CanvasPattern(image, repetition);
+    };
+
+    /**
+    * Creates a radial gradient, which can be used as fillStyle or strokeStyle.
+    * Gradients with transparent color stops are painted with the color of their first stop.
+    *
+    * @name createRadialGradient
+    * @function
+    * @param x0 {Number} The x-coordinate of the start circle of the gradient
+    * @param y0 {Number} The y-coordinate of the start circle of the gradient
+    * @param r0 {Number} The radius of the start circle of the gradient
+    * @param x1 {Number} The x-coordinate of the end circle of the gradient
+    * @param y1 {Number} The y-coordinate of the end circle of the gradient
+    * @param r1 {Number} The radius of the end circle of the gradient
+    * @returns {CanvasGradient}
+    */
+    Context2D.prototype.createRadialGradient = function createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new CanvasGradient('radial', [x0 || 0, y0 || 0, r0 || 0, x1 || 0, y1 || 0, r1 || 0]);
     };
 
     /**
@@ -1680,7 +1904,7 @@
     * @param style
     * @param isClip
     */
-    var drawArc = function (x, y, r, a1, a2, counterclockwise, style, isClip) {
+    var drawArc = function (x, y, r, a1, a2, counterclockwise, style, isClip, fillRule) {
         // http://hansmuller-flex.blogspot.com/2011/10/more-about-approximating-circular-arcs.html
         var includeMove = true;
 
@@ -1699,29 +1923,29 @@
             drawCurve.call(this, x, y, curve.x2, curve.y2, curve.x3, curve.y3, curve.x4, curve.y4);
         }
         if (!isClip) {
-            putStyle.call(this, style);
+            putStyle.call(this, style, fillRule);
         } else {
-            doClip.call(this);
+            doClip.call(this, fillRule);
         }
     };
 
-    var putStyle = function (style) {
+    var putStyle = function (style, fillRule) {
         switch (style) {
             case 'stroke':
-                this.pdf.internal.out('S');
+                this.pdf.stroke();
                 break;
             case 'fill':
-                this.pdf.internal.out('f');
+                this.pdf.fill(fillRule);
                 break;
         }
     };
 
-    var doClip = function () {
-        this.pdf.clip();
+    var doClip = function (fillRule) {
+        this.pdf.clip(fillRule);
     };
 
     var doMove = function (x, y) {
-        this.pdf.internal.out(getHorizontalCoordinateString(x) + ' ' + getVerticalCoordinateString(y) + ' m');
+        this.pdf.moveTo(x, y);
     };
 
     var putText = function (options) {
@@ -1750,8 +1974,8 @@
         matrix = matrix.multiply(decomposedTransformationMatrix.scale);
 
         var textDimensions = this.pdf.getTextDimensions(options.text);
-        var textRect = this.ctx.transform.applyToRectangle(new Rectangle(options.x, options.y, textDimensions.w, textDimensions.h));
-        var textXRect = matrix.applyToRectangle(new Rectangle(options.x, options.y - textDimensions.h, textDimensions.w, textDimensions.h));
+        var textRect = applyToRectangle(this.ctx.transform, new Rectangle(options.x, options.y, textDimensions.w, textDimensions.h));
+        var textXRect = applyToRectangle(matrix, new Rectangle(options.x, options.y - textDimensions.h, textDimensions.w, textDimensions.h));
         var pageArray = getPagesByPath.call(this, textXRect);
         var pages = [];
         for (var ii = 0; ii < pageArray.length; ii += 1) {
@@ -1773,7 +1997,7 @@
                 var tmpPaths = this.path;
                 clipPath = JSON.parse(JSON.stringify(this.ctx.clip_path));
                 this.path = pathPositionRedo(clipPath, this.posX, -1 * this.pdf.internal.pageSize.height * (i - 1) + this.posY);
-                drawPaths.call(this, 'fill', true);
+                drawPaths.call(this, 'fill', true, undefined, this.ctx.clip_fill_rule);
                 this.path = tmpPaths;
             }
             var tmpRect = JSON.parse(JSON.stringify(textRect));
@@ -1783,7 +2007,11 @@
               var oldSize = this.pdf.internal.getFontSize();
               this.pdf.setFontSize(oldSize * options.scale);
             }
+            var isTransparent = putAlpha.call(this, options.renderingMode === 'stroke' ? 'stroke' : 'fill');
             this.pdf.text(options.text, tmpRect.x, tmpRect.y, {angle: options.angle, align : textAlign, renderingMode: options.renderingMode, maxWidth: options.maxWidth});
+            if (isTransparent) {
+              this.pdf.restoreGraphicsState();
+            }
 
             if (options.scale >= 0.01) {
               this.pdf.setFontSize(oldSize);
@@ -1794,7 +2022,11 @@
                 var oldSize = this.pdf.internal.getFontSize();
                 this.pdf.setFontSize(oldSize * options.scale);
             }
+            var isTransparent = putAlpha.call(this, options.renderingMode === 'stroke' ? 'stroke' : 'fill');
             this.pdf.text(options.text, pt.x + this.posX, pt.y + this.posY, {angle: options.angle, align : textAlign, renderingMode: options.renderingMode, maxWidth: options.maxWidth});
+            if (isTransparent) {
+                this.pdf.restoreGraphicsState();
+            }
 
             if (options.scale >= 0.01) {
                 this.pdf.setFontSize(oldSize);
@@ -1806,7 +2038,7 @@
         prevX = prevX || 0;
         prevY = prevY || 0;
 
-        this.pdf.internal.out(getHorizontalCoordinateString(x + prevX) + ' ' + getVerticalCoordinateString(y + prevY) + ' l');
+        this.pdf.lineTo(x + prevX, y + prevY);
     };
 
     var drawLines = function (lines, x, y) {
@@ -1814,9 +2046,7 @@
     };
 
     var drawCurve = function(x, y, x1, y1, x2, y2, x3, y3) {
-        this.pdf.internal.out([
-            f2(getHorizontalCoordinate(x1 + x)), f2(getVerticalCoordinate(y1 + y)), f2(getHorizontalCoordinate(x2 + x)), f2(getVerticalCoordinate(y2 + y)), f2(getHorizontalCoordinate(x3 + x)), f2(getVerticalCoordinate(y3 + y)), 'c'
-        ].join(' '));
+        this.pdf.curveTo(x1 + x, y1 + y, x2 + x, y2 + y, x3 + x, y3 + y);
     };
 
     /**
@@ -2038,213 +2268,19 @@
         return this;
     };
 
-    var Matrix = function (sx, shy, shx, sy, tx, ty) {
-
-        var _matrix = [];
-        Object.defineProperty(this, 'sx', {
-            get : function() {
-                return _matrix[0];
-            },
-            set : function(value) {
-                _matrix[0] = Math.round(value * 100000) / 100000;
-            }
-        });
-
-        Object.defineProperty(this, 'shy', {
-            get : function() {
-                return _matrix[1];
-            },
-            set : function(value) {
-                _matrix[1] = Math.round(value * 100000) / 100000;
-            }
-        });
-
-        Object.defineProperty(this, 'shx', {
-            get : function() {
-                return _matrix[2];
-            },
-            set : function(value) {
-                _matrix[2] = Math.round(value * 100000) / 100000;
-            }
-        });
-
-        Object.defineProperty(this, 'sy', {
-            get : function() {
-                return _matrix[3];
-            },
-            set : function(value) {
-                _matrix[3] = Math.round(value * 100000) / 100000;
-            }
-        });
-        
-        Object.defineProperty(this, 'tx', {
-            get : function() {
-                return _matrix[4];
-            },
-            set : function(value) {
-                _matrix[4] = Math.round(value * 100000) / 100000;
-            }
-        });
-        
-        Object.defineProperty(this, 'ty', {
-            get : function() {
-                return _matrix[5];
-            },
-            set : function(value) {
-                _matrix[5] = Math.round(value * 100000) / 100000;
-            }
-        });
-
-        Object.defineProperty(this, 'rotation', {
-            get : function() {
-                return Math.atan2(this.shx, this.sx);
-            }
-        });
-
-        Object.defineProperty(this, 'scaleX', {
-            get : function() {
-                return this.decompose().scale.sx;
-            }
-        });
-
-        Object.defineProperty(this, 'scaleY', {
-            get : function() {
-                return this.decompose().scale.sy;
-            }
-        });
-
-        Object.defineProperty(this, 'isIdentity', {
-            get : function() {
-                if (this.sx !== 1) {
-                    return false;
-                }
-                if (this.shy !== 0) {
-                    return false;
-                }
-                if (this.shx !== 0) {
-                    return false;
-                }
-                if (this.sy !== 1) {
-                    return false;
-                }
-                if (this.tx !== 0) {
-                    return false;
-                }
-                if (this.ty !== 0) {
-                    return false;
-                }
-                return true;
-            }
-        });
-
-        this.sx = !isNaN(sx) ? sx : 1;
-        this.shy = !isNaN(shy) ? shy : 0;
-        this.shx = !isNaN(shx) ? shx : 0;
-        this.sy = !isNaN(sy) ? sy : 1;
-        this.tx = !isNaN(tx) ? tx : 0;
-        this.ty = !isNaN(ty) ? ty : 0;
-
-        return this;
-    }
-
-    /**
-    * Multiply the matrix with given Matrix
-    * 
-    * @function multiply
-    * @param matrix
-    * @returns {Matrix}
-    * @private
-    * @ignore
-    */
-    Matrix.prototype.multiply = function (matrix) {
-        var sx = matrix.sx * this.sx + matrix.shy * this.shx;
-        var shy = matrix.sx * this.shy + matrix.shy * this.sy;
-        var shx = matrix.shx * this.sx + matrix.sy * this.shx;
-        var sy = matrix.shx * this.shy + matrix.sy * this.sy;
-        var tx = matrix.tx * this.sx + matrix.ty * this.shx + this.tx;
-        var ty = matrix.tx * this.shy + matrix.ty * this.sy + this.ty;
-
-        return new Matrix(sx, shy, shx, sy, tx, ty);
-    };
-
-
-    /**
-    * @function decompose
-    * @private
-    * @ignore
-    */
-    Matrix.prototype.decompose = function () {
-
-        var a = this.sx;
-        var b = this.shy;
-        var c = this.shx;
-        var d = this.sy;
-        var e = this.tx;
-        var f = this.ty;
-
-        var scaleX = Math.sqrt(a * a + b * b);
-        a /= scaleX;
-        b /= scaleX;
-
-        var shear = a * c + b * d;
-        c -= a * shear;
-        d -= b * shear;
-
-        var scaleY = Math.sqrt(c * c + d * d);
-        c /= scaleY;
-        d /= scaleY;
-        shear /= scaleY;
-
-        if (a * d < b * c) {
-            a = -a;
-            b = -b;
-            shear = -shear;
-            scaleX = -scaleX;
-        }
-
-        return {
-            scale: new Matrix(scaleX, 0, 0, scaleY, 0, 0),
-            translate: new Matrix(1, 0, 0, 1, e, f),
-            rotate: new Matrix(a, b, -b, a, 0, 0),
-            skew: new Matrix(1, 0, shear, 1, 0, 0)
-        };
-    };
-
-    /**
-    * @function applyToPoint
-    * @private
-    * @ignore
-    */
-    Matrix.prototype.applyToPoint = function (pt) {
-        var x = pt.x * this.sx + pt.y * this.shx + this.tx;
-        var y = pt.x * this.shy + pt.y * this.sy + this.ty;
-        return new Point(x, y);
-    };
-
     /**
+    * Applies a matrix to a rectangle
+    *
     * @function applyToRectangle
+    * @param matrix {Matrix}
+    * @param rect {Rectangle}
+    * @returns {Rectangle}
     * @private
     * @ignore
     */
-    Matrix.prototype.applyToRectangle = function (rect) {
-        var pt1 = this.applyToPoint(rect);
-        var pt2 = this.applyToPoint(new Point(rect.x + rect.w, rect.y + rect.h));
+    var applyToRectangle = function (matrix, rect) {
+        var pt1 = matrix.applyToPoint(rect);
+        var pt2 = matrix.applyToPoint(new Point(rect.x + rect.w, rect.y + rect.h));
         return new Rectangle(pt1.x, pt1.y, pt2.x - pt1.x, pt2.y - pt1.y);
     };
-
-    /**
-    * @function clone
-    * @private
-    * @ignore
-    */
-    Matrix.prototype.clone = function () {
-        var sx = this.sx;
-        var shy = this.shy;
-        var shx = this.shx;
-        var sy = this.sy;
-        var tx = this.tx;
-        var ty = this.ty;
-
-        return new Matrix(sx, shy, shx, sy, tx, ty);
-    };
 })(jsPDF.API, (typeof self !== 'undefined' && self || typeof window !== 'undefined' && window || typeof global !== 'undefined' && global ||  Function('return typeof this === "object" && this.content')() || Function('return this')()));
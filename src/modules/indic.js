@@ -0,0 +1,273 @@
+/**
+ * @license
+ * Licensed under the MIT License.
+ * http://opensource.org/licenses/mit-license
+ */
+
+/**
+* jsPDF indic parser PlugIn
+*
+* Splits Devanagari, Tamil and Thai text into syllables and puts the characters
+* of each syllable into the order of their glyphs. The shaping with the features
+* of the font is done by TTFFont.
+*
+* @name indic
+* @module
+*/
+(function (jsPDFAPI) {
+    "use strict";
+
+    var ZWNJ = 0x200C;
+    var ZWJ = 0x200D;
+
+    /**
+     * Character classes of the supported Indic scripts. Consonants, matras and signs
+     * are lists of [first char code, last char code].
+     */
+    var indicScripts = [
+        {
+            name: 'devanagari',
+            range: [0x0900, 0x097F],
+            consonants: [[0x0915, 0x0939], [0x0958, 0x095F], [0x0978, 0x097F]],
+            matras: [[0x093A, 0x093B], [0x093E, 0x094C], [0x094E, 0x094F], [0x0955, 0x0957], [0x0962, 0x0963]],
+            signs: [[0x0900, 0x0903]],
+            virama: 0x094D,
+            nukta: 0x093C,
+            ra: 0x0930,
+            preBaseMatras: [0x093F, 0x094E],
+            postBaseMatras: [0x093E, 0x0940, 0x0949, 0x094A, 0x094B, 0x094C, 0x094F],
+            splitMatras: {}
+        },
+        {
+            name: 'tamil',
+            range: [0x0B80, 0x0BFF],
+            consonants: [[0x0B95, 0x0BB9]],
+            matras: [[0x0BBE, 0x0BC2], [0x0BC6, 0x0BC8], [0x0BCA, 0x0BCC], [0x0BD7, 0x0BD7]],
+            signs: [[0x0B82, 0x0B83]],
+            virama: 0x0BCD,
+            preBaseMatras: [0x0BC6, 0x0BC7, 0x0BC8],
+            postBaseMatras: [],
+            splitMatras: {
+                0x0BCA: [0x0BC6, 0x0BBE], // TAMIL VOWEL SIGN O
+                0x0BCB: [0x0BC7, 0x0BBE], // TAMIL VOWEL SIGN OO
+                0x0BCC: [0x0BC6, 0x0BD7]  // TAMIL VOWEL SIGN AU
+            }
+        }
+    ];
+
+    /**
+     * The features applied to a syllable, in this order. Features with segments
+     * only substitute the glyphs of these parts of the syllable.
+     */
+    var indicFeatures = [
+        {tag: 'ccmp'}, {tag: 'nukt'}, {tag: 'akhn'},
+        {tag: 'rphf', segments: ['reph']}, {tag: 'rkrf'},
+        {tag: 'blwf', segments: ['postBase']}, {tag: 'half', segments: ['preBase']},
+        {tag: 'pstf', segments: ['postBase']}, {tag: 'vatu'}, {tag: 'cjct'},
+        {tag: 'pres'}, {tag: 'abvs'}, {tag: 'blws'}, {tag: 'psts'}, {tag: 'haln'}
+    ];
+
+    var thaiFeatures = [{tag: 'ccmp'}];
+
+    var segmentOrder = ['preMatra', 'preBase', 'base', 'postBase', 'matra', 'reph', 'postMatra', 'sign'];
+
+    var THAI_SARA_AM = 0x0E33;
+    var THAI_SARA_AA = 0x0E32;
+    var THAI_NIKHAHIT = 0x0E4D;
+
+    jsPDFAPI.__indicParser__ = {};
+
+    var isInRanges = function (charCode, ranges) {
+        for (var i = 0; i < ranges.length; i += 1) {
+            if (charCode >= ranges[i][0] && charCode <= ranges[i][1]) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    var getIndicScript = function (charCode) {
+        for (var i = 0; i < indicScripts.length; i += 1) {
+            if (isInRanges(charCode, [indicScripts[i].range])) {
+                return indicScripts[i];
+            }
+        }
+        return undefined;
+    };
+
+    var isThaiConsonant = function (charCode) {
+        return charCode >= 0x0E01 && charCode <= 0x0E2E;
+    };
+
+    var isThaiBelowMark = function (charCode) {
+        return charCode >= 0x0E38 && charCode <= 0x0E3A;
+    };
+
+    var isThaiAboveMark = function (charCode) {
+        return charCode === 0x0E31 || (charCode >= 0x0E34 && charCode <= 0x0E37) || (charCode >= 0x0E47 && charCode <= 0x0E4E);
+    };
+
+    var getSegment = function (script, charCode) {
+        if (script.preBaseMatras.indexOf(charCode) !== -1) {
+            return 'preMatra';
+        }
+        if (script.postBaseMatras.indexOf(charCode) !== -1) {
+            return 'postMatra';
+        }
+        return isInRanges(charCode, script.matras) ? 'matra' : 'sign';
+    };
+
+    /**
+    * Parses the consonant syllable of an Indic script starting at index.
+    *
+    * @private
+    */
+    var getIndicSyllable = function (text, start, script) {
+        var consonants = [];
+        var segments = {};
+        var parts = [];
+        var rephEnd = start;
+        var base, charCode, segment, split, i, j;
+
+        for (i = start; isInRanges(text.charCodeAt(i), script.consonants);) {
+            consonants.push(i);
+            i += (text.charCodeAt(i + 1) === script.nukta) ? 2 : 1;
+            if (text.charCodeAt(i) !== script.virama) {
+                break;
+            }
+            j = i + 1;
+            if (text.charCodeAt(j) === ZWJ || text.charCodeAt(j) === ZWNJ) {
+                j += 1;
+            }
+            i = j;
+        }
+        var clusterEnd = i;
+        while (i < text.length && (isInRanges(text.charCodeAt(i), script.matras) || isInRanges(text.charCodeAt(i), script.signs))) {
+            i += 1;
+        }
+
+        //ra with virama at the start of a syllable becomes the reph
+        if (script.ra !== undefined && consonants.length > 1 && text.charCodeAt(start) === script.ra && text.charCodeAt(start + 1) === script.virama && text.charCodeAt(start + 2) !== ZWJ) {
+            rephEnd = start + 2;
+            consonants.shift();
+        }
+        base = consonants[consonants.length - 1];
+        //a ra after the base consonant takes its below-base form
+        if (script.ra !== undefined && consonants.length > 1 && text.charCodeAt(base) === script.ra && text.charCodeAt(base - 1) === script.virama) {
+            base = consonants[consonants.length - 2];
+        }
+
+        for (j = start; j < i; j += 1) {
+            charCode = text.charCodeAt(j);
+            if (j < rephEnd) {
+                segment = 'reph';
+            } else if (j < base) {
+                segment = 'preBase';
+            } else if (j === base || (j === base + 1 && charCode === script.nukta)) {
+                segment = 'base';
+            } else if (j < clusterEnd) {
+                segment = 'postBase';
+            } else {
+                segment = getSegment(script, charCode);
+            }
+            split = script.splitMatras[charCode];
+            if (split !== undefined) {
+                //the parts of a split matra are placed like matras of their own
+                (segments[getSegment(script, split[0])] = segments[getSegment(script, split[0])] || []).push({code: split[0], text: '', decomposed: true});
+                (segments[getSegment(script, split[1])] = segments[getSegment(script, split[1])] || []).push({code: split[1], text: text.charAt(j), decomposed: true});
+            } else {
+                (segments[segment] = segments[segment] || []).push({code: charCode, text: text.charAt(j)});
+            }
+        }
+        for (j = 0; j < segmentOrder.length; j += 1) {
+            for (var k = 0; segments[segmentOrder[j]] && k < segments[segmentOrder[j]].length; k += 1) {
+                segments[segmentOrder[j]][k].segment = segmentOrder[j];
+                parts.push(segments[segmentOrder[j]][k]);
+            }
+        }
+        return {
+            start: start,
+            end: i,
+            parts: parts,
+            reordered: parts.map(function (part) {
+                return part.text;
+            }).join('') !== text.substring(start, i) || parts.some(function (part) {
+                return part.decomposed;
+            }),
+            features: indicFeatures
+        };
+    };
+
+    /**
+    * Parses the Thai cluster starting at index. Only clusters in which SARA AM
+    * follows above-base marks are returned: SARA AM is decomposed and its
+    * NIKHAHIT is placed before these marks.
+    *
+    * @private
+    */
+    var getThaiSyllable = function (text, start) {
+        var i = start + 1;
+        var below = [];
+        var above = [];
+        var parts;
+
+        while (isThaiBelowMark(text.charCodeAt(i)) || isThaiAboveMark(text.charCodeAt(i))) {
+            (isThaiBelowMark(text.charCodeAt(i)) ? below : above).push({code: text.charCodeAt(i), text: text.charAt(i), segment: 'base'});
+            i += 1;
+        }
+        if (text.charCodeAt(i) !== THAI_SARA_AM || above.length === 0) {
+            return undefined;
+        }
+        parts = [{code: text.charCodeAt(start), text: text.charAt(start), segment: 'base'}].concat(below);
+        parts.push({code: THAI_NIKHAHIT, text: '', segment: 'base', decomposed: true});
+        parts = parts.concat(above);
+        parts.push({code: THAI_SARA_AA, text: text.charAt(i), segment: 'base', decomposed: true});
+        return {
+            start: start,
+            end: i + 1,
+            parts: parts,
+            reordered: true,
+            features: thaiFeatures
+        };
+    };
+
+    /**
+    * Returns the syllables of the text which need shaping, in logical order. The
+    * parts of a syllable are its characters in the order of their glyphs, each with
+    * the segment of the syllable it belongs to ('preMatra', 'preBase', 'base',
+    * 'postBase', 'matra', 'reph', 'postMatra' or 'sign'). The characters of a
+    * decomposed character are marked as such, only the last one keeps its text.
+    *
+    * @name getSyllables
+    * @function
+    * @param {string} text
+    * @returns {Array} syllables as {start, end, parts, reordered, features}
+    */
+    var getSyllables = jsPDFAPI.__indicParser__.getSyllables = function (text) {
+        var syllables = [];
+        var syllable, script, charCode, i;
+
+        text = text || '';
+        if (!/[\u0900-\u097F\u0B80-\u0BFF\u0E00-\u0E7F]/.test(text)) {
+            return syllables;
+        }
+        for (i = 0; i < text.length;) {
+            charCode = text.charCodeAt(i);
+            script = getIndicScript(charCode);
+            syllable = undefined;
+            if (script !== undefined && isInRanges(charCode, script.consonants)) {
+                syllable = getIndicSyllable(text, i, script);
+            } else if (isThaiConsonant(charCode)) {
+                syllable = getThaiSyllable(text, i);
+            }
+            if (syllable !== undefined) {
+                syllables.push(syllable);
+                i = syllable.end;
+            } else {
+                i += 1;
+            }
+        }
+        return syllables;
+    };
+
+})(jsPDF.API);
@@ -60,10 +60,10 @@
             }
         );
         this.internal.events.subscribe(
-            'putCatalog',
-            function () {
+            'putNames',
+            function (names) {
                 if (jsNamesObj !== undefined && jsJsObj !== undefined) {
-                    this.internal.out('/Names <</JavaScript ' + jsNamesObj + ' 0 R>>');
+                    names.JavaScript = jsNamesObj + ' 0 R';
                 }
             }
         );
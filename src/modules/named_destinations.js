@@ -0,0 +1,133 @@
+/**
+ * @license
+ * Licensed under the MIT License.
+ * http://opensource.org/licenses/mit-license
+ */
+
+/**
+ * jsPDF named destinations PlugIn
+ *
+ * Adds named destinations, which are written to the name tree /Dests of the document. Links and outline items
+ * can go to them by their name, and so can other documents and URLs like file.pdf#nameddest=invoice-3.
+ *
+ * @name named_destinations
+ * @module
+ */
+(function (jsPDFAPI) {
+  'use strict';
+
+  var fits = ['XYZ', 'Fit', 'FitH', 'FitV', 'FitR', 'FitB', 'FitBH', 'FitBV'];
+
+  // Returns the explicit destination of a named destination, e.g. [3 0 R /XYZ 0.00 841.89 null]
+  var getDestinationArray = function (destination) {
+    var f2 = this.internal.f2;
+    var scaleFactor = this.internal.scaleFactor;
+    var info = this.internal.getPageInfo(destination.pageNumber);
+    var mediaBox = info.pageContext.mediaBox;
+    var height = mediaBox.topRightY - mediaBox.bottomLeftY;
+    var getX = function (x) {
+      return (typeof x === 'number') ? f2(x * scaleFactor) : 'null';
+    };
+    var getY = function (y) {
+      return (typeof y === 'number') ? f2(height - y * scaleFactor) : 'null';
+    };
+    var page = info.objId + ' 0 R';
+
+    switch (destination.fit) {
+      case 'Fit':
+      case 'FitB':
+        return '[' + page + ' /' + destination.fit + ']';
+      case 'FitH':
+      case 'FitBH':
+        return '[' + page + ' /' + destination.fit + ' ' + getY(destination.y) + ']';
+      case 'FitV':
+      case 'FitBV':
+        return '[' + page + ' /' + destination.fit + ' ' + getX(destination.x) + ']';
+      case 'FitR':
+        return '[' + page + ' /FitR ' + getX(destination.x || 0) + ' ' + getY((destination.y || 0) + destination.height) + ' ' +
+          getX((destination.x || 0) + destination.width) + ' ' + getY(destination.y || 0) + ']';
+      case 'XYZ':
+      default:
+        // null keeps the current position and zoom of the viewer
+        return '[' + page + ' /XYZ ' + getX(destination.x) + ' ' + getY(destination.y) + ' ' +
+          ((typeof destination.zoom === 'number') ? destination.zoom : 'null') + ']';
+    }
+  };
+
+  var getNamedDestinations = function () {
+    var destinations = this.internal.collections.namedDestinations;
+    var destsObjId;
+    //first run, so initialise stuff
+    if (!destinations) {
+      this.internal.collections.namedDestinations = destinations = {};
+      this.internal.events.subscribe('postPutResources', function () {
+        // the names of a name tree are sorted
+        var names = Object.keys(destinations).sort();
+        destsObjId = this.internal.newObject();
+        this.internal.out('<<');
+        this.internal.out('/Names [');
+        names.forEach(function (name) {
+          this.internal.out('(' + this.internal.pdfEscape(name) + ') ' + getDestinationArray.call(this, destinations[name]));
+        }, this);
+        this.internal.out(']');
+        this.internal.out('>>');
+        this.internal.out('endobj');
+      });
+      this.internal.events.subscribe('putNames', function (names) {
+        names.Dests = destsObjId + ' 0 R';
+      });
+    }
+    return destinations;
+  };
+
+  /**
+   * Adds a named destination, a view of a page which can be referred to by its name: by links (see {@link link}),
+   * outline items and other documents. URLs like file.pdf#nameddest=invoice-3 open the document at the named
+   * destination. A destination with the same name is replaced.
+   *
+   * @name addNamedDestination
+   * @function
+   * @param {string} name The name of the destination.
+   * @param {Object} [options]
+   * @param {number} [options.pageNumber] The page of the destination, defaults to the current page.
+   * @param {number} [options.x] The left edge of the view. Keeps the current position of the viewer if omitted.
+   * @param {number} [options.y] The top edge of the view. Keeps the current position of the viewer if omitted.
+   * @param {number} [options.zoom] The zoom factor, e.g. 1 for 100%. Keeps the current zoom of the viewer if omitted.
+   * @param {string} [options.fit=XYZ] How the page is fit into the window: XYZ (x, y and zoom), Fit, FitH (y), FitV (x),
+   * FitR (the rectangle x, y, width, height), FitB, FitBH (y) or FitBV (x).
+   * @param {number} [options.width] The width of the rectangle of FitR.
+   * @param {number} [options.height] The height of the rectangle of FitR.
+   * @returns {jsPDF}
+   * @example
+   * doc.text('Invoice 3', 20, 120);
+   * doc.addNamedDestination('invoice-3', {y: 110});
+   * doc.setPage(1);
+   * doc.textWithLink('Go to invoice 3', 20, 20, {name: 'invoice-3'});
+   */
+  jsPDFAPI.addNamedDestination = function (name, options) {
+    options = options || {};
+    var pageNumber = (typeof options.pageNumber === 'undefined') ? this.internal.getCurrentPageInfo().pageNumber : options.pageNumber;
+    var fit = options.fit || 'XYZ';
+
+    if (typeof name !== 'string' || name.length === 0 || isNaN(pageNumber) || pageNumber % 1 !== 0 || pageNumber < 1 || pageNumber > this.internal.getNumberOfPages()) {
+      throw new Error('Invalid arguments passed to jsPDF.addNamedDestination');
+    }
+    if (fits.indexOf(fit) === -1) {
+      throw new Error('Invalid fit "' + fit + '" passed to jsPDF.addNamedDestination');
+    }
+    if (fit === 'FitR' && !(options.width > 0 && options.height > 0)) {
+      throw new Error('The fit FitR passed to jsPDF.addNamedDestination needs a width and a height.');
+    }
+
+    getNamedDestinations.call(this)[name] = {
+      pageNumber: pageNumber,
+      x: options.x,
+      y: options.y,
+      zoom: options.zoom,
+      fit: fit,
+      width: options.width,
+      height: options.height
+    };
+    return this;
+  };
+})(jsPDF.API);
@@ -49,38 +49,6 @@
 					}
 				}
 
-				// This code will write named destination for each page reference
-				// (page_1, etc)
-				if (this.outline.createNamedDestinations) {
-					var totalPages = this.internal.pages.length;
-					// WARNING: this assumes jsPDF starts on page 3 and pageIDs
-					// follow 5, 7, 9, etc
-					// Write destination objects for each page
-					var dests = [];
-					for (var i = 0; i < totalPages; i++) {
-						var id = pdf.internal.newObject();
-						dests.push(id);
-						var info = pdf.internal.getPageInfo(i+1);
-						pdf.internal.write("<< /D[" + info.objId + " 0 R /XYZ null null null]>> endobj");
-					}
-
-					// assign a name for each destination
-					var names2Oid = pdf.internal.newObject();
-					pdf.internal.write('<< /Names [ ');
-					for (var i = 0; i < dests.length; i++) {
-						pdf.internal.write("(page_" + (i + 1) + ")" + dests[i] + " 0 R");
-					}
-					pdf.internal.write(' ] >>', 'endobj');
-
-					// var kids = pdf.internal.newObject();
-					// pdf.internal.write('<< /Kids [ ' + names2Oid + ' 0 R');
-					// pdf.internal.write(' ] >>', 'endobj');
-
-					var namesOid = pdf.internal.newObject();
-					pdf.internal.write('<< /Dests ' + names2Oid + " 0 R");
-					pdf.internal.write('>>', 'endobj');
-				}
-
 			}
 	]);
 
@@ -89,15 +57,45 @@
 				var pdf = this;
 				if (pdf.outline.root.children.length > 0) {
 					pdf.internal.write("/Outlines", this.outline.makeRef(this.outline.root));
-					if (this.outline.createNamedDestinations) {
-						pdf.internal.write("/Names " + namesOid + " 0 R");
-					}
 					// Open with Bookmarks showing
 					// pdf.internal.write("/PageMode /UseOutlines");
 				}
 			}
 	]);
 
+	// Adds a named destination for each page (page_1, etc)
+	jsPDFAPI.events.push([
+			'buildDocument', function() {
+				if (this.outline.createNamedDestinations) {
+					for (var i = 1; i <= this.internal.getNumberOfPages(); i++) {
+						this.addNamedDestination('page_' + i, {pageNumber: i});
+					}
+				}
+			}
+	]);
+
+	var isOpen = function(item) {
+		return !(item.options && item.options.open === false);
+	};
+
+	// Returns the color as array of RGB values between 0 and 1
+	var getColor = function(color) {
+		var rgbColor;
+		if (typeof color === 'string') {
+			rgbColor = new RGBColor(color);
+			if (!rgbColor.ok) {
+				return null;
+			}
+			color = [rgbColor.r, rgbColor.g, rgbColor.b];
+		}
+		if (!Array.isArray(color) || color.length !== 3 || color.some(isNaN)) {
+			return null;
+		}
+		return color.map(function(channel) {
+			return (channel / 255).toFixed(3);
+		});
+	};
+
 	jsPDFAPI.events.push([
 			'initialized', function() {
 				var pdf = this;
@@ -106,16 +104,20 @@
 					createNamedDestinations : false,
 					root : {
 						children : []
-					}
+					},
+					// the last heading of each level, see heading
+					headings : []
 				};
 
-				var namesOid;
-				var destsGoto = [];
-
 				/**
-				 * Options: pageNumber
+				 * Options: pageNumber or name (of a named destination, see addNamedDestination),
+				 * x, y and zoom of the destination on the page, bold, italic, color and open
+				 * (false for an item whose children are hidden)
 				 */
 				pdf.outline.add = function(parent,title,options) {
+					if (options && options.color && !getColor(options.color)) {
+						throw new Error('Invalid color "' + options.color + '" passed to jsPDF.outline.add');
+					}
 					var item = {
 						title : title,
 						options : options,
@@ -185,15 +187,23 @@
 							count : 0
 						}, item);
 						if (count > 0) {
-							this.line('/Count ' + count);
+							// a negative count closes the item
+							this.line('/Count ' + (isOpen(item) ? count : -count));
 						}
 
 						if (item.options) {
-							if (item.options.pageNumber) {
+							if (item.options.name) {
+								// Named Destination, see addNamedDestination
+								this.line('/Dest ' + this.makeString(item.options.name));
+							} else if (item.options.pageNumber) {
 								// Explicit Destination
 								//WARNING this assumes page ids are 3,5,7, etc.
 								var info = pdf.internal.getPageInfo(item.options.pageNumber);
-								this.line('/Dest ' + '[' + info.objId + ' 0 R /XYZ 0 ' + getVerticalCoordinateString(0) + ' 0]');
+								var mediaBox = info.pageContext.mediaBox;
+								var left = (typeof item.options.x === 'number') ? getHorizontalCoordinateString(item.options.x) : '0';
+								var top = pdf.internal.f2(mediaBox.topRightY - mediaBox.bottomLeftY - (item.options.y || 0) * pdf.internal.scaleFactor);
+								var zoom = (typeof item.options.zoom === 'number') ? item.options.zoom : 0;
+								this.line('/Dest ' + '[' + info.objId + ' 0 R /XYZ ' + left + ' ' + top + ' ' + zoom + ']');
 								// this line does not work on all clients (pageNumber instead of page ref)
 								//this.line('/Dest ' + '[' + (item.options.pageNumber - 1) + ' /XYZ 0 ' + this.ctx.pdf.internal.pageSize.getHeight() + ' 0]');
 
@@ -205,6 +215,14 @@
 								// pdf.internal.write('<</D[' + (item.options.pageNumber - 1) + ' /XYZ null null null]/S/GoTo>> endobj');
 								// this.line('/A ' + id + ' 0 R' );
 							}
+							// bit 1 is italic, bit 2 is bold
+							var flags = (item.options.italic ? 1 : 0) | (item.options.bold ? 2 : 0);
+							if (flags > 0) {
+								this.line('/F ' + flags);
+							}
+							if (item.options.color) {
+								this.line('/C [' + getColor(item.options.color).join(' ') + ']');
+							}
 						}
 						this.objEnd();
 					}
@@ -223,6 +241,12 @@
 				};
 
 				pdf.outline.makeString = function(val) {
+					// text which is not covered by PDFDocEncoding is written in UTF-16BE
+					if (/[^\u0000-\u00FF]/.test(val)) {
+						return '<FEFF' + val.split('').map(function(character) {
+							return ('000' + character.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+						}).join('') + '>';
+					}
 					return '(' + pdf.internal.pdfEscape(val) + ')';
 				};
 
@@ -234,15 +258,69 @@
 					this.ctx.val += '>> \r\n' + 'endobj' + '\r\n';
 				};
 
+				// counts the items which are visible when the node is open
 				pdf.outline.count_r = function(ctx,node) {
 					for (var i = 0; i < node.children.length; i++) {
 						ctx.count++;
-						this.count_r(ctx, node.children[i]);
+						if (isOpen(node.children[i])) {
+							this.count_r(ctx, node.children[i]);
+						}
 					}
 					return ctx.count;
 				};
 			}
 	]);
 
+	/**
+	 * Writes a heading with {@link text} and adds it to the outline. Headings of a higher level are nested into
+	 * the preceding heading of a lower level, so that the outline follows the structure of the document. The
+	 * outline item goes to the top of the heading.
+	 *
+	 * @name heading
+	 * @function
+	 * @param {string|Array} text The heading.
+	 * @param {number} x Coordinate (in units declared at inception of PDF document) against left edge of the page.
+	 * @param {number} y Coordinate (in units declared at inception of PDF document) against upper edge of the page.
+	 * @param {Object} [options] The options of {@link text} and of the outline item.
+	 * @param {number} [options.level=1] The level of the heading, 1 for the top level.
+	 * @param {string} [options.title] The title of the outline item, defaults to the text of the heading.
+	 * @param {boolean} [options.outline=true] Whether the heading is added to the outline.
+	 * @param {boolean} [options.bold] Whether the title of the outline item is shown in bold.
+	 * @param {boolean} [options.italic] Whether the title of the outline item is shown in italic.
+	 * @param {string|Array} [options.color] The color of the title of the outline item.
+	 * @param {boolean} [options.open=true] Whether the children of the outline item are shown.
+	 * @returns {jsPDF}
+	 * @example
+	 * doc.heading('1 Introduction', 20, 20, {level: 1, bold: true});
+	 * doc.heading('1.1 Scope', 20, 40, {level: 2});
+	 */
+	jsPDFAPI.heading = function(text, x, y, options) {
+		options = options || {};
+		var level = (typeof options.level === 'undefined') ? 1 : options.level;
+		var headings = this.outline.headings;
+		var title = (typeof options.title === 'string') ? options.title : [].concat(text).join(' ');
+		var item;
+
+		if (typeof text !== 'string' && !Array.isArray(text) || isNaN(level) || level < 1 || level % 1 !== 0) {
+			throw new Error('Invalid arguments passed to jsPDF.heading');
+		}
+		this.text(text, x, y, options);
+		if (options.outline !== false) {
+			while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+				headings.pop();
+			}
+			item = this.outline.add(headings.length > 0 ? headings[headings.length - 1].item : null, title, {
+				pageNumber: this.internal.getCurrentPageInfo().pageNumber,
+				y: y - this.getTextMetrics(text).ascent,
+				bold: options.bold,
+				italic: options.italic,
+				color: options.color,
+				open: options.open
+			});
+			headings.push({level: level, item: item});
+		}
+		return this;
+	};
+
 	return this;
 })(jsPDF.API);
@@ -0,0 +1,434 @@
+/**
+ * @license
+ * Licensed under the MIT License.
+ * http://opensource.org/licenses/mit-license
+ */
+
+/**
+ * jsPDF paragraph PlugIn
+ *
+ * Lays out paragraphs of text in a rectangle, with justification, first line indentation,
+ * hyphenation based on Liang patterns and widow/orphan control.
+ *
+ * @name paragraph
+ * @module
+ */
+(function (jsPDFAPI) {
+  'use strict';
+
+  var getHyphenationDictionaries = function (instance) {
+    if (typeof instance.internal.hyphenationDictionaries === "undefined") {
+      instance.internal.hyphenationDictionaries = {};
+    }
+    return instance.internal.hyphenationDictionaries;
+  };
+
+  // Parses a pattern like "hy3ph" into the letters "hyph" and the points [0, 0, 3, 0, 0]
+  var parsePattern = function (pattern) {
+    var letters = '';
+    var points = [0];
+    var i;
+    for (i = 0; i < pattern.length; i++) {
+      if (/[0-9]/.test(pattern.charAt(i))) {
+        points[points.length - 1] = parseInt(pattern.charAt(i), 10);
+      } else {
+        letters += pattern.charAt(i);
+        points.push(0);
+      }
+    }
+    return {letters: letters, points: points};
+  };
+
+  /**
+   * Adds hyphenation patterns in the format of TeX (Liang patterns, e.g. 'hy3ph he2n 1na'), which are used
+   * by {@link hyphenate} and {@link paragraph}. Pattern files for most languages can be found in the
+   * hyph-utf8 project of CTAN.
+   *
+   * @name addHyphenationPatterns
+   * @function
+   * @param {string} language The language code, e.g. 'en-us'.
+   * @param {string|Array<string>} patterns The patterns, either separated by whitespace or as array.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.exceptions] Words with explicit hyphenation points, e.g. ['ta-ble'].
+   * @param {number} [options.leftMin=2] The minimum number of characters in front of a hyphen.
+   * @param {number} [options.rightMin=3] The minimum number of characters after a hyphen.
+   * @returns {jsPDF}
+   * @example
+   * doc.addHyphenationPatterns('en-us', 'hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n');
+   */
+  jsPDFAPI.addHyphenationPatterns = function (language, patterns, options) {
+    var dictionary;
+    var parsed;
+    var i;
+    options = options || {};
+    if (typeof language !== 'string' || (typeof patterns !== 'string' && !Array.isArray(patterns))) {
+      throw new Error('Invalid arguments passed to jsPDF.addHyphenationPatterns');
+    }
+    if (typeof patterns === 'string') {
+      patterns = patterns.split(/\s+/);
+    }
+
+    dictionary = {
+      patterns: {},
+      maxLength: 0,
+      exceptions: {},
+      leftMin: options.leftMin || 2,
+      rightMin: options.rightMin || 3
+    };
+    for (i = 0; i < patterns.length; i++) {
+      if (patterns[i].length > 0) {
+        parsed = parsePattern(patterns[i]);
+        dictionary.patterns[parsed.letters] = parsed.points;
+        dictionary.maxLength = Math.max(dictionary.maxLength, parsed.letters.length);
+      }
+    }
+    (options.exceptions || []).forEach(function (exception) {
+      dictionary.exceptions[exception.replace(/-/g, '').toLowerCase()] = exception.toLowerCase().split('-');
+    });
+
+    getHyphenationDictionaries(this)[language.toLowerCase()] = dictionary;
+    return this;
+  };
+
+  // Returns the positions in the word in front of which a hyphen may be inserted
+  var getHyphenationPoints = function (dictionary, word) {
+    var lowerCaseWord = word.toLowerCase();
+    var result = [];
+    var points;
+    var pattern;
+    var position;
+    var i;
+    var j;
+    var k;
+
+    if (dictionary.exceptions.hasOwnProperty(lowerCaseWord)) {
+      position = 0;
+      dictionary.exceptions[lowerCaseWord].slice(0, -1).forEach(function (part) {
+        position += part.length;
+        result.push(position);
+      });
+      return result;
+    }
+
+    var dottedWord = '.' + lowerCaseWord + '.';
+    points = [];
+    for (i = 0; i <= dottedWord.length; i++) {
+      points.push(0);
+    }
+    for (i = 0; i < dottedWord.length; i++) {
+      for (j = i + 1; j <= Math.min(dottedWord.length, i + dictionary.maxLength); j++) {
+        pattern = dictionary.patterns[dottedWord.substring(i, j)];
+        if (typeof pattern !== 'undefined') {
+          for (k = 0; k < pattern.length; k++) {
+            points[i + k] = Math.max(points[i + k], pattern[k]);
+          }
+        }
+      }
+    }
+    // points[i + 1] belongs to the gap in front of word[i], because of the leading dot
+    for (i = dictionary.leftMin; i <= word.length - dictionary.rightMin; i++) {
+      if (points[i + 1] % 2 === 1) {
+        result.push(i);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Splits a word into its syllables by the hyphenation patterns added with {@link addHyphenationPatterns}.
+   *
+   * @name hyphenate
+   * @function
+   * @param {string} word The word to hyphenate.
+   * @param {string} language The language code of the patterns.
+   * @returns {Array<string>} The parts of the word, e.g. ['hy', 'phen', 'ation'].
+   */
+  jsPDFAPI.hyphenate = function (word, language) {
+    var dictionary = getHyphenationDictionaries(this)[String(language).toLowerCase()];
+    var result = [];
+    var start = 0;
+    if (typeof dictionary === 'undefined') {
+      throw new Error('Hyphenation patterns for "' + language + '" were not added to jsPDF. Use jsPDF.addHyphenationPatterns first.');
+    }
+    getHyphenationPoints(dictionary, word).forEach(function (position) {
+      result.push(word.substring(start, position));
+      start = position;
+    });
+    result.push(word.substring(start));
+    return result;
+  };
+
+  // Splits a paragraph into words. Soft hyphens are removed from the words and remembered as break points.
+  var getWords = function (paragraph) {
+    return paragraph.split(/\s+/).filter(function (word) {
+      return word.length > 0;
+    }).map(function (word) {
+      var softHyphens = [];
+      var text = word.replace(/\u00AD/g, function (match, offset) {
+        softHyphens.push(offset - softHyphens.length);
+        return '';
+      });
+      return {text: text, softHyphens: softHyphens};
+    });
+  };
+
+  // Positions inside of the word (relative to offset) at which the word may be broken and
+  // whether a hyphen has to be added there.
+  var getBreakPoints = function (word, offset, dictionary) {
+    var points = {};
+    var i;
+    word.softHyphens.forEach(function (position) {
+      points[position] = true;
+    });
+    for (i = 1; i < word.text.length - 1; i++) {
+      if (word.text.charAt(i - 1) === '-') {
+        points[i] = false;
+      }
+    }
+    if (typeof dictionary !== 'undefined' && word.softHyphens.length === 0) {
+      word.text.split(/(-)/).reduce(function (position, part) {
+        if (part !== '-') {
+          getHyphenationPoints(dictionary, part).forEach(function (point) {
+            points[position + point] = true;
+          });
+        }
+        return position + part.length;
+      }, 0);
+    }
+    return Object.keys(points).map(function (position) {
+      return {position: parseInt(position, 10) - offset, hyphen: points[position]};
+    }).filter(function (point) {
+      return point.position > 0;
+    }).sort(function (a, b) {
+      return b.position - a.position;
+    });
+  };
+
+  // Greedy line breaking. Every line remembers the word and the offset in the word it starts with,
+  // so that the text which does not fit in the rectangle can be returned.
+  var breakLines = function (words, firstLineWidth, lineWidth, getWidth, dictionary) {
+    var lines = [];
+    var line = {words: [], width: 0, start: {word: 0, offset: 0}};
+    var spaceWidth = getWidth(' ');
+    var availableWidth = firstLineWidth;
+    var fragment;
+    var offset;
+    var breakPoints;
+    var prefix;
+    var separatorWidth;
+    var i;
+    var j;
+    var n;
+
+    var pushLine = function (wordIndex, wordOffset) {
+      lines.push(line);
+      line = {words: [], width: 0, start: {word: wordIndex, offset: wordOffset}};
+      availableWidth = lineWidth;
+    };
+
+    for (i = 0; i < words.length; i++) {
+      fragment = words[i].text;
+      offset = 0;
+      while (fragment.length > 0) {
+        separatorWidth = line.words.length > 0 ? spaceWidth : 0;
+        if (line.width + separatorWidth + getWidth(fragment) <= availableWidth) {
+          line.words.push(fragment);
+          line.width += separatorWidth + getWidth(fragment);
+          break;
+        }
+
+        // try the break points from the end of the word
+        breakPoints = getBreakPoints(words[i], offset, dictionary);
+        for (j = 0; j < breakPoints.length; j++) {
+          prefix = fragment.substring(0, breakPoints[j].position) + (breakPoints[j].hyphen ? '-' : '');
+          if (line.width + separatorWidth + getWidth(prefix) <= availableWidth) {
+            break;
+          }
+        }
+        if (j < breakPoints.length) {
+          line.words.push(prefix);
+          line.width += separatorWidth + getWidth(prefix);
+          fragment = fragment.substring(breakPoints[j].position);
+          offset += breakPoints[j].position;
+          pushLine(i, offset);
+          continue;
+        }
+
+        if (line.words.length > 0) {
+          pushLine(i, offset);
+          continue;
+        }
+
+        // the word is wider than the line, so it is split by characters
+        n = Math.max(1, fragment.length - 1);
+        while (n > 1 && getWidth(fragment.substring(0, n)) > availableWidth) {
+          n--;
+        }
+        line.words.push(fragment.substring(0, n));
+        line.width += getWidth(fragment.substring(0, n));
+        fragment = fragment.substring(n);
+        offset += n;
+        pushLine(i, offset);
+      }
+    }
+    if (line.words.length > 0) {
+      pushLine(words.length, 0);
+    }
+    return lines;
+  };
+
+  // The text of the paragraph starting at the given line, soft hyphens are lost
+  var getRemainingText = function (words, start) {
+    if (start.word >= words.length) {
+      return '';
+    }
+    return [words[start.word].text.substring(start.offset)].concat(words.slice(start.word + 1).map(function (word) {
+      return word.text;
+    })).join(' ');
+  };
+
+  /**
+   * Lays out one or more paragraphs (separated by line breaks) in a rectangle. The lines are broken at spaces,
+   * hyphens, soft hyphens (\u00AD) and, if a language is given, at the hyphenation points of the patterns added
+   * with {@link addHyphenationPatterns}.
+   *
+   * If the text does not fit into the height of the rectangle, the remaining text is returned as overflow, so that
+   * it can be continued in another rectangle, e.g. on the next page. Paragraphs are only split if at least
+   * options.orphans lines stay in the rectangle and at least options.widows lines move to the overflow. An empty
+   * rectangle takes the lines that fit regardless of options.orphans, so that the text advances from one rectangle to
+   * the next. A rectangle which can not hold a single line throws an error.
+   *
+   * @name paragraph
+   * @function
+   * @param {string} text The text. Line breaks separate paragraphs.
+   * @param {number} x Coordinate (in units declared at inception of PDF document) of the left edge of the rectangle.
+   * @param {number} y Coordinate (in units declared at inception of PDF document) of the upper edge of the rectangle.
+   * @param {Object} options
+   * @param {number} options.width The width of the rectangle.
+   * @param {number} [options.height] The height of the rectangle. Defaults to unlimited.
+   * @param {string} [options.align=left] The alignment of the lines, possible values: left, center, right, justify.
+   * @param {number} [options.indent=0] The indentation of the first line of each paragraph.
+   * @param {number} [options.paragraphSpacing=0] The space between two paragraphs.
+   * @param {number} [options.lineHeightFactor] The line height as factor of the font size. Defaults to the line height factor of the document.
+   * @param {string} [options.hyphenate] The language code of the hyphenation patterns to use.
+   * @param {number} [options.orphans=2] The minimum number of lines of a split paragraph at the end of the rectangle.
+   * @param {number} [options.widows=2] The minimum number of lines of a split paragraph in the overflow.
+   * @param {boolean} [options.continued=false] Whether the text continues a paragraph which has been split, so that the
+   * first line is not indented. Pass the continued property of the result of the previous call.
+   * @returns {Object} An object with the consumed height, the number of lines written, the overflow text and
+   * whether the overflow continues a split paragraph: {height, lines, overflow, continued}.
+   * @example
+   * var doc = new jsPDF();
+   * var result = doc.paragraph(longText, 20, 20, {width: 170, height: 257, align: 'justify', indent: 5});
+   * while (result.overflow) {
+   *   doc.addPage();
+   *   result = doc.paragraph(result.overflow, 20, 20, {width: 170, height: 257, align: 'justify', indent: 5, continued: result.continued});
+   * }
+   */
+  jsPDFAPI.paragraph = function (text, x, y, options) {
+    options = options || {};
+    var width = options.width;
+    var height = (typeof options.height === 'number') ? options.height : Infinity;
+    var align = options.align || 'left';
+    var indent = options.indent || 0;
+    var paragraphSpacing = options.paragraphSpacing || 0;
+    var orphans = (typeof options.orphans === 'number') ? options.orphans : 2;
+    var widows = (typeof options.widows === 'number') ? options.widows : 2;
+    var scaleFactor = this.internal.scaleFactor;
+    var fontSize = this.internal.getFontSize();
+    var lineHeight = fontSize * (options.lineHeightFactor || this.internal.getLineHeightFactor()) / scaleFactor;
+    var dictionary;
+    var scope = this;
+
+    if (typeof text !== 'string' || isNaN(x) || isNaN(y) || typeof width !== 'number' || width <= 0) {
+      throw new Error('Invalid arguments passed to jsPDF.paragraph');
+    }
+    if (['left', 'center', 'right', 'justify'].indexOf(align) === -1) {
+      throw new Error('Unrecognized alignment option, use "left", "center", "right" or "justify".');
+    }
+    if (typeof options.hyphenate === 'string') {
+      dictionary = getHyphenationDictionaries(this)[options.hyphenate.toLowerCase()];
+      if (typeof dictionary === 'undefined') {
+        throw new Error('Hyphenation patterns for "' + options.hyphenate + '" were not added to jsPDF. Use jsPDF.addHyphenationPatterns first.');
+      }
+    }
+
+    var getWidth = function (value) {
+      return scope.getStringUnitWidth(value) * fontSize / scaleFactor;
+    };
+
+    var paragraphs = text.split(/\r\n|\r|\n/);
+    var top = 0;
+    var lineCount = 0;
+    var overflow = [];
+    var continued = false;
+    var p;
+
+    for (p = 0; p < paragraphs.length; p++) {
+      var words = getWords(paragraphs[p]);
+      var lineIndent = (p === 0 && options.continued === true) ? 0 : indent;
+      var spacing = (p === 0) ? 0 : paragraphSpacing;
+      var lines = breakLines(words, width - lineIndent, width, getWidth, dictionary);
+      var fitting = Math.max(0, Math.floor((height - top - spacing + 1e-6) / lineHeight));
+      var count = Math.min(fitting, Math.max(lines.length, 1));
+
+      if (count < lines.length) {
+        // widow and orphan control
+        if (lines.length - count < widows) {
+          count = lines.length - widows;
+        }
+        if (count < orphans) {
+          // moving the paragraph away from an empty rectangle would not make room for it
+          count = (top === 0) ? Math.min(fitting, lines.length) : 0;
+        }
+      }
+      if (count === 0) {
+        // the text would never advance to the next rectangle
+        if (top === 0 && fitting === 0) {
+          throw new Error('The rectangle passed to jsPDF.paragraph is too small for a line of text.');
+        }
+        overflow = overflow.concat(paragraphs.slice(p));
+        continued = (p === 0 && options.continued === true);
+        break;
+      }
+
+      top += spacing;
+      lines.slice(0, count).forEach(function (line, index) {
+        var lineX = x + (index === 0 ? lineIndent : 0);
+        var lineWidth = width - (index === 0 ? lineIndent : 0);
+        var baseline = y + top + index * lineHeight + fontSize / scaleFactor;
+        var isLastLine = (index === lines.length - 1);
+
+        if (align === 'justify' && !isLastLine && line.words.length > 1) {
+          var wordSpacing = (lineWidth - line.width) / (line.words.length - 1);
+          line.words.forEach(function (word) {
+            scope.text(word, lineX, baseline);
+            lineX += getWidth(word) + getWidth(' ') + wordSpacing;
+          });
+          return;
+        }
+        if (align === 'center') {
+          lineX += (lineWidth - line.width) / 2;
+        } else if (align === 'right') {
+          lineX += lineWidth - line.width;
+        }
+        scope.text(line.words.join(' '), lineX, baseline);
+      });
+      top += Math.max(count, 1) * lineHeight;
+      lineCount += count;
+
+      if (count < lines.length) {
+        overflow = [getRemainingText(words, lines[count].start)].concat(paragraphs.slice(p + 1));
+        continued = true;
+        break;
+      }
+    }
+
+    return {
+      height: top,
+      lines: lineCount,
+      overflow: overflow.join('\n'),
+      continued: continued
+    };
+  };
+})(jsPDF.API);
@@ -55,22 +55,69 @@
     var kerningFractionOf = kerning.fof ? kerning.fof : 1;
   
     var i;
+    var j;
+    var k;
     var l;
     var char_code;
     var prior_char_code = 0; //for kerning
     var default_char_width = widths[0] || widthsFractionOf;
     var output = [];
+    var glyphs;
+    var width;
+    var runs;
+
+    if (options.writingMode === 'vertical' && typeof activeFont.metadata.heightOfGlyph === "function") {
+        //upright characters advance by their vertical metrics, the other runs are rotated
+        runs = this.getVerticalTextRuns(text, {font: activeFont});
+        for (i = 0, l = runs.length; i < l; i++) {
+            if (!runs[i].upright) {
+                output = output.concat(getCharWidthsArray.call(this, runs[i].text, {font: activeFont, fontSize: fontSize, charSpace: charSpace}));
+                continue;
+            }
+            glyphs = activeFont.metadata.layout(runs[i].text, true);
+            for (j = 0; j < glyphs.length; j++) {
+                output.push(activeFont.metadata.heightOfGlyph(glyphs[j].glyph) / 1000);
+                for (k = 1; k < glyphs[j].text.length; k++) {
+                    output.push(0);
+                }
+            }
+        }
+        return output;
+    }
+
+    if (!options.font && this.internal.getFallbackFonts().length > 0) {
+        //every run of characters is measured in the font it is rendered with
+        runs = this.getFontRuns(text);
+        for (i = 0, l = runs.length; i < l; i++) {
+            output = output.concat(getCharWidthsArray.call(this, runs[i].text, {font: runs[i].font, fontSize: fontSize, charSpace: charSpace}));
+        }
+        return output;
+    }
+
+    if (typeof activeFont.metadata.layout === "function") {
+        //ligatures get their width on the first character, kerning is added to the glyph before the pair
+        //and glyphs without characters of their own are added to the preceding character
+        glyphs = activeFont.metadata.layout(text);
+        for (i = 0, l = glyphs.length; i < l; i++) {
+            width = ((activeFont.metadata.widthOfGlyph(glyphs[i].glyph) + glyphs[i].kerning + charSpace * (1000/ fontSize)) || 0) / 1000;
+            if (glyphs[i].text === '' && output.length > 0) {
+                output[output.length - 1] += width;
+                continue;
+            }
+            output.push(width);
+            for (j = 1; j < glyphs[i].text.length; j++) {
+                output.push(0);
+            }
+        }
+        return output;
+    }
   
     for (i = 0, l = text.length; i < l; i++) {
         char_code = text.charCodeAt(i);
 
-        if (typeof activeFont.metadata.widthOfString === "function") {
-            output.push(((activeFont.metadata.widthOfGlyph(activeFont.metadata.characterToGlyph(char_code)) + charSpace * (1000/ fontSize)) || 0) / 1000);
-        } else {
-          output.push(
-            ( widths[char_code] || default_char_width ) / widthsFractionOf + ( kerning[char_code] && kerning[char_code][prior_char_code] || 0 ) / kerningFractionOf
-          );
-        }
+        output.push(
+          ( widths[char_code] || default_char_width ) / widthsFractionOf + ( kerning[char_code] && kerning[char_code][prior_char_code] || 0 ) / kerningFractionOf
+        );
         prior_char_code = char_code;
     }
   
@@ -118,7 +165,9 @@
     var font = options.font || this.internal.getFont();
     var charSpace = options.charSpace || this.internal.getCharSpace();
     var result = 0;
-    if (typeof font.metadata.widthOfString === "function") {
+    if (!options.font && this.internal.getFallbackFonts().length > 0) {
+      result = getArraySum(getCharWidthsArray.apply(this, arguments));
+    } else if (typeof font.metadata.widthOfString === "function") {
       result = font.metadata.widthOfString(text, fontSize, charSpace) / fontSize;
     } else {
       result = getArraySum(getCharWidthsArray.apply(this, arguments));
@@ -274,6 +323,7 @@
   * @param {string} text Unencoded, regular JavaScript (Unicode, UTF-16 / UCS-2) string.
   * @param {number} size Nominal number, measured in units default to this instance of jsPDF.
   * @param {Object} options Optional flags needed for chopper to do the right thing.
+  * @param {string} [options.writingMode] Set to 'vertical' to measure the lines of vertical text in column height.
   * @returns {Array} array Array with strings chopped to size.
   */
   API.splitTextToSize = function (text, maxlen, options) {
@@ -345,6 +395,7 @@
       options.textIndent * 1.0 * this.internal.scaleFactor / fsize :
       0
     newOptions.lineIndent = options.lineIndent;
+    newOptions.writingMode = options.writingMode;
 
     var i, l, output = []
     for (i = 0, l = paragraphs.length; i < l; i++) {
@@ -356,4 +407,135 @@
     return output
   }
 
+  // The vertical metrics of a font in thousandths of the font size. Fonts without metrics get those of Helvetica.
+  var getFontMetrics = function (font) {
+    var metadata = font.metadata || {};
+    if (metadata instanceof API.TTFFont) {
+      return {
+        ascender: metadata.ascender,
+        descender: metadata.decender,
+        // the cap height of the OS/2 table is in font units
+        capHeight: (metadata.os2.exists && metadata.os2.capHeight) ? Math.round(metadata.os2.capHeight * metadata.scaleFactor) : metadata.ascender,
+        bbox: metadata.bbox
+      };
+    }
+    return metadata.metrics || {ascender: 718, descender: -207, capHeight: 718, bbox: [-166, -225, 1000, 931]};
+  };
+
+  // The bounding box of the glyphs of a line in thousandths of the font size, relative to the start of its baseline
+  // and with y pointing up: [left, bottom, right, top]. The standard fonts provide no glyph outlines, so their
+  // boxes span the advance widths and the ascender and descender of the font.
+  var getLineBoundingBox = function (font, line, width, fontSize, charSpace) {
+    var metadata = font.metadata;
+    var fontMetrics = getFontMetrics(font);
+    var box = null;
+    var x = 0;
+    var glyphs, glyph, outline, rise, i;
+
+    if (!(metadata instanceof API.TTFFont)) {
+      return line.length > 0 ? [0, fontMetrics.descender, width, fontMetrics.ascender] : null;
+    }
+    glyphs = metadata.layout(line);
+    for (i = 0; i < glyphs.length; i++) {
+      glyph = glyphs[i];
+      rise = glyph.rise || 0;
+      if (metadata.glyf.exists) {
+        outline = metadata.glyf.glyphFor(glyph.glyph);
+        outline = outline && [outline.xMin, outline.yMin, outline.xMax, outline.yMax].map(function (value) {
+          return value * metadata.scaleFactor;
+        });
+      } else {
+        // CFF outlines are not parsed, the glyphs are assumed to fill their advance and the font bounding box
+        outline = [0, metadata.bbox[1], metadata.widthOfGlyph(glyph.glyph), metadata.bbox[3]];
+      }
+      if (outline) {
+        box = box || [Infinity, Infinity, -Infinity, -Infinity];
+        box = [
+          Math.min(box[0], x + outline[0]),
+          Math.min(box[1], rise + outline[1]),
+          Math.max(box[2], x + outline[2]),
+          Math.max(box[3], rise + outline[3])
+        ];
+      }
+      x += metadata.widthOfGlyph(glyph.glyph) + glyph.kerning + charSpace * (1000 / fontSize);
+    }
+    return box;
+  };
+
+  /**
+  * Measures a text like {@link text} writes it. The lines are split at line breaks and, if maxWidth is given,
+  * wrapped with {@link splitTextToSize}. The font metrics are read from the AFM data of the standard fonts and
+  * from the head, hhea and OS/2 tables of embedded fonts.
+  *
+  * @name getTextMetrics
+  * @public
+  * @function
+  * @param {string|Array} text A string or an array of lines.
+  * @param {Object} [options]
+  * @param {string} [options.fontName] The name of the font, defaults to the active font.
+  * @param {string} [options.fontStyle] The style of the font, defaults to the active font.
+  * @param {number} [options.fontSize] The font size, defaults to the active font size.
+  * @param {number} [options.charSpace] The character spacing, defaults to the active character spacing.
+  * @param {number} [options.lineHeightFactor] The line height as factor of the font size, defaults to the line height factor of the document.
+  * @param {number} [options.maxWidth] Wraps the text to lines of this width.
+  * @returns {Object} The metrics in units declared at inception of PDF document: the width of the longest line,
+  * the height from the ascender of the first line to the descender of the last one, the ascent and descent
+  * (positive, from the baseline), the cap height, the line height, the lines with their widths as [{text, width}]
+  * and the bounding box of the glyphs {x, y, w, h} relative to the start of the first baseline (y points down,
+  * like the coordinates of {@link text}).
+  * @example
+  * var metrics = doc.getTextMetrics('Hello world');
+  * doc.rect(20, 20 - metrics.ascent, metrics.width, metrics.height);
+  * doc.text('Hello world', 20, 20);
+  */
+  API.getTextMetrics = function (text, options) {
+    options = options || {};
+    var font = this.internal.getFont(options.fontName, options.fontStyle);
+    var fontSize = options.fontSize || this.internal.getFontSize();
+    var charSpace = options.charSpace || this.internal.getCharSpace();
+    var lineHeightFactor = options.lineHeightFactor || this.internal.getLineHeightFactor();
+    var scale = fontSize / this.internal.scaleFactor;
+    var fontMetrics = getFontMetrics(font);
+    var lines, box, lineBox, width, i;
+
+    if (typeof text !== 'string' && !Array.isArray(text)) {
+      throw new Error('Invalid arguments passed to jsPDF.getTextMetrics');
+    }
+    if (typeof options.maxWidth === 'number' && options.maxWidth > 0) {
+      lines = this.splitTextToSize(text, options.maxWidth, {fontName: options.fontName, fontStyle: options.fontStyle, fontSize: fontSize});
+    } else {
+      lines = Array.isArray(text) ? text : text.split(/\r\n|\r|\n/);
+    }
+
+    lines = lines.map(function (line, index) {
+      width = this.getStringUnitWidth(line, {font: font, fontSize: fontSize, charSpace: charSpace}) * 1000;
+      lineBox = getLineBoundingBox(font, line, width, fontSize, charSpace);
+      if (lineBox) {
+        // to document coordinates of the first baseline, in thousandths of the font size
+        lineBox = [lineBox[0], index * lineHeightFactor * 1000 - lineBox[3], lineBox[2], index * lineHeightFactor * 1000 - lineBox[1]];
+        box = box ? [Math.min(box[0], lineBox[0]), Math.min(box[1], lineBox[1]), Math.max(box[2], lineBox[2]), Math.max(box[3], lineBox[3])] : lineBox;
+      }
+      return {text: line, width: width * scale / 1000};
+    }, this);
+    box = box || [0, 0, 0, 0];
+
+    return {
+      width: Math.max.apply(Math, [0].concat(lines.map(function (line) {
+        return line.width;
+      }))),
+      height: (fontMetrics.ascender - fontMetrics.descender + (lines.length - 1) * lineHeightFactor * 1000) * scale / 1000,
+      ascent: fontMetrics.ascender * scale / 1000,
+      descent: -fontMetrics.descender * scale / 1000,
+      capHeight: fontMetrics.capHeight * scale / 1000,
+      lineHeight: lineHeightFactor * scale,
+      lines: lines,
+      boundingBox: {
+        x: box[0] * scale / 1000,
+        y: box[1] * scale / 1000,
+        w: (box[2] - box[0]) * scale / 1000,
+        h: (box[3] - box[1]) * scale / 1000
+      }
+    };
+  };
+
 })(jsPDF.API);
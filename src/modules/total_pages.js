@@ -46,7 +46,8 @@
       replaceExpression = new RegExp(pageExpression, 'g');
       totalNumberOfPages = this.internal.getNumberOfPages();
     } else {
-      replaceExpression = new RegExp(this.pdfEscape16(pageExpression, this.internal.getFont()), 'g');
+      //kerned text has position adjustments between the glyphs
+      replaceExpression = new RegExp(this.pdfEscape16(pageExpression, this.internal.getFont()).match(/.{4}/g).join('(?:> -?[0-9.]+ <)?'), 'g');
       totalNumberOfPages = this.pdfEscape16(this.internal.getNumberOfPages() + '', this.internal.getFont());
     }
 
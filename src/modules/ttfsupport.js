@@ -21,6 +21,9 @@
                     throw new Error("Font is not stored as string-data in vFS, import fonts or remove declaration doc.addFont('" + font.postScriptName + "').");
                 }
                 font.metadata = jsPDF.API.TTFFont.open(font.postScriptName, font.fontName, file, font.encoding);
+                if (font.metadata.cff.exists && font.metadata.cff.isCIDFont && font.encoding === 'WinAnsiEncoding') {
+                    throw new Error("CID-keyed CFF fonts can only be embedded with the encoding Identity-H, use doc.addFont('" + font.postScriptName + "', '" + font.fontName + "', '" + font.fontStyle + "', 'Identity-H').");
+                }
                 font.metadata.Unicode = font.metadata.Unicode || {encoding: {}, kerning: {}, widths: []};
                 font.metadata.glyIdsUsed = [0];
             } else if (font.isStandardFont === false) {
@@ -28,4 +31,33 @@
             }
         }
     ]) // end of adding event handler
+
+    /**
+     * Enables or disables OpenType layout features of the active embedded font.
+     * Pair kerning is read from the GPOS table and falls back to the kern table,
+     * ligatures are read from the liga feature of the GSUB table. The features are
+     * also applied when measuring text, e.g. by getTextWidth and splitTextToSize.
+     *
+     * @name setFontFeatures
+     * @function
+     * @instance
+     * @param {Object} features
+     * @param {boolean} [features.kerning] Apply pair kerning.
+     * @param {boolean} [features.ligatures] Apply standard ligatures.
+     * @returns {jsPDF}
+     * @memberOf jsPDF
+     */
+    jsPDF.API.setFontFeatures = function (features) {
+        var font = this.internal.getFont();
+        if (!(font.metadata instanceof jsPDF.API.TTFFont) || typeof features !== "object" || features === null) {
+            throw new Error("Invalid argument(s) passed to jsPDF.setFontFeatures");
+        }
+        if (typeof features.kerning === "boolean") {
+            font.metadata.features.kerning = features.kerning;
+        }
+        if (typeof features.ligatures === "boolean") {
+            font.metadata.features.ligatures = features.ligatures;
+        }
+        return this;
+    };
 })(jsPDF, typeof self !== "undefined" && self || typeof global !== "undefined" && global || typeof window !== "undefined" && window || (Function ("return this"))());
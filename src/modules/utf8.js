@@ -16,32 +16,208 @@
         }
         return hex;
       }
+ 
+      var bidiEngine;
+
+      /******************************************************************************/
+      /* function : reorderGlyphs                                                   */
+      /* comment : Put the glyphs of a line of text in logical order into visual    */
+      /*   order with the Unicode bidi algorithm. The direction of the line is      */
+      /*   given by its first strong character. Mirrored characters like brackets   */
+      /*   use the glyph of their counterpart in right-to-left runs and the kerning */
+      /*   of two glyphs stays between them. Each glyph carries its font, so the    */
+      /*   line is reordered as a whole when it is rendered in several fonts.       */
+      /******************************************************************************/
+      var reorderGlyphs = function (text, glyphs) {
+        var sourceToTargetMap = [];
+        var levels = [];
+        var targets = [];
+        var items = [];
+        var visualItems, visualText, index, item, mirrored, kerning, i, j;
+        if (!/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u200F\u202B\u202E]/.test(text)) {
+          return glyphs;
+        }
+        bidiEngine = bidiEngine || new jsPDF.__bidiEngine__();
+        bidiEngine.setOptions({isInputVisual: false, isOutputVisual: true, isOutputRtl: false, isSymmetricSwapping: true});
+        visualText = bidiEngine.doBidiReorder(text, sourceToTargetMap, levels);
+        for (i = 0; i < sourceToTargetMap.length; i++) {
+          targets[sourceToTargetMap[i]] = i;
+        }
+        for (i = 0, index = 0; i < glyphs.length; i++) {
+          if (glyphs[i].cluster !== undefined) {
+            //the glyphs of a shaped syllable are already in visual order
+            item = {glyph: glyphs[i], position: targets[glyphs[i].cluster], order: (i > 0 && glyphs[i - 1].cluster === glyphs[i].cluster) ? items[i - 1].order + 1 : 0, rtl: false};
+          } else if (glyphs[i].text === '') {
+            //the additional glyphs of a multiple substitution follow their first glyph
+            item = {glyph: glyphs[i], position: items[i - 1].position, order: items[i - 1].order + 1, rtl: items[i - 1].rtl};
+          } else {
+            item = {glyph: glyphs[i], position: targets[index], order: 0, rtl: levels[index] % 2 === 1};
+            for (j = 1; j < glyphs[i].text.length; j++) {
+              item.position = Math.min(item.position, targets[index + j]);
+            }
+            if (glyphs[i].text.length === 1 && visualText.charAt(targets[index]) !== glyphs[i].text) {
+              mirrored = getGlyph(glyphs[i].font, visualText.charCodeAt(targets[index]));
+              if (mirrored) {
+                glyphs[i].glyph = mirrored;
+                glyphs[i].text = visualText.charAt(targets[index]);
+              }
+            }
+          }
+          index += glyphs[i].text.length;
+          items.push(item);
+        }
+        visualItems = items.slice().sort(function (a, b) {
+          return (a.position - b.position) || (a.rtl ? b.order - a.order : a.order - b.order);
+        });
+        for (i = 0; i < visualItems.length; i++) {
+          visualItems[i].visualIndex = i;
+        }
+        kerning = glyphs.map(function (glyph) {
+          var value = glyph.kerning;
+          glyph.kerning = 0;
+          return value;
+        });
+        for (i = 0; i < items.length - 1; i++) {
+          j = Math.min(items[i].visualIndex, items[i + 1].visualIndex);
+          if (Math.abs(items[i].visualIndex - items[i + 1].visualIndex) === 1) {
+            visualItems[j].glyph.kerning += kerning[i];
+          }
+        }
+        return visualItems.map(function (item) {
+          return item.glyph;
+        });
+      };
         
+      /***************************************************************************/
+      /* function : layoutRun                                                     */
+      /* comment : Lay out a run of text in one font. Embedded fonts return their */
+      /*   glyphs, the glyphs of the other fonts are the character codes in their */
+      /*   encoding. Every glyph is tagged with the font of the run.              */
+      /***************************************************************************/
+      var layoutRun = function (text, font) {
+        var glyphs;
+        if (isGlyphFont(font)) {
+          glyphs = font.metadata.layout(text, font.encoding === 'Identity-V');
+        } else {
+          glyphs = text.split('').map(function (character) {
+            return {glyph: getCharCode(font, character.charCodeAt(0)), text: character, kerning: 0};
+          });
+        }
+        for (var i = 0; i < glyphs.length; i++) {
+          glyphs[i].font = font;
+        }
+        return glyphs;
+      };
+
+      /***************************************************************************************************/
+      /* function : encodeGlyphs                                                                         */
+      /* comment : The glyph ids of the embedded fonts are converted to 4 digit hexadecimal numbers      */
+      /*   and registered with their widths, the character codes of the other fonts to 2 digits. The     */
+      /*   line is returned as parts: the hexadecimal strings, the kerning as numbers and the operators  */
+      /*   to put between them, which switch the font or the text rise and wrap reordered syllables into */
+      /*   a span with their ActualText. The line starts and ends in the given font.                     */
+      /***************************************************************************************************/
+      var encodeGlyphs = function (glyphs, font, fontSize) {
+        var padz = ["", "0", "00", "000", "0000"];
+        var parts = [];
+        var activeFont = font;
+        var rise = 0;
+        var span, glyph, widths, t;
+        for (var i = 0; i < glyphs.length; i++) {
+          glyph = glyphs[i];
+          t = glyph.glyph;
+          if (span !== undefined && glyph.cluster !== span) {
+            parts.push({operator: 'EMC'});
+            span = undefined;
+          }
+          if (glyph.font !== activeFont) {
+            activeFont = glyph.font;
+            parts.push({operator: '/' + activeFont.id + ' ' + fontSize + ' Tf'});
+          }
+          if (glyph.actualText !== undefined) {
+            parts.push({operator: '/Span <</ActualText <FEFF' + glyph.actualText.split('').map(function (character) {
+              return ('0000' + character.charCodeAt(0).toString(16)).slice(-4);
+            }).join('') + '>>> BDC'});
+            span = glyph.cluster;
+          }
+          if ((glyph.rise || 0) !== rise) {
+            rise = glyph.rise || 0;
+            parts.push({operator: (rise / 1000 * fontSize).toFixed(2) + ' Ts'});
+          }
+          if (!isGlyphFont(activeFont)) {
+            parts.push(('0' + t.toString(16)).slice(-2));
+          } else {
+            widths = activeFont.metadata.Unicode.widths;
+            activeFont.metadata.glyIdsUsed.push(t);
+            //a ligature maps back to all of its characters, a decomposed character to its last glyph
+            if (glyph.text !== '' && glyph.decomposed !== true) {
+              activeFont.metadata.toUnicode[t] = glyph.text.length === 1 ? glyph.text.charCodeAt(0) : glyph.text;
+            }
+            if (widths.indexOf(t) == -1) {
+              widths.push(t);
+              widths.push([parseInt(activeFont.metadata.widthOfGlyph(t), 10)]);
+            }
+            if (t == '0') { //Spaces are not allowed in cmap.
+              break;
+            }
+            t = t.toString(16);
+            parts.push(padz[4 - t.length] + t);
+          }
+          //the kerning after the last glyph belongs to its width too
+          if (glyph.kerning) {
+            parts.push(-glyph.kerning);
+          }
+        }
+        if (rise !== 0) {
+          parts.push({operator: '0 Ts'});
+        }
+        if (span !== undefined) {
+          parts.push({operator: 'EMC'});
+        }
+        if (activeFont !== font) {
+          parts.push({operator: '/' + font.id + ' ' + fontSize + ' Tf'});
+        }
+        return parts;
+      };
+
+      /***************************************************************************/
+      /* function : writeParts                                                    */
+      /* comment : Join the parts of a line into the content of a hex string for  */
+      /*   the TJ operator with the kerning as position adjustments, or for the   */
+      /*   Tj operator, which has to drop the kerning.                            */
+      /***************************************************************************/
+      var writeParts = function (parts, isTJ) {
+        return parts.map(function (part) {
+          if (typeof part === 'number') {
+            return isTJ ? '> ' + part + ' <' : '';
+          }
+          if (typeof part === 'object') {
+            return (isTJ ? '>] TJ\n' : '> Tj\n') + part.operator + '\n' + (isTJ ? '[<' : '<');
+          }
+          return part;
+        }).join('');
+      };
+
+      var hasAdjustments = function (parts) {
+        return parts.some(function (part) {
+          return typeof part === 'number';
+        });
+      };
+
       /***************************************************************************************************/
       /* function : pdfEscape16                                                                          */
       /* comment : The character id of a 2-byte string is converted to a hexadecimal number by obtaining */
-      /*   the corresponding glyph id and width, and then adding padding to the string.                  */
+      /*   the corresponding glyph id and width, and then adding padding to the string. Only the glyph   */
+      /*   ids are returned, kerning, rise and spans are written by the text function.                   */
       /***************************************************************************************************/
-          var pdfEscape16 = jsPDFAPI.pdfEscape16 = function (text, font) {
-            var widths = font.metadata.Unicode.widths;;
-            var padz = ["", "0", "00", "000", "0000"];
-            var ar = [""];
-            for (var i = 0, l = text.length, t; i < l; ++i) {
-              t = font.metadata.characterToGlyph(text.charCodeAt(i))
-              font.metadata.glyIdsUsed.push(t);
-              font.metadata.toUnicode[t] = text.charCodeAt(i);
-              if (widths.indexOf(t) == -1) {
-                widths.push(t);
-                widths.push([parseInt(font.metadata.widthOfGlyph(t), 10)]);
-              }
-              if (t == '0') { //Spaces are not allowed in cmap.
-                return ar.join("");
-              } else {
-                t = t.toString(16);
-                ar.push(padz[4 - t.length], t);
-              }
+          var pdfEscape16 = jsPDFAPI.pdfEscape16 = function (text, font, fontSize) {
+            var glyphs = layoutRun(text, font);
+            if (font.encoding !== 'Identity-V') {
+              glyphs = reorderGlyphs(text, glyphs);
             }
-            return ar.join("");
+            return encodeGlyphs(glyphs, font, fontSize).filter(function (part) {
+              return typeof part === 'string';
+            }).join("");
           };
 
           var toUnicodeCmap = function (map) {
@@ -58,7 +234,14 @@
                   unicodeMap += "\n" + range.length + " beginbfchar\n" + range.join('\n') + "\nendbfchar";
                   range = [];
                 }
-                unicode = ('0000' + map[code].toString(16)).slice(-4);
+                if (typeof map[code] === 'string') {
+                  unicode = '';
+                  for (var i = 0; i < map[code].length; i++) {
+                    unicode += ('0000' + map[code].charCodeAt(i).toString(16)).slice(-4);
+                  }
+                } else {
+                  unicode = ('0000' + map[code].toString(16)).slice(-4);
+                }
                 code = ('0000' + (+code).toString(16)).slice(-4);
                 range.push("<" + code + "><" + unicode + ">");
               }
@@ -70,18 +253,47 @@
               return unicodeMap;
           };
 
+          /***************************************************************************/
+          /* function : getVerticalMetrics                                            */
+          /* comment : Returns the W2 array of the used glyphs, i.e. the vertical     */
+          /*   advance and the position of the vertical origin of each glyph.         */
+          /***************************************************************************/
+          var getVerticalMetrics = function (font) {
+              var metrics = [];
+              var glyphs = font.metadata.glyIdsUsed.filter(function (glyph, index, glyphs) {
+                return glyphs.indexOf(glyph) === index;
+              }).sort(function (a, b) {
+                return a - b;
+              });
+              for (var i = 0; i < glyphs.length; i++) {
+                metrics.push(glyphs[i]);
+                metrics.push([
+                  -Math.round(font.metadata.heightOfGlyph(glyphs[i])),
+                  Math.round(font.metadata.widthOfGlyph(glyphs[i]) / 2),
+                  font.metadata.verticalOriginOfGlyph(glyphs[i])
+                ]);
+              }
+              return metrics;
+          };
+
           var identityHFunction = function (font, out, newObject, putStream) {
               
               if ((font.metadata instanceof jsPDF.API.TTFFont) && (font.encoding === 'Identity-H')) { //Tag with Identity-H
                 var widths = font.metadata.Unicode.widths;
-                var data = font.metadata.subset.encode(font.metadata.glyIdsUsed, 1);
+                var isCFF = font.metadata.cff.exists;
+                //OpenType fonts with CFF outlines are embedded as a bare CID-keyed CFF font program
+                var data = isCFF ? font.metadata.cff.encode(font.metadata.glyIdsUsed) : font.metadata.subset.encode(font.metadata.glyIdsUsed, 1);
                 var pdfOutput = data;
                 var pdfOutput2 = "";
                 for (var i = 0; i < pdfOutput.length; i++) {
                   pdfOutput2 += String.fromCharCode(pdfOutput[i]);
                 }
                 var fontTable = newObject();
-                putStream({data: pdfOutput2, addLength1: true});
+                if (isCFF) {
+                  putStream({data: pdfOutput2, additionalKeyValues: [{key: 'Subtype', value: '/CIDFontType0C'}]});
+                } else {
+                  putStream({data: pdfOutput2, addLength1: true});
+                }
                 out('endobj');
 
                 var cmap = newObject();
@@ -93,7 +305,7 @@
                 out('<<');
                 out('/Type /FontDescriptor');
                 out('/FontName /' + font.fontName);
-                out('/FontFile2 ' + fontTable + ' 0 R');
+                out((isCFF ? '/FontFile3 ' : '/FontFile2 ') + fontTable + ' 0 R');
                 out('/FontBBox ' + jsPDF.API.PDFObject.convert(font.metadata.bbox));
                 out('/Flags ' + font.metadata.flags);
                 out('/StemV ' + font.metadata.stemV);
@@ -110,9 +322,14 @@
                 out('/BaseFont /' + font.fontName);
                 out('/FontDescriptor ' + fontDescriptor + ' 0 R');
                 out('/W ' + jsPDF.API.PDFObject.convert(widths));
-                out('/CIDToGIDMap /Identity');
+                if (font.verticalFontKey !== undefined) {
+                  out('/W2 ' + jsPDF.API.PDFObject.convert(getVerticalMetrics(font)));
+                }
+                if (!isCFF) {
+                  out('/CIDToGIDMap /Identity');
+                }
                 out('/DW 1000');
-                out('/Subtype /CIDFontType2');
+                out('/Subtype ' + (isCFF ? '/CIDFontType0' : '/CIDFontType2'));
                 out('/CIDSystemInfo');
                 out('<<');
                 out('/Supplement 0');
@@ -122,6 +339,8 @@
                 out('>>');
                 out('endobj');
 
+                font.descendantFontObjectNumber = DescendantFont;
+                font.toUnicodeObjectNumber = cmap;
                 font.objectNumber = newObject();
                 out('<<');
                 out('/Type /Font');
@@ -144,19 +363,54 @@
                   identityHFunction(args.font, args.out, args.newObject, args.putStream);
           }]);
 
+          /***************************************************************************/
+          /* function : identityVFunction                                             */
+          /* comment : The vertical variant of an embedded font shares the descendant */
+          /*   font and the ToUnicode CMap with the Identity-H font it was made of,   */
+          /*   which is put before it.                                                */
+          /***************************************************************************/
+          var identityVFunction = function (font, out, newObject) {
+              if ((font.metadata instanceof jsPDF.API.TTFFont) && (font.encoding === 'Identity-V')) {
+                font.objectNumber = newObject();
+                out('<<');
+                out('/Type /Font');
+                out('/Subtype /Type0');
+                out('/ToUnicode ' + font.horizontalFont.toUnicodeObjectNumber + ' 0 R');
+                out('/BaseFont /' + font.fontName);
+                out('/Encoding /' + font.encoding);
+                out('/DescendantFonts [' + font.horizontalFont.descendantFontObjectNumber + ' 0 R]');
+                out('>>');
+                out('endobj');
+
+                font.isAlreadyPutted = true;
+              }
+          };
+
+          jsPDFAPI.events.push([
+              'putFont'
+              ,function(args) {
+                  identityVFunction(args.font, args.out, args.newObject);
+          }]);
+
         
         var winAnsiEncodingFunction = function (font, out, newObject, putStream) {
             
             if ((font.metadata instanceof jsPDF.API.TTFFont) && font.encoding === 'WinAnsiEncoding') { //Tag with WinAnsi encoding
               var widths = font.metadata.Unicode.widths;
-              var data = font.metadata.rawData;
+              var isCFF = font.metadata.cff.exists;
+              //the bare CFF table is embedded as Type1C font program, OpenType font programs need PDF 1.6
+              var data = isCFF ? font.metadata.cff.raw() : font.metadata.rawData;
               var pdfOutput = data;
               var pdfOutput2 = "";
               for (var i = 0; i < pdfOutput.length; i++) {
                 pdfOutput2 += String.fromCharCode(pdfOutput[i]);
               }
               var fontTable = newObject();
-              putStream({data: pdfOutput2,addLength1: true});
+              if (isCFF) {
+                putStream({data: pdfOutput2, additionalKeyValues: [{key: 'Subtype', value: '/Type1C'}]});
+              } else {
+                putStream({data: pdfOutput2,addLength1: true});
+              }
               out('endobj');
 
               var cmap = newObject();
@@ -170,7 +424,7 @@
               out('/CapHeight ' + font.metadata.capHeight);
               out('/StemV ' + font.metadata.stemV);
               out('/Type /FontDescriptor');
-              out('/FontFile2 ' + fontTable + ' 0 R');
+              out((isCFF ? '/FontFile3 ' : '/FontFile2 ') + fontTable + ' 0 R');
               out('/Flags 96');
               out('/FontBBox ' + jsPDF.API.PDFObject.convert(font.metadata.bbox));
               out('/FontName /' + font.fontName);
@@ -182,7 +436,7 @@
               for (var i = 0; i < font.metadata.hmtx.widths.length; i++) {
                 font.metadata.hmtx.widths[i] = parseInt(font.metadata.hmtx.widths[i] * (1000 / font.metadata.head.unitsPerEm)); //Change the width of Em units to Point units.
               }
-              out('<</Subtype/TrueType/Type/Font/ToUnicode ' + cmap + ' 0 R/BaseFont/' + font.fontName + '/FontDescriptor ' + fontDescriptor + ' 0 R' + '/Encoding/' + font.encoding + ' /FirstChar 29 /LastChar 255 /Widths ' + jsPDF.API.PDFObject.convert(font.metadata.hmtx.widths) + '>>');
+              out('<</Subtype/' + (isCFF ? 'Type1' : 'TrueType') + '/Type/Font/ToUnicode ' + cmap + ' 0 R/BaseFont/' + font.fontName + '/FontDescriptor ' + fontDescriptor + ' 0 R' + '/Encoding/' + font.encoding + ' /FirstChar 29 /LastChar 255 /Widths ' + jsPDF.API.PDFObject.convert(font.metadata.hmtx.widths) + '>>');
               out('endobj');
               font.isAlreadyPutted = true;
             }
@@ -195,6 +449,244 @@
             }
         ]);
         
+        /***************************************************************************/
+        /* function : isGlyphFont                                                   */
+        /* comment : Embedded fonts with an Identity encoding are written as glyph  */
+        /*   ids, all other fonts as 8-bit character codes.                         */
+        /***************************************************************************/
+        var isGlyphFont = function (font) {
+            return font.metadata instanceof jsPDF.API.TTFFont && (font.encoding === 'Identity-H' || font.encoding === 'Identity-V');
+        };
+
+        /***************************************************************************/
+        /* function : getCharCode                                                   */
+        /* comment : The code of a character in the encoding of a standard font,   */
+        /*   like the euro sign at 128 in WinAnsiEncoding. Fonts without an        */
+        /*   encoding table use the Unicode value.                                  */
+        /***************************************************************************/
+        var getCharCode = function (font, charCode) {
+            var encodingBlock = font.metadata && font.metadata.Unicode && font.metadata.Unicode.encoding;
+            var outputEncoding = encodingBlock && encodingBlock[font.encoding];
+            return (outputEncoding && outputEncoding[charCode]) || charCode;
+        };
+
+        /***************************************************************************/
+        /* function : hasGlyph                                                      */
+        /* comment : Embedded fonts are checked by their cmap, the standard fonts  */
+        /*   can render the characters of their 8-bit encoding.                    */
+        /***************************************************************************/
+        var hasGlyph = function (font, charCode) {
+            if (font.metadata instanceof jsPDF.API.TTFFont) {
+                return font.metadata.characterToGlyph(charCode) !== 0;
+            }
+            return getCharCode(font, charCode) < 256;
+        };
+
+        var getGlyph = function (font, charCode) {
+            if (isGlyphFont(font)) {
+                return font.metadata.characterToGlyph(charCode);
+            }
+            return hasGlyph(font, charCode) ? getCharCode(font, charCode) : 0;
+        };
+
+        /****************************************************************************/
+        /* function : getFontRuns                                                    */
+        /* comment : Split the text into runs of characters rendered by the same     */
+        /*   font. Each character uses the first font of the list having a glyph for */
+        /*   it, characters no font can render stay in the first font.               */
+        /****************************************************************************/
+        var getFontRuns = function (text, fontList) {
+            var runs = [];
+            var font;
+            for (var i = 0; i < text.length; i++) {
+                font = fontList[0];
+                for (var j = 0; j < fontList.length; j++) {
+                    if (hasGlyph(fontList[j], text.charCodeAt(i))) {
+                        font = fontList[j];
+                        break;
+                    }
+                }
+                if (runs.length > 0 && runs[runs.length - 1].font === font) {
+                    runs[runs.length - 1].text += text.charAt(i);
+                } else {
+                    runs.push({font: font, text: text.charAt(i)});
+                }
+            }
+            return runs;
+        };
+
+        /**
+         * Splits a text into runs of characters that are rendered by the same font,
+         * using the active font and the fallback fonts set by setFont.
+         *
+         * @name getFontRuns
+         * @function
+         * @instance
+         * @param {string} text
+         * @returns {Array} Array of objects with the font and the text of each run.
+         * @memberOf jsPDF
+         */
+        jsPDFAPI.getFontRuns = function (text) {
+            return getFontRuns(text, [this.internal.getFont()].concat(this.internal.getFallbackFonts()));
+        };
+
+        /****************************************************************************/
+        /* function : isUpright                                                      */
+        /* comment : CJK characters, kana, Hangul and the fullwidth forms stand      */
+        /*   upright in vertical text, all other characters are rotated (roughly the */
+        /*   Vertical_Orientation property of Unicode).                              */
+        /****************************************************************************/
+        var isUpright = function (charCode) {
+            return (charCode >= 0x1100 && charCode <= 0x11FF) ||
+                (charCode >= 0x2E80 && charCode <= 0xA4CF) ||
+                (charCode >= 0xAC00 && charCode <= 0xD7AF) ||
+                (charCode >= 0xD800 && charCode <= 0xDFFF) ||
+                (charCode >= 0xF900 && charCode <= 0xFAFF) ||
+                (charCode >= 0xFE10 && charCode <= 0xFE1F) ||
+                (charCode >= 0xFE30 && charCode <= 0xFE4F) ||
+                (charCode >= 0xFF00 && charCode <= 0xFFEF);
+        };
+
+        /**
+         * Splits a line of vertical text into runs of upright characters, which are written with
+         * the Identity-V encoding, and runs of rotated characters like Latin words. The height of
+         * each run is given in units of the font size.
+         *
+         * @name getVerticalTextRuns
+         * @function
+         * @instance
+         * @param {string} text
+         * @param {Object} [options]
+         * @param {Object} [options.font] The embedded font, defaults to the active font.
+         * @returns {Array} Array of objects with the text, the height and the upright flag of each run.
+         * @memberOf jsPDF
+         */
+        jsPDFAPI.getVerticalTextRuns = function (text, options) {
+            var font = (options && options.font) || this.internal.getFont();
+            var runs = [];
+            var upright, run, glyphs, i, j;
+
+            if (!(font.metadata instanceof jsPDF.API.TTFFont)) {
+                throw new Error('Invalid argument(s) passed to jsPDF.getVerticalTextRuns');
+            }
+            for (i = 0; i < text.length; i++) {
+                upright = isUpright(text.charCodeAt(i));
+                if (runs.length > 0 && runs[runs.length - 1].upright === upright) {
+                    runs[runs.length - 1].text += text.charAt(i);
+                } else {
+                    runs.push({text: text.charAt(i), upright: upright});
+                }
+            }
+            for (i = 0; i < runs.length; i++) {
+                run = runs[i];
+                if (run.upright) {
+                    run.height = 0;
+                    glyphs = font.metadata.layout(run.text, true);
+                    for (j = 0; j < glyphs.length; j++) {
+                        run.height += font.metadata.heightOfGlyph(glyphs[j].glyph) / 1000;
+                    }
+                } else {
+                    run.height = font.metadata.widthOfString(run.text, 1, 0);
+                }
+            }
+            return runs;
+        };
+
+        /***************************************************************************/
+        /* function : reverseGlyphs                                                 */
+        /* comment : Put the glyphs of a line shaped in logical order into the     */
+        /*   reversed order of the R2L option. The glyphs of a syllable and the    */
+        /*   additional glyphs of a multiple substitution stay in their order and  */
+        /*   the kerning of two glyphs stays between them.                          */
+        /***************************************************************************/
+        var reverseGlyphs = function (glyphs) {
+            var groups = [];
+            var kerning, group, i;
+            for (i = 0; i < glyphs.length; i++) {
+                if (i > 0 && (glyphs[i].text === '' || (glyphs[i].cluster !== undefined && glyphs[i].cluster === glyphs[i - 1].cluster))) {
+                    groups[groups.length - 1].push(glyphs[i]);
+                } else {
+                    groups.push([glyphs[i]]);
+                }
+            }
+            kerning = groups.map(function (group) {
+                var value = group[group.length - 1].kerning;
+                group[group.length - 1].kerning = 0;
+                return value;
+            });
+            for (i = 0; i < groups.length; i++) {
+                //the kerning after the last glyph stays with it
+                group = (i < groups.length - 1) ? groups[i + 1] : groups[i];
+                group[group.length - 1].kerning += kerning[i];
+            }
+            return [].concat.apply([], groups.reverse());
+        };
+
+        /***************************************************************************/
+        /* function : encodeLine                                                    */
+        /* comment : Lay out the runs of a line in their fonts and reorder the     */
+        /*   glyphs of the whole line once. Text reversed by the R2L option is     */
+        /*   shaped in its logical order and the glyphs are reversed afterwards,   */
+        /*   so that the joining forms are picked for the right letters.           */
+        /***************************************************************************/
+        var encodeLine = function (runs, font, mutex) {
+            var glyphs = [];
+            var text = '';
+            var isReversed = mutex.R2L === true && font.encoding !== 'Identity-V';
+            var i;
+            if (isReversed) {
+                runs = runs.slice().reverse().map(function (run) {
+                    return {font: run.font, text: run.text.split('').reverse().join('')};
+                });
+            }
+            for (i = 0; i < runs.length; i++) {
+                glyphs = glyphs.concat(layoutRun(runs[i].text, runs[i].font));
+                text += runs[i].text;
+            }
+            if (isReversed) {
+                glyphs = reverseGlyphs(glyphs);
+            } else if (font.encoding !== 'Identity-V') {
+                glyphs = reorderGlyphs(text, glyphs);
+            }
+            return encodeGlyphs(glyphs, font, mutex.activeFontSize);
+        };
+
+        /***************************************************************************/
+        /* function : fontRunsTextFunction                                          */
+        /* comment : Encode every run in its own font. The font is switched between */
+        /*   the runs and the active font is restored at the end of the line.      */
+        /***************************************************************************/
+        var fontRunsTextFunction = function (args) {
+            var mutex = args.mutex;
+            var fonts = mutex.fonts;
+            var fontList = [fonts[mutex.activeFontKey]];
+            var runs, chars, i, j;
+
+            for (i = 0; i < mutex.fallbackFontKeys.length; i++) {
+                fontList.push(fonts[mutex.fallbackFontKeys[i]]);
+            }
+
+            runs = getFontRuns(args.text || '', fontList);
+            for (i = 0; i < runs.length; i++) {
+                chars = '';
+                for (j = 0; j < runs[i].text.length; j++) {
+                    if (hasGlyph(runs[i].font, runs[i].text.charCodeAt(j))) {
+                        chars += runs[i].text.charAt(j);
+                    }
+                }
+                runs[i].text = chars;
+            }
+            mutex.isHex = true;
+
+            return {
+                parts : encodeLine(runs, fontList[0], mutex),
+                x : args.x,
+                y : args.y,
+                options: args.options,
+                mutex: mutex
+            };
+        };
+
         var utf8TextFunction = function (args) {
             var text = args.text || '';
             var x = args.x;
@@ -218,8 +710,12 @@
             var attr;
             var key = activeFontKey;
             var encoding = fonts[key].encoding;
+
+            if (mutex.fallbackFontKeys && mutex.fallbackFontKeys.length > 0) {
+                return fontRunsTextFunction(args);
+            }
             
-            if (fonts[key].encoding !== 'Identity-H') {
+            if (encoding !== 'Identity-H' && encoding !== 'Identity-V') {
                 return {
                     text : text,
                     x : x,
@@ -264,15 +760,17 @@
             }
           }
           var result = '';
+          var parts;
           if ((parseInt(key.slice(1)) < 14) || encoding === 'WinAnsiEncoding') { //For the default 13 font
                 result = toHex(pdfEscape(str, key));
-              } else if (encoding === 'Identity-H') {
-                  result = pdfEscape16(str, fonts[key]);
+              } else {
+                  parts = encodeLine([{font: fonts[key], text: str}], fonts[key], mutex);
               }
               mutex.isHex = true;
             
             return {
                 text : result,
+                parts : parts,
                 x : x,
                 y : y,
                 options: options,
@@ -288,7 +786,7 @@
             mutex = parms.mutex
             var lang = options.lang;
             var tmpText = [];
-            var tempPayLoad;
+            var results = [];
             var args = {
                     text : text,
                     x : x,
@@ -296,24 +794,39 @@
                     options: options,
                     mutex: mutex
                 };
+            var encodeText = function (text) {
+                var result = utf8TextFunction(Object.assign({}, args, {text: text}));
+                results.push(result);
+                return result;
+            };
+            var writeText = function (result) {
+                return result.parts !== undefined ? writeParts(result.parts, mutex.isTJ) : result.text;
+            };
 
             if (Object.prototype.toString.call(text) === '[object Array]') {
                 var i = 0;
                 for (i = 0; i < text.length; i += 1) {
-                    if (Object.prototype.toString.call(text[i]) === '[object Array]') {
-                        if (text[i].length === 3) {
-                            tmpText.push([utf8TextFunction(Object.assign({}, args, {text: text[i][0]})).text, text[i][1], text[i][2]]);
-                        } else {
-                            tmpText.push(utf8TextFunction(Object.assign({}, args, {text: text[i]})).text);
-                        }
+                    if (Object.prototype.toString.call(text[i]) === '[object Array]' && text[i].length === 3) {
+                        tmpText.push([encodeText(text[i][0]), text[i][1], text[i][2]]);
                     } else {
-                        tmpText.push(utf8TextFunction(Object.assign({}, args, {text: text[i]})).text);
+                        tmpText.push(encodeText(text[i]));
                     }
                 }
-                parms.text = tmpText;
-                
             } else {
-                parms.text = utf8TextFunction(Object.assign({}, args, {text: text})).text;
+                tmpText = encodeText(text);
+            }
+
+            //all lines are written with the same operator, kerning needs TJ
+            mutex.isTJ = mutex.isTJ || results.some(function (result) {
+                return result.parts !== undefined && hasAdjustments(result.parts);
+            });
+
+            if (Object.prototype.toString.call(text) === '[object Array]') {
+                parms.text = tmpText.map(function (line) {
+                    return Object.prototype.toString.call(line) === '[object Array]' ? [writeText(line[0]), line[1], line[2]] : writeText(line);
+                });
+            } else {
+                parms.text = writeText(tmpText);
             }
         }
 
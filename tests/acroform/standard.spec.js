@@ -1,5 +1,5 @@
 /* @TODO Enable , remove all these globals */
-/* global describe, xit, it, jsPDF, comparePdf, ComboBox, ListBox, PushButton, CheckBox, TextField, PasswordField, RadioButton, AcroForm */
+/* global describe, xit, it, jsPDF, comparePdf, ComboBox, ListBox, PushButton, CheckBox, TextField, PasswordField, SignatureField, RadioButton, AcroForm */
 /**
  * Acroform testing
  */
@@ -841,6 +841,91 @@ describe('Acroform Integration Test', function () {
   });
 
 
+  it('should add a SignatureField and sign the document', function () {
+    var doc = new jsPDF('p', 'mm', 'a4');
+    doc.setCreationDate("D:20190101000000+00'00'");
+    doc.text(10, 165, 'Signature:');
+    var signedBytes;
+    var signatureField = new SignatureField();
+    signatureField.T = 'Signature1';
+    signatureField.Rect = [50, 160, 80, 20];
+    signatureField.signerName = 'Jane Doe';
+    signatureField.reason = 'Invoice approved';
+    signatureField.location = 'Berlin';
+    signatureField.signatureSize = 16;
+    signatureField.signer = function (bytes) {
+      signedBytes = bytes;
+      return new Uint8Array([0x30, 0x82, 0x01, 0xff]);
+    };
+    doc.addField(signatureField);
+
+    var pdf = doc.output();
+    var byteRange = pdf.match(/\/ByteRange \[(\d+) (\d+) (\d+) (\d+)\] */);
+    expect(byteRange[0].length).toEqual(47);
+    expect(Number(byteRange[3]) + Number(byteRange[4])).toEqual(pdf.length);
+    expect(pdf.substring(Number(byteRange[2]), Number(byteRange[3]))).toEqual('<308201ff' + new Array(25).join('0') + '>');
+    expect(signedBytes.length).toEqual(Number(byteRange[2]) + Number(byteRange[4]));
+    expect(String.fromCharCode.apply(null, signedBytes.subarray(0, Number(byteRange[2])))).toEqual(pdf.substr(0, Number(byteRange[2])));
+    expect(pdf).toContain('/SigFlags 3');
+    comparePdf(pdf, 'signature.pdf', 'acroform');
+  });
+
+  it('should add an unsigned SignatureField', function () {
+    var doc = new jsPDF('p', 'mm', 'a4');
+    doc.text(10, 165, 'Signature:');
+    var signatureField = new doc.AcroFormSignatureField();
+    signatureField.T = 'Signature1';
+    signatureField.Rect = [50, 160, 80, 20];
+    doc.addField(signatureField);
+
+    var pdf = doc.output();
+    expect(pdf).not.toContain('/ByteRange');
+    expect(pdf).not.toContain('/SigFlags');
+    comparePdf(pdf, 'signature-unsigned.pdf', 'acroform');
+  });
+
+  it('AcroFormSignatureField signer, signatureSize', function () {
+    var signatureField = new SignatureField();
+    expect(signatureField.FT).toEqual('/Sig');
+    expect(signatureField.signatureSize).toEqual(8192);
+    expect(function () {signatureField.signer = 'signer'}).toThrow(new Error('Invalid value for attribute signer supplied.'));
+    expect(function () {signatureField.signatureSize = 0}).toThrow(new Error('Invalid value "0" for attribute signatureSize supplied.'));
+  });
+
+  it('should not stream a document with a signer', function () {
+    var signer = function () {
+      return new Uint8Array([0x30, 0x82, 0x01, 0xff]);
+    };
+    var doc = new jsPDF('p', 'mm', 'a4');
+    var signatureField = new SignatureField();
+    signatureField.T = 'Signature1';
+    signatureField.Rect = [50, 160, 80, 20];
+    signatureField.signer = signer;
+    doc.addField(signatureField);
+    expect(function () {doc.beginStream(function () {})}).toThrow(new Error('Documents with a signer of an AcroFormSignatureField can not be streamed.'));
+
+    // a signer added while the document is streamed
+    var chunks = [];
+    doc = new jsPDF('p', 'mm', 'a4');
+    doc.beginStream(function (chunk) {
+      chunks.push(chunk);
+    });
+    signatureField = new SignatureField();
+    signatureField.T = 'Signature1';
+    signatureField.Rect = [50, 160, 80, 20];
+    signatureField.signer = signer;
+    expect(function () {doc.addField(signatureField)}).toThrow(new Error('Documents with a signer of an AcroFormSignatureField can not be streamed.'));
+
+    signatureField = new SignatureField();
+    signatureField.T = 'Signature2';
+    signatureField.Rect = [50, 160, 80, 20];
+    doc.addField(signatureField);
+    expect(function () {signatureField.signer = signer}).toThrow(new Error('Documents with a signer of an AcroFormSignatureField can not be streamed.'));
+    doc.output('stream');
+    expect(chunks.join('')).not.toContain('/ByteRange');
+    expect(chunks.join('')).toContain('%%EOF');
+  });
+
   it('should export all needed Classes', function() {
     expect(jsPDF.API.AcroForm.Appearance);
     expect(jsPDF.API.AcroForm.CheckBox);
@@ -853,6 +938,7 @@ describe('Acroform Integration Test', function () {
     expect(jsPDF.API.AcroForm.PushButton);
     expect(jsPDF.API.AcroForm.RadioButton);
     expect(jsPDF.API.AcroForm.TextField);
+    expect(jsPDF.API.AcroForm.SignatureField);
     expect(jsPDF.API.AcroFormAppearance);
     expect(jsPDF.API.AcroFormCheckBox);
     expect(jsPDF.API.AcroFormButton);
@@ -864,5 +950,6 @@ describe('Acroform Integration Test', function () {
     expect(jsPDF.API.AcroFormPushButton);
     expect(jsPDF.API.AcroFormRadioButton);
     expect(jsPDF.API.AcroFormTextField);
+    expect(jsPDF.API.AcroFormSignatureField);
   });
 });
@@ -55,4 +55,98 @@ describe('Drawing functions', () => {
     })
     comparePdf(doc.output(), 'freetext.pdf', 'annotations')
   })
+  it('should draw text markup annotations', () => {
+    const doc = jsPDF()
+    doc.setCreationDate("D:20190101000000+00'00'")
+    doc.text('This text is highlighted', 20, 20)
+    doc.createAnnotation({
+      type: 'highlight',
+      bounds: {x: 20, y: 15, w: 70, h: 7},
+      author: 'Reviewer',
+      subject: 'Highlight',
+      contents: 'Please check this sentence'
+    })
+    doc.text(['This text is underlined', 'over two lines'], 20, 40)
+    doc.createAnnotation({
+      type: 'underline',
+      bounds: [{x: 20, y: 35, w: 68, h: 7}, {x: 20, y: 42, w: 40, h: 7}],
+      color: '#0000ff'
+    })
+    doc.text('This text is struck out', 20, 70)
+    doc.createAnnotation({
+      type: 'strikeout',
+      quadPoints: [20, 65, 85, 65, 20, 72, 85, 72],
+      opacity: 0.5
+    })
+    doc.text('This text is squiggly', 20, 90)
+    doc.createAnnotation({
+      type: 'squiggly',
+      bounds: {x: 20, y: 85, w: 60, h: 7},
+      color: [0, 128, 0]
+    })
+    comparePdf(doc.output(), 'markup-text.pdf', 'annotations')
+  })
+  it('should draw shape annotations', () => {
+    const doc = jsPDF()
+    doc.setCreationDate("D:20190101000000+00'00'")
+    doc.createAnnotation({type: 'square', bounds: {x: 20, y: 20, w: 50, h: 30}, interiorColor: '#ffff00', lineWidth: 1})
+    doc.createAnnotation({type: 'circle', bounds: {x: 100, y: 20, w: 50, h: 30}, color: 'blue'})
+    doc.createAnnotation({type: 'line', points: [[20, 70], [150, 90]], author: 'Reviewer'})
+    doc.createAnnotation({type: 'polygon', points: [[20, 110], [70, 110], [45, 140]], interiorColor: [200, 200, 255]})
+    doc.createAnnotation({type: 'polyline', points: [[100, 110], [120, 140], [140, 110], [160, 140]], opacity: 0.5})
+    comparePdf(doc.output(), 'markup-shapes.pdf', 'annotations')
+  })
+  it('should draw ink and stamp annotations', () => {
+    const doc = jsPDF()
+    doc.setCreationDate("D:20190101000000+00'00'")
+    doc.createAnnotation({
+      type: 'ink',
+      inkList: [[[20, 30], [30, 20], [40, 30], [50, 20]], [[20, 40], [50, 40]]],
+      color: '#000080',
+      lineWidth: 0.7
+    })
+    doc.createAnnotation({type: 'stamp', bounds: {x: 100, y: 20, w: 70, h: 20}, name: 'Approved', color: 'green'})
+    doc.createAnnotation({type: 'stamp', bounds: {x: 100, y: 50, w: 70, h: 20}, name: 'Confidential', creationDate: "D:20190102000000+00'00'"})
+    comparePdf(doc.output(), 'markup-ink-stamp.pdf', 'annotations')
+  })
+  it('should reject markup annotations without geometry', () => {
+    const doc = jsPDF()
+    expect(function () {doc.createAnnotation({type: 'highlight'})}).toThrow(new Error('Invalid arguments passed to jsPDF.createAnnotation'))
+    expect(function () {doc.createAnnotation({type: 'line', points: [[10, 10]]})}).toThrow(new Error('Invalid arguments passed to jsPDF.createAnnotation'))
+    expect(function () {doc.createAnnotation({type: 'ink', inkList: []})}).toThrow(new Error('Invalid arguments passed to jsPDF.createAnnotation'))
+  })
+  it('should write links with views, actions and borders', () => {
+    const doc = jsPDF()
+    doc.addPage()
+    doc.setPage(1)
+    doc.link(20, 20, 40, 10, {pageNumber: 2, magFactor: 'FitR', left: 10, top: 10, right: 100, bottom: 50, highlight: 'outline'})
+    doc.link(20, 35, 40, 10, {pageNumber: 2, magFactor: 'FitBH', top: 30, border: [0, 0, 1]})
+    doc.link(20, 50, 40, 10, {name: 'chapter1', border: {width: 0.5, style: 'dashed', dashArray: [1, 1], color: 'blue'}})
+    doc.link(20, 65, 40, 10, {action: {type: 'GoToR', file: 'other.pdf', pageNumber: 3, magFactor: 'Fit', newWindow: true}})
+    doc.link(20, 80, 40, 10, {action: {type: 'GoToE', embeddedFile: 'attachment.pdf', name: 'summary'}})
+    doc.link(20, 95, 40, 10, {action: {type: 'Launch', file: 'readme.txt'}, highlight: 'push'})
+    doc.link(20, 110, 40, 10, {action: [{type: 'Named', name: 'Print'}, {type: 'JavaScript', script: 'app.alert("Printed");'}]})
+    doc.link(20, 125, 40, 10, {action: {type: 'Named', name: 'NextPage', next: {type: 'URI', url: 'http://www.example.com'}}})
+    comparePdf(doc.output(), 'links.pdf', 'annotations')
+  })
+  it('should reject invalid link options', () => {
+    const doc = jsPDF()
+    expect(function () {doc.link(20, 20, 40, 10, {action: {type: 'Unknown'}})}).toThrow(new Error('Invalid action passed to jsPDF.link'))
+    expect(function () {doc.link(20, 20, 40, 10, {action: {type: 'Named', name: 'Next Page'}})}).toThrow(new Error('Invalid action passed to jsPDF.link'))
+    expect(function () {doc.link(20, 20, 40, 10, {pageNumber: 1, magFactor: 'FitX'})}).toThrow(new Error('Invalid magFactor "FitX" passed to jsPDF.link'))
+    expect(function () {doc.link(20, 20, 40, 10, {pageNumber: 1, highlight: 'glow'})}).toThrow(new Error('Invalid highlight mode "glow" passed to jsPDF.link'))
+    expect(function () {doc.link(20, 20, 40, 10, {pageNumber: 1, border: {style: 'wavy'}})}).toThrow(new Error('Invalid border style "wavy" passed to jsPDF.link'))
+  })
+  it('should reject spot and ICC based annotation colors', () => {
+    const doc = jsPDF()
+    doc.addSpotColor('PANTONE 185 C', [0, 232, 196, 0])
+    expect(function () {doc.createAnnotation({type: 'square', bounds: {x: 20, y: 20, w: 50, h: 30}, color: ['PANTONE 185 C', 1]})}).toThrow(new Error('Invalid color passed to jsPDF.createAnnotation, annotations only support gray, RGB and CMYK colors'))
+    expect(function () {doc.createAnnotation({type: 'circle', bounds: {x: 20, y: 20, w: 50, h: 30}, interiorColor: 'PANTONE 185 C'})}).toThrow(new Error('Invalid color passed to jsPDF.createAnnotation, annotations only support gray, RGB and CMYK colors'))
+    expect(function () {doc.link(20, 20, 40, 10, {pageNumber: 1, border: {color: 'PANTONE 185 C'}})}).toThrow(new Error('Invalid color passed to jsPDF.link, annotations only support gray, RGB and CMYK colors'))
+
+    doc.createAnnotation({type: 'square', bounds: {x: 20, y: 20, w: 50, h: 30}, color: [0, 0, 255, 0], interiorColor: [128]})
+    const output = doc.output()
+    expect(output).toContain('/C [0.000 0.000 1.000 0.000]')
+    expect(output).toContain('/IC [0.502]')
+  })
 })
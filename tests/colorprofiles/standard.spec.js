@@ -0,0 +1,73 @@
+/* global describe, it, jsPDF, comparePdf, expect, atob */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('ICC color profiles', () => {
+  // minimal RGB display profile with a gamma of 2.2
+  const TestRGB = 'AAAB4G5vbmUCEAAAbW50clJHQiBYWVogAAAAAAAAAAAAAAAAYWNzcAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPbWAAEAAAAA0y0AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJZGVzYwAAAPAAAABpY3BydAAAAVwAAAAhd3RwdAAAAYAAAAAUclhZWgAAAZQAAAAUZ1hZWgAAAagAAAAUYlhZWgAAAbwAAAAUclRSQwAAAdAAAAAOZ1RSQwAAAdAAAAAOYlRSQwAAAdAAAAAOZGVzYwAAAAAAAAAPanNQREYgdGVzdCBSR0IAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAdGV4dAAAAABObyBjb3B5cmlnaHQsIHVzZSBmcmVlbHkAAAAAWFlaIAAAAAAAAPbWAAEAAAAA0y1YWVogAAAAAAAAb6QAADj2AAADj1hZWiAAAAAAAABilgAAt4cAABjcWFlaIAAAAAAAACSiAAAPgwAAts9jdXJ2AAAAAAAAAAECMwAA'
+
+  it('should draw with an ICC based color space', () => {
+    const doc = new jsPDF()
+    doc.addFileToVFS('TestRGB.icc', atob(TestRGB))
+    doc.addICCProfile('TestRGB', 'TestRGB.icc')
+    doc.setFillColor('TestRGB', 255, 128, 0)
+    doc.setDrawColor('TestRGB', [0, 0, 255])
+    doc.setLineWidth(2)
+    doc.rect(10, 10, 100, 50, 'FD')
+    doc.setTextColor('TestRGB', 0, 128, 0)
+    doc.text('ICC based text', 10, 80)
+
+    comparePdf(doc.output(), 'iccbased.pdf', 'colorprofiles')
+  })
+
+  it('should write a default color space and an output intent', () => {
+    const doc = new jsPDF()
+    doc.addFileToVFS('TestRGB.icc', atob(TestRGB))
+    doc.addICCProfile('TestRGB', 'TestRGB.icc', {useAsDefault: true})
+    doc.addOutputIntent('TestRGB', {
+      outputCondition: 'Test display',
+      registryName: 'http://www.color.org',
+      info: 'jsPDF test profile'
+    })
+    doc.setFillColor(255, 0, 0)
+    doc.rect(10, 10, 100, 50, 'F')
+
+    comparePdf(doc.output(), 'output-intent.pdf', 'colorprofiles')
+
+    var output = doc.output()
+    expect(output).toContain('/N 3\n/Alternate /DeviceRGB')
+    expect(output).toContain('/ColorSpace <<\n/CS1 20 0 R\n/DefaultRGB 20 0 R\n>>')
+    expect(output).toContain('/OutputIntents [<< /Type /OutputIntent /S /GTS_PDFX /OutputConditionIdentifier (TestRGB) /OutputCondition (Test display) /RegistryName (http://www.color.org) /Info (jsPDF test profile) /DestOutputProfile 19 0 R >>]')
+  })
+
+  it('should return the device color as an approximation', () => {
+    const doc = new jsPDF()
+    doc.addFileToVFS('TestRGB.icc', atob(TestRGB))
+    doc.addICCProfile('TestRGB', 'TestRGB.icc')
+    doc.setFillColor('TestRGB', 255, 0, 0)
+    expect(doc.getFillColor()).toEqual('#ff0000')
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.addICCProfile('TestRGB', 'missing.icc')
+    }).toThrow(new Error("ICC profile does not exist in vFS, import the profile or remove declaration doc.addICCProfile('TestRGB', 'missing.icc')."))
+    doc.addFileToVFS('invalid.icc', 'no profile')
+    expect(function () {
+      doc.addICCProfile('Invalid', 'invalid.icc')
+    }).toThrow(new Error('Invalid ICC profile "invalid.icc" passed to jsPDF.addICCProfile.'))
+    expect(function () {
+      doc.addOutputIntent('TestRGB')
+    }).toThrow(new Error('ICC profile "TestRGB" was not added to jsPDF. Use jsPDF.addICCProfile first.'))
+    doc.addFileToVFS('TestRGB.icc', atob(TestRGB))
+    doc.addICCProfile('TestRGB', 'TestRGB.icc')
+    expect(function () {
+      doc.setFillColor('TestRGB', 255, 0)
+    }).toThrow(new Error('Invalid color channels passed to jsPDF.encodeColorString.'))
+  })
+})
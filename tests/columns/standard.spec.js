@@ -0,0 +1,100 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Column flow', () => {
+  const paragraph = 'Text flows from column to column and onto new pages. The columns are laid out in frames, which may ' +
+    'differ from page to page, e.g. to leave space for a masthead on the first page. Every new page gets a header.'
+  const text = [paragraph, paragraph, paragraph, paragraph, paragraph, paragraph].join('\n')
+
+  it('should flow text through the columns of the frames and add pages', () => {
+    const doc = new jsPDF()
+    var pages = []
+    doc.setFontSize(20)
+    doc.text('Newsletter', 20, 30)
+    doc.setFontSize(10)
+    var result = doc.flowText(text, {
+      frames: function (pageNumber) {
+        return pageNumber === 1 ? [{x: 20, y: 40, width: 170, height: 40}] : [{x: 20, y: 30, width: 170, height: 40}]
+      },
+      columns: 3,
+      gutter: 6,
+      align: 'justify',
+      indent: 4,
+      paragraphSpacing: 2,
+      onPage: function (pdf, pageNumber) {
+        pages.push(pageNumber)
+        pdf.text('Newsletter - page ' + pageNumber, 20, 20)
+      }
+    })
+    expect(pages).toEqual([2])
+    expect(result.pageNumber).toEqual(2)
+    expect(doc.getNumberOfPages()).toEqual(2)
+    comparePdf(doc.output(), 'columns.pdf', 'columns')
+  })
+
+  it('should flow rich text runs', () => {
+    const doc = new jsPDF()
+    var runs = [
+      {text: 'Rich text ', size: 14},
+      {text: 'keeps its styles', style: 'bold'},
+      {text: ' when it flows into the next column. '},
+      {text: 'Colored', color: 'red'},
+      {text: ' and '},
+      {text: 'linked', link: 'https://github.com/MrRio/jsPDF', underline: true},
+      {text: ' runs are continued as well.\nA line break starts a new paragraph.'}
+    ]
+    var result = doc.flowText(runs, {
+      frames: [{x: 20, y: 20, width: 100, height: 20}],
+      columns: 2,
+      gutter: 10,
+      align: 'justify',
+      paragraphSpacing: 1
+    })
+    expect(result.pageNumber).toEqual(2)
+    comparePdf(doc.output(), 'columns-rich-text.pdf', 'columns')
+  })
+
+  it('should return the end of the text', () => {
+    const doc = new jsPDF()
+    doc.setFontSize(10)
+    var result = doc.flowText('One line.', {frames: [{x: 20, y: 20, width: 80, height: 100}], columns: 2, gutter: 10})
+    expect(result.pageNumber).toEqual(1)
+    expect(result.x).toEqual(20)
+    expect(result.width).toEqual(35)
+    expect(result.y).toBeCloseTo(20 + 10 * 1.15 / doc.internal.scaleFactor, 5)
+  })
+
+  it('should end an empty text where it starts', () => {
+    const doc = new jsPDF()
+    var result = doc.flowText('', {frames: [{x: 20, y: 10, width: 80, height: 100}]})
+    expect(result).toEqual({pageNumber: 1, x: 20, y: 10, width: 80})
+    result = doc.flowText([], {frames: [{x: 20, y: 10, width: 80, height: 100}]})
+    expect(result).toEqual({pageNumber: 1, x: 20, y: 10, width: 80})
+    expect(doc.internal.pages[1].join('\n')).not.toContain('Tj')
+  })
+
+  it('should skip frames which can not hold a line', () => {
+    const doc = new jsPDF()
+    var result = doc.flowText('One line.', {frames: [{x: 20, y: 10, width: 80, height: 1}, {x: 20, y: 30, width: 80, height: 100}]})
+    expect(result.pageNumber).toEqual(1)
+    expect(result.y).toBeCloseTo(30 + 16 * 1.15 / doc.internal.scaleFactor, 5)
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.flowText('Text', {})
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.flowText'))
+    expect(function () {
+      doc.flowText('Text', {frames: [{x: 20, y: 20, width: 10, height: 100}], columns: 3, gutter: 5})
+    }).toThrow(new Error('Invalid frame passed to jsPDF.flowText'))
+    expect(function () {
+      doc.flowText(text, {frames: [{x: 20, y: 20, width: 100, height: 1}]})
+    }).toThrow(new Error('The frames passed to jsPDF.flowText are too small for the text.'))
+  })
+})
@@ -0,0 +1,78 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Form XObjects', () => {
+  it('should draw a letterhead form object on every page', () => {
+    const doc = new jsPDF()
+
+    doc.beginFormObject(0, 0, 210, 30)
+    doc.setFillColor(0, 0, 128)
+    doc.rect(10, 10, 190, 12, 'F')
+    doc.setTextColor(255, 255, 255)
+    doc.text('ACME Corporation', 15, 18)
+    doc.endFormObject('letterhead')
+
+    doc.doFormObject('letterhead')
+    doc.text('Page 1', 10, 50)
+    doc.addPage('a5', 'l')
+    doc.doFormObject('letterhead')
+    doc.text('Page 2', 10, 50)
+
+    comparePdf(doc.output(), 'letterhead.pdf', 'formobject')
+  })
+
+  it('should place form objects with a transformation matrix', () => {
+    const doc = new jsPDF()
+
+    doc.beginFormObject(0, 0, 20, 20)
+    doc.circle(10, 10, 10, 'F')
+    doc.endFormObject('dot')
+
+    doc.doFormObject('dot', [1, 0, 0, 1, 20, 20])
+    doc.doFormObject('dot', [0.5, 0, 0, 0.5, 60, 20])
+
+    comparePdf(doc.output(), 'matrix.pdf', 'formobject')
+  })
+
+  it('should list form objects in the XObject dictionary', () => {
+    const doc = new jsPDF()
+
+    doc.beginFormObject(0, 0, 10, 10)
+    doc.rect(0, 0, 10, 10)
+    doc.endFormObject('first')
+    doc.beginFormObject(0, 0, 10, 10)
+    doc.rect(0, 0, 5, 5)
+    doc.endFormObject('second')
+
+    var output = doc.output()
+    expect(output).toContain('/XObject <<\n/Xo1 ')
+    expect(output).toContain('/Xo2 ')
+    expect(output).toContain('/Subtype /Form')
+  })
+
+  it('should not write recorded operations to the page', () => {
+    const doc = new jsPDF()
+
+    doc.beginFormObject(0, 0, 10, 10)
+    doc.rect(0, 0, 10, 10)
+    doc.endFormObject('box')
+
+    expect(doc.internal.pages[1].join('\n')).not.toContain(' re')
+  })
+
+  it('should throw an error for invalid form objects', () => {
+    const doc = new jsPDF()
+
+    expect(function () {
+      doc.endFormObject('unknown')
+    }).toThrow(new Error('jsPDF.endFormObject called without jsPDF.beginFormObject'))
+    expect(function () {
+      doc.doFormObject('unknown')
+    }).toThrow(new Error('Form object "unknown" was not added to jsPDF. Use jsPDF.beginFormObject and jsPDF.endFormObject first.'))
+  })
+})
@@ -0,0 +1,99 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('GState', () => {
+  it('should draw a semi-transparent rectangle', () => {
+    const doc = new jsPDF()
+
+    doc.setFillColor(255, 0, 0)
+    doc.rect(10, 10, 50, 50, 'F')
+
+    doc.saveGraphicsState()
+    doc.setGState(new doc.GState({opacity: 0.5}))
+    doc.setFillColor(0, 0, 255)
+    doc.rect(30, 30, 50, 50, 'F')
+    doc.restoreGraphicsState()
+
+    comparePdf(doc.output(), 'opacity.pdf', 'gstate')
+  })
+
+  it('should draw watermark text with a named GState', () => {
+    const doc = new jsPDF()
+
+    doc.addGState('watermark', new doc.GState({opacity: 0.2, strokeOpacity: 0.4, blendMode: 'Multiply'}))
+    doc.saveGraphicsState()
+    doc.setGState('watermark')
+    doc.text('CONFIDENTIAL', 40, 150, {angle: 45})
+    doc.restoreGraphicsState()
+
+    comparePdf(doc.output(), 'watermark.pdf', 'gstate')
+  })
+
+  it('should reuse GStates with equal parameters', () => {
+    const doc = new jsPDF()
+
+    doc.setGState(new doc.GState({opacity: 0.5}))
+    doc.setGState(new doc.GState({opacity: 0.5}))
+    doc.setGState(new doc.GState({opacity: 0.7}))
+
+    var output = doc.output()
+    expect(output).toContain('/ExtGState <<\n/GS1 ')
+    expect(output).toContain('/GS2 ')
+    expect(output).not.toContain('/GS3 ')
+    expect(doc.getGState().opacity).toEqual(0.7)
+  })
+
+  it('should restore the GState with restoreGraphicsState', () => {
+    const doc = new jsPDF()
+    var gState = new doc.GState({opacity: 0.5})
+
+    expect(doc.getGState()).toEqual(null)
+    doc.saveGraphicsState()
+    doc.setGState(gState)
+    expect(doc.getGState()).toBe(gState)
+    doc.restoreGraphicsState()
+    expect(doc.getGState()).toEqual(null)
+  })
+
+  it('should not write an ExtGState dictionary if no GState is used', () => {
+    const doc = new jsPDF()
+    doc.rect(10, 10, 50, 50, 'F')
+    expect(doc.output()).not.toContain('/ExtGState')
+  })
+
+  it('should normalize blend modes', () => {
+    expect(new jsPDF.GState({blendMode: 'color-dodge'}).blendMode).toEqual('ColorDodge')
+    expect(new jsPDF.GState({blendMode: 'source-over'}).blendMode).toEqual('Normal')
+    expect(function () {
+      new jsPDF.GState({blendMode: 'invalid'})
+    }).toThrow(new Error('Invalid blend mode "invalid" passed to jsPDF.GState.'))
+  })
+
+  it('should throw an error if the GState is unknown', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.setGState('unknown')
+    }).toThrow(new Error('GState "unknown" was not added to jsPDF. Use jsPDF.addGState first.'))
+    expect(function () {
+      doc.addGState('invalid', {opacity: 0.5})
+    }).toThrow(new Error('Invalid argument passed to jsPDF.addGState'))
+  })
+
+  it('should paint transparent context2d fills', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+    const ctx = doc.context2d
+
+    ctx.fillStyle = 'rgba(255, 0, 0, 0.5)'
+    ctx.fillRect(10, 10, 100, 100)
+    ctx.globalAlpha = 0.5
+    ctx.fillStyle = '#0000ff'
+    ctx.fillRect(60, 60, 100, 100)
+
+    comparePdf(doc.output(), 'context2d-alpha.pdf', 'gstate')
+  })
+})
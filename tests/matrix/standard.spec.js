@@ -0,0 +1,66 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Matrix', () => {
+  it('should transform primitives with setCurrentTransformationMatrix', () => {
+    const doc = new jsPDF()
+
+    doc.rect(10, 10, 40, 20)
+
+    doc.saveGraphicsState()
+    doc.setCurrentTransformationMatrix(new doc.Matrix(1, 0, 0, 1, 100, 50).multiply(doc.Matrix.rotation(30)))
+    doc.rect(0, 0, 40, 20)
+    doc.ellipse(20, 10, 10, 5)
+    doc.restoreGraphicsState()
+
+    doc.saveGraphicsState()
+    doc.setCurrentTransformationMatrix([1, 0, 0.5, 1, 0, 100])
+    doc.lines([[20, 0], [0, 20], [-20, 0]], 10, 10, [1, 1], 'S', true)
+    doc.restoreGraphicsState()
+
+    doc.rect(10, 200, 40, 20)
+
+    comparePdf(doc.output(), 'transformations.pdf', 'matrix')
+  })
+
+  it('should multiply and invert matrices', () => {
+    const translation = new jsPDF.Matrix(1, 0, 0, 1, 10, 20)
+    const scale = new jsPDF.Matrix(2, 0, 0, 3, 0, 0)
+    const matrix = translation.multiply(scale)
+
+    expect(matrix.toArray()).toEqual([2, 0, 0, 3, 10, 20])
+    expect(matrix.applyToPoint({x: 1, y: 1})).toEqual({x: 12, y: 23})
+    expect(matrix.inversed().applyToPoint({x: 12, y: 23})).toEqual({x: 1, y: 1})
+    expect(matrix.multiply(matrix.inversed()).isIdentity()).toEqual(true)
+    expect(new jsPDF.Matrix().isIdentity()).toEqual(true)
+    expect(matrix.clone()).not.toBe(matrix)
+    expect(matrix.clone().toArray()).toEqual(matrix.toArray())
+  })
+
+  it('should decompose matrices', () => {
+    const matrix = new jsPDF.Matrix(1, 0, 0, 1, 5, 6).multiply(jsPDF.Matrix.rotation(90)).multiply(new jsPDF.Matrix(2, 0, 0, 4, 0, 0))
+    const decomposed = matrix.decompose()
+
+    expect(decomposed.scale.sx).toBeCloseTo(2, 5)
+    expect(decomposed.scale.sy).toBeCloseTo(4, 5)
+    expect(decomposed.translate.toArray()).toEqual([1, 0, 0, 1, 5, 6])
+    expect(decomposed.rotate.shy).toBeCloseTo(-1, 5)
+    expect(decomposed.skew.shx).toBeCloseTo(0, 5)
+  })
+
+  it('should throw an error for invalid matrices', () => {
+    const doc = new jsPDF()
+
+    expect(function () {
+      doc.setCurrentTransformationMatrix([1, 0, 0])
+    }).toThrow(new Error('Invalid argument passed to jsPDF.setCurrentTransformationMatrix'))
+    expect(function () {
+      new jsPDF.Matrix(0, 0, 0, 0, 0, 0).inversed()
+    }).toThrow(new Error('Matrix is not invertible.'))
+  })
+})
@@ -0,0 +1,43 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Named destinations', () => {
+  it('should write named destinations referenced by links and outline items', () => {
+    const doc = new jsPDF()
+    doc.text('Table of contents', 20, 20)
+    doc.addPage()
+    doc.text('Invoice 3', 20, 120)
+    doc.addNamedDestination('invoice-3', {y: 110})
+    doc.addNamedDestination('summary', {pageNumber: 1, fit: 'FitR', x: 10, y: 10, width: 100, height: 50})
+    doc.addNamedDestination('overview', {pageNumber: 2, fit: 'FitH', y: 0})
+    doc.addNamedDestination('detail', {pageNumber: 2, x: 20, y: 100, zoom: 2})
+    doc.setPage(1)
+    doc.textWithLink('Go to invoice 3', 20, 40, {name: 'invoice-3'})
+    doc.outline.add(null, 'Invoice 3', {name: 'invoice-3'})
+
+    comparePdf(doc.output(), 'named-destinations.pdf', 'named_destinations')
+  })
+
+  it('should write the named destinations of the pages for the outline', () => {
+    const doc = new jsPDF()
+    doc.addPage()
+    doc.addJS('print({});')
+    doc.outline.createNamedDestinations = true
+    doc.outline.add(null, 'Page 2', {name: 'page_2'})
+
+    comparePdf(doc.output(), 'outline-pages.pdf', 'named_destinations')
+  })
+
+  it('should reject invalid named destinations', () => {
+    const doc = new jsPDF()
+    expect(function () {doc.addNamedDestination('')}).toThrow(new Error('Invalid arguments passed to jsPDF.addNamedDestination'))
+    expect(function () {doc.addNamedDestination('chapter', {pageNumber: 2})}).toThrow(new Error('Invalid arguments passed to jsPDF.addNamedDestination'))
+    expect(function () {doc.addNamedDestination('chapter', {fit: 'FitX'})}).toThrow(new Error('Invalid fit "FitX" passed to jsPDF.addNamedDestination'))
+    expect(function () {doc.addNamedDestination('chapter', {fit: 'FitR'})}).toThrow(new Error('The fit FitR passed to jsPDF.addNamedDestination needs a width and a height.'))
+  })
+})
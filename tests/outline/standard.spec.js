@@ -1,5 +1,5 @@
 
-/* global describe, it, jsPDF, comparePdf */
+/* global describe, it, jsPDF, comparePdf, expect */
 /**
  * Standard spec tests
  *
@@ -35,4 +35,36 @@ describe('Outline functions', () => {
   })
 
   // @TODO: Document
+  it('should create styled, closed and unicode bookmarks with precise destinations', () => {
+    var doc = new jsPDF()
+    doc.addPage()
+    var chapter = doc.outline.add(null, 'Chapter 1', {pageNumber: 1, bold: true, color: '#000080'})
+    doc.outline.add(chapter, 'Section 1.1', {pageNumber: 1, y: 100, italic: true})
+    doc.outline.add(chapter, 'Section 1.2', {pageNumber: 2, x: 20, y: 50, zoom: 2, bold: true, italic: true})
+    var closed = doc.outline.add(null, 'Chapter 2', {pageNumber: 2, open: false, color: [200, 0, 0]})
+    doc.outline.add(closed, 'Section 2.1', {pageNumber: 2, y: 150})
+    doc.outline.add(null, 'Übersicht – Обзор', {pageNumber: 2})
+
+    comparePdf(doc.output(), 'bookmark-styles.pdf', 'outline')
+  })
+
+  it('should create the outline from headings', () => {
+    var doc = new jsPDF()
+    doc.heading('1 Introduction', 20, 20, {bold: true})
+    doc.heading('1.1 Scope', 20, 40, {level: 2})
+    doc.heading('1.2 Terms', 20, 60, {level: 2, open: false})
+    doc.heading('1.2.1 Glossary', 20, 80, {level: 3})
+    doc.heading('Not in the outline', 20, 100, {level: 2, outline: false})
+    doc.addPage()
+    doc.heading('2 Results', 20, 20, {title: 'Results', color: 'green'})
+
+    comparePdf(doc.output(), 'bookmark-headings.pdf', 'outline')
+  })
+
+  it('should reject invalid bookmarks and headings', () => {
+    var doc = new jsPDF()
+    expect(function () {doc.outline.add(null, 'Chapter', {pageNumber: 1, color: 'nocolor'})}).toThrow(new Error('Invalid color "nocolor" passed to jsPDF.outline.add'))
+    expect(function () {doc.heading(5, 20, 20)}).toThrow(new Error('Invalid arguments passed to jsPDF.heading'))
+    expect(function () {doc.heading('Chapter', 20, 20, {level: 0})}).toThrow(new Error('Invalid arguments passed to jsPDF.heading'))
+  })
 })
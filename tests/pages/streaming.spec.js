@@ -0,0 +1,119 @@
+
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Streaming output', () => {
+  var createDocument = function (sink) {
+    const doc = jsPDF()
+    if (sink) {
+      doc.beginStream(sink)
+    }
+    for (var i = 1; i <= 3; i++) {
+      doc.text('Text that will end up on page ' + i, 20, 20)
+      doc.addPage()
+      if (sink) {
+        doc.flushPage(i)
+      }
+    }
+    doc.text('Text that will end up on page 4', 20, 20)
+    return doc
+  }
+
+  it('should write flushed pages to a callback sink', () => {
+    var chunks = []
+    const doc = createDocument(function (chunk) {
+      chunks.push(chunk)
+    })
+    expect(chunks.length).toEqual(4)
+    expect(chunks[0]).toEqual('%PDF-1.3\n%\xBA\xDF\xAC\xE0\n')
+    expect(chunks[1]).toContain('Text that will end up on page 1')
+    expect(chunks[3]).not.toContain('trailer')
+
+    doc.output('stream')
+    expect(chunks.length).toEqual(5)
+    expect(chunks[4]).toContain('Text that will end up on page 4')
+    comparePdf(chunks.join(''), '4pages-stream.pdf', 'pages')
+  })
+
+  it('should produce the same document as output()', () => {
+    comparePdf(createDocument().output(), '4pages-stream.pdf', 'pages')
+  })
+
+  it('should write Uint8Arrays to an object with a write method', () => {
+    var length = 0
+    var text = ''
+    const doc = createDocument({
+      write: function (chunk) {
+        expect(chunk instanceof Uint8Array).toBe(true)
+        length += chunk.length
+        text += String.fromCharCode.apply(null, chunk.subarray(0, 8))
+      }
+    })
+    doc.output('stream')
+    expect(text.substr(0, 8)).toEqual('%PDF-1.3')
+    expect(length).toEqual(createDocument().output().length)
+  })
+
+  it('should not allow drawing on flushed pages', () => {
+    const doc = jsPDF()
+    doc.beginStream(function () {})
+    doc.addPage()
+    doc.flushPage(1)
+    expect(function () {
+      doc.setPage(1)
+    }).toThrow(new Error('Page 1 has already been flushed to the output stream.'))
+  })
+
+  it('should not allow drawing on the current page after flushing it', () => {
+    var chunks = []
+    const doc = jsPDF()
+    doc.beginStream(function (chunk) {
+      chunks.push(chunk)
+    })
+    doc.flushPage()
+    expect(function () {
+      doc.text('Lost text', 20, 20)
+    }).toThrow(new Error('Page 1 has already been flushed to the output stream.'))
+    doc.addPage()
+    doc.text('Text on page 2', 20, 20)
+    doc.output('stream')
+    expect(chunks.join('')).toContain('Text on page 2')
+  })
+
+  it('should only write a streamed document to the stream', () => {
+    const doc = jsPDF()
+    doc.beginStream(function () {})
+    expect(function () {
+      doc.output()
+    }).toThrow(new Error("A document started with jsPDF.beginStream can only be written by output('stream')."))
+    expect(function () {
+      doc.output('arraybuffer')
+    }).toThrow(new Error("A document started with jsPDF.beginStream can only be written by output('stream')."))
+    doc.output('stream')
+    expect(function () {
+      doc.output()
+    }).toThrow(new Error("A document started with jsPDF.beginStream can only be written by output('stream')."))
+    expect(function () {
+      doc.output('stream')
+    }).toThrow(new Error("output('stream') requires jsPDF.beginStream to be called first."))
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = jsPDF()
+    expect(function () {
+      doc.flushPage(1)
+    }).toThrow(new Error('jsPDF.flushPage requires jsPDF.beginStream to be called first.'))
+    expect(function () {
+      doc.beginStream('stream')
+    }).toThrow(new Error('Invalid argument passed to jsPDF.beginStream'))
+    doc.beginStream(function () {})
+    expect(function () {
+      doc.flushPage(2)
+    }).toThrow(new Error('Invalid argument passed to jsPDF.flushPage'))
+  })
+})
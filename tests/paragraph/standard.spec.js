@@ -0,0 +1,117 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Paragraph', () => {
+  const patterns = 'hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n'
+  const text = 'Hyphenation is the process of splitting words at the end of lines. Automatic hyphenation algorithms use patterns, ' +
+    'which were invented by Frank Liang for TeX. The hyphenation of a well-known word also works with explicit hy\u00ADphens.\n' +
+    'The second paragraph is shorter.'
+
+  it('should hyphenate words with Liang patterns', () => {
+    const doc = new jsPDF()
+    doc.addHyphenationPatterns('en-us', patterns, {exceptions: ['ta-ble']})
+    expect(doc.hyphenate('hyphenation', 'en-us')).toEqual(['hy', 'phen', 'ation'])
+    expect(doc.hyphenate('Hyphenation', 'EN-US')).toEqual(['Hy', 'phen', 'ation'])
+    expect(doc.hyphenate('table', 'en-us')).toEqual(['ta', 'ble'])
+    expect(doc.hyphenate('word', 'en-us')).toEqual(['word'])
+  })
+
+  it('should lay out justified paragraphs with indentation and hyphenation', () => {
+    const doc = new jsPDF()
+    doc.addHyphenationPatterns('en-us', patterns)
+    doc.rect(20, 20, 60, 100)
+    var result = doc.paragraph(text, 20, 20, {width: 60, align: 'justify', indent: 5, hyphenate: 'en-us', paragraphSpacing: 3})
+    expect(result.lines).toEqual(13)
+    expect(result.overflow).toEqual('')
+    expect(result.continued).toEqual(false)
+
+    doc.paragraph(text, 100, 20, {width: 60, align: 'center'})
+    comparePdf(doc.output(), 'justify.pdf', 'paragraph')
+  })
+
+  it('should return the overflow of a split paragraph', () => {
+    const doc = new jsPDF()
+    doc.addHyphenationPatterns('en-us', patterns)
+    var result = doc.paragraph(text, 20, 20, {width: 60, height: 30, hyphenate: 'en-us'})
+    expect(result.lines).toEqual(4)
+    expect(result.continued).toEqual(true)
+    expect(result.overflow.substr(0, 30)).toEqual('phenation algorithms use patte')
+
+    doc.addPage()
+    result = doc.paragraph(result.overflow, 20, 20, {width: 60, indent: 5, hyphenate: 'en-us', continued: result.continued})
+    expect(result.overflow).toEqual('')
+    comparePdf(doc.output(), 'overflow.pdf', 'paragraph')
+  })
+
+  it('should keep widows and orphans together', () => {
+    const doc = new jsPDF()
+    var lineHeight = doc.getFontSize() * doc.getLineHeightFactor() / doc.internal.scaleFactor
+    var paragraph = 'one two three four five six seven eight'
+
+    // four lines, only one fits after the first paragraph: the whole paragraph moves to the overflow
+    var result = doc.paragraph('first\n' + paragraph, 20, 20, {width: 30, height: lineHeight * 2.5})
+    expect(result.lines).toEqual(1)
+    expect(result.overflow).toEqual(paragraph)
+    expect(result.continued).toEqual(false)
+
+    // three lines fit, but two have to move to the overflow
+    result = doc.paragraph(paragraph, 20, 20, {width: 30, height: lineHeight * 3.5})
+    expect(result.lines).toEqual(2)
+    expect(result.overflow).toEqual('five six seven eight')
+
+    result = doc.paragraph(paragraph, 20, 20, {width: 30, height: lineHeight * 3.5, widows: 1, orphans: 1})
+    expect(result.lines).toEqual(3)
+  })
+
+  it('should split the paragraph in an empty rectangle that is too small for the orphans', () => {
+    const doc = new jsPDF()
+    var lineHeight = doc.getFontSize() * doc.getLineHeightFactor() / doc.internal.scaleFactor
+    var paragraph = 'one two three four five six seven eight'
+
+    var result = doc.paragraph(paragraph, 20, 20, {width: 30, height: lineHeight * 1.5})
+    expect(result.lines).toEqual(1)
+    expect(result.overflow).toEqual('three four five six seven eight')
+    expect(result.continued).toEqual(true)
+
+    var rectangles = 1
+    while (result.overflow) {
+      result = doc.paragraph(result.overflow, 20, 20, {width: 30, height: lineHeight * 1.5, continued: result.continued})
+      rectangles++
+    }
+    expect(rectangles).toEqual(4)
+  })
+
+  it('should split characters wider than the line', () => {
+    const doc = new jsPDF()
+
+    var result = doc.paragraph('W', 20, 20, {width: 1})
+    expect(result.lines).toEqual(1)
+    expect(result.overflow).toEqual('')
+
+    // the indentation leaves no room for the first line
+    result = doc.paragraph('Wide words', 20, 20, {width: 30, indent: 30})
+    expect(result.lines).toEqual(2)
+    expect(result.overflow).toEqual('')
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.paragraph('text', 20, 20)
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.paragraph'))
+    expect(function () {
+      doc.paragraph('text', 20, 20, {width: 50, align: 'middle'})
+    }).toThrow(new Error('Unrecognized alignment option, use "left", "center", "right" or "justify".'))
+    expect(function () {
+      doc.paragraph('text', 20, 20, {width: 50, hyphenate: 'de'})
+    }).toThrow(new Error('Hyphenation patterns for "de" were not added to jsPDF. Use jsPDF.addHyphenationPatterns first.'))
+    expect(function () {
+      doc.paragraph('text', 20, 20, {width: 50, height: 1})
+    }).toThrow(new Error('The rectangle passed to jsPDF.paragraph is too small for a line of text.'))
+  })
+})
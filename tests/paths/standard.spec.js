@@ -0,0 +1,85 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Paths', () => {
+  it('should fill a compound path with the even-odd rule', () => {
+    const doc = new jsPDF()
+
+    doc.setFillColor(255, 0, 0)
+    doc.moveTo(10, 10).lineTo(60, 10).lineTo(60, 60).lineTo(10, 60).closePath()
+    doc.moveTo(20, 20).lineTo(50, 20).lineTo(50, 50).lineTo(20, 50).closePath()
+    doc.fill('evenodd')
+
+    doc.moveTo(80, 35)
+    doc.curveTo(80, 21, 91, 10, 105, 10)
+    doc.curveTo(119, 10, 130, 21, 130, 35)
+    doc.curveTo(130, 49, 119, 60, 105, 60)
+    doc.curveTo(91, 60, 80, 49, 80, 35)
+    doc.closePath()
+    doc.fillStroke()
+
+    doc.moveTo(10, 80).lineTo(60, 80).lineTo(35, 120).stroke()
+
+    comparePdf(doc.output(), 'evenodd.pdf', 'paths')
+  })
+
+  it('should clip with a path', () => {
+    const doc = new jsPDF()
+
+    doc.saveGraphicsState()
+    doc.moveTo(10, 10).lineTo(110, 10).lineTo(60, 90).closePath()
+    doc.clip('evenodd')
+    doc.setFillColor(0, 0, 255)
+    doc.rect(0, 0, 200, 50, 'F')
+    doc.restoreGraphicsState()
+
+    doc.moveTo(10, 100).lineTo(50, 100).discardPath()
+
+    comparePdf(doc.output(), 'clip.pdf', 'paths')
+  })
+
+  it('should write path operators', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+
+    doc.moveTo(10, 10).lineTo(20, 10).curveTo(30, 10, 30, 20, 20, 20).closePath().fillStroke('evenodd')
+
+    expect(doc.internal.pages[1].slice(-5)).toEqual([
+      '10.00 831.89 m',
+      '20.00 831.89 l',
+      '30.00 831.89 30.00 821.89 20.00 821.89 c',
+      'h',
+      'B*'
+    ])
+  })
+
+  it('should fill context2d paths with the even-odd rule', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+    const ctx = doc.context2d
+
+    ctx.beginPath()
+    ctx.rect(10, 10, 200, 200)
+    ctx.rect(60, 60, 100, 100)
+    ctx.fill('evenodd')
+
+    comparePdf(doc.output(), 'context2d-evenodd.pdf', 'paths')
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+
+    expect(function () {
+      doc.moveTo('a', 10)
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.moveTo'))
+    expect(function () {
+      doc.curveTo(1, 2, 3, 4, 5)
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.curveTo'))
+    expect(function () {
+      doc.fill('oddeven')
+    }).toThrow(new Error('Invalid fill rule "oddeven" passed to jsPDF.fill'))
+  })
+})
@@ -0,0 +1,144 @@
+/* global describe, it, jsPDF, comparePdf, expect, loadBinaryResource, btoa */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Patterns', () => {
+  it('should fill a rectangle with an axial shading', () => {
+    const doc = new jsPDF()
+
+    doc.setFillPattern(new doc.ShadingPattern('axial', [10, 10, 110, 10], [
+      {offset: 0, color: '#ff0000'},
+      {offset: 0.5, color: 'yellow'},
+      {offset: 1, color: [0, 0, 255]}
+    ]))
+    doc.rect(10, 10, 100, 50, 'F')
+
+    comparePdf(doc.output(), 'axial.pdf', 'patterns')
+  })
+
+  it('should fill and stroke with radial shadings', () => {
+    const doc = new jsPDF()
+
+    doc.addPattern('radial', new doc.ShadingPattern('radial', [60, 100, 0, 60, 100, 40], [
+      {offset: 0, color: 'white'},
+      {offset: 1, color: 'black'}
+    ]))
+    doc.setFillPattern('radial')
+    doc.setDrawPattern(new doc.ShadingPattern('radial', [60, 100, 30, 60, 100, 50], [
+      {offset: 0.2, color: '#00ff00'},
+      {offset: 0.8, color: '#0000ff'}
+    ], [false, false]))
+    doc.setLineWidth(5)
+    doc.circle(60, 100, 40, 'FD')
+
+    comparePdf(doc.output(), 'radial.pdf', 'patterns')
+  })
+
+  it('should reuse patterns on the same page', () => {
+    const doc = new jsPDF()
+    const pattern = new doc.ShadingPattern('axial', [0, 0, 100, 0], [
+      {offset: 0, color: 'red'},
+      {offset: 1, color: 'blue'}
+    ])
+
+    doc.setFillPattern(pattern)
+    doc.setFillPattern(pattern)
+    doc.setFillPattern(new doc.ShadingPattern('axial', [0, 0, 100, 0], [
+      {offset: 0, color: 'red'},
+      {offset: 1, color: 'blue'}
+    ]))
+
+    var output = doc.output()
+    expect(output).toContain('/Pattern <<\n/P1 ')
+    expect(output).toContain('/P2 ')
+    expect(output).not.toContain('/P3 ')
+  })
+
+  it('should fill shapes with a hatched tiling pattern', () => {
+    const doc = new jsPDF()
+
+    doc.addPattern('hatch', new doc.TilingPattern([0, 0, 4, 4], 4, 4, function (pdf) {
+      pdf.setDrawColor(0, 0, 255)
+      pdf.setLineWidth(0.3)
+      pdf.line(0, 4, 4, 0)
+    }))
+    doc.setFillPattern('hatch')
+    doc.rect(10, 10, 100, 50, 'FD')
+    doc.circle(60, 120, 30, 'F')
+    doc.addPage('a5', 'l')
+    doc.setFillPattern('hatch')
+    doc.rect(10, 10, 100, 50, 'F')
+
+    comparePdf(doc.output(), 'tiling.pdf', 'patterns')
+  })
+
+  it('should not write a Pattern dictionary if no pattern is used', () => {
+    const doc = new jsPDF()
+    doc.rect(10, 10, 50, 50, 'F')
+    expect(doc.output()).not.toContain('/Pattern')
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.setFillPattern('unknown')
+    }).toThrow(new Error('Pattern "unknown" was not added to jsPDF. Use jsPDF.addPattern first.'))
+    expect(function () {
+      new jsPDF.TilingPattern([0, 0, 0, 10], 10, 10, function () {})
+    }).toThrow(new Error('Invalid boundingBox passed to jsPDF.TilingPattern.'))
+    expect(function () {
+      new jsPDF.ShadingPattern('conic', [0, 0, 1, 1], [{offset: 0, color: 'red'}])
+    }).toThrow(new Error('Invalid type "conic" passed to jsPDF.ShadingPattern.'))
+    expect(function () {
+      new jsPDF.ShadingPattern('radial', [0, 0, 1, 1], [{offset: 0, color: 'red'}])
+    }).toThrow(new Error('Invalid coords passed to jsPDF.ShadingPattern.'))
+  })
+
+  it('should paint context2d gradients', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+    const ctx = doc.context2d
+
+    var linear = ctx.createLinearGradient(10, 0, 210, 0)
+    linear.addColorStop(0, '#ff0000')
+    linear.addColorStop(0.5, 'rgb(0, 255, 0)')
+    linear.addColorStop(1, 'blue')
+    ctx.fillStyle = linear
+    ctx.fillRect(10, 10, 200, 100)
+
+    var radial = ctx.createRadialGradient(110, 250, 10, 110, 250, 100)
+    radial.addColorStop(0, 'white')
+    radial.addColorStop(1, 'black')
+    ctx.fillStyle = radial
+    ctx.translate(0, 10)
+    ctx.fillRect(10, 150, 200, 200)
+
+    comparePdf(doc.output(), 'context2d-gradients.pdf', 'patterns')
+  })
+
+  it('should paint context2d image patterns', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+    const ctx = doc.context2d
+    const img = 'data:image/jpeg;base64,' + btoa(loadBinaryResource('/base/tests/patterns/tile.jpg').split('').map(function (c) {
+      return String.fromCharCode(c.charCodeAt(0) & 0xff)
+    }).join(''))
+
+    ctx.fillStyle = ctx.createPattern(img, 'repeat')
+    ctx.fillRect(10, 10, 500, 300)
+    ctx.fillStyle = ctx.createPattern(img, 'repeat-x')
+    ctx.translate(0, 350)
+    ctx.fillRect(10, 0, 500, 300)
+
+    comparePdf(doc.output(), 'context2d-pattern.pdf', 'patterns')
+  })
+
+  it('should throw an error for invalid context2d pattern repetitions', () => {
+    const doc = new jsPDF('p', 'pt', 'a4')
+    expect(function () {
+      doc.context2d.createPattern('', 'repeat-z')
+    }).toThrow(new Error('Invalid repetition "repeat-z" passed to createPattern'))
+  })
+})
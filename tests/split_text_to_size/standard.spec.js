@@ -85,4 +85,34 @@ describe('split_text_to_size', () => {
   })
 
 
+  it('getTextMetrics', () => {
+    var doc = new jsPDF({unit: 'pt'});
+    doc.setFont("Helvetica");
+    doc.setFontSize(10);
+
+    var metrics = doc.getTextMetrics("Lorem Ipsum");
+    expect(metrics.width).toBeCloseTo(doc.getTextWidth("Lorem Ipsum"), 6);
+    expect(metrics.ascent).toBeCloseTo(7.18, 6);
+    expect(metrics.descent).toBeCloseTo(2.07, 6);
+    expect(metrics.capHeight).toBeCloseTo(7.18, 6);
+    expect(metrics.height).toBeCloseTo(9.25, 6);
+    expect(metrics.lines.length).toEqual(1);
+    expect(metrics.boundingBox.y).toBeCloseTo(-7.18, 6);
+
+    doc.setFont("Times", "Roman");
+    metrics = doc.getTextMetrics("Lorem\nIpsum", {lineHeightFactor: 1.5});
+    expect(metrics.ascent).toBeCloseTo(6.83, 6);
+    expect(metrics.descent).toBeCloseTo(2.17, 6);
+    expect(metrics.capHeight).toBeCloseTo(6.62, 6);
+    expect(metrics.lineHeight).toBeCloseTo(15, 6);
+    expect(metrics.height).toBeCloseTo(24, 6);
+    expect(metrics.lines.map(function (line) { return line.text; })).toEqual(["Lorem", "Ipsum"]);
+    expect(metrics.width).toEqual(Math.max(metrics.lines[0].width, metrics.lines[1].width));
+
+    metrics = doc.getTextMetrics("Lorem ipsum dolor sit amet, consetetur sadipscing elitr", {fontName: "Courier", fontStyle: "normal", maxWidth: 100});
+    expect(metrics.lines.length).toEqual(doc.splitTextToSize("Lorem ipsum dolor sit amet, consetetur sadipscing elitr", 100, {fontName: "Courier", fontStyle: "normal"}).length);
+
+    expect(function () {doc.getTextMetrics(5)}).toThrow(new Error('Invalid arguments passed to jsPDF.getTextMetrics'));
+  })
+
 })
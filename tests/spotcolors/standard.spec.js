@@ -0,0 +1,72 @@
+/* global describe, it, jsPDF, comparePdf, expect */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Spot colors', () => {
+  it('should draw, fill and write text with spot colors', () => {
+    const doc = new jsPDF()
+
+    doc.addSpotColor('PANTONE 185 C', [0, 232, 196, 0])
+    doc.addSpotColor('Varnish', '#cccccc')
+    doc.setFillColor('PANTONE 185 C', 0.5)
+    doc.setDrawColor('Varnish')
+    doc.setLineWidth(2)
+    doc.rect(10, 10, 100, 50, 'FD')
+    doc.setTextColor('PANTONE 185 C')
+    doc.text('Spot color text', 10, 80)
+    doc.setFillColor(255, 0, 0)
+    doc.rect(10, 90, 100, 50, 'F')
+
+    comparePdf(doc.output(), 'spot-colors.pdf', 'spotcolors')
+  })
+
+  it('should write Separation color spaces with encoded names', () => {
+    const doc = new jsPDF()
+    doc.addSpotColor('PANTONE 185 C', [0, 232, 196, 0])
+    doc.addSpotColor('Varnish', [255, 255, 0])
+    doc.setFillColor('Varnish', '0.25')
+    doc.rect(10, 10, 100, 50, 'F')
+
+    var output = doc.output()
+    expect(output).toContain('/ColorSpace <<\n/CS1 ')
+    expect(output).toContain('[/Separation /PANTONE#20185#20C /DeviceCMYK\n<< /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [0.000 0.910 0.769 0.000] /N 1 >>\n]')
+    expect(output).toContain('[/Separation /Varnish /DeviceRGB\n<< /FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [1.000 1.000 0.000] /N 1 >>\n]')
+    expect(output).toContain('/CS2 cs 0.25 sc')
+  })
+
+  it('should return the alternate color as an approximation', () => {
+    const doc = new jsPDF()
+    doc.addSpotColor('Blue', [255, 255, 0, 0])
+    doc.addSpotColor('Red', [255, 0, 0])
+    doc.setFillColor('Blue')
+    expect(doc.getFillColor()).toEqual('#0000ff')
+    doc.setDrawColor('Blue', 0.5)
+    expect(doc.getDrawColor()).toEqual('#7f7fff')
+    doc.setTextColor('Red', 0.5)
+    expect(doc.getTextColor()).toEqual('#ff7f7f')
+  })
+
+  it('should not write a ColorSpace dictionary if no spot color is registered', () => {
+    const doc = new jsPDF()
+    doc.rect(10, 10, 50, 50, 'F')
+    expect(doc.output()).not.toContain('/Separation')
+  })
+
+  it('should throw an error for invalid arguments', () => {
+    const doc = new jsPDF()
+    expect(function () {
+      doc.addSpotColor('', [0, 0, 0, 0])
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.addSpotColor'))
+    expect(function () {
+      doc.addSpotColor('Spot', [0, 0])
+    }).toThrow(new Error('Invalid arguments passed to jsPDF.addSpotColor'))
+    doc.addSpotColor('Spot', [0, 0, 0, 255])
+    expect(function () {
+      doc.setFillColor('Spot', 2)
+    }).toThrow(new Error('Invalid tint "2" passed to jsPDF.encodeColorString.'))
+  })
+})
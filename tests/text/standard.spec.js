@@ -165,6 +165,16 @@ break`)
     comparePdf(doc.output(), 'alignment.pdf', 'text')
   })
 
+  it('should reverse aligned lines with the R2L option', () => {
+    const doc = jsPDF()
+    // aligned lines are passed on with their position, they must not be dropped while reversing
+    doc.text(['abc', 'de'], 190, 20, {align: 'right', R2L: true})
+
+    const output = doc.output()
+    expect(output).toContain('(cba) Tj')
+    expect(output).toContain('(ed) Tj')
+  })
+
   it('should throw an error if not a string', () => {
     expect(() => {
       const doc = jsPDF()
@@ -187,4 +197,73 @@ break`)
     doc.lstext('hello', 10, 40, 10)
     comparePdf(doc.output(), 'letter-spacing.pdf', 'text')
   })
+
+  it('should render rich text runs with mixed styles', () => {
+    const doc = jsPDF()
+    doc.text([
+      {text: 'Rich text with '},
+      {text: 'bold', style: 'bold'},
+      {text: ' and '},
+      {text: 'italic', font: 'times', style: 'italic', size: 20},
+      {text: ' words, '},
+      {text: 'red', color: '#ff0000'},
+      {text: ' and '},
+      {text: 'underlined', underline: true, color: [0, 0, 255]},
+      {text: ' runs and a '},
+      {text: 'link', link: 'https://github.com/MrRio/jsPDF', underline: true},
+      {text: '.\nA new line after a line break.'}
+    ], 20, 20, {maxWidth: 100, align: 'justify'})
+    doc.text([{text: 'Right '}, {text: 'aligned', style: 'bold'}], 190, 80, {align: 'right'})
+    doc.text([{text: 'Centered ', size: 10}, {text: 'text', style: 'italic'}], 105, 100, {align: 'center'})
+    doc.text('Plain text keeps the font', 20, 120)
+
+    expect(doc.output()).toContain('/A <</S /URI /URI (https://github.com/MrRio/jsPDF) >>')
+    comparePdf(doc.output(), 'rich-text.pdf', 'text')
+  })
+
+  it('should keep words of different runs together when wrapping rich text', () => {
+    const doc = jsPDF()
+    doc.text([{text: 'aaa bbb'}, {text: 'ccc', style: 'bold'}, {text: ' ddd'}], 20, 20, {maxWidth: doc.getTextWidth('aaa bbbccc') + 1})
+    var output = doc.output()
+    expect(output).toContain('56.69 785.20 Td\n(aaa bbb) Tj')
+    expect(output).toContain('/F2 16 Tf\n18.40 TL\n0 g\n113.97 785.20 Td\n(ccc) Tj')
+    expect(output).toContain('56.69 766.80 Td\n(ddd) Tj')
+  })
+
+  it('should draw underlines, strike-throughs and highlights per line', () => {
+    const doc = jsPDF()
+    doc.text('Underlined text', 20, 20, {underline: true})
+    doc.text('Struck through text', 20, 35, {strikethrough: true})
+    doc.setTextColor(255, 0, 0)
+    doc.text('Highlighted, underlined and wrapped text in red', 20, 50, {maxWidth: 60, underline: true, highlightColor: 'yellow'})
+    doc.setTextColor(0, 0, 0)
+    doc.text('Right aligned\nand struck through', 190, 90, {align: 'right', strikethrough: true, highlightColor: [200, 200, 255]})
+    doc.text('Justified text that is underlined on every line', 20, 120, {maxWidth: 60, align: 'justify', underline: true})
+    doc.text('Rotated\nunderline', 60, 200, {angle: 30, underline: true, highlightColor: '#cccccc'})
+    doc.text('Right to left', 190, 200, {align: 'right', R2L: true, underline: true, strikethrough: true})
+
+    comparePdf(doc.output(), 'decorations.pdf', 'text')
+  })
+
+  it('should read the decoration metrics of TrueType fonts', () => {
+    const doc = jsPDF()
+    expect(doc.__private__.getTextDecorationMetrics(doc.internal.getFont())).toEqual({
+      underlinePosition: -100,
+      underlineThickness: 50,
+      strikeoutPosition: 250,
+      strikeoutThickness: 50
+    })
+    expect(doc.__private__.getTextDecorationMetrics({
+      metadata: {
+        scaleFactor: 0.5,
+        post: {exists: true, underlinePosition: -200, underlineThickness: 100},
+        os2: {exists: true, yStrikeoutPosition: 600, yStrikeoutSize: 100}
+      }
+    })).toEqual({
+      underlinePosition: -125,
+      underlineThickness: 50,
+      strikeoutPosition: 275,
+      strikeoutThickness: 50
+    })
+  })
 })
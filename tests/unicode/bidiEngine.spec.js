@@ -118,4 +118,15 @@ describe('bidi Engine', function() {
 		expect(sourceToTargetMap).toEqual( [ 4, 3, 2, 1, 0, 5, 6, 7, 8, 9, 10, 11, 14, 13, 12 ] );
 		expect(levels).toEqual( [ 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ] );
 	});
+
+	it( "Logical contextual -> Visual left-to-right conversion of arabic text", function() {
+		var levels = [], sourceToTargetMap = [];
+
+		bidiEngine.setOptions( {isOutputVisual: true, isOutputRtl: false, isSymmetricSwapping: true} );
+
+		var reorderedString = bidiEngine.doBidiReorder( "\u0644\u0645 (12) ab", sourceToTargetMap, levels );
+		expect(reorderedString).toEqual( "ab (12) \u0645\u0644" );
+		expect(sourceToTargetMap).toEqual( [ 8, 9, 7, 6, 4, 5, 3, 2, 1, 0 ] );
+		expect(levels).toEqual( [ 1, 1, 1, 1, 2, 2, 1, 1, 2, 2 ] );
+	});
 });
@@ -0,0 +1,113 @@
+/* global describe, it, expect, jsPDF, comparePdf */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Unicode: Indic and Thai shaping', function() {
+  // minimal TrueType font with empty glyphs for some Devanagari and Thai characters, a half form of ka,
+  // the conjunct k.ssa, a reph (GSUB half, pres and rphf) and the anchors of anusvara and nikhahit (GPOS abvm)
+  var TestIndic = "AAEAAAALAIAAAwAwR1BPU80U8kQAAAC8AAAAhkdTVUKlpLy+AAABRAAAALBjbWFwU/8rUAAAAfQAAACEZ2x5ZgAAAAAAAAJ4AAAAAGhlYWRh0EM9AAACeAAAADZoaGVhBd4CBQAAArAAAAAkaG10eBH4AAAAAALUAAAAQGxvY2EAAAAAAAADFAAAACJtYXhwABEAAAAAAzgAAAAgbmFtZQHJBfYAAANYAAAAJHBvc3T/nwAyAAADfAAAACAAAQAAAAoAHgAsAAFkZXZhAAgABAAAAAD//wABAAAAAWFidm0ACAAAAAEAAAABAAQABAAAAAEACAABAAwAFAABAB4ANAABAAIABgANAAEAAwACAAgACwACAAAACgAAABAAAQAAAAAAAQAAAAAAAwAIAA4AFAABAPoCvAABAZACvAABAPoCWAAAAAEAAAAKACIASAABZGV2YQAIAAQAAAAA//8AAwAAAAEAAgADaGFsZgAUcHJlcwAacnBoZgAgAAAAAQAAAAAAAQABAAAAAQACAAMACAAoAEgABAAAAAEACAABAAgAAQAOAAEAAQACAAEABAAHAAIABAAEAAAAAQAIAAEACAABAA4AAQABAAcAAQAEAAgAAgADAAQAAAABAAgAAQAIAAEADgABAAEACQABAAQACgACAAQAAAABAAMAAQAAAAwABAB4AAAAGgAQAAMACgAgCQIJFQkwCTcJPwlNDgEOMg4zDkgOTf//AAAAIAkCCRUJMAk3CT8JTQ4BDjIOMw5IDk3////h9wT27fbZ9sz2xva38grx3PHc8cTxwAABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAAAEAAAAAAABfDzz1AAAD6AAAAAAAAAAAAAAAAAAAAAAAAP84ArwDIAAAAAgAAgAAAAAAAAABAAADIP84AAACvAAAAAACvAABAAAAAAAAAAAAAAAAAAAAEAH0AAAA+gAAAfQAAAH0AAAAAAAAAPoAAAAAAAABLAAAArwAAAH0AAAAAAAAAfQAAAAAAAAAAAAAASwAAAEsAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAEgADAAEECQAGABIAAABUAGUAcwB0AEkAbgBkAGkAYwADAAAAAAAA/5wAMgAAAAAAAAAAAAAAAAAAAAAAAAAA";
+
+  var getParts = function (text) {
+    return jsPDF.API.__indicParser__.getSyllables(text).map(function (syllable) {
+      return syllable.parts.map(function (part) {
+        return part.code.toString(16) + (part.decomposed ? '*' : '');
+      }).join(' ');
+    });
+  };
+
+  it('moves pre-base matras before the consonant cluster', function() {
+    expect(getParts('कि')).toEqual(['93f 915']);
+    expect(getParts('क्षि')).toEqual(['93f 915 94d 937']);
+    expect(getParts('क्रि')).toEqual(['93f 915 94d 930']);
+  });
+
+  it('moves the reph after the base consonant and its matras', function() {
+    expect(getParts('र्कि')).toEqual(['93f 915 930 94d']);
+    expect(getParts('र्कें')).toEqual(['915 947 930 94d 902']);
+    expect(jsPDF.API.__indicParser__.getSyllables('र्‍क')[0].parts[0].segment).toEqual('preBase');
+  });
+
+  it('splits the two-part vowel signs of Tamil', function() {
+    expect(getParts('கொ')).toEqual(['bc6* b95 bbe*']);
+    expect(getParts('கௌ')).toEqual(['bc6* b95 bd7*']);
+    expect(jsPDF.API.__indicParser__.getSyllables('கொ')[0].reordered).toEqual(true);
+  });
+
+  it('decomposes Thai sara am after tone marks', function() {
+    expect(getParts('ก่ำ')).toEqual(['e01 e4d* e48 e32*']);
+    expect(getParts('กำ')).toEqual([]);
+    expect(getParts('abc')).toEqual([]);
+  });
+
+  it('shapes syllables with the features of the font', function() {
+    const doc = new jsPDF({filters: ['ASCIIHexEncode']});
+
+    doc.addFileToVFS("TestIndic.ttf", TestIndic);
+    doc.addFont('TestIndic.ttf', 'TestIndic', 'normal');
+    doc.setFont('TestIndic');
+    doc.setFontSize(20);
+    doc.text(['क्षिं र्कि', 'ก่ำ'], 10, 20);
+
+    comparePdf(doc.output(), 'indic.pdf', 'unicode')
+  });
+
+  it('keeps the text of shaped syllables for copy and paste', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestIndic.ttf", TestIndic);
+    doc.addFont('TestIndic.ttf', 'TestIndic', 'normal');
+    doc.setFont('TestIndic');
+    doc.setFontSize(10);
+    doc.text('क्षिं ก่ำ', 10, 20);
+
+    var output = doc.output();
+    expect(output).toContain('/Span <</ActualText <FEFF0915094d0937093f0902>>> BDC\n[<00050008> 300 <>] TJ\n7.00 Ts\n[<0006> -300 <>] TJ\nEMC');
+    expect(output).toContain('/Span <</ActualText <FEFF0e010e480e33>>> BDC');
+    var toUnicode = output.substring(output.indexOf('beginbfchar'), output.indexOf('endbfchar'));
+    expect(toUnicode).toContain('<0008><0915094d0937>');
+    expect(toUnicode).not.toContain('<000d>');
+    expect(toUnicode).not.toContain('<000e>');
+  });
+
+  it('measures shaped text', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestIndic.ttf", TestIndic);
+    doc.addFont('TestIndic.ttf', 'TestIndic', 'normal');
+    doc.setFont('TestIndic');
+    doc.setFontSize(10);
+
+    expect(doc.getStringUnitWidth('क्षिं')).toEqual(0.95);
+  });
+
+  it('writes the offset of a mark at the end of the line', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestIndic.ttf", TestIndic);
+    doc.addFont('TestIndic.ttf', 'TestIndic', 'normal');
+    doc.setFont('TestIndic');
+    doc.setFontSize(10);
+    doc.text('क्षिं', 10, 20);
+
+    // the advance after the anusvara is part of the measured width of 0.95
+    expect(doc.output()).toContain('[<0006> -300 <>] TJ\n0 Ts');
+  });
+
+  it('writes reordered syllables without kerning with Tj', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestIndic.ttf", TestIndic);
+    doc.addFont('TestIndic.ttf', 'TestIndic', 'normal');
+    doc.setFont('TestIndic');
+    doc.setFontSize(10);
+    doc.text('कि', 10, 20);
+
+    var output = doc.output();
+    expect(output).toContain('<> Tj\n/Span <</ActualText <FEFF0915093f>>> BDC\n<00050002> Tj\nEMC\n<> Tj');
+    expect(output).not.toContain('TJ');
+  });
+});
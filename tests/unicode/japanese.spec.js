@@ -17,3 +17,48 @@ describe('Unicode: Japanese', function() {
         comparePdf(doc.output(), 'japanese-kana-nani.pdf', 'unicode')
   })
 })
+
+describe('Unicode: Japanese vertical writing mode', function() {
+  //https://www.freejapanesefont.com/mouhitsu-bold-font-download/
+  var MouhitsuBold = "AAEAAAASAQAABAAgR1NVQlaTjWkAAq50AAAJoE9TLzJ7u4xIAAAByAAAAFZjbWFwM6/crwAAOOwAAIWEY3Z0IA/AEAAAADO0AAACAGZwZ20BUpwYAAA1tAAAALNnYXNwAAcABwAAM6gAAAAMZ2x5Zm2FngoAA6tkAAEEfGhlYWQzDl4BAAABLAAAADZoaGVhB3tAQQAAAWQAAAAkaG10ePgAbrwAAbGgAADzLGxvY2EarVw0AAC+cAAA8zBtYXhwVOcCSwAAAYgAAAAgbW9ydESM2ZsAAqTMAAAJqG5hbWXf6VImAAACIAAAMYZwb3N0/6MAMAAAAagAAAAgcHJlcA8lPqUAADZoAAACgnZoZWEGAD7gAAK4FAAAACR2bXR4LABqXgACuDgAAPMsAAEAAAAI5mZKLjNEXw889QABBAAAAAAAAAAAAAAAAADP6TO7AA7/hQP7A14AAAAHAAEAAQAAAAAAAQAAA3D/cAAABAAADgAFA/sAAQAAAAAAAAAAAAAAAAAAPMsAAQAAPMsBlwAHAAAAAAABAAAAAAAUAAAYAACzAAAAAAADAAAAAAAA/6AAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAECAAGQAAUACAIAAgAAAAFwAgACAAAAAbgANAEIAAACAAYAAAAAAAAAoAACv2jH/PsAAAAQAAAAAFRha2UAQAAg/+4DcP9wAAADcACQQAIAn9/XAAAAAAAAACABhgABAAAAAAAAAAcAAAABAAAAAAABAAcBAAABAAAAAAACAAcCAAABAAAAAAADAAcDAAABAAAAAAAEAAcEAAABAAAAAAAFAAwFAAABAAAAAAAGAAcGAAABAAAAAAAHAAcHAAABAAEACwAAAAYIAAABAAEACwABABEJAAABAAEACwACAAcKAAABAAEACwADABELAAABAAEACwAEABEMAAABAAEACwAFAAwNAAABAAEACwAGAAcOAAABAAEACwAHABEPAAADAAEECQAAAA4QAAADAAEECQABAA4SAAADAAEECQACAA4UAAADAAEECQADAA4WAAADAAEECQAEAA4YAAADAAEECQAFABgaAAADAAEECQAGAA4cAAADAAEECQAHAA4eAAADAAEEEQAAAAYgAAADAAEEEQABABQiAAADAAEEEQACAA4kAAADAAEEEQADABQmAAADAAEEEQAEABQoAAADAAEEEQAFABgqAAADAAEEEQAGAA4sAAADAAEEEQAHABQuAGNoaWhheWEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtb3VoaXR1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAUmVndWxhcgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAG1vdWhpdHUAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtb3VoaXR1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAVmVyc2lvbiAxLjAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAG1vdWhpdHUAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtb3VoaXR1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgr+CzYLiAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGNoaZbRlU2Vl4N0g0iDk4NnAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABSZWd1bGFyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAY2hpltGVTZWXg3SDSIOTg2cAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGNoaZbRlU2Vl4N0g0iDk4NnAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABWZXJzaW9uIDEuMDAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAbW91aGl0dQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGNoaZbRlU2Vl4N0g0iDk4NnAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYwBoAGkAaABhAHkAYQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtAG8AdQBoAGkAdAB1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFIAZQBnAHUAbABhAHIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAbQBvAHUAaABpAHQAdQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtAG8AdQBoAGkAdAB1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFYAZQByAHMAaQBvAG4AIAAxAC4AMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAbQBvAHUAaABpAHQAdQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABtAG8AdQBoAGkAdAB1AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMGEwbzCEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYwBoAGlr23tGmKgw1TCpMPMwyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABSAGUAZwB1AGwAYQByAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGMAaABpa9t7RpioMNUwqTDzMMgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYwBoAGlr23tGmKgw1TCpMPMwyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABWAGUAcgBzAGkAbwBuACAAMQAuADAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAG0AbwB1AGgAaQB0AHUAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYwBoAGlr23tGmKgw1TCpMPMwyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgAIAAL//wADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAgADAAQABQAGAAcACAAJAAoACwAMAA0ADgAPABAAEQASABMAFAAVABYAFwAYABkAGgAbABwAHQAeAB8AIAAhACIAIwAkACUAJgAnACgAKQAqACsALAAtAC4ALwAwADEAMgAzADQANQA2ADcAOAA5ADoAOwA8AD0APgA/AEAAQQBCAEMARABFAEYARwBIAEkASgBLAEwATQBOAE8AUABRAFIAUwBUAFUAVgBXAFgAWQBaAFsAXABdAF4AXwBgAGEAYgBjAGQAZQBmAGcAaABpAGoAawBsAG0AbgBvAHAAcQByAHMAdAB1AHYAdwB4AHkAegB7AHwAfQB+AH+wACwv/S2wASwv/TwtsAIsL/08PC2wAywv/Tw8PC2wBCwvPP0tsAUsLzz9PC2wBiwvPP08PC2wBywvPP08PDwtsAgsLzw8/S2wCSwvPDz9PC2wCiwvPDz9PDwtsAssLzw8/Tw8PC2wDCwvPDw8/S2wDSwvPDw8/TwtsA4sLzw8PP08PC2wDywvPDw8/Tw8PC2wECw8LbARLC+wECr9LbASLC/9sBAqLbATLC+wECr9sBAqLQC4Af+FsAGNsQGBRUSxAoJFRLEDg0VEsQSERUSxBYVFRLEGhkVEsQeHRUSxCIhFRLEJiUVEsQqKRUSxC4tFRLEMjEVEsQ2NRUSxDo5FRLEPj0VEsRCQRUSxEZFFRLESkkVEsROTRUSxFJRFRLEVlUVEsRaWRUSxF5dFRLEYmEVEsRmZRUSxGppFRLEbm0VEsRycRUSxHZ1FRLEenkVEsR+fRUSxIKBFRLEhoUVEsSKiRUSxI6NFRLEkpEVEsSWlRUSxJqZFRLEnp0VEsSioRUSxKalFRLEqqkVEsSurRUSxLKxFRLEtrUVEsS6uRUSxL69FRLEwsEVEsTGxRUSxMrJFRLEzs0VEsTS0RUSxNbVFRLE2tkVEsTe3RUSxOLhFRLE5uUVEsTq6RUSxO7tFRLE8vEVEsT29RUSxPr5FRLE/v0VEsUDARUSxQcFFRLFCwkVEsUPDRUSxRMRFRLFFxUVEsUbGRUSxR8dFRLFIyEVEsUnJRUSxSspFRLFLy0VEsUzMRUSxTc1FRLFOzkVEsU/PRUSxUNBFRLFR0UVEsVLSRUSxU9NFRLFU1EVEsVXVRUSxVtZFRLFX10VEsVjYRUSxWdlFRLFa2kVEsVvbRUSxXNxFRLFd3UVEsV7eRUSxX99FRLFg4EVEsWHhRUSxYuJFRLFj40VEsWTkRUSxZeVFRLFm5kVEsWfnRUSxaOhFRLFp6UVEsWrqRUSxa+tFRLFs7EVEsW3tRUSxbu5FRLFv70VEsXDwRUSxcfFFRLFy8kVEsXPzRUSxdPRFRLF19UVEsXb2RUSxd/dFRLF4+EVEsXn5RUSxevpFRLF7+0VEsXz8RUSxff1FRLF+/kVEsX//RUQAAAAAAAEAAwABAAAADAAEhXgAACFaIAAADAFaAH4BfwGSAdwB9QH/AqgCxwLJAt0DdQN6A34DigOMA6EDzgQMBE8EXASGBMQEyATMBOsE9QT5HoUe8yAVIC4gRiBwII4gqiE4IYIh6iLxIwIjECMSIyEk6iWVJe8mEyZvJwQnCScnJ0snTSdSJ1YnXidnJ5Qnrye+MCAwNzCUMJ4w/jJDMrAyyzL+M3Yz3TP+TgVODk4SThlOH04hTiROJk4oTitOMk42TjlOPE5FTkdOS05PTlFOWk5fTmNOaU5xTnVOeU6AToJOhk6OTpJOmU6iTqZOqE6wTrNOtk66TsROx07LTtBO207lTuhO8073TwNPEk8XTxpPHU8xTz5PQE9DT0lPYE9jT2pPbE9xT3NPf0+GT5RPm0+hT6tPr0+yT7dPuU/GT9JP1E/YT91P5U/wT/NP9k/4T/pQAVAHUBRQH1AuUDBQM1A2UDlQO1BDUEpQTFBTUFdQWlBcUGBQY1BnUGpQbVByUHZQeFB9UIFQhlCKUJRQllCcUKJQqlCtULBQtVC3ULpQvlDAUMVQx1DKUNFQ1lDYUNpQ31DpUO9Q8lD2UPtQ/lEEUQlRDlEQURJRH1EhUSNRKFEqUS1RL1E1UTxRUFFVUVhRWlFcUV9RYlFmUW5RcVF4UXxRflGAUYZRk1GZUZ1RplGtUbhRulG/UcJRxlHJUc1Rz1HTUdZR2FHeUeJR51HqUe5R+lH+UghSC1IOUhhSHVIiUiVSKlIuUjNSPFJFUkdSTVJPUlhSXFJhUmZSalJ1UnlSfVKAUoNShVKKUo1SmFKcUqBSp1KtUrFSvlLBUslSzVLPUtJS2VLqUuxS+lMDUwhTDVMRUxNTIVMlUy1TM1M1U0NTTVNUU1xTXlNhU2NTZlNpU3VTeVN7U39ThFOIU45TlFOWU5pTnVOhU6ZTq1OwU7hTu1O9U8BTw1PFU89T11PbU/NT+FP6VARUEVQTVBtUHVQhVC9UMVQ2VDlUPlRAVERUSlRPVFFUX1RiVGRUa1RuVHFUd1R9VIFUhlSSVJZUnFSfVKJUr1SzVMJUxFTKVM5U2FTiVOZU6lTvVPJU9lT6VQFVCVUQVRZVK1UvVTNVNlU5VT5VQVVHVUpVTVVRVVNVWFVeVWFVZFVmVXxVhFWLVY9VlFWaVZ9VpFWuVbBVslW2Vb9VwVXHVclVzFXOVdRV2FXcVd9V5FXpVfdV+VX/VgZWClYSVhRWGVYbVilWLFY5Vj1WRFZGVklWUFZUVltWXlZkVmZWbVZvVnJWdVZ4VnpWgFaIVoxWj1aVVppWoFaiVqlWrlaxVrRWt1a8Vr5Ww1bFVtFW01bhVuhW61buVvNW91b6Vv1XBFcNVw9XE1cWVxhXHVcgVypXMFc0VzhXO1dAV0JXR1dKV1JXWVdiV2tXcVd1V3dXfFd/V4NXiVeMV5VXl1eaV6RXqlesV7BXs1e4V71XwFfDV8hXzFfPV9ZX4VfkV+dX6VftV/BX+lgAWAZYDVgVWBlYG1ghWCRYJ1gqWC1YMlg1WDpYPVhBWE1YUlhVWFpYX1hiWGRYaVhrWHBYclh1WHlYfFiBWINYhViKWI1YkFiUWJdYolimWKlYq1iuWLNYvFi+WMJYxVjIWMpYzljaWN9Y4ljlWOlY7FjzWPdY/VkCWQZZDFkQWRZZHVklWTNZOFk/WURZSVlVWVtZY1llWW9Zdll5WX1ZhFmOWZNZl1mZWZtZnVmfWaVZqFmwWbNZt1m8Wb5ZwVnEWcZZy1nNWdRZ2lnfWehZ61nvWfJZ9Fn3WftaAVoEWglaDloTWhhaGlocWiBaJVoqWi1aMFo2WjxaQVpJWkxaUFpVWlpaXlpjWmdaalptWndae1p/WotakFqTWpZanFqgWqJap1qsWrNatVq4Wr9awlrEWsZayVrMWtBa11raWtxa4VrjWuZa6lruWvZa+1r9WwFbCVsMWxdbGVsbWx1bIlslWypbLVswWzJbNFs2WzhbPltBW0NbRVtMW1JbWFtfW2ZbaVtrW3Fbc1t1W3hbeluBW5FbnVufW6ZbqVu6W7xbx1vJW81b0FvUW9tb4lvpW+xb8Vv2W/hb+lv/XAJcD1wRXBNcF1waXCBcJFwmXClcLlwyXDZcQVxGXEhcS1xRXFNcVVxaXFxcXlxlXGlccVx2XH1ciFyKXIxcklyUXJ1co1ymXKxcuFy8XL5cxVzHXMlcy1zSXNdc2VzdXOFc6lzyXPZc+1z9XQFdB10LXQ5dEl0bXR9dJF0nXSldK10xXTRdOV09XT9dQ11GXUhdTF1OXVNdVV1ZXVxdYl1kXWpdbV1wXXNddl16XX9dhF2IXYxdkF2VXZldm12dXaBdol2nXaxdrl2wXbJdtF26Xb1dw13HXcldzl3QXdNd1l3ZXdtd3l3hXeld613uXfVd+V37Xf5eAF4DXgdeDV4SXhZeG14dXiBeJV4oXiteMF4zXjhePl5AXkVeR15JXkxeTl5RXlheXF5fXmReaF5uXnBedl6BXoReh16LXo9el16aXpxeoF6iXqherV6xXrNeuF6/XsNexl7MXtZe417lXule7F7xXvRe+F78Xv9fBF8RXxlfHV8fXylfMV84X0FfRV9IX0pfTl9RX1RfWV9dX2RfZ19tX3Vfel+FX41fk1+ZX55fol+kX7FftF+5X71fxV/JX81f1F/ZX95f4l/kX/Nf9l/4X/1f/2AHYApgEGAdYCFgK2AtYC9gMWAzYDVgOmBDYE1gUmBXYFpgXWBlYG1gcWB1YHdgf2CGYI5gmGCbYKBgqmC4YL5gwmDLYM9g0WDVYONg5WDoYP1hA2EKYRdhHGEiYShhLGExYTdhOWE/YUJhTmFTYVVhWmFgYWNhZWFoYWxheGF8YYRhh2GLYY5hlGGaYZ1hoGGlYa5hsmG2YbphvGG+YcNh0GHVYd9h42HnYelh7WHvYfJh9GH4YfpiAWIEYgpiDmIWYiNiJ2IrYjBiNGI5YjtiPWJEYkliTmJWYlhiXGJeYmBiZGJoYm9icWJzYnZiemKAYoRiimKYYpxinmKmYqhirGKxYrNit2K/YsJiymLdYuFi6mLvYvdi/2MEYw1jEWMTYxZjGWMfYytjLWMvYzZjOmM/Y0RjRmNQY1VjWGNcY2ljbmNyY3hjfWOAY4RjimOMY5BjkmOWY5tjr2OyY7Vju2O+Y8FjxmPJY9Zj3GPhY+Nj5WPqY+xj7mP2Y/pkBmQKZA1kEGQUZBhkHGQeZCBkImQmZCpkLWQwZDZkOmQ/ZEJkS2RPZFRkWGRdZGFkY2RnZGlkbWRvZHRkdmR4ZHtkfWSDZIVkiGSTZJVkm2SfZKFkpmSpZK5ksGSzZLlkv2TCZMVkx2TOZNJk1WTYZNpk52TqZO1k8mT3ZPtlAWUFZQplD2UUZRZlGWUfZSRlJmUsZS9lMWU/ZUNlRWVJZVJlWWVgZWNlZ2VsZXBlcmV1ZXhlemV9ZYNlhWWKZYxljmWSZZVlmWWdZaFlp2WwZbRlt2W5Zb1lv2XGZcllzGXQZdJl1GXZZdtl4mXpZe1l8mX1ZftmAGYEZgpmD2YWZjFmN2Y5ZjxmRmZMZk9mUmZZZmJmbGZwZnxmgWaEZolmjmaSZp1moGaiZqRmpmarZq5msma1ZrlmvGbEZslmzGbPZtRm1mbdZuBm5mbpZuxm7mbwZvVnAGcDZwVnCWcLZw9nF2cZZyBnImcoZy5nMWc0ZzhnOmc/Z0FnSWdMZ1FnVmdZZ2Znamd3Z3xnf2eBZ4Vnh2eJZ4xnkWeTZ51nomemZ6lnuWe9Z8ZnymfUZ9pn3mfiZ+Rn52fpZ+xn92f5Z/tn/2gEaBRoF2gZaB9oImgtaDRoOWg9aEZoSGhKaE5oVWhZaF1oX2hjaGdoa2hyaHdofGh/aIZoiGiNaI9olGiYaJ1oo2iqaLNotmi8aMZozWjaaN1o4WjjaOVo6GjyaPZo/WkBaQZpE2kXaRxpI2kmaShpKmkxaTZpOWk7aT1pP2lCaUVpSmlOaVVpV2leaWZpdWmCaYppjmmSaZZpmGmcaaFpqGmraa9psmm0abhpvGm/acFpw2nFachpzmnRadNp2WneaeJp5Wnoaetp72nzafVp+Wn7agNqBWoMag9qFWoXahtqJGorai5qMGoyajtqP2pLak5qUmpWallqW2pfamJqZGpnamtqc2p4aoFqhGqHaolqi2qOapFql2qgaqNqpWqsarFqtGq4artqv2rDasZqyWrMatFq1mrfauJq5Groaupq7Gryav1rB2sKaxJrF2sbayFrJGsoayxrL2syaztrP2tDa0drSmtOa1BrVGtWa1lrW2tda2RrZ2tra3BrdWt5a3trgGuGa4trjWuYa5troGuka7VrwGvGa8lrzmvUa9Zr2Gvba99r4Wvja+dr7Gvva/Fr82v3a/lr/2wCbAVsCWwUbBdsGWwbbB9sJGwobCxsLmw4bDtsQmxLbFBsUmxVbFdsYGxibGhsa2xtbHBsdGx2bHtsfmyDbIlsjWyQbJxsn2yibKtsrmy0bL9swmzGbMpszWzXbN1s42zlbOxs9G0EbQdtDG0PbRNtF20bbR9tK20vbTNtNm05bT9tQW1FbVdtWm1cbV9tYW1nbWptbG1wbXRteW18bYJthW2IbYxtjm2ZbZxtqm2sba9tsm21bbltvW3AbchtzG3PbdJt1m3Zbdtt4m3mbext/G4AbgVuC24TbhVuG24nbiluL24ybjZuPG4+bkVuS25PblRuWG5fbmNuaG5rbm9uc252bntugG6Cbo1ukG6TbpZumW6dbqBuom6lbqduqm6vbrNut267br1uxW7PbtFu1W7ebu9u8m70bvlu+27/bwJvBG8GbwpvDW8PbxFvFm8YbxtvIG8jbyZvLW8zbzZvOG88bz9vQW9Fb09vVG9fb2JvZG9mb2hvcG90b3hvem9+b4RviG+Ob5Rvl2+ab6FvqG+qb7Fvs2+2b7lvvG/Db8hvym/Vb9hv22/hb+Rv6W/sb/Fv82/2b/pv/nABcAdwCXALcA1wD3ARcBVwGHAbcCBwI3AocCxwMHAycDRwN3A5cDxwPnBEcExwTnBRcFVwWHBecGVwbHBwcHZweHB+cIFwhnCKcI5wknCZcJtwpHCxcLRwu3DIcMtwz3DRcNZw2XDdcN9w5HDxcPpw/XEHcQlxDHEPcRRxGnEccR5xIXEmcStxLXExcTZxOHE8cUFxR3FMcU5xUHFScVdxWnFccV5xYHFicWlxbHFucXlxfXGAcYVxiHGKcYxxj3GScZVxm3GgcaJxqHGscbNxunHBccRxyXHMcc5x0HHXcdpx3HHgcedx7nH1cflx/HIAcglyDXIQchNyF3Ibch1yH3IkcihyLXIwcjJyNnJDckhyTHJQclNyVnJjcmlya3JvcnJydHJ5coJyhHKHcolyjnKTcpZym3KgcqJyqHKvcrJytHK2crlyvnLEcsdyyXLMcs5y0HLSctly23LicuVy6XLtcvRy/nMCcwVzB3MLcw1zE3MZcx9zInMlcyxzL3MyczdzO3M/c0VzUHNSc1hzYHNjc2xzcnN1c3xzgXOHc4lzi3OOc5Bzk3OYc5xzoHOic6Zzq3Otc7NztXO3c7lzvXPAc8JzxnPPc9Nz1nPZc95z4XPjc+dz6nPuc/Fz9XP7dAF0B3QKdBF0G3QidCZ0NnQ6dEF0RHRHdEt0TXRSdFV0V3RgdGR0a3RzdHZ0fnSBdIN0h3SJdIt0knSadJx0o3SrdLJ0tXS5dLt0vXS/dMp0zHTQdNR02HTcdOB05HTrdPJ09HT4dPx0/3UBdQZ1DnUTdRh1GnUcdSF1LHUzdUB1RHVSdVR1V3VidWd1a3VtdXF1dHV/dYJ1h3WLdZV1mnWddaV1q3W1dbp1x3XKdc910nXVddl13HXkded16XXsdfR1+nX8dgR2DXYPdhN2FnYZdid2KXYtdjB2NXY8dkx2UnZWdll2XHZfdmJ2ZXZqdnJ2dHZ2dnh2fnaIdo52kHaTdpZ2oHaodqp2rnawdrR2una9dr92w3bGds520nbUdtd22XbcduF26Hbqdux27nbydvR29nb5dvx2/ncBdwR3DHcOdxJ3FXcXdxx3IHcidyZ3KXcvdzp3PndAd0J3R3dKd093UndXd1x3aHdsd3B3dHd6d4B3hHeOd5F3lnead6B3oneld6d3qnexd7N3tne5d793w3fHd8l3zXfSd9V313fcd+B353fqd/F39Hf4d/x4AngGeAl4DngSeBV4HXgjeCd4LngweDJ4NXg3eDp4P3hFeEh4THhOeFJ4XnhheGR4aHhseG94cnh0eHp4fHh+eIF4h3iKeI94kXiVeJh4mnifeKF4pHiqeK14s3i1eL94wXjMeM541njbeOF45HjoeOp47HjvePR493j7eP15AXkHeQx5DnkSeRp5HHkgeSd5LXkxeTV5QXlLeVF5WHlgeWJ5ZXlpeWt5bXlyeXd5fHmBeYV5j3mReZZ5mHmdeaF5q3mxebR5u3nCecR5y3nPedJ51nnYedp553ntefF5+Hn8egB6A3oOehF6FXoceiF6J3orejJ6NXpAekl6UHpXell6XXpjemV6Z3prem16cHp2enp6hnqIeot6mHqgeqN6qnqserB6s3q2erx6v3rPetN61XrdeuN67XrxevR69nr7ev97AnsEewh7C3sPexF7FHsZext7IHsjezF7Nns5ez17QXtJe1J7Vntde2B7Z3tqe3V7d3t6e4R7h3uJe4t7knuhe6V7qnute7J7tnu4e717wnvMe8971HvXe9t73Xvge+Z76nvte/p7/Hv+fAR8B3wJfA98FHwXfBl8G3whfCN8KHwsfDF8NHw6fEB8Q3xGfEp8TXxWfGF8ZXxnfGl8bnxwfHN8dXx5fH58g3yHfIl8i3yNfJB8knyVfJh8m3yifKh8q3yufLN8t3zAfMJ8xXzKfM982nzgfOJ853zpfOt873zyfPZ8+Hz7fP59AH0LfQ19Hn0jfSZ9M301fTp9SH1RfVN9V31efWN9aH1qfW59c312fXt9fX1/fYN9hn2JfY19j32RfZN9l32gfaN9p327fb99x33PfdJ92n3efeJ95n3tfe998n32fft+AX4Ffgt+En4Vfhd+I34ofi9+M343fjt+P35Bfkd+S35OflB+Un5Wflp+X35ifmd+a35wfnN+eX5/foN+in6Wfph+nn82fzh/P39Ff0d/VX9Yf11/YX9rf25/cn91f3l/gH+Df4h/kX+Uf5d/mn+ef6R/pn+qf69/sn+0f7Z/uX+9f8F/w3/Gf8h/yn/Mf89/0n/Vf9t/4X/jf+Z/6X/sf/B/84ABgAiAGYAhgCSAJoAogCyALoAwgDeAQIBEgEaASoBSgFaAWIBagGKAZIBmgGiAbYB3gHmAf4CBgImAjICOgJOAloCYgJ6AooCngK2Ar4CygLSAuoDEgMaAyIDPgNKA24DegOGA5YD0gPaA+oD+gQOBC4EYgRyBHoEggSSBJ4EpgSyBMYEzgTWBOoE8gT6BR4FMgU6BVYFXgWGBaYFrgXGBdIF6gYaBiIGLgZCBk4GWgZiBnoGggaSBqYGugbCBtYG4gbuBwIHDgcaBy4HPgdGB04HVgduB4YHlgeiB7YH2ggOCBYIKghCCFIIfgiKCLIIugjqCQIJHgkuCT4JRglaCWoJdgmCCZIJogmuCb4JygnSCeIJ7goGChIKHgouCjoKSgpSCloKbgp2CoYK0gr+CxoLVgteC3ILoguuC7YLvgvGC9IL3gvuC/oMLgw6DGIMfgyODKIM6gz2DQINFg0eDSoNYg2KDcINzg3WDeIN9g4CDgoOHg4qDjoOWg6CDooOtg7GDtYPBg8WDx4PKg8yD0YPUg9aD2IPdg+CD64Pyg/SD+YP9hAGEBIQHhA+EEYQThBWEGYQghCKEKoQshC+EMYQ1hDmEPYRKhE+EUoRchGeEcYR6hH2EgoSFhIuEkISVhJmEnISfhKGEpoSqhK2Er4SyhLSEwoTEhM2E0YTThNaE2oTchOeE6oTshPKE9IT3hP2FAIUDhQeFDIUOhRGFFYUYhRqFHIUfhSeFLYUvhTaFPYVBhUOFRoVLhVOFWoVkhWuFbYVvhXeFe4WBhYyFkYWUhZmFnYWghaKFsIW0hbqFv4XChceFy4XQhdWF2IXahd2F4IXmheqF7YXzhfeF/IYAhgKGB4YLhg6GE4Ybhh6GIoYnhimGLYYwhjaGOIY6hj2GQoZGhk6GUIZahmSGZ4ZphmyGb4ZxhneGe4aIho2GkYaThpaGmIaahpyGoYakhquGrYaxhrmGwYbHhsmGy4bOhtKG1YbXhtyG4IblhueG6Ybvhv6HAIcLhxSHGocchx+HIYcjhyWHKYcvhzKHNIc3h0CHQ4dFh0mHTodTh1WHWYddh2GHZodoh2qHb4dyh3SHdod4h3uHf4eJh42HkIeTh5WHmYegh6OHp4evh7GHs4e1h7uHwYfEh8uHzofQh9KH1ofah9yH4Ifkh+uH7Yfvh/OH+4f/iAGIA4gHiAuIFogciB+II4goiC6IMog2iDyIRohOiFOIZIhpiGuIcoh1iHeIeYh7iIKIiIiLiI2IkoiciKCIooikiKiIq4iuiLGItYi3iLqIxYjPiNWI2YjfiOGI6Ij1iPmI/okCiQSJB4kKiRCJE4kWiRqJHokgiSiJK4kyiTaJO4k+iUaJSYlNiU+JUolXiVyJZIlmiWuJcIl1iXeJf4mBiYOJi4mNiZCJmImciaGJp4mqiayJsIm3ibqJvYnAidKJ2Inaid2J44nniemJ64ntifGJ9In2ifmJ/YoAigWKCIoKigyKGIobiiCKJootii+KMYo3ij6KQYpDikmKTopYil6KY4pnimmKbopzineKfIqAioeKiYqNipOKmoqhiqmKsIqzireKuYq8ir+KxIrNis+K14riiuSK54ruivGK+Ir6ivyLAosHiwyLDosRixSLF4shiyaLKIstizCLM4s3izmLPIs+i0aLSYtPi1SLVotci1+LY4tmi22Lcot0i3mLgYuFi5CLlouai5yLn4w6jD+MQYxMjFGMVYxbjF2MZIxmjG2Mc4x2jHyMfoyCjIeMjoyQjJSMmYyejKKMpIywjLSMvYzLjM+M0YzTjNaM3ozkjOaM6IzqjO2M8IzyjPWM+Iz/jQGNBY0LjQ2NEI0UjReNG41njWmNbo1xjXSNd41/jYKNhY2IjYqNjY2RjZWNmY2gjaONpo2ojayNr42zjbWNt428jb6NwI3CjciNzI3PjdGN143bjd2N343hjeWN6I3sjfWN/Y3/jgGOBo4LjhGOFI4WjiOOJ44qjjGOOY49jkKORI5QjlWOWY5kjmmObY5yjnSOdo58joWOh46Ljo2OlY6bjp6Ooo6njrGOs461jruOvo7BjsiOzY7PjtKO1I7cjt+O447ojuuO7o7xjv6PAI8DjwWPCo8MjxCPGY8hjyOPKo8vjzuPR49Jj0+PVY9Yj1+PZY+hj6iPso+4j7yPwo/Gj8uPzo/Vj9qP4I/mj+uP8Y/7j/6QBpAIkBGQG5AjkCqQL5A5kDyQP5BFkEeQVpBZkF6QY5BpkHCQcpB6kH2QhZCMkJGQlZCZkJuQo5CmkKiQqpC2kLiQvpDBkMWQyJDKkMyQzpDSkNWQ2ZDfkOKQ5ZDokOuQ7ZDwkPeRAJECkQaRCJENkRCREpEakRyRHpEgkSORJZEnkSmRMpE0kTeROpE9kUORT5FUkVuRZZFnkWqRbZF1kXuRg5GHkYuRjpGVkZiRnJGekaKRpJGmkaiRtpG4kb2Rw5HJkdGR1JHfkeGR55HqkfGR95H5kf2SAZIHkgqSDpIWkhiSHpImkimSLJIwkjqSPJJAkkuSUZJekmKSaZJxknmSgJKDkoWSipKOkpOSnJKgkqWSqJKrkq2Sr5Kykr2Sw5LIktCS05LVktmS3ZLhkuWS6pLukvCS85L8kwCTApMGkwiTDZMRkxWTGpMsky+TN5M7k0STSZNLk02TUpNYk1yTXpNgk2WTZ5Nqk3GTdpN6k4KTiJONk4+TkpOYk5uTnpOhk6STqZOuk7CTtpO6k8GTzZPRk9OT2ZPfk+KT6JP7k/2UBJQJlBCUGpQflCGUK5QvlDaUOJQ7lD2UP5RBlEWUSJRKlEyUU5RVlFyUY5RolGuUcpR1lHeUf5SBlISVeZV+lYCVhJWPlZSVlpWZlamVrZWylbSVtpW/lcOVzZXWldqV4pXmlh6WIpYmliiWKpYsli+WM5Y9lkKWRJZNllCWUpZUlliWX5ZmlmqWbJZulnCWeJZ/loaWi5aPlpGWnZaglqqWtJa8lsGWx5bOltKW1pbfluOW65bylveW+5cAlwqXD5cRlxOXFpcelySXKJcqlzOXOZc7lz6XRJdGl0qXT5dSl1yXXpdkl2uXbpdxl3SXfZeBl4aXiZeLl42XkJeal5yXoJejl6aXqJeul7aXupe8l7+XwZfOl9GX1JfZl96X4Zfkl++X+Jf7l/+YA5gImAqYFJgamByYHpghmCaYMJg1mDiYPphEmEeYT5hbmF6YY5hnmGyYcZh0mKiYq5ixmLSYuJi7mL+YxpjImMyY3JjfmOOY55jrmO+Y9Jj2mP6ZA5kFmQqZDJkYmSKZJJkomSyZLpk1mT6ZQplJmU6ZUplVmVmZXJlgmZmZm5mfmaaZqJmumbWZupm9mb+ZwZnGmcmZ1ZnfmeKZ55numfKZ9Zn5mfuZ/5oFmgyaE5oWmhmaHpogmiSaKJormi6aMJozmjiaPppFmkeaTppRmleaW5pdml+aYpplmmuaqJqqmrCaspq2mrmavJrBmsSaxprImtma3Jrgmuea75r1mvea+5r9mwabCZsOmxCbEpsWmxybIJsjmyubL5s1mzebPZtFm0ibT5tRm1ibW5tem2GbY5tmm2ibb5t1m3mbgJuHm4ublJuXm5qboJuum7KbtJu5m7ybwZvKm9Kb1JvYm9ub3Zvfm+Wb6Jvrm/Ob9Zv6m/2cAJwCnAScBpwNnBacHJwenCqcMpw3nDucPpxBnEqcUJxUnFicYJxjnGucbpxwnHKceJx7nOec6ZzsnPCc9Jz3nPmdA50JnQudDp0SnRWdGJ0fnSOdJp0onSydMJ00nT+dSJ1KnVGdVJ1ZnWWdbJ1wnXKdd518nX6dhJ2HnYqdj52TnZidmp2hnaSdrJ2vnbKdtZ28nb+dxJ3Hncqdz53Xndqd4J3nnemd653wnfSd+p3+ngKeB54Kng6eEp4Wnh6edZ59noWeiJ6Mno+ek56Ynpuen56mnqqesJ61nryev57EnsaeyJ7SntWe2Z7gnuWe6J7ynvme/Z7/nwOfCZ8XnxufIp8mnyyfL58ynzSfN58/n0GfR59Ln0+fWJ9an2Ofap9zn3efep99n42fkp+Xn56fo5+l+Sn53Pot+wL/Xv+f/+X/7v//AAAAIACgAZIBzQH1AfoCUALGAskC2AN0A3oDfgOEA4wDjgOjBAEEDgRRBF4EkATHBMsE0ATuBPgegB7yIAAgFyAwIHAgdCCgIQAhUyGQIgAjAiMQIxIjICRgJQAloCYAJhonAScGJwwnKSdNJ08nVidYJ2EndieYJ7EwADAwMEEwmzChMiAygDLAMtAzADN7M+BOAE4HThBOFE4eTiFOI04mTihOKk4tTjVOOE47Tj9OR05LTk1OUU5VTlxOYk5oTnFOc055Tn5Ogk6FTohOkU6UTptOpE6oTqtOs062TrlOwE7GTspOzU7UTt1O6E7tTvVO+08ITxVPGU8cTy5PM09AT0JPRk9LT2NPaU9sT25Pc091T4FPiE+WT51Pq0+tT7JPtU+5T7tPyE/UT9dP2k/fT+5P8k/1T/hP+k/8UARQCVAWUCFQMFAyUDVQOVA7UEBQRVBMUE5QVVBZUFxQX1BiUGVQalBsUHBQdFB4UH1QgFCDUIpQjVCWUJhQnlCqUKxQr1CyULdQuVC9UMBQwlDHUMlQzFDTUNhQ2lDcUOJQ7VDxUPRQ+VD+UQBRBlELURBRElEUUSFRI1EnUSpRLFEvUTFRN1E/UVJRV1FaUVxRX1FiUWRRaFFxUXVRfFF+UYBRglGJUZVRnVGgUahRsFG6UbxRwlHEUchRy1HPUdFR1VHYUdtR4FHlUelR7FHwUf1SAFIKUg5SEVIdUiJSJFInUi5SMFI1UkNSR1JJUk9SVFJaUl5SY1JpUm5Sd1J9Un9SglKFUodSjFKRUppSn1KjUqlSr1K0UsBSw1LMUs9S0VLUUttS7FLwUv5TBVMKUw9TE1MVUyNTJ1MvUzVTOFNFU1FTV1NeU2BTY1NlU2lTbFN3U3tTflOCU4dTjlOTU5ZTmFOdU59TpFOoU61TslO6U71TwFPCU8VTyFPSU9lT3VP1U/pUAVQIVBNUGlQdVB9UJlQxVDRUOFQ7VEBUQlRGVE1UUVReVGJUZFRmVG1UcFRzVHtUf1SDVIhUlVScVJ9UoVSkVLFUt1TEVMZUzVTYVOBU5VToVOxU8lT2VPpU/FUEVQxVFFUqVS5VMVU1VThVO1VAVURVSVVMVU9VU1VWVVpVYFVjVWZVe1V+VYZVjlWRVZdVnFWjVadVsFWyVbZVv1XBVcNVyVXLVc5V0VXXVdpV3lXiVelV9lX5Vf1WBVYIVg1WFFYWVhtWKVYsVi9WO1Y/VkZWSVZLVlRWW1ZeVmBWZlZoVm9WcVZ0VnhWelaAVoRWilaPVpRWmVadVqJWpVarVrFWs1a2VrxWvlbAVsVWyFbTVtdW41brVu1W8Fb2VvlW/Vb/VwdXD1cRVxVXGFcaVx9XIlcsVzNXN1c7Vz1XQldFV0pXTFdZV2FXZFdtV3NXd1d5V35XgVeIV4tXk1eXV5lXnFenV6xXsFezV7hXvVfAV8NXxlfLV85X0lfcV+NX5lfpV+1X8Ff0V/xYAlgIWBVYGVgbWB1YJFgmWCpYLVgvWDRYOVg9WD9YSVhPWFRYV1heWGFYZFhnWGtYcFhyWHVYeFh8WH5Yg1iFWIdYjFiPWJNYllicWKZYqFirWK5YsVi4WL5YwVjEWMdYyljMWNBY3FjhWORY6VjrWO5Y91j5WQJZBVkJWQ9ZElkYWSFZJ1k1WT5ZQ1lGWU5ZV1ldWWVZZ1lyWXhZe1mBWYpZklmVWZlZm1mdWZ9Zo1mnWaxZslm3WblZvlnBWcNZxlnIWc1Z0FnZWdxZ41nqWe5Z8Vn0WfZZ+1n/WgNaCVoMWhFaGFoaWhxaHlojWidaLVovWjVaPFpAWkRaTFpQWlVaWlpeWmJaZVpqWmxad1p6Wn5ai1qQWpJallqZWp5aolqnWqxasVq1WrhaulrBWsRaxlrIWstaz1rWWtpa3FrgWuNa5VrpWu5a9Vr6Wv1bAFsIWwtbFlsZWxtbHVshWyVbKlssWzBbMls0WzZbOFs+W0BbQ1tFW0tbUFtUW1pbY1toW2tbbltzW3VbeFt6W3xbg1uTW59boluoW6xbvFu/W8lbzFvPW9Jb1lvdW+Rb61vuW/Nb+Fv6W/1cAVwEXBFcE1wWXBpcHlwiXCZcKFwrXDBcNVw4XEVcSFxKXE1cU1xVXFlcXFxeXGBcZ1xsXHRceVyHXIpcjFyPXJRcnVyfXKZcqFyxXLpcvlzFXMdcyVzLXNJc11zZXN1c4FzoXO1c9Fz6XP1dAV0GXQtdDV0RXRRdH10iXSZdKV0rXTFdNF05XT1dP11CXUZdSF1KXU5dUF1VXVldXF1fXWRdaV1sXW9dc112XXldfl2BXYddil2QXZJdmV2bXZ1dn12iXaddq12uXbBdsl20XbddvF3DXcddyV3LXdBd0l3WXdhd213dXeBd413rXe5d8V33Xftd/V4AXgJeBl4LXhFeFF4YXh1eH14lXiheK14tXjJeNV49XkBeQ15HXkleS15OXlBeVF5bXl5eYV5oXmpecF5yXnheg16HXopejl6VXppenF6gXqJepF6qXrFes161Xr1ewV7GXshezl7aXuVe6F7rXvBe8172Xvpe/l8BXwZfE18bXx9fIV8rXzRfO19EX0dfSl9MX1BfU19WX1tfYF9mX2lfb193X3xfh1+PX5ZfnF+gX6Rfp1+zX7dfvF/DX8dfy1/QX9Zf3F/gX+Rf6F/1X/hf+l//YAdgCmANYBJgH2AkYC1gL2AxYDNgNWA6YEBgRmBQYFRgWWBdYF9gZ2BvYHVgd2B+YIFgiGCRYJpgnWCiYLBgu2DCYMRgzmDRYNNg2GDlYOdg8GEAYQZhDGEZYR5hJ2EqYTBhNGE5YTxhQWFEYVNhVWFYYV1hYmFlYWdha2FuYXthfmGHYYphjWGQYZZhnGGfYaRhp2GyYbZhuGG8Yb5hwGHGYdVh3GHhYeVh6WHsYe9h8mH0YfZh+mH8YgNiB2IMYhBiGmImYiliLmIyYjhiO2I9Yj9iRmJLYlBiWGJaYl5iYGJjYmhibWJxYnNidmJ5YnxigmKJYo1im2KeYqZiqGKrYrFis2K1YrliwmLEYsxi4GLqYuxi8WL8YwFjB2MQYxNjFmMYYx9jJ2MtYy9jNWM5YzxjQWNGY0ljUmNXY1tjZWNrY3FjdGN6Y39jgmOHY4xjjmOSY5RjmGOeY7JjtGO7Y71jwGPDY8hjzmPaY+Bj42PlY+lj7GPuY/Jj+GQGZAlkDWQPZBJkFmQcZB5kIGQiZCRkKGQsZC9kNGQ6ZD1kQmRLZE5kUWRYZFpkX2RjZGdkaWRtZG9kc2R2ZHhkemR9ZINkhWSHZI9klWSYZJ1koWSjZKhkq2SwZLJkuWS7ZMFkxGTHZMlk0GTUZNdk2mTgZOlk7GTvZPRk+mT9ZQRlCGUPZRNlFmUYZRtlImUmZSllLmUxZTRlQ2VFZUdlTWVUZV1lYmVmZWtlcGVyZXRld2V6ZX1lgWWFZYdljGWOZZBllWWXZZtln2WjZatlsmW3ZbllvGW/ZcFlyGXLZc5l0mXUZdZl22XfZeVl7GXwZfRl+WX+ZgJmBmYMZhFmHGYzZjlmO2Y/ZklmTmZRZldmW2ZkZm5mc2Z+ZoNmh2aLZpBmlmafZqJmpGamZqtmrWaxZrRmuGa7Zr5mx2bMZs5m1GbWZtlm32bmZuhm62buZvBm8mb3ZwNnBWcHZwtnDWcTZxlnG2ciZyZnKmcxZzNnNmc6Zz1nQWdFZ0xnTmdTZ1lnXGdqZ2xne2d+Z4FnhGeHZ4lni2eOZ5NnlWegZ6ZnqWevZ7tnwGfIZ85n12fcZ+Fn5GfmZ+ln7GfuZ/ln+2f+aAFoE2gWaBloHWghaCdoL2g4aDtoP2hIaEpoTGhQaFdoW2hfaGNoZ2hraG5odGh5aH5ogWiIaI1oj2iTaJZommifaKVorWi1aLloxGjIaM9o3GjfaONo5WjnaOpo9Wj5aQBpBGkIaRZpGWkhaSVpKGkqaTBpM2k4aTtpPWk/aUJpRWlJaU5pU2lXaVlpYGloaXdpimmNaZFplGmYaZtpoGmlaatprWmxabRpt2m6ab5pwWnDacVpx2nKadBp02nWad1p4mnlaedp62ntafFp9Wn5aftp/WoFagpqD2oRahdqGWodaihqLmowajJqNGo9akRqTmpQalVqWGpbal9qYWpkamZqampxanhqfmqDaoZqiWqLao1qkGqXaptqomqlaqpqrmqzarhqu2q9asFqxmrIasxq0GrTatpq4mrkaudq6mrsavBq+msCawlrD2sWaxtrHWsjaydrK2svazJrNWs9a0NrRmtJa0xrUGtSa1ZrWGtba11rX2tma2lrbmtza3hre2t9a4JriWuNa5Vrm2uea6JrqGu3a8NryWvLa9Jr1mvYa9pr32vha+Nr5mvra+5r8Wvza/dr+Wv/bAJsBGwIbA1sF2wZbBtsH2wjbCZsLGwubDNsOmw+bEpsTWxSbFRsV2xZbGJsZ2xqbG1sb2xybHZseGx9bIFshWyMbJBskmyfbKFsq2yubLBsuGzBbMRsyWzMbM9s2WzgbOVs52zubQRtB20KbQ5tEW0XbRltHm0lbS5tMW01bThtO21BbURtV21ZbVxtXm1hbWNtaW1sbW5tdG13bXxtgm2FbYdtjG2ObZFtm22qbaxtr22ybbRtt228bb9txG3Kbc5t0W3Vbdht223dbeRt6G3ubgBuBG4HbhNuFW4Zbh1uKW4rbjJuNm44bj5uQ25Ibk1uUW5WbltuYm5nbmtubm5ybnZue259boJujG6PbpNulm6Ybpxun26ibqVup26qbq1usW62brpuvW6/bsdu0W7Tbt1u627ybvRu9277bv1vAW8EbwZvCG8Mbw9vEW8TbxhvGm8gbyJvJm8pby9vNm84bztvPm9Bb0VvT29Rb1dvYW9kb2ZvaG9sb3RveG96b3xvgG+Gb4tvkG+Wb5pvn2+jb6pvrm+zb7VvuW+8b8BvxW/Kb9Rv2G/ab95v5G/ob+tv7m/zb/Vv+W/8cABwBXAJcAtwDXAPcBFwFXAXcBpwHXAjcCZwLHAvcDJwNHA3cDlwPHA+cENwSHBOcFFwVHBYcF1wY3BrcG5wdXB4cHxwgXCFcIlwjnCScJRwm3CkcKtws3C3cMhwynDPcNFw03DYcNxw33DkcPFw+XD9cQNxCXELcQ9xFHEZcRxxHnEgcSZxK3EtcS9xNnE4cTxxQXFFcUlxTnFQcVJxVXFZcVxxXnFgcWJxZHFscW5xeXF9cYBxhHGHcYpxjHGPcZJxlHGZcZ9xonGocaxxr3G5cb5xw3HIcctxznHQcdJx2XHccd9x5XHscfVx+HH7cf5yBnINchByE3IXchpyHXIfciRyKHIqci9yMnI0cjhyRXJLck5yUnJVclhyZ3Jrcm5ycXJ0cndye3KEcodyiXKNcpJylnKbcqByonKncqxysXK0crZyuXK+csFyxnLJcsxyznLQctJy1XLbct9y5XLpcuxy83L3cwJzBHMHcwpzDXMScxZzG3MicyRzJ3MuczFzNHM6cz1zQ3NNc1JzVnNdc2NzZnNuc3Vzd3OAc4NziXOLc45zkHOTc5VznHOec6JzpXOpc61zsnO1c7dzuXO7c79zwnPFc8hz0nPWc9lz3XPgc+Nz5XPpc+1z8XP0c/dz/XQDdAl0EXQadCJ0JHQodDl0P3RDdEZ0S3RNdFF0VXRXdFl0YnRmdG10dnR+dIB0g3SFdIl0i3SPdJh0nHSedKZ0rnS1dLl0u3S9dL90yHTMdM9003TYdNp03nTidOZ07nT0dPZ0+nT/dQF1A3UMdRF1FXUadRx1HnUjdS91NnVDdUZ1VHVXdVl1ZHVpdW11b3VzdXZ1gXWFdYl1jnWZdZx1onWrdbF1uHW8dcp1zHXSddR113Xbdd5153Xpdex17nX5dfx1/nYHdg92EnYVdhl2G3Ypdi12MHYydjh2QHZSdlV2WHZcdl92YXZkdmd2bHZ0dnZ2eHZ6doB2i3aQdpN2lXaZdqJ2qnatdrB2tHa3dr12v3bBdsV2yHbSdtR21nbZdtt23nbjdup27HbudvB29Hb2dvh2+3b+dwB3BHcGdw53EncUdxd3GXcedyJ3JHcody13NHc8d0B3QndFd0p3TXdSd1Z3Wnded2p3cHdyd3l3fXeEd4t3kXeUd5p3nneid6V3p3eqd6x3s3e1d7l3u3fDd8d3yXfNd9F31XfXd9l33nfid+l37Hfzd/h3+3gCeAV4CXgMeBF4FHgdeCB4JXgteDB4Mng0eDd4Ong/eEN4R3hMeE54UnhceGB4Y3hoeGp4bnhyeHR4enh8eH54gXiGeIp4jHiReJN4l3iaeJ14oXijeKd4rHiveLV4unjBeMV4znjQeNp433jkeOZ46njseO948nj2ePp4/Xj/eQZ5DHkOeRB5GXkceR55JXkpeTB5NHk6eUR5T3lTeVp5YnlleWd5a3lteXJ5d3l5eX55hHmKeZF5k3mYeZt5oXmmea55s3m4eb15xHnHec950XnUedh52nndeel58Hn4eft6AHoCegd6EXoUehd6Hnoneit6LXo0ejd6QnpMelV6WXpcel96ZXpneml6bXpwenR6eHp9eoh6inqQep56o3qpeqx6rnqzerV6uXq/esN60XrVetl633rleu969Hr2evh6/XsCewR7BnsKew97EXsUexh7G3seeyN7JXszezl7PXs/e0V7S3tUe117YHtke2l7bHt3e3p7hHuGe4l7i3uNe5R7pXuqe6x7r3u0e7h7unvAe8R7z3vUe9Z72Xvde+B75Hvoe+178nv8e/58AHwGfAl8C3wRfBd8GXwbfB98I3wlfCp8MXwzfDZ8PXxDfEZ8SnxMfE98WHxjfGd8aXxsfHB8cnx1fHl8fHyBfIZ8iXyLfI18j3ySfJR8l3ybfJ58pHyrfK18sHy2fLl8wnzEfMd8zXzSfNx84nzmfOl863zvfPJ89Hz4fPp8/n0AfQJ9DX0PfSB9Jn0qfTV9OX08fUt9U31WfVl9YX1lfWp9bn1wfXV9eH19fX99gX2FfYh9i32PfZF9k32WfZl9on2mfap9vX3Cfcp90X3Vfdx94H3kfeh9733xffR9+X4AfgR+CH4QfhV+F34bfiZ+K34xfjV+OX49fkF+Q35Kfk1+UH5SflR+WH5dfmF+ZX5pfm1+c354fnt+gX6Gfox+mH6afzZ/OH86f0N/R39Mf1h/W39ff2N/bX9wf3V/d399f4J/hX+Kf5R/ln+af5x/oX+mf6h/rX+yf7R/tn+4f7x/v3/Df8V/yH/Kf8x/zn/Sf9R/23/ff+N/5X/of+t/7n/yf/mAA4AKgByAJIAmgCiALIAugDCAM4A5gESARoBKgFKAVoBYgFqAXoBkgGaAaIBtgG+AeYB9gIGAhICLgI6Ak4CWgJiAmoChgKWAqYCvgLGAtIC4gMOAxoDIgMyA0oDUgN2A4IDkgO2A9oD4gPyBAoEFgRaBGoEegSCBI4EngSmBLIEvgTOBNYE5gTyBPoFFgUqBToFQgVeBX4FlgWuBbYF0gXeBf4GIgYqBjoGTgZWBmIGagaCBooGoga6BsIGygbiBuoG9gcKBxYHIgc2B0YHTgdWB14HdgeOB54HqgfCB+IIFggeCDIISghaCIYIogi6CMoJAgkOCS4JOglGCVoJYglyCX4JigmaCaoJtgnGCdIJ2gnuCfYKDgoeCiYKNgpGClIKWgpiCnYKfgqOCt4LFgtCC14LZgt6C6oLtgu+C8YLzgvaC+YL9gwCDDoMWgxuDIYMogyuDPINAg0KDR4NJg02DYoNwg3ODdYN3g3uDf4OCg4SDiYONg5KDmIOig6aDsYO1g72DxYPHg8mDzIPOg9OD1oPYg9yD34Pog++D9IP2g/uEAYQDhAaECoQRhBOEFYQZhCCEIoQphCyEL4QxhDWEOIQ8hEWETYRRhFaEYIRphHOEfISBhISEi4SQhJKEmYSchJ6EoYSmhKiErYSvhLGEtIS4hMSExoTPhNOE1oTZhNyE54TqhOyE7oT0hPeE+oT/hQKFBoUMhQ6FEIUThReFGoUchR6FIYUqhS+FMoU9hT+FQ4VGhUiFToVVhVyFaIVthW+Fd4V5hX2FhIWPhZOFl4WbhZ+FooWkhbSFtoW8hcGFx4XJhc2F1YXYhdqF3IXfheSF6IXthfOF9oX5hf6GAoYEhgqGDYYQhhaGHoYhhieGKYYthi+GNoY4hjqGPIY/hkaGTYZQhlKGXIZnhmmGa4ZvhnGGdYZ5hoiGioaRhpOGlYaYhpqGnIahhqOGpoathq+Gs4a/hsOGyYbLhs2G0YbUhteG2YbehuOG54bphuyG+IcAhwKHDYcYhxyHHochhyOHJYcohy6HMYc0hzeHOYdDh0WHSYdLh1OHVYdXh12HX4djh2iHaoduh3GHdId2h3iHe4d/h4KHi4eQh5OHlYeXh56Hooenh6uHsYezh7WHuoe9h8SHxofOh9CH0ofVh9mH3Iffh+KH6ofth++H8Yf2h/6IAYgDiAWICYgNiBiIHoghiCeILYgwiDWIOYhAiEiIUYhViGiIa4hwiHWId4h5iHuIfYiIiIuIjYiSiJaInoiiiKSIqIiqiK6IsIi0iLeIuoi9iMqI0YjYiNuI4YjniO+I94j8iQGJBIkGiQqJDIkSiRWJGIkciSCJJYkqiTCJNYk4iT6JQIlJiUyJT4lSiVaJWoleiWaJaoltiXKJd4l6iYGJg4mGiY2Jj4mTiZqJn4mliamJrImvibKJuom8ib+J0onUidqJ3InjieWJ6Ynrie2J8YnzifaJ+In9if+KAooHigqKDIoOihuKHYoiiiqKL4oxijOKOopAikOKRYpNilCKW4pgimWKaYprinCKdYp5in6KgoqJiouKj4qVip6Ko4qsirKKtoq5iruKvorCisaKz4rRitqK5IrmiuuK8IrzivqK/Ir+iwSLCosOixCLFIsWixmLJosoiyuLMIszizeLOYs8iz6LQYtIi0yLUotWi1iLXotji2aLa4tvi3SLdot8i4OLiouSi5mLnIuejDeMPYxBjEWMToxTjFeMXYxhjGaMaIxzjHWMeIx+jIKMhYyJjJCMkoyYjJuMoIykjKeMsoy2jL+MzYzRjNOM1YzZjOCM5ozojOqM7IzvjPKM9Iz3jPqNAY0DjQeNDY0PjRKNFo0bjWSNaY1rjXCNc412jX+NgY2EjYiNio2NjZCNlY2ZjZ6No42mjaiNq42vjbKNtY23jbmNvo3AjcKNxY3Kjc6N0Y3UjdmN3Y3fjeGN443njeqN7438jf+OAY4EjgiOD44UjhaOHY4mjiqOMI4zjj2OQI5EjkeOVI5ZjluOaY5sjm+OdI52jnmOgY6HjomOjY6QjpmOnY6hjqeOqY6zjrWOuo6+jsCOw47Kjs+O0Y7UjtuO347ijuiO647tjvCO948AjwKPBY8HjwyPD48SjxuPI48ljyyPM48+j0mPTI9Rj1ePXI9hj5uPo4+tj7WPuo++j8SPyo/Nj9CP2o/gj+KP6I/tj/SP/ZAAkAiQC5ATkB2QJ5AskDGQPJA+kEGQR5BJkFiQW5BgkGWQbJBykHSQfJB/kIeQjpCVkJeQm5CgkKWQqJCqkK+QuJC9kMGQw5DHkMqQzJDOkNKQ1ZDXkNuQ4ZDkkOiQ65DtkO+Q9JD9kQKRBJEIkQ2REJESkRSRHJEekSCRIpElkSeRKZEtkTSRNpE5kTyRQ5FHkVKRVpFhkWeRaZFskXKRd5GBkYWRiZGNkZCRl5GckZ6RoZGkkaaRqJGqkbiRupG/kcWRy5HTkdaR4ZHjkemR7JH1kfmR+5H/kgSSCZIMkhCSGJIckiOSKJIski6SM5I8kj6SQpJNkleSYJJkkm6SdZJ7koOShZKIko2SkZKVkp+SpJKnkquSrZKvkrKStpK/ksWSy5LSktWS15Lckt+S45LnkuyS8JLykviS/5MCkwaTCJMNkw+TFJMYkxyTLpMykzqTRJNHk0uTTZNQk1STWpNek2CTZJNnk2mTbJNzk3qTfJOIk4qTj5OSk5STmpOek6GTo5Omk6uTsJO0k7mTwZPDk9CT05PWk9yT4ZPkk/eT/ZQBlAeUDZQTlB+UIZQrlC6UMZQ4lDqUPZQ/lEGUQ5RIlEqUTJRRlFWUWZRelGiUapRtlHWUd5R8lIGUg5V3lX6VgJWClYeVkZWWlZiVnZWrlbKVtJW2lbmVw5XGldCV2JXcleSWHJYhliSWKJYqliyWLpYxljeWP5ZElkuWT5ZSllSWVpZblmGWapZslm6WcJZylnqWgZaIlo2WkZaUlp+Wo5aulraWwJbElsmW0ZbVltiW4pbolu+W9pb5lwCXApcNlxGXE5cWlxmXIZcnlyqXMJc4lzuXPZdBl0aXSJdNl1GXVZdel2CXZpdtl3GXc5d2l3+XhJeJl4uXjZePl5WXnJeel6KXppeol6uXsZe4l7yXvpfBl8OX0JfTl9eX25fgl+SX7Zfxl/qX/5gBmAWYCpgMmBaYHJgemCCYI5grmDKYN5g7mESYRphKmFGYXphimGWYaphvmHOYqJiqmK2YtJi2mLqYv5jCmMiYzJjbmN+Y4ZjlmOmY7ZjymPaY/JkCmQWZB5kMmRCZGpkkmSaZK5kumTGZOZlAmUWZS5lQmVSZV5lbmV6ZlpmbmZ2ZpZmomayZsJm5mbyZv5nBmcOZyJnQmdiZ4pnnmeqZ8Jn0mfiZ+5n9mgGaC5oOmhaaGZoemiCaIponmiuaLZowmjOaNZo+mkCaR5pKmlGaVJpaml2aX5pimmSaaZqomqqarJqymrSauJq7mr6aw5rGmsiazprbmt6a4prpmvGa95r5mv2a/5sImwubEJsSmxabGJsfmyKbJZstmzGbN5s5m0GbSJtLm1GbVJtam16bYZtjm2WbaJtqm3Kbd5t/m4ObiZuNm5abmpudm6absJu0m7ebu5u+m8abzpvUm9ab25vdm9+b4Zvnm+qb75v1m/eb/Zv/nAKcBJwGnAicD5wYnB6cIZwtnDWcOZw9nEGcQ5xOnFKcVpxanGOcZ5xunHCccpx1nHuc5ZzpnOuc8JzynPac+Z0CnQadC50OnRGdFZ0XnRudI50mnSidKp0vnTKdOp1BnUqdUJ1TnVmdXJ1pnW+dcp12nXqdfp2DnYadiZ2NnZKdlZ2anaGdpJ2pna6dsZ20nbidv53BncadyZ3PndOd2Z3eneWd6Z3rne2d8p34nf2eAp4HngqeDp4QnhWeGZ51nnief56Hnouejp6RnpWem56dnqSeqJ6snrOeuJ6+nsSexp7Insue1J7Yntue5J7nnuye9J77nv+fAp8Hnw6fGZ8fnyafKp8vnzGfNJ83nzmfQZ9Dn0qfTp9Sn1qfXZ9mn2yfdZ96n32fjZ+Pn5SfnJ+gn6X5Kfnc+g77Af8B/2H/4P/o////4v/B/6//df9d/1n/Cf7s/uv+3f5H/kP+QP47/jr+Of44/gb+Bf4E/gP9+v34/fb98/3x/e/kaeP94vHi8OLv4sbiw+Ky4l3iQ+I24iHiEeIE4gPh9uC44KPgmeCJ4IPf8t/x3+/f7t/t3+zf6d/o3+bf2N/V39TXk9eE13vXdddz1lLWFtYH1gPWAtX+1fy7+7v6u/m7+Lv0u/O78rvxu/C777vuu+y767vqu+i757vku+O74rvfu9673LvYu9G70LvNu8m7yLvGu8W7w7vCu8G7wLu/u727u7u5u7e7sruxu6+7rruru6q7qLuku6O7oLucu5q7mbuYu4i7h7uGu4W7g7uCu4C7e7t6u3m7eLt3u3a7dbt0u3O7artpu2e7Zbtku2O7Yrthu1+7Xrtdu1W7VLtTu1K7UbtQu067TbtMu0u7SrtJu0i7RrtFu0G7QLs/uz67Pbs8uzu7Obs4uze7Nbs0uzK7Mbswuyy7Krspuya7JLsjuyK7Ibsauxm7GLsXuxa7FbsTuxK7EbsQuw+7DrsNuwy7C7sKuwi7BbsEuwO7Abr/uv66/br8uvu6+rr5uvi697r0uvO68rrxuvC677rtuuy667rquum657rluuS647rhut6627rautm62LrWutW60rrQus+6zbrMusu6ybrIuse6xrrFusS6w7rCusC6v7q9ury6u7q6uri6t7q2urS6srquuqq6qbqouqW6pLqjup26nLqbupq6lrqVupS6k7qRuo66jbqKuom6iLqHuoa6hbqCuoG6f7p9uny6e7p5uni6d7p1unS6c7pyunG6cLptumq6abpoume6ZrplumS6Y7piumG6X7peulu6WbpYule6VrpVulO6UbpQuk+6TbpLukm6RLpAuj+6Pro8uju6Obo4uje6Nro1ujS6MroxujC6Lrosuiu6Kropuii6Irofuh66GLoXuha6EroRug+6DroNugy6C7oKugi6B7n7ufm5+Ln3ufa59bn0ufG58Lnvue657LnnueW55LnjueK537neud2527nSucu5ybnIuce5xbnCub+5vrm8ubq5t7mkuaK5obmguZ+5nrmduZu5mrmZuZi5l7mVuZS5k7mSuZG5fbl8uXu5ebl4uXa5dblyuXC5b7luuWu5Y7liuWG5YLlfuV65XLlauVm5WLlWuVK5RrlFuUK5Pbk8uTq5Obk4uTe5KrkouSa5JbkkuSO5IbkguR25F7kVuRS5E7kSuRG5ELkPuQ25DLkHuQS5A7kBuP24+rj4uPe49bj0uPK48bjwuOy467jquOm457jmuOO44rjguN+43rjcuNu42bjYuNa41bjUuNO40rjRuNC4z7jOuMy4yrjIuMe4xrjEuMK4wbi7uLS4s7iyuLG4sLivuK64rbipuKi4orihuKC4n7iduJy4mbiXuJO4j7iNuIu4ibiHuIa4hLh/uH64fbh8uHm4d7h0uHO4crhxuGq4Z7hmuGW4Y7hiuGC4XrhduFy4WbhXuFa4T7hOuE24TLhJuEi4R7hFuES4QLg/uD24O7g5uDi4N7g2uDW4NLgzuDG4MLgsuCm4KLgnuCW4I7gfuB64HLgbuBq4GbgYuBe4FrgVuBS4EbgQuA+4DLgLuAe4BbgDuAG4ALf/t/y3+7f6t/W38rfxt+237Lfrt+q36bfnt+a35bfit9232rfZt9i317fWt9W30rfRt863zbfKt8m3yLfGt8W3xLfDt8K3wLe8t7u3uLe3t7W3tLezt7K3r7est6u3p7elt6O3n7eet523nLeat5m3l7eWt5K3jbeKt4i3hreDt3+3e7d4t3W3dLdyt3G3aLdmt2S3WbdVt1S3UrdQt0+3TrdKt0a3QrdBtz+3Prc9tzy3O7c6tzm3N7cytzC3L7cstyu3KrcotyW3H7cctxu3GbcTtxK3CbcItwe3BrcDtwG2/bb8tvq2+bb4tve29rbxtvC277butum25rbltuS24bbgtt+23bbcttu22bbYtte21rbVttS20rbRts+2zrbMtsu2ybbItse2xrbFtsS2w7bCtsG2wLa/tr22vLa7trq2uba3trW2sraxtrC2r7autq22q7aqtqe2praltqS2o7aitp+2nradtpy2m7aZtpe2lbaMtou2iraItoe2f7Z+tny2e7Z3tna2dbZvtm62bbZstma2YrZhtl62XLZWtlS2U7ZQtk+2TLZItkW2RLZCtkG2PrY8tju2OrY5tjS2MrYutiu2KrYotia2JbYktiO2IrYhth62HLYathm2FbYUthO2EbYPtg22CrYJtge2BrYDtgK1/7X+tf21/LX7tfe19LXztfK18bXwte617bXoteW15LXjteK14bXftd613bXctdu12rXZtde11bXUtdO10rXRtdC1zrXLtci1x7XGtcW1xLXAtb61vLW7tbq1ubW1tbS1srWxtbC1r7Wuta21q7Wptai1p7WktaO1orWhtaC1n7WdtZu1mbWUtZK1kbWOtY21jLWLtYi1h7WGtYK1gbV/tX61fbV6tXm1d7V2tXO1crVxtXC1b7VutW21bLVrtWq1abVotWa1ZLVitWG1YLVftV61XbVctVu1WbVYtVe1VrVVtVS1U7VStVC1TrVNtUy1SrVJtUe1RbVAtT+1PrU8tTu1ObU4tTe1NLUztTK1MbUwtSm1J7UltSS1I7UhtSC1H7UetR21HLUYtRO1EbUPtQ61DbULtQq1CbUItQW1BLT+tP20/LT6tPm0+LT3tPK08LTttOy06rTptOi05rTltOS03bTbtNm02LTXtNa00rTRtM60zLTLtMm0yLTHtMO0wrTAtL60vbS8tLu0ubS4tLa0tbSztLG0sLSvtK60rbSstKm0qLSltKK0obSgtJ+0nrSctJi0krSRtJC0j7SNtIy0irSJtIi0h7SGtIW0g7SCtIG0frR8tHu0ebR4tHW0dLRztHK0cbRwtG+0brRttGy0a7RptGa0YrRhtGC0XrRctFu0WrRWtFS0UrRRtEq0SbRHtEO0QrRBtEC0PrQ9tDy0OrQytDG0MLQstCu0KbQntCa0JLQjtB60F7QWtBW0ELQOtA20DLQLtAm0CLQHtAWz/bP8s/qz+bP4s/ez9rP0s/Oz8rPxs/Cz77Pts+uz6rPls+Sz47Pis+Gz3bPas9ez1rPVs9Kz0bPQs82zzLPBs7+zvbO8s7uzurO3s7aztbO0s7OzsrOxs7CzrbOqs6izprOes5yzm7OYs5ezlrOVs5KzkbOOs42zirOJs4izh7OGs4GzgLN/s3mzeLN2s3WzdLNzs3KzcbNws2+zarNps2izZ7Nms2WzZLNjs2KzYbNcs1uzWrNZs1izVrNVs1OzUbNNs0qzSbNIs0ezRbNEs0KzQbNAsz6zO7M6szmzNrM1szKzMbMvsyyzKbMosyezJrMlsyOzILMfsx6zHbMcsxuzGbMYsxezFrMVsxKzEbMPsw6zDLMLswqzCbMIswezBrMFswSzA7MAsv6y/LL6svmy9rL0svOy8rLxsvCy67Lqsumy6LLmsuSy47List6y3bLcstuy2bLYstey1bLUstOy0LLPss6yzbLMssiyx7LFssSywrLBssCyvrK8sruyt7K2srSys7Kusq2yrLKrsqqyqbKosqaypbKksqOyorKfsp6ynbKcspmymLKWspWylLKTspGykLKNsouyirKJsoeyhbKCsoGyfrJ9snyyerJ5sniyd7J2snWydLJysm+ybbJosmeyZbJksmGyX7JeslyyW7JaslmyV7JWslWyVLJSslGyQ7JCskGyPrI9sjmyOLI1sjSyM7IysjGyMLIvsi6yLbIssimyJrIjsiGyILIfsh6yHbIcshiyF7IUshOyErIRshCyDrINsguyBLIDsgKyAbIAsf+x/rH9sfyx+rH4sfax9LHzsfGx8LHsseux6rHpseSx47HiseGx4LHfsd2x27HYsdWx0bHQsc+xzrHNscyxxbHDscGxwLG/sb2xurG3sbWxtLGzsbKxsLGvsa6xrbGssauxqrGpsaixp7GlsaKxn7GdsZyxmrGZsZixl7GUsZOxkrGRsY2xi7GKsYmxiLGHsYSxgrGBsYCxf7F+sXqxeLF3sXWxdLFzsXCxb7FusW2xa7FmsWKxXbFcsVuxWrFZsVixV7FSsU+xTrFNsUmxSLFHsUSxQrFBsUCxPrE9sTuxOLE3sTSxMrExsS+xLrEtsSqxI7EfsR6xGrEXsRSxE7ESsRCxDrEMsQqxCLEHsQSxArEBsQCw/7D+sP2w/LD7sPqw+bD4sPew9bDzsPGw8LDvsO6w7LDrsOSw4rDgsN+w3LDbsNmw17DWsNOw0rDRsNCwzbDMsMuwybDGsMWwxLDDsMCwv7C6sLiwt7C1sLKwsLCvsK6wq7CosKewpLCjsJ+wnrCcsJWwlLCTsJKwkbCQsI+wi7CKsImwiLCHsIawhbCEsIKwgbB/sH2wfLB6sHmwcbBvsG6wa7BqsGmwZ7BmsGWwZLBisGGwYLBfsFCwTrBMsEuwSrBHsEawRLA/sD2wPLA7sDqwObA4sDawJbAksCOwIrAhsCCwH7AesB2wGrAYsBawEbAPsA6wC7AKsAiwB6/6r/mv96/1r/Sv86/xr/Cv7a/sr+uv6q/or+ev5q/lr+Sv46/ir9+v3K/br9Sv06/Qr8+vzq/Nr8uvyK/Hr8avwq/Ar7+vvq+9r7uvua+2r7Svsq+wr66vqq+pr6ivn6+er5yvmq+Zr5evlq+Vr5Ovkq+Qr46vja+Lr4mviK+Hr4avha+Er32vca9vr26vbK9rr2qvaa9or2evZq9lr2SvY69ir2GvYK9cr1uvWa9Xr1avVK9Tr1GvUK9Pr0yvQ69Cr0CvP68+rz2vPK85rzavM68yrzGvMK8vry2vLK8rrymvJa8kryOvIK8frx6vHK8arxevFq8VrwyvCq8JrwevBa8CrwGvAK7/rv6u/K77rvqu9672rvWu9K7zrvKu767uru2u7K7qruiu5a7jruKu4a7frt6u3K7brteu1K7TrtGuz67Nrsmuxa7Arr+uu666rreuta6yrrCura6qrqmuqK6grpquma6Xrouuiq6Hroauha6EroKuga59rnGuaq5ormOuYq5hrl+uW65XrlauVa5UrlCuTK5LrkquRq5FrkKuPq47rjquOa44rjeuNa40rjOuMq4xrjCuL64triyuIq4frh2uGq4ZrhiuF64VrhOuEq4PrgyuC64GrgOuAa38rfmt+K31rfSt863yrfGt8K3vre2t6a3lrd+t3a3crdut1q3TrdGtz63Mrcqtya3IrcStwa3Arb+tvq29rbytu625rbitt622rbWtsq2xra+trq2trautqq2praetpq2jraCtnq2arZatla2RrY6tja2MrYutia2FrYOtgq2BrX+tfq19rXyteq15rXatdK1xrW+taq1orWWtZK1jrWGtYK1crVqtWa1XrVatVa1UrVOtUq1QrU+tTK1FrUStQa09rTutOa04rTatNa0yrTGtMK0vrS2tLK0qrSmtJq0lrSStIq0grR+tG60arRmtGK0XrRatFa0TrRKtEK0OrQytCa0IrQetBq0FrQOtAaz/rP6s/az8rPus9aztrOes5qzlrOOs36zerN2s2qzZrNas1KzTrNKs0azQrM+szazGrMWsxKzDrMKsway+rLmsuKy3rLWss6yxrK6sraysrKuso6yirKCsnqybrJqsmayYrJeslayUrJOskqyQrI+sjqyJrIeshqyFrISsg6yCrICsfqx8rHuseqx4rHesdqx1rHSsc6xyrHGscKxurG2sa6xorGesY6xerFmsV6xWrFSsU6xRrFCsT6xOrE2sS6xKrEisR6xDrEKsQaw/rD6sPKw7rDmsOKw3rDSsMqwxrC+sLKwnrCWsJKwirCCsH6werB2sHKwbrBqsGawYrBesFawUrBKsEawPrA6sDawLrAqsB6wFrAOsAqwBrACr/6v8q/ur+qv5q/ir96v2q/Wr9Kvzq/Kr8avwq++r7qvtq+yr6qvpq+ir5avkq+Or4qvhq+Cr36veq9ur16vWq9Wr1KvSq9CrzqvMq8mrx6vGq8WrwqvBq72ru6u4q7KrsKuuq6urqKunq6WrpKuiq6GroKufq52rnKuZq5arlauSq4+rjauMq4uriquJq4irh6uGq4Orgat8q3qreKt2q3Src6tsq2qraatkq2OrYqthq2CrXqtaq1erVqtTq1KrT6tGq0WrRKtBq0CrP6s9qzyrN6s2qzWrM6svqy2rLKsrqyqrKasoqyarJaskqyKrIasgqx+rG6saqxerFqsVqxKrD6sNqwyrC6sKqwirBqsFqwOrAqsBqv2q+ar4qveq8arwqu+q66rqquiq5qriquCq3arcqtuq2qrYqteq1qrVqtGqzarMqsuqyarFqsSqw6rCqsCqvaq5qreqtqqzqrKqsaqvqqyqq6qqqqmqqKqmqqWqo6qdqpuqmKqXqpSqkqqQqo+qjqqJqoaqhaqEqoOqgqqAqnyqe6p5qniqd6p2qnWqdKpyqm+qbqpsqmuqaqpmqmGqX6paqlmqWKpWqlWqU6pRqk6qTapMqkmqSKpHqkaqRKpDqkKqQao/qj6qPao8qjmqOKo2qjOqMqowqi6qLaosqiqqJ6omqiOqIqohqhuqGaoWqhWqFKoTqhGqCKoHqgaqBaoEqgOqAKn8qfup+qn5qfip96n1qfSp8qnuqe2p7Knrqemp5qnlqeOp36neqd2p3Knbqdqp2anYqdap1anUqdGp0KnPqc6pyqnJqcipxqnEqcKpv6m+qb2pvKm7qbqpuam3qbaptam0qbGpr6mtqaupqqmpqaipp6mmqaWppKmiqaCpn6mdqZypm6mZqZipl6mWqZWpk6mRqZCpj6mMqYupiqmHqYWphKmDqYKpgKl/qX6pfal8qXupeal2qXWpcqlxqW+pbqlsqWupaaloqWepZKljqWKpYalgqV+pXqldqVypW6laqVmpWKlWqVWpVKlSqVCpT6lNqUupSqlIqUepRqlFqUSpQ6lCqUGpP6k7qTmpN6kzqTGpMKktqSupKakoqSepJqklqSSpI6khqSCpH6keqR2pHKkaqRmpF6kWqRWpE6kPqQ6pDakLqQqpCakIqHGocKhvqGyoa6hnqGWoY6hiqGGoYKhfqF2oXKhZqFioV6hWqFSoU6hRqFCoTqhNqEyoSqhIqEeoRqhFqEOoQqhBqECoP6g+qD2oPKg6qDmoNKgxqDCoL6guqC2oLKgrqCaoJagkqCKoIKgfqB6oG6gaqBmoF6gWqBOoEqgPqAioBagEqAOoAKf/p/6n/af5p/in96f0p/On8afwp++n66fpp+in56flp+On4qfhp+Cn36fcp9Sn06fSp8+nzafMp8unyqfIp8GnwKe/p76nu6e6p7Cnr6eup62nq6epp6inpqekp6Onoqefp56nnaeXp5WnlKeTp5Kni6eIp4enhqeEp4Knfqd9p3yneqd4p3endqd1p3Snc6dwp2yna6dqp2inZ6dmp2WnZKdjp2KnYadgp1+nXqddp1ynW6dap1inV6dWp1WnVKdTp1KnUadMp0unSKdDp0GnPqc8pzunN6c2pzWnNKczpzKnMacwpy+nLqctpyunKqcppyenJqclpyOnIqchpyCnH6cepx2nG6cWpw2nDKcLpwqnCacIpwenBqcFpwSnA6cCpwGm/6b4pvam9abxpu+m7qbspuum6qbppuem3qbRps+mzqbNpsumyqbJpsimx6bFpsKmwabApr2muqa3prCmraaspqumqqappqimp6ampqOmoqabppiml6aWppWmkqaRppCmjqaNpoymi6aIpoKmgaZ7pnqmeKZ3pnSmcqZwpmmmZ6ZmpmOmYKZfpl6mXaZaplmmVKZQpk+mTKZKpkmmSKZEpkOmQaZApj+mPqY7pjqmOaY4pjemNaYzpjKmKKYmpiWmJKYjpiGmH6Yeph2mG6YXphamFaYUphOmEqYRphCmD6YNpgymCqYEpgOmAqYApf+l/aX8pful+KX3pfal76Xupe2l66Xppeil5qXlpeSl46Xipd+l3qXdpdyl2KXXpdal0qXQpc+lzqXNpcqlyaXHpcKlwKW/pb6lvaW8pbqluaW4pbaltKWypa6lraWqpamlpKWjpaKloaWgpZ2ll6WWpZWllKWSpZGlkKWOpY2liqWJpX2lfKV5pXild6V2pXWldKVwpW+lbqVtpWyla6VmpWWlZKVjpWKlYKVfpV6lXaVcpVqlWaVYpValTqVNpUylS6VIpUelRqVFpUSlQ6VBpT2lPKU7pTmlOKU2pTWlMqUxpS2lLKUrpSilJ6UmpSWlJKUhpSClH6UepR2lG6UYpRalFaUTpRGlEKUPpQulCqUHpQSlA6UCpQGk/aT8pPqk+aT3pPak9aTzpPGk8KTupO2k6KTnpOak5aTjpOGk4KTfpN6k3aTcpNuk2qTZpNak0qTRpM+kzaTKpMmkx6TGpMOkwqS+pLyku6S6pLmkuKSzpLGksKSspKmkqKSnpKako6SipKCkn6SdpJykmqSYpJSkk6SRpJCkj6SKpISkg6SBpH+kfqR9pHukeqR5pHikd6R2pHWkcaRwpGykaqRppGekZqRkpGKkYaRfpFykWqRZpFikVaRUpFOkUqRQpE+kTqRMpEukSqRIpEekRaRCpEGkQKQ+pD2kO6Q6pDmkKKQnpCakJaQgpB+kHqQdpBykGaQYpBekFqQTpBKkEaQQpA+kDqQNpAukCqQJpAakBaQEpAOkAaQAo/+j/qP7o/qj+KP3o/aj9aP0o/Oj8qPxo/Cj76Puo+2j7KPro+ij56Plo+Sj4qPho+Cj36Pdo9yj26Pao9ij16PWo9Oj0qPRo9Cjz6POo82jy6PKo8mjx6PGo8WjwaPAo76jvKO6o7ejtqO0o7OjsaOwo66jrKOro6qjqaOmo6SjoKOfo56jnaObo5qjlqOVo5OjkqORovqi+KL3ovSi86LyovGi8KLtouyi66LmouWi5KLjouCi3qLdotyi26LYotei1qLVotOi0qLRotCiz6LOos2izKLKosmiyKLHosaixaLEosOiwqLBosCiv6K+or2ivKK7orqiuaK2om6ibaJsomuiaqJpomKiYaJgol6iXaJbolmiVqJTok+iTaJLokqiSKJGokSiQ6JCokGiQKI/oj6iPKI7ojqiOaI3ojaiNaI0ojOiMqIxojCiLqIooieiJqIkoiOiIKIeoh2iF6IVohOiDqINogqiCKIHogWiAqH/of6h+qH4ofeh9qH1ofOh76Huoe2h7KHqoeeh5qHkoeCh36Heod2h2aHXodah1aHUodOh0qHRocuhyaHHocOhwaHAob+huqG5obiht6G2obWhs6GyobGhsKGvoa6hq6GpoaihpqGloaShoaGgoWuhaqFmoWShY6FioWGhXqFdoVyhWKFToVKhUaFQoU6hTaFMoUuhSaFIoUehRKFDoUKhQKE/oT6hPaE8oTuhOqE5oTihNqE1oTShM6EyoTGhMKEtoSyhK6EnoSahJaEkoSChH6EboRmhGKEXoRahFaEUoRGhD6EOoQ2hDKELoQmhB6EGoQWhAqD9oPyg+6D6oPag9KDzoPKg8aDwoO+g7qDtoOyg66DooOeg5qDloOSg36DcoNqg2aDUoNOg0qDRoM2gzKDHoMagxaDEoMOgwqC/oL6gvKC7oLqguaC4oLegtqC1oLSgs6CyoLGgsKCvoK6graCqoKmgqKCnoKWgpKCjoKKgoaCeoJqgmaCXoJaglKCToJKgkaCQoIugiqCJoIWggqCBoH+gfqB8oHqgeKB3oHWgcqBxoG+gbqBtoGugaKBnoGagZKBjoGKgYaBfoF6gXaBcoFugWqBZoFWgU6BSoE+gTqBKoEmgR6BFoESgQ6BBoD+gN6A1oDSgM6AxoDCgL6AuoC2gKqApoCigJ6AmoCOgIqAdoBygG6AZoBigF6AVoBOgEqARoBCgD6AMoAqgBKADoAGgAJ/+n/yf+5/6n+yf65/on+af45/hn92f3J/Tn9Gf0J/Pn86fzZ/Mn8ufyp/In8efxp/Cn8Gfvp+9n7mfuJ+3n7WftJ+wn6+frp68nriet562nrSes56ynrGerp6tnqmeqJ6nnqWeop6gnp6enZ6cnpueZp5knmOeYp5hnmCeX55enlueWp5ZnlOeUp5RnlCeT55NnkyeSZ5InkeeRp5FnkSeQ55CnkGeQJ4+nj2eO544njeeNJ4ynjGeL54tniyeKp4mniOeIJ4fnhueGp4YnheeFp4UnhKeEJ4Ong2eCJ4EngOeAp4Anf+d/p38nfud+Z34nfed9p31nfOd8p3xnfCd7p3sneud6p3pneWd5J3jneKd4J3fnd2d253andmd2J3Xndad1Z3UndKd0Z3Qnc6dxp3FncSdwZ3Anb+dvp29nbydu526nbmduJ20nbOdsp2wnaudqp2onaedpZ2inaGdn52dnZydaZ1onWedZZ1knWOdYJ1enV2dWp1MnUqdSZ1InUedRp1EnUOdPp07nTqdOZ04nTWdNJ0znTKdMJ0vnS2dKp0pnSedJp0lnSSdI50inSGc7JzrnOqc5ZzknOGc4JzdnNyc25zanNmc2JzSnNCczpzKnMicx5zGnMScw5zCnMGcvJy7nLmct5yznLKcsZyvnK2crJyrnKmcqJyjnKKcoZyfnJ2cm5yZnJicl5yVnJSckZxVnFScU5xSnFGcUJxPnE6cTZxMnEucRpxFnEScQ5xCnEGcQJw/nD6cPZw8nDucOpw5nDacNZwznDKcMZwwnC+cLpwtnCqcKJwmnCWcI5winCCcHpwdnBycG5wanBicF5wSnBCcD5wOnA2cC5wJnAScA5wCnACb/5v+m/qb95v2m/Wb85vym/Gb8Jvvm+6b65vqm+mb55vmm+Wb5Jvjm+Kb4Zvgm9+b3Zvbm9mb2JvXm9Wb1JvRm9Cbz5vOm8ybyZvHm8abxZvDm8GbWJtXm1abU5tSm1GbUJtIm0abRZtDm0GbP5s+mzybOZs3mzabNZszmzKbLZssmyubJpslmyGbH5scmxqbGZsWmxSbE5sPmw6bDZsLmwmbCJsHmwGa/5r7mvqa+Zr4mvaa9JrzmvKa8Zrtmuqa6ZrmmuKa4Zrgmt+a3prbmtma1prSmtCazZrMmsqayJpymnCab5pummyaa5pqmmmaZ5pmmmKaYZpgml6aXJpbmleaVppVmlOaUppQmk+aTJpLmkiaR5pGmkWaQ5pAmjyaO5o4mjWaMpowmi+aLposmiuaKpopmieaJZojmiKaIJoemh2aHJoamhiaCZoImgeaA5oCmgFAfj/MP5s+yDrKOsg6iDqGAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHAAAABwAAAAcAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAABiAAAAYgAAAGIAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAAAuwAAALsAAAC7AAABEQAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAGPAAABjwAAAY8AAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACYAAAAmAAAAJgAAACdgAAAowAAAKMAAACjAAAAowAAAKMAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAANtAAADbQAAA20AAAOeAAAEXgAABLcAAATdAAAFEAAABYwAAAWMAAAF0QAABdEAAAYkAAAGXgAABq0AAAbvAAAHRQAAB2sAAAemAAAH2QAACCEAAAhFAAAIfgAACLIAAAj6AAAJIwAACWAAAAmTAAAJ2gAAChEAAApdAAAKnAAACu8AAAsyAAALiQAAC8AAAAwMAAAMMQAADFYAAAyQAAAMtQAADO8AAA0iAAANagAADbIAAA6DAAAO4AAADz4AAA9wAAAPtgAAEBEAABBuAAAQngAAEOMAABEqAAARaAAAEbsAABIQAAASKgAAElgAABKIAAATqwAAFOIAABYbAAAWYAAAFp4AABbkAAAXQgAAF3sAABgAAAAYhQAAGRAAABmcAAAZ2wAAGhoAABp3AAAaqQAAGuIAABskAAAbnwAAG58AABxAAAAchgAAHPcAAB1mAAAd3wAAHd8AAB34AAAeEwAAHhMAAB4TAAAeEwAAHhMAAB4TAAAeEwAAHhMAAB4TAAAeEwAAHhMAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeQAAAHkAAAB5AAAAeWwAAHlsAAB5bAAAeWwAAHlsAAB5bAAAeWwAAHlsAAB5bAAAeWwAAHlsAAB5bAAAeWwAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHnYAAB52AAAedgAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHpUAAB6VAAAelQAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAHtkAAB7ZAAAe2QAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfRAAAH0QAAB9EAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAfiAAAH4gAAB+IAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIA8AACAPAAAgDwAAIGoAACBqAAAgagAAIGoAACBqAAAgagAAIGoAACCJAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIKcAACCnAAAgpwAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIQAAACEAAAAhAAAAIS8AACEvAAAhLwAAIS8AACEvAAAhLwAAIS8AACEvAAAhLwAAIS8AACFpAAAhaQAAIWkAACFpAAAhkwAAIZMAACGTAAAhkwAAIbgAACG4AAAhuAAAIcwAACHMAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACHyAAAh8gAAIfIAACJIAAAixgAAIsYAACLGAAAjlwAAI5cAACOXAAAjlwAAI5cAACOXAAAjlwAAI5cAACOXAAAjlwAAI5cAACOXAAAjlwAAI5cAACOtAAAjwwAAI8MAACPDAAAjwwAAI8MAACSkAAAkpAAAJKQAACSkAAAkpAAAJKQAACTVAAAllQAAJe4AACYUAAAmRwAAJsMAACbDAAAnCAAAJwgAACdbAAAnlQAAJ+QAACgmAAAofAAAKKIAACjdAAApEAAAKVgAACl8AAAptQAAKekAACoxAAAqWgAAKpcAACrKAAArEQAAK0gAACuUAAAr0wAALCYAACxpAAAswAAALPcAAC1DAAAtaAAALY0AAC3HAAAt7AAALiYAAC5ZAAAuoQAALukAAC+6AAAwFwAAMHUAADCnAAAw7QAAMUgAADGlAAAx1QAAMhoAADJhAAAynwAAMvIAADNHAAAzYQAAM48AADO/AAA04gAANhkAADdSAAA3lwAAN9UAADgbAAA4eQAAOLIAADj0AAA5eQAAOb8AADpLAAA6ggAAOsEAADseAAA7UAAAO4kAADvLAAA8RgAAPEYAADznAAA9LQAAPZ4AAD4NAAA+hgAAPp8AAD66AAA+ugAAProAAD66AAA+ugAAProAAD66AAA+ugAAProAAD66AAA+ugAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD7nAAA+5wAAPucAAD8CAAA/AgAAPwIAAD8CAAA/AgAAPwIAAD8CAAA/AgAAPwIAAD8CAAA/AgAAPwIAAD8CAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/HQAAPx0AAD8dAAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/PAAAPzwAAD88AAA/lwAAP5cAAD+XAAA/lwAAP5cAAD+2AAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAP9QAAD/UAAA/1AAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQC0AAEAtAABALQAAQFwAAEBcAABAXAAAQFwAAEBcAABAXAAAQFwAAEBcAABAXAAAQFwAAECWAABAlgAAQJYAAECWAABAwAAAQMAAAEDAAABAwAAAQOUAAEDlAABA5QAAQPkAAED5AABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwAAQR8AAEEfAABBHwEAAGSAAAAAAIAAAACAACrAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAxAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAIAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAIAAAACAAAABAAAAAQAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAIAAAACAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAIAAAAEAAAABAAAAAIAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAQAAAACAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAQAAAACAAAAAgAAAAIAAAACAAAABAAAAAQAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAABAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAQAAAACAAAAAgAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAIAAAACAAAABAAAAAQAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAQAAAACAAAAAgAAAAQAAAACAAAAAgAAAAQAAAAEAAAABAAAAAIAAAACAAAABAAAAAIAAAACAAAABAAAAAQAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAABAAAAAIAAAACAAAABAAAAAQAAAACAAAAAgAAAAQAAAAEAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAWgQAAGcEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAABJBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAACTgQAACUEAAAABAAAAAQAAAAEAAAABAAAlAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAEBBAAAaQQAABwEAABdBAAARQQAAOwEAAAABAAAkgQAAAAEAAAnBAAAHgQAAB4EAAC8BAAAvAQAAKcEAACnBAAAXgQAAF4EAACgBAAAoAQAAHkEAAB5BAAA3wQAAN8EAABhBAAAYQQAADAEAAAwBAAAhAQAAIQEAABrBAAAawQAAE4EAABOBAAAzgQAABUEAAAVBAAAaQQAAGkEAACXBAAAlwQAAFsEAABjBAAARgQAAC0EAAB/BAAANQQAADUEAAA1BAAAJQQAACUEAAAlBAAAPgQAAD4EAAA+BAAAUAQAAFAEAABQBAAAeAQAADQEAAAkBAAApAQAAF0EAABaBAAASQQAAJYEAADIBAAAWAQAALoEAABmBAAA3wQAAH8EAADEBAAA8wQAAIUEAAAtBAAAngQAAAAEAAA6BAAASgQAACwEAADSBAAASQQAAAAEAAArBAAAPAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAACvBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAABOwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAKAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAJgEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAJMEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAGgEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAVwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAOgQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAACAAAAAgAAAAQAAZgEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAKZBAAANQQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAWUEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAA4EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAD+BAAAAAQAAAAEAAAABAAA8AQAAAAEAAAABAAAAAQAAVoEAAAABAAAAAQAAaoEAAAABAAA6QQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAABaBAAAZwQAAAAEAAAABAAASQQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAJOBAAAJQQAAAAEAAAABAAAAAQAAAAEAACUBAAAAAQAAAAEAAAABAAAAAQAAAAEAAEBBAAAaQQAABwEAABdBAAARQQAAOwEAAAABAAAkgQAAAAEAAAnBAAAHgQAAB4EAAC8BAAAvAQAAKcEAACnBAAAXgQAAF4EAACgBAAAoAQAAHkEAAB5BAAA3wQAAN8EAABhBAAAYQQAADAEAAAwBAAAhAQAAIQEAABrBAAAawQAAE4EAABOBAAAzgQAABUEAAAVBAAAaQQAAGkEAACXBAAAlwQAAFsEAABjBAAARgQAAC0EAAB/BAAANQQAADUEAAA1BAAAJQQAACUEAAAlBAAAPgQAAD4EAAA+BAAAUAQAAFAEAABQBAAAeAQAADQEAAAkBAAApAQAAF0EAABaBAAASQQAAJYEAADPBAAAWAQAAP4EAABmBAAA2AQAAH8EAADEBAAA8wQAAIUEAAAtBAAAngQAAAAEAAA6BAAASgQAACwEAADSBAAASQQAACsEAAA8BAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAK8EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAE7BAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAoAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAmAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAABmAQAAAAEAAAABAAAAAQAAAAEAAKZBAAANQQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAWUEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAA4EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAD+BAAAAAQAAAAEAAAABAAA8AQAAAAEAAAABAAAAAQAAVoEAAAABAAAAAQAAaoEAAAABAAA6QQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAABAAAAAAABAAAAAQAACaAAAwABAAMAAAAAAAH/////AAMAAQAAAAD////+AAgAAAAAAAAAAAAACXCABAAAAAEABgAEAlcIAAAJAVwAaDp1AGk6dgBxOncAcjp4AHU6eQB3OnoAmDp7ALg6fAHKOn0Byzp+Acw6fwHNOoABzjqBAc86ggHQOoMB0TqEAdI6hQHTOoYB1DqHAdU6iAHWOokB1zqKAdg6iwHZOowB2jqNAds6jgHcOo8B3TqQAd46kQHfOpIB4DqTAeE6lAHpOpUB6jqWAes6lwHsOpgB7TqZAe46mgHvOpsB8DqcAfE6nQHyOp4B8zqfAfQ6oAH1OqEB9jqiAfc6owH4OqQB+TqlAfs6pgH8OqcB/TqoAf46qQH/OqoCADqrAgE6rAIHOq0CFTquAhY6rwIXOrACGDqxAhk6sgIaOrMCGzq0Ahw6tQIdOrYCHjq3Ah86uAIgOrkCITq6AiI6uwIjOrwCJDq9AiU6vgImOr8CJzrAAig6wQIpOsICKjrDAis6xAIsOsUCLTrGAi46xwIvOsgCMDrJAjE6ygIyOssCMzrMAjQ6zQI1Os4CNjrPAjc60AI4OtECOTrSAjo60wI7OtQCPDrVAj061gI+OtcCPzrYAkA62QJBOtoCQjrbAkM63AJEOt0CRTreAkY63wJHOuACSDrhAkk64gJKOuMCSzrkAkw65QJNOuYCTjrnAk866AJQOukCUTrqAlI66wJTOuwCVDrtAlU67gMBOu8DBjrwAwg68QMJOvIDDDrzAw069AMQOvUDETr2AxU69wMWOvgDHzr5AyE6+gMiOvsDKjr8A2A6/QNzOv4Dfjr/A4g7AAOjOwEDpDsCA6U7AwOmOwQDpzsFA6g7BgOpOwcDqjsIA6s7CQOsOwoDxjsLA8c7DAPIOw0DyTsOBAg7DwQKOxAEITsRBCM7EgQkOxMEKDsUBCk7FQQsOxYEMjsXBDs7GAQ+OxkEPzsaBEA7GwRBOxwERjsdBEg7HgRJOx8ESjsgBEs7IQRMOyIETTsjBE87JARVOyUEVjsmBF47JwRzOygEgTspBII7KgSHOysEiDssBIs7LQSMOy4EozsvBKQ7MASnOzEEqDsyBMY7MwTgOzQFFTs1BRg7NgUZOzcFGjs4BRs7OQUcOzoFHTs7BR47PAUfOz0FIDs+BSE7PwUiO0AFIztBBSQ7QgUlO0MFJjtEBSc7RQUoO0YFKTtHBSo7SAUrO0kFoztKBaQ7SwWlO0wFpjtNBa87TgWyO08FsztQBbY7UQW3O1IFujtTBbs7VAW+O1UFvztWBcA7VwXDO1gFxjtZBcc7WgXIO1sFyztcBc47XQXPO14F0jtfBdM7YAXWO2EF1ztiBdo7YwXbO2QF3jtlBd87ZgXiO2cF5TtoBe47aQY5O2oGOjtrBks7bAZMO20GVTtuBlY7bwZfO3AGYDtxBmQ7cgZnO3MGaDt0Bog7dQaOO3YGjzt3BsM7eAbFO3kG7Tt6BvA7ewbyO3wHkzt9B5Q7fgeVO38HljuAB5g7gQeZO4IHmjuDB5s7hAecO4UHnTuGB547hwefO4gHoDuJB6E7igeiO4sHozuMB6Q7jQelO44HpjuPB6c7kAeoO5EHsDuSB7I7kwe8O5QHvTuVB747lge/O5cHwDuYB8E7mQfCO5oHwzubB8Q7nAfFO50HxjueB8c7nwfIO6AHyTuhB8o7ogfLO6MHzDukB807pQfOO6YHzzunB9A7qAfRO6kH0juqB9M7qwfUO6wH1TutB9Y7rgfXO68H2DuwB9k7sQfaO7IH2zuzB9w7tAfdO7UH3ju2B987twfgO7gH4Tu5B+I7ugfjO7sH5Du8B+U7vQfmO74H5zu/B+g7wAfpO8EH6jvCB+s7wwfsO8QH7TvFB+47xgfvO8cH8DvIB/E7yQfyO8oH8zvLB/Q7zAf1O80H9jvOB/c7zwf4O9AH+TvRB/o70gf7O9MH/DvUB/071Qf+O9YH/zvXCAA72AgBO9kIAjvaCAM72wgEO9wIBTvdCAY73ggHO98ICDvgCAk74QgKO+IICzvjCAw75AgNO+UIDjvmCBA75wgRO+gIEjvpCBM76ggUO+sIFTvsCBY77QgXO+4IGDvvCBk78AgaO/EIGzvyCBw78wgdO/QIHjv1CB879gggO/cIITv4CCI7+QgjO/oIJDv7CCU7/AgmO/0IJzv+CCg7/wgpPAAIKjwBCCs8AggsPAMILTwECC48BQgvPAYIMDwHCDE8CAgyPAkIMzwKCDQ8Cwg1PAwINjwNCDc8Dgg4PA8IOTwQCDo8EQg7PBIIPDwTCD08FAg+PBUIPzwWCEA8FwhBPBgIQjwZCEM8GghEPBsIRTwcCEY8HQhHPB4ISDwfCEk8IAhKPCEISzwiCEw8IwhNPCQITjwlCE88JghQPCcIUTwoCFI8KQhTPCoIVDwrCFU8LAhWPC0IVzwuCFg8LwhZPDAIWjwxCFs8MghcPDMIXTw0CF48NQhfPDYIYDw3CGE8OAhiPDkIYzw6CGQ8OwhlPDwIZjw9CGc8PghoPD8IaTxACG48QQhvPEIIcDxDCHE8RAiDPEUIhDxGCIs8Rwi6PEgIuzxJCLw8Sgi9PEsIvjxMCQU8TQkPPE4JFjxPCRo8UAkkPFEJJTxSCSg8UwkpPFQJLTxVCTg8Vgk9PFcJSzxYCUw8WQlPPFoJUzxbCVk8XAl5PF0JejxeCXs8Xwl8PGAJjDxhCY08YgmaPGMJmzxkCZw8ZQmfPGYJwjxnCcs8aAqHPGk5yzxqOc08aznOPGw5zzxtOdA8bjnSPG850zxwOdQ8cTnVPHI51jxzOdc8dDnYPHU52Tx2Odo8dznbPHg53Dx5Od08ejnePHs53zx8OeA8fTnhPH454jx/OeM8gDnkPIE55TyCOeY8gznnPIQ56DyFOek8hjnqPIc56zyIOew8iTntPIo57jyLOe88jDnwPI058TyOOfI8jznzPJA59DyROfU8kjn2PJM59zyUOfg8lTn5PJY5+jyXOfs8mDn8PJk5/TyaOf48mzn/PJw6ADydOgE8njoCPJ86AzygOgQ8oToFPKI6BjyjOgc8pDoIPKU6CTymOgo8pzoLPKg6DDypOg08qjoOPKs6DzysOhA8rToRPK46EjyvOhM8sDoUPLE6FTyyOhY8szoXPLQ6GDy1Ohk8tjoaPLc6Gzy4Ohw8uTodPLo6Hjy7Oh88vDogPL06ITy+OiI8vzojPMA6JDzBOiU8wjomPMM6JzzEOig8xTpoPMY6aTzHOmo8yDprPMk6bTzK/////wABAAAACgAkADIAAWthbmEACAAKAAFKQU4gAAoAAP//AAEAAAABdmVydAAIAAAAAQAAAAEABAABAAEAAQAIAAIEsgJWOnU6djp3Ong6eTp6Ons6fDp9On46fzqAOoE6gjqDOoQ6hTqGOoc6iDqJOoo6izqMOo06jjqPOpA6kTqSOpM6lDqVOpY6lzqYOpk6mjqbOpw6nTqeOp86oDqhOqI6ozqkOqU6pjqnOqg6qTqqOqs6rDqtOq46rzqwOrE6sjqzOrQ6tTq2Orc6uDq5Oro6uzq8Or06vjq/OsA6wTrCOsM6xDrFOsY6xzrIOsk6yjrLOsw6zTrOOs860DrROtI60zrUOtU61jrXOtg62TraOts63DrdOt463zrgOuE64jrjOuQ65TrmOuc66DrpOuo66zrsOu067jrvOvA68TryOvM69Dr1OvY69zr4Ovk6+jr7Ovw6/Tr+Ov87ADsBOwI7AzsEOwU7BjsHOwg7CTsKOws7DDsNOw47DzsQOxE7EjsTOxQ7FTsWOxc7GDsZOxo7GzscOx07HjsfOyA7ITsiOyM7JDslOyY7JzsoOyk7KjsrOyw7LTsuOy87MDsxOzI7Mzs0OzU7Njs3Ozg7OTs6Ozs7PDs9Oz47PztAO0E7QjtDO0Q7RTtGO0c7SDtJO0o7SztMO007TjtPO1A7UTtSO1M7VDtVO1Y7VztYO1k7WjtbO1w7XTteO187YDthO2I7YztkO2U7ZjtnO2g7aTtqO2s7bDttO247bztwO3E7cjtzO3Q7dTt2O3c7eDt5O3o7ezt8O307fjt/O4A7gTuCO4M7hDuFO4Y7hzuIO4k7ijuLO4w7jTuOO487kDuRO5I7kzuUO5U7ljuXO5g7mTuaO5s7nDudO547nzugO6E7ojujO6Q7pTumO6c7qDupO6o7qzusO607rjuvO7A7sTuyO7M7tDu1O7Y7tzu4O7k7uju7O7w7vTu+O787wDvBO8I7wzvEO8U7xjvHO8g7yTvKO8s7zDvNO847zzvQO9E70jvTO9Q71TvWO9c72DvZO9o72zvcO9073jvfO+A74TviO+M75DvlO+Y75zvoO+k76jvrO+w77TvuO+878DvxO/I78zv0O/U79jv3O/g7+Tv6O/s7/Dv9O/47/zwAPAE8AjwDPAQ8BTwGPAc8CDwJPAo8CzwMPA08DjwPPBA8ETwSPBM8FDwVPBY8FzwYPBk8GjwbPBw8HTwePB88IDwhPCI8IzwkPCU8JjwnPCg8KTwqPCs8LDwtPC48LzwwPDE8MjwzPDQ8NTw2PDc8ODw5PDo8Ozw8PD08Pjw/PEA8QTxCPEM8RDxFPEY8RzxIPEk8SjxLPEw8TTxOPE88UDxRPFI8UzxUPFU8VjxXPFg8WTxaPFs8XDxdPF48XzxgPGE8YjxjPGQ8ZTxmPGc8aDxpPGo8azxsPG08bjxvPHA8cTxyPHM8dDx1PHY8dzx4PHk8ejx7PHw8fTx+PH88gDyBPII8gzyEPIU8hjyHPIg8iTyKPIs8jDyNPI48jzyQPJE8kjyTPJQ8lTyWPJc8mDyZPJo8mzycPJ08njyfPKA8oTyiPKM8pDylPKY8pzyoPKk8qjyrPKw8rTyuPK88sDyxPLI8szy0PLU8tjy3PLg8uTy6PLs8vDy9PL48vzzAPME8wjzDPMQ8xTzGPMc8yDzJPMoAAQJWAGgAaQBxAHIAdQB3AJgAuAHKAcsBzAHNAc4BzwHQAdEB0gHTAdQB1QHWAdcB2AHZAdoB2wHcAd0B3gHfAeAB4QHpAeoB6wHsAe0B7gHvAfAB8QHyAfMB9AH1AfYB9wH4AfkB+wH8Af0B/gH/AgACAQIHAhUCFgIXAhgCGQIaAhsCHAIdAh4CHwIgAiECIgIjAiQCJQImAicCKAIpAioCKwIsAi0CLgIvAjACMQIyAjMCNAI1AjYCNwI4AjkCOgI7AjwCPQI+Aj8CQAJBAkICQwJEAkUCRgJHAkgCSQJKAksCTAJNAk4CTwJQAlECUgJTAlQCVQMBAwYDCAMJAwwDDQMQAxEDFQMWAx8DIQMiAyoDYANzA34DiAOjA6QDpQOmA6cDqAOpA6oDqwOsA8YDxwPIA8kECAQKBCEEIwQkBCgEKQQsBDIEOwQ+BD8EQARBBEYESARJBEoESwRMBE0ETwRVBFYEXgRzBIEEggSHBIgEiwSMBKMEpASnBKgExgTgBRUFGAUZBRoFGwUcBR0FHgUfBSAFIQUiBSMFJAUlBSYFJwUoBSkFKgUrBaMFpAWlBaYFrwWyBbMFtgW3BboFuwW+Bb8FwAXDBcYFxwXIBcsFzgXPBdIF0wXWBdcF2gXbBd4F3wXiBeUF7gY5BjoGSwZMBlUGVgZfBmAGZAZnBmgGiAaOBo8GwwbFBu0G8AbyB5MHlAeVB5YHmAeZB5oHmwecB50HngefB6AHoQeiB6MHpAelB6YHpweoB7AHsge8B70Hvge/B8AHwQfCB8MHxAfFB8YHxwfIB8kHygfLB8wHzQfOB88H0AfRB9IH0wfUB9UH1gfXB9gH2QfaB9sH3AfdB94H3wfgB+EH4gfjB+QH5QfmB+cH6AfpB+oH6wfsB+0H7gfvB/AH8QfyB/MH9Af1B/YH9wf4B/kH+gf7B/wH/Qf+B/8IAAgBCAIIAwgECAUIBggHCAgICQgKCAsIDAgNCA4IEAgRCBIIEwgUCBUIFggXCBgIGQgaCBsIHAgdCB4IHwggCCEIIggjCCQIJQgmCCcIKAgpCCoIKwgsCC0ILggvCDAIMQgyCDMINAg1CDYINwg4CDkIOgg7CDwIPQg+CD8IQAhBCEIIQwhECEUIRghHCEgISQhKCEsITAhNCE4ITwhQCFEIUghTCFQIVQhWCFcIWAhZCFoIWwhcCF0IXghfCGAIYQhiCGMIZAhlCGYIZwhoCGkIbghvCHAIcQiDCIQIiwi6CLsIvAi9CL4JBQkPCRYJGgkkCSUJKAkpCS0JOAk9CUsJTAlPCVMJWQl5CXoJewl8CYwJjQmaCZsJnAmfCcIJywqHOcs5zTnOOc850DnSOdM51DnVOdY51znYOdk52jnbOdw53TneOd854DnhOeI54znkOeU55jnnOeg56TnqOes57DntOe457znwOfE58jnzOfQ59Tn2Ofc5+Dn5Ofo5+zn8Of05/jn/OgA6AToCOgM6BDoFOgY6BzoIOgk6CjoLOgw6DToOOg86EDoROhI6EzoUOhU6FjoXOhg6GToaOhs6HDodOh46HzogOiE6IjojOiQ6JTomOic6KDpoOmk6ajprOm0AAQAAAgD+AAAABAAAEgAVA+sAAAABAAAAAAAAAAAAAAAAPMsEAAGSBAAAAAQAAAAEAABOBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAABFBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAdQQAAHUEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAABIBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAIQQAAYIEAAAABAAAAAQAAAAEAAAABAAAbgQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAG5BAAAKgQAAKsEAACnBAABcwQAAFMEAAAABAAAnwQAAAAEAAAWBAAAiwQAACYEAABQBAAAIgQAAGQEAABkBAAArAQAACYEAAC+BAAASgQAADUEAAASBAAAVQQAAFUEAABTBAAAHgQAAMMEAAA2BAAAigQAADIEAABlBAAAPgQAAFYEAAAmBAABwgQAAR0EAAAmBAAAfgQAAH4EAADFBAAAXgQAAFcEAABtBAAAfAQAAHoEAACQBAAAegQAABYEAAAcBAAAsgQAAD4EAABABAAAnwQAADoEAAAoBAABYAQAAJ4EAABUBAAAmAQAABoEAAAYBAAARgQAAL8EAAB/BAAAfgQAAFAEAAE1BAAAOQQAARMEAABbBAABGgQAAGIEAABXBAAAiAQAAJYEAACtBAAAZgQAAAAEAACFBAAAfAQAAFMEAABEBAAAfgQAAAAEAAA2BAAAQAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAEPBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAWgQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAL8EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAM4EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAACYEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAACwEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAPwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAMwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAGUEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAzBAAAOwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAF0EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAALQEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAFaBAAAAAQAAAAEAAAABAABcgQAAAAEAAAABAAAAAQAAGEEAAAABAAAAAQAAGEEAAAABAABPAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAB1BAAAdQQAAAAEAAAABAAASAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAhBAABggQAAAAEAAAABAAAAAQAAAAEAABuBAAAAAQAAAAEAAAABAAAAAQAAAAEAAG5BAAAKgQAAKsEAACnBAABcwQAAFMEAAAABAAAnwQAAAAEAAAWBAAAiwQAACYEAABQBAAAIgQAAGQEAABkBAAArAQAACYEAAC+BAAASgQAADUEAAASBAAAVQQAAFUEAABTBAAAHgQAAMMEAAA2BAAAigQAADIEAABlBAAAPgQAAFYEAAAmBAABwgQAAR0EAAAmBAAAfgQAAH4EAADFBAAAXgQAAFcEAABtBAAAfAQAAHoEAACQBAAAegQAABYEAAAcBAAAsgQAAD4EAABABAAAnwQAADoEAAAoBAABYAQAAJ4EAABUBAAAmAQAABoEAAAYBAAARgQAAL8EAAB/BAAAfgQAAFAEAAEpBAAAOQQAAS0EAABbBAABEwQAAGIEAABXBAAAiAQAAJYEAACtBAAAZgQAAAAEAACFBAAAfAQAAFMEAABEBAAAfgQAADYEAABABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAQ8EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAABaBAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAvwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAzgQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAZQQAAAAEAAAABAAAAAQAAAAEAAAzBAAAOwQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAF0EAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAALQEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAFaBAAAAAQAAAAEAAAABAABcgQAAAAEAAAABAAAAAQAAGEEAAAABAAAAAQAAGEEAAAABAABPAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAABAZIBAgJuAd4AAwAAAREhEQGSANwBAgDc/yQAAwCrAAIBUAMiABUAaABtAEJAEFRQSSdUHwNkWlwZAQxgBAArKysAQCBZDVYAWRxSAFkqTwBZZkoAQwc/ADoKNwA6AjUAMwcxACsrKysrKysrMDE3LwE/ATU3Mxc3FzcXFTMXBxcHIxUGEy8BMzUnPgE3IzU3JzcfAxQfAjUnIxUjFTMVIwczNzMVByMHMxUHMzcVByMnFTMVBhUzFQcXBzMVBzM3FQczFQcjFTMVBxcVBxcHMxUHJwc3NTcjB9UlBQUKCgwlCgcIDAUCBAQWBxYFHAICBwoPAgUIAwgbGwoHCgUCAgUFBQUCBQQDAwQDAwMFDAoCBwUIBQICCgUHBQIFCAMHAgIFAwUMBQgKBBMDBQgCGy8PBwgKCgICAgoEDxIRFgcKARITCghKUaNUDzsHAxYXHQMUEQIUCgUWDQcZCAUFEgcKGQgYAhEKEREFDQcjAgwCBQwIBQwbDAMHCA8OBQUCB7sFDRIAAAIAMf/DAesDKwAQAHUADgC3JzxOADYHQAArKzAxFyYnJjc2PwEWFxUXFg8CFQMnIzUnNScmNz4BPwQ2NzY1JicmIwcGDwEWFw8BFQcvAyMVIycjLwI3FzM1LwEjJyY/ASc2Nz4BMx4BHwEzHwEVMxYXBxcHFwYPARUjFQ8BBg8BIw8DDgEHFw8BJ7UjGQ8FChQKIysMCgIIDA8DBxIMFAUCGSERAxsDLSgZCCgqNS0REgoFDQgHCg0CFBIFAgUKAwUCBw8ICggFBQcCAwMXGyNOLTJaKgUFBQcFEgUDAwMDBQ8KBQoDHSECCgUhAhIPDwICBSMPPQIZFxseGQMSAgUIFh4UAwUBDggHBQUFGSMyXCYKBQ8FChkWITcoHhQUFDwhGw0CBQoFBwohAwgHAwwDFwgCFw8FCgcNJSMXHgowIA0PAgUcIAgKDwcZFwcFDQIIFA8FBw0HCCVQKg0PBwUAAAAAAwBa/9EDlgL7AGYAcAB3AAkAs20DawArMDEFJzUvBSM1LwIzNScVIwcjFQcVDgEHFQYHJzUjJyMvAjczNzM2PwE2Ny8FNzMXNjczFz4BPwUXHgEXHgEXNx8EBwYPAQ4BDwEeARczFhcHFyMnFSMnFSU3JyMHMxUjFTMDNyc1JxUXAv0vCwUgBRUwBUUXCwgKCAMIECpXLSIrIggFCAMfAw0GAgMDEggaGCUnFggFCgoFCzAyjBcbPCAiBgUSJTAdCg4iRR8bDQITEAoCHRsCID0dAhoYBQMIDwICDQgKEP3tAwoGAgICBTUDCA0PLx8IBg0QEA0tBR0VAwUFAggIBgUVKg0GFwYQBQgIExAsECMaAzo6GiUdDQMyEwMKCAInUCQjCBAPAxI9iUIGCgsGBgoIExcIBg0IECIVCypfMj06CAgDBQUFmwsLCwMNAToIAwgCBRIAAAACAGcADQPPAvsAZwCtAAmzgwaFACsAMDElLgEvASYvASMPAQYHFSMVIxUXIwcjDwIGByc1JicmNz4BNyYnBjUmJz8BFzceARc3PgE/Ax8CFTMXHgEfATYfATUzHwEzFQcGDwMjFQcVDwIVBxUGBxYfAR4BHwIHIyclPwI+ATcfATceARcVFzcuAT8BPgE/AiMGIxUjNSYvAQcnLgEvAQcjByMGDwEGDwEVIwcjJy4BJwcVFh8BFR8BDgEHFwM9Qo9ECBUQAgsKAy8qCggDCAoICBIDJzISJR8NAg4xFTIcDRUFBx0IHSRMJS8XNA0VCBovBgUFFR0xFTc0NxgPRAMFBSAcBhcIBQ08BRAaHRIPGAgaNxUHBggIDf3GDhoFKlksAw0KJzwlNAUcKgIQKkkiAxUoHCIGGhUNBQoiJyoICwUCBgoICBIICA0FDQMpWS0+FSdBFQgLJAsDDSo3JQoDEggFCA0aCAMFCg4UBggXBQUFCxUPFUF5Pi00Aw0tNBINAgUIAgYNJUYqCAsCDwsDBRosXi8DCAMCBx8KBgoNFQoGDQoDBScNBQYKBQsVJCIFJUcnAh0IA2AQDQgdJBUQBQ0FLwgFDQ0lSzISDTIdBRcKBQIDDRUIBSphJwMTDRUVAiovAwoVCBANBQUILScvBQsSN2s3AgAEAEn/wAOtAygA7AEIAQ4BFABesVgGuAEPQA4AfWyPAIgkiwDMwTsnASsrKysAsWkTuAETQBEAkj2aAHkbawBmFGEAZhBfALgBEbICUgC4ARFACwZQAFc3TABKB0gAuAERslVFACsrKysrKysrKyswMQUmJzUjBy4BJy4BNzY/BDY3NjcXNx8DMxUfARUfAzM+ATUmJzcmPwEnNjcnMxYXFRcVFxUeAR8BFTMfARUfATMXFTMVIxUzFw8BMxUzNxUjFSMVBxUXNxUHMzUzIxUXByM1NyMVMzUVDwEzNzUVBxUHMzcjBzMHFTM3FScHFSMnIwcVByc1JyMHNSM3Iwc1IwcnNjczPwE2JyYvATUjBzUnByc1IxUjJgc1IxUjLwQmLwEjFRcHFyMVMxcHFwcXFQcXBhUjFRcHFhcjJwcjJwcXIxUfAQcjBxcPAiMVFwYHJyMnNjUjBw4BIyYnJicmPwEjBxcHHgEfARUeATc2AzcmBxUXJTU3IwczAVYmJQQHJkQcHxIFBBgHBBYsGB0jJAYJMAkWDQUUCBACFA0HBAUJAgIJAgICCQsCBBAPIRZCizkSBAcGCwUEBQQCBAIEDQIJCwUNDwkIAgcCAgICBwIYCw0CBgkJBAcEAgIIGg0QAycDAgsGGQsNEQcEBAcaCQYFEh8GAiESAgUjDwUNDQsJBgsDDw0SAgkEFAIZEwMIBgIEBAQDBQUDBwQCCQIJAwkCAg0HBAsCBggGAgIEAgIUCQkCAh4kAg8dHQcLFjkdKiUWDRQGBQULAwMDHBYFHEcnFikCCQ8TAkQIEQIEQAIJBAIPKiEmYTUpJAIPFjcUEgsJAwMQCQYNBQsJBAkHDw8cPh8aHw0zOQUpNTMWBAcFGgQQBBssMhIEFAIFBg4RCQcEEg0LBAIHBAQHBAUHBQgEBAsFCQcLAgUGBwIDBQIEBwIGBQcDAwMJBQUCBQQEBQYCBwkFBwILHhQHERYdLCEHBgIFBgIEBwINAgQEBgMGAgkJDQcQPxAoBh0JBgkSBhQJDxYmYQssLgIPBg8HCAMPBxgPQgURBQgXDQVAGCUPFAcJFhYdLDcfLg4sHDEWAgQWDgMCAVUCCQIFBnUEBw4AAAECTgEKA9kDTwAYAAMAMDEBJyY/ATM1JzczFzc2FxYPAwYvARUXBgK1H0gIGg8DAxQ0a1dBDwQLEARET0kQEAEKDny7tA4iDg4VB0UVIyIHDjAODQ2tbwABACX/qQGwAe4AGAADADAxARcWDwEjFRcHIycHBicmPwM2HwE1JzYBSR9ICBoPAwMUNGtXQQ8ECxAERE9JEBAB7g58u7QOIg4OFQdFFSMiBw4wDg0NrW8ABwCU/+oDTQMCAC8ApgCyAMEAxgEYARwAjLgBE7ALuAEZsgD+ObgBBrAAuAEbsgXOALgBFbIWzAC4ARW0C8kAjQi4AQFAG5AExCmKAMQQ+YYEekqCAHoDfACZbT8AnzE8ACsrKysrKysrKysrKwC5AQcBAkAlYu4B3QXfAIVFb8gBhUUFxQGeGZsAYilmAGIZZABKA0wAMQUzACsrKysrKysrKzAxBScjBy4BLwEmJzcXNx8BMxceATcWNjcXFQcjFSMPBBUHIycVBxUHFQ4BIycVNycjNTM1JxUzFQcvATUnJjU3JyMHJyMHIwc1IzUzNSMPATUjFQYHFSMnFSMnIy8EIyczNTMXPgE3Fz4BMzIXFRcVBx8BDwEnFSM1IwcnBgc1JwYjNSMPATUjBxUjMzUnDwEXBxcHFxUHMxcHIxUzFQcXDwE3LwI1MyY3Fh8BBwUnNS8BPwMXNxYfAQclJyMVMyUnMzUvATUzNTM3IwcvATcjMzUjNSc1IzUzNS8BNzUnNTcXFjc+ATcyHwEGFyMVFwc1IzUjFRcHFScHNSMHNTM1IxUHNTM1JwciDwEXFQcVIxY3NScVAeMbDgInSSExIw4ODRErEwYbI1UxWpZPCAYCBg0RBRwQCwUIHhwmSSkIHgYFAw4DBgURHgoYAwsIAg4DCAgGAwgFCQgpLggTAw4KBhYNGQUGCAsDK2LHZQgkSSYhHhYJAwgIFgoDDg0OEA4OGyMIBgsIEA4GDiMDBQICCAYDBQMDFg4IAwMLtgoWEQkGFh4jBgj+T08JAgITCRULCRsWAhMBaAMLC/8AAwYDCAMCAwUWCAkDFgYDEAgIBhgTEREDExsrUiwzKQgCCwYGAwgIAhYIFRYLBQsVCBEKJx4CCBAGAwgTFggDBhYVLDY/AwMFECskIRgFAkkbAggOCBMICxwCBgsDBQkKAwYFEAIF1A4FBgUFAwMOBQ4OGyGbCAUICAkGAwUOAgUDDQMICAMRCAUREAgZEAgNEQsDCwUNDgMCEQgIGwkDBQUDAwUGBgIVCwsDCAMFBQMQCCQeCGcDBhUTBggDCwIJAlQGIAsIKRkTBiskCCYGAhYGBSECBQMDDjkjxAUIaAIGBQMOAgsDHAUICQgCBgULCxkCCAMDBQsQAwMNAxYFDgUJEAgDAg0GAgkDAwYLAwgGCgIGAgoOCwMFBg0LIQUICwAAAgEB/8EDRgG3ACIAPQADADAxBS8CJicmLwI2PwI2FxYXFhUzNjMWFxYHBg8BFQ4BDwE/AT4BNycGDwQnNTcmJwYHBhcWHwEWHwEByRsQExgUFycIGAQnDBAfLz8vIAhCWjMoIwgbN2onWysEJEYrciMvMy8EPhQUOhsYHx8UGwcEEAgTKAw/KwgTCBBLQgRqPy8EEBsIDywbKzcIJyAvMxs7CB8zHCduKztaOwgIGAhGPwQ7DKETBAgbIzAnHwRTTgQAAAQAaf+mA3IDRgDWAPUA+wEKADQAQCbdMuAA0lTPANJezACgA54AxJgHlQHEmByQAfgDjQCJPX4AiWV2ACsrKysrKysrKzAxBSc1Bic1FzUmJyMPAQYvBTUmLwE3MzcnNj8BNTM2PwEzPwEzNz4BNz4BNycOAQcnBy8DMxYzPgE3PgE3JzcfAQYHMz4BHwEzFQcVMxUHFRcPAQ4BBw4BBxcHMz4BNzY/ATUzFhcWDwEeAR8BFTMXFQczHwEVIxUjFTMXFQczFQczFQcVIxUjFTM3FTM3FQ8BMzUHIzUjByMVMxUjFQ8BFTMVDwk3NSM1Iwc1PgE3NicjJi8BDgEHIw8GMxUHMxcHIw8BFyc/ATUnNDcjJzczNSM1Nyc3IwcjFQ8CBgcfAzYlNTcjFRclPgE3IwYPARcHMxcHHwEBqQUMCgUZDQgUCjVEDwUNFAoUDwMFBQMDAxEIBQUNCgcDFAUPGTofBQcICiREIw8IBREhCBoPFDBiLgceCgUkFAUPCgo1Zz0MCgoNCAMNDDhvOgwKAwMDBR5CIRQhDAUPChUFGjNbKwwFCAMKAwUDAgcIAwMDAw0KBQgHBQUFBwcFBQcFBQoFCAoFEgU1ChYDDwMWEgUCCA0hPQwDHgUfJh4RNRoFDwccCBQHAwMFBwUFBQILA4YFJgIHBQUDBQgDAwMFFQUgBS4ZCAoGBRkeAlsCBwL+VB4wEQo1KwUDBQUCBQsCWgIKAgcDAwUXHgcSHgILBwggBgcFDwoSDxIoIwMKEgwKCxQUGSgSLVkrAhEkDAICBwghKAoPIRY1YzIXBQpdMzUPJAMUAwIFBQMHBQUNChQII04mAxYPFAc6NQMFAwoRHDoKMCEPBQoKCAoCEgUFCAcNBQ0HBQMFBwIMAgIDEgMKDA8HAwcDBw0FAwwwAwwIBwUIFwMFAgcCPX5HNyseEgU9djocAisDHgUPAwckMA8FAoAIIRQCGhQtBQ0KDRkHFAUXBzA1PQ8CCAIHjgIPEQMIMGk1ESYmEhEuFgMKAAIAHP+KA98CxQA7AHgAAwAwMQUvAgcnNSYnNScuAScuATU+AT8BNT4BNx4BFx4BFTM3Mzc+ATcWFxYPASMPAwYHIxUPASMOAQ8BJic+ATczPwIzNzY/AScmBw4BDwEjBw4BBxcHLwQ3JicmJyYGBwYHHgEfAR4BFxUfAxUzFR8BFRcB+BMCCBAIOy0IRZg1DRgCHhpFIEsoKk0jIAUGJQUtO39LOisrBhIGFR0bGjYqBTY6Bho1EBAOHTidcAUICAMFEycbAyAjKjBVJh8GBSMyFQIYFRADCgYOAxMiKDtfKyUDCDU2BSBFIwoDCCgFCBMgdhAIAwMDBQsoBQVTmlsqWy8jQBouBRUbAgIQGDB1PSgyKzgFCCsvQ0AoHRoYIzAFLUYtVTASAlhyyEUNAwgYKDIjKhgCCyojIAglVSsKCw0OCAcWxT01GAUDNSgtO0qDOAImPyYFBQsDJwYFBRAGEAAAAgBd/+UDhQLJACEALgADADAxBSc1Jy4BPwEnMx8DBxYPARQWFzM3NT8CFQYHIw4BBwEnJjQnNx8CHgEHBgEUGT01LAgQBCEoDBEMDBAEBBgUDVklCD0IFQgMRRACECUgJRkoBBEYHAQEGxAIGWnwgscRGRAIFShJUhRVn0k9CBkMMQ0sKTVVMQEhFEGaPQQUDAw1ckEYAAAFAEX/rwL7Af0AEgAcACkANAA8AAMAMDEXJicmNzY/ARc3FxYfAQYfAQcGJz8BLwEGHwEWNyUmDwEnNjcXFRYXFQclJzU/ARUzFw8BBicmPwIfAQflSjYgBBIuRS0lFy4pBA0ECRdASQ4ODk4gCRMbJQHbJCpJF0BlJRIEFv72CSBTCQkpDhvAIAkkJSkJQFEXNyAtPDIgGwQJJSkbHCASJC5EBVIXHCU3IBcFrhIFBBJSBSUJBBMSF44EFy4yCSAuDRxAIC43DhwgVwACAOz/wwMUAx0AkQCwABRADIUCgwB9A38AWQhgACsrKwAwMQUnNyc+AT8BPgE3JicmBwYPAhUPBCMVIycHJiMVMyMvAjM1JzU3Nj8BPgEXMhYfAhUfAhUfARUzFTMXIxUzFRcHMxcOAQcjByMPAQYHMxUHBg8BFTMHFQczNzUzNzM3IwczFQcVBwYnFRcHFTMVDwEjDwQjFSM1IwcXNTMVDwIVBwYnDwMTLgEvAzM3FzceARcVIxUXNxcHFQcVFw8BIxUHFwGcAgIFESYbCDBfDwcXJjYpIwoSDwQPGRUKBwoICg8CBA0ZCAYLBTgsCCpiOChGIQIMDQIKCA8IBQQCCAUDBQgFEA8ECAUCDAQECAsFDwcCEgcCDQUDBQoGDwMHCAMOAg8RDA0EBhYKBgkFAwQNBwIHEiwSBQoDDggRfSZRKgIZCggEEQYsXioFCwkFDhAKDQICBgg9AgcOJ0wjBVCkXB4aHgcJEwcLDAcLDgwUAwMDCQYSCxMJAgcHECMMGR4CERIHAgUEBwMEBQsOBxMHCwcJICE8GxoLAwkHBwIcGQIKCQQDBwwJHgwCBQkCDgIGBwMHAgULDhcCBwwLBA0DAwUJAyUEBQcDCgQJCgLVEiMGDgwpBQICDh4VBwQFCQYDAgIFBwUJBAcJAAAAAgCS/7cDjwLRAE0AWAAOALc9RzMARTctACsrMDEXJyYnPwEzNT8BNTczNT4BNyMGLwM1Nh8BPgE/ATMfAQYHIw8CBgcjDwEVMhcWFx4BMzY3FQ8BFQ8BBiMnByYnLgEnIw8EBgcBJicmJzceAR8BB8kdEAo0PQcQGgoGKmsqNDNIIBAHBxMNRJhIAxA6BxMXBxAXMCQaBhoKNyoaKitXMTc0EQ0mCjE3CglVPSEdCRQtNxQDQSogAUA6LR0NDSpUJAYKSRodJEtABxMaBwkKN2s6KgQWGgMHEAMDFhQTByEWFxAaGjQaJyoDDR1EPhAXChcHIwQGEA0XAwMGOCBOKionFAlOGiQCnwonHScGCiAaFxYAAwAn/+ID3QNaAFEAXABpAAmzZFFgACsAMDEFLgEnJicjNTY3PgE/ASMGBy8BNzUzFzc+AT8BFxYPARczNxc3FwcjBwYHDgEHMx4BFxYHBg8BIwcOAQcvAjU+ATc1JyMvAQcnBw4BDwEjJwYnPgE3Iw8DFhcBLgEnNTYfARUWFxYXAQ0tVyogEQcYRipbLRkLSU0OGA4RJ4sEGAsOBy0KBAQHPx8ZBwsHAzguDgMEkDtpKi0DDhULCgsqVC0RBAojUyoOByM+RjgqDg4SHwsKGSYOCgcRYgoLHztJAqoqOyALGC4jGyADHhUuHyouDlA/GCMLshINBkMHCgoqNGYxAwM4TSAKBwQEJw4OAxktYjEDIypDUyMgCg4SGAQLCgQOLU0jIyoYBwMDCkqZRiAEHIwqXi0tHARMHAQBRRlJJhIOBBgHEiIcKgAAAAACAB7/tAOhAuUANgBJAAMAMDEFJyYnNzM/ARc+ATcmDwEOAQ8BJyY3PgE3IwcGJyYnPwE2Nz4BNzMfAQc2HwEzFw4BDwIGBycBJicuASczNTMWHwEWFwcjNSMVAWMuKQMDCAgKJykxCxoiLR5TNikPDwMMLRcHMgseHw89A0FICyoPDyUQE1pADAcIDDQmCwgTGgQCBTgxLksTCAclG7IeCxMPC0wcLDwIFQQJTaxYEAUIVJxIFwscITRkLxsZCRAkJActEzRhNBkraAc3ITtoyVsFEA8FBQGkIDtBjFAQECTpICsZCRAABAAe/7QD2ANKADYASQBYAGUAAwAwMQUnJic3Mz8BFz4BNyYPAQ4BDwEnJjc+ATcjBwYnJic/ATY3PgE3Mx8BBzYfATMXDgEPAgYHJwEmJy4BJzM1MxYfARYXByM1IxUDJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBYy4pAwMICAonKTELGiItHlM2KQ8PAwwtFwcyCx4fDz0DQUgLKg8PJRATWkAMBwgMNCYLCBMaBAIFODEuSxMIByUbsh4LEw8LHisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD0wcLDwIFQQJTaxYEAUIVJxIFwscITRkLxsZCRAkJActEzRhNBkraAc3ITtoyVsFEA8FBQGkIDtBjFAQECTpICsZCRABAx4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAIAvP/MAyYDIAAQAFQAAwAwMQUuASc1LwE3HwEeARcWFwcGNycHJiM1Nj8BJjcnBiMiLwE/ATMWMwU1JyMHJi8BNzUzFzc1JzMXNxcWHwE3HwEPAQYHFR8BNxc3FxUXDwEGDwEeARcCFjtqMEUqHRYLW1ErVFwlKEk3OxYdMxoEIgsZVV9JQxMPBBYPFgEBLAeiGRMLAwsTmh0EEigWCBsDei8LCARJTjkCdg4pCwslBD5JCBMoDzQEISUHN18DDggxMBAaCywS7w4LDwc0FQs0QgQWSigEBw8HEm4WBxMZGAgEIQtIBAQTIBEMEB4IGwcTCw5SIC8DDgMIA0kIHQsPN2o3AAAAAAQAvP/MA+gDTgAQAFQAYwBwAAMAMDEFLgEnNS8BNx8BHgEXFhcHBjcnByYjNTY/ASY3JwYjIi8BPwEzFjMFNScjByYvATc1Mxc3NSczFzcXFh8BNx8BDwEGBxUfATcXNxcVFw8BBg8BHgEXEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAhY7ajBFKh0WC1tRK1RcJShJNzsWHTMaBCILGVVfSUMTDwQWDxYBASwHohkTCwMLE5odBBIoFggbA3ovCwgESU45AnYOKQsLJQQ+SQgTKA+uKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PNAQhJQc3XwMOCDEwEBoLLBLvDgsPBzQVCzRCBBZKKAQHDwcSbhYHExkYCAQhC0gEBBMgEQwQHggbBxMLDlIgLwMOAwgDSQgdCw83ajcBnh4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAQCn/9gDCAMMADAAAwAwMQUuAScmNzY/ATU+ATc1NjcWFxUHFwcGDwEjDwUjDwMVBg8BHgEXHgEfAgLEiOl1NwcDF1pRok4aJycqBwoQGhcNBgoKCVEKNAYNFA0aLTEDJ14tN283JwkoNLxXNEsaDSoGNHU9CiAHHRAHDR0QDRoUEAMTSAM3DRcDGgYaFw0qNx0dRSAnLQADAKf/2APEAwwAMAA/AEwAAwAwMQUuAScmNzY/ATU+ATc1NjcWFxUHFwcGDwEjDwUjDwMVBg8BHgEXHgEfAhMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwLEiOl1NwcDF1pRok4aJycqBwoQGhcNBgoKCVEKNAYNFA0aLTEDJ14tN283Jwk6KzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PKDS8VzRLGg0qBjR1PQogBx0QBw0dEA0aFBADE0gDNw0XAxoGGhcNKjcdHUUgJy0Bjh4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAIAXv+xA24CxAAlAEAACbMkdQEAKwAwMQUnNTYSJyMGByYvAT4BNzUnMzUzFh8BNx8BBwYjFAIPAxUjFSUvASMvAT4BNzM1Mx8BDgEVMzY3MzUzFwYHBgIjL01GByNKQiAXFD98PwwQDzsQXR8QBAQ/RgcvIwUOEP5iLgUHLAcMKgwMCyQIBA8HPy8HBwUMHCpPFwl1ARSaCRcKGx8NGAg/OwU2SQ0FCg4NF4L++nIWDgQJChcXDTFkdeN1BQ56Z81sTlUJG2xpIwAAAAQAXv+xA+wDSgAlAEAATwBcAAmzJHUBACsAMDEFJzU2EicjBgcmLwE+ATc1JzM1MxYfATcfAQcGIxQCDwMVIxUlLwEjLwE+ATczNTMfAQ4BFTM2NzM1MxcGBwYBJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcCIy9NRgcjSkIgFxQ/fD8MEA87EF0fEAQEP0YHLyMFDhD+Yi4FBywHDCoMDAskCAQPBz8vBwcFDBwqAmQrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9PFwl1ARSaCRcKGx8NGAg/OwU2SQ0FCg4NF4L++nIWDgQJChcXDTFkdeN1BQ56Z81sTlUJG2xpIwKBHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAAIAoP+0A4gCsgATACoAAwAwMQUGJi8BMx4BNz4BNxUHIwcOAQ8BAyc1NyImLwE3HgEXFj8BMx8BFQ8BDgECLXKzUhYecv2FOmoyEAcIQpBOGEoTHk2VOSAfQpBLJxcLKxBaCwk6ZkEHWD1kQSMFCCcVEBY1NDwMCwHxCQhaDS9BJR4OAwUeEQl2DRUNDTwAAAQAoP+0A8wDJgATACoAOQBGAAMAMDEFBiYvATMeATc+ATcVByMHDgEPAQMnNTciJi8BNx4BFxY/ATMfARUPAQ4BJSYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAi1ys1IWHnL9hTpqMhAHCEKQThhKEx5NlTkgH0KQSycXCysQWgsJOmYBLSsxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD0EHWD1kQSMFCCcVEBY1NDwMCwHxCQhaDS9BJR4OAwUeEQl2DRUNDTyGHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAAIAef+kAzoDOwAQAEAAAwAwMQUuAScmJzcXFhceAR8CBwYDJzU3Mz8BNSYvAQYHJic1LwElNSYnNxcWFzM3FzcfAQ8BBg8BFR4BHwQPAScCSXbOVycOGz0kS0jIYAcEETFOVD4JCDlnDldGSigOFhYBKTQJHzAWLEF/Hx4bBAlBTiUfCk8NCR4WCQU4PlwES045RgUbMS0aOggcCRYNATsNCTkSGg1PRQQWDQk+CQ0fEQ1TZQkjWE4IBAQRHx4ODQUFCRRYNAQ1EiMIBQ0AAAAEAHn/pAPkA14AEABAAE8AXAADADAxBS4BJyYnNxcWFx4BHwIHBgMnNTczPwE1Ji8BBgcmJzUvASU1Jic3FxYXMzcXNx8BDwEGDwEVHgEfBA8BJxMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwJJds5XJw4bPSRLSMhgBwQRMU5UPgkIOWcOV0ZKKA4WFgEpNAkfMBYsQX8fHhsECUFOJR8KTw0JHhYJBTg+0ysxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD1wES045RgUbMS0aOggcCRYNATsNCTkSGg1PRQQWDQk+CQ0fEQ1TZQkjWE4IBAQRHx4ODQUFCRRYNAQ1EiMIBQ0BhB4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwABAN//nAORAxsAMwADADAxBSYnLgE3PgE3JzMXFhUHFw4BFxY3Fjc2PwEzPgE3MzY3MzczFQ4BDwIjByMVByMPAgYBwk9BKikDEDwEDw9nEwcDCzYIDxYbKUhALggiTR4HDA8IQAQIWzwfEwsIBwwLBBMHSGAPOTmBSIT/iCYSNTktDG7VdVsKGgcbEzEtNi4eGpQearZXJhsXBwwLCA9EAAAAAAMA3/+cA5EDGwAzAEIATwADADAxBSYnLgE3PgE3JzMXFhUHFw4BFxY3Fjc2PwEzPgE3MzY3MzczFQ4BDwIjByMVByMPAgYTJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBwk9BKikDEDwEDw9nEwcDCzYIDxYbKUhALggiTR4HDA8IQAQIWzwfEwsIBwwLBBMHSJkrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9gDzk5gUiE/4gmEjU5LQxu1XVbChoHGxMxLTYuHhqUHmq2VyYbFwcMCwgPRAJ8HgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAACAGH/pANAAx0AMQA6AA+zMF0BACsAsxUIFwArMDEFJzU+ATciLwI3Nh8BNScuAQ8BLwEjNTMXNzQ2PwEfAQczNxYfAQ8BBQcWBw4BDwEVEzcnNycPAR8BAWYhIUUUYEA2BR0/Zi4IRH9GEUAICS7UcQ4MGSYFES6HNyoJBRD++gwZBQg7JiIiBAQEMkQJJjNcDAs3c0BDNB0tQwcQXg8DGgcEJRMICBM0XS0DFxaNCAgaGhMPEqtSXT9oNQoIAU4uGSkEPB0iAwAAAAAEAGH/pAOwA1IAMQA6AEkAVgAPszBdAQArALMVCBcAKzAxBSc1PgE3Ii8CNzYfATUnLgEPAS8BIzUzFzc0Nj8BHwEHMzcWHwEPAQUHFgcOAQ8BFRM3JzcnDwEfAQEmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwFmISFFFGBANgUdP2YuCER/RhFACAku1HEODBkmBREuhzcqCQUQ/voMGQUIOyYiIgQEBDJECSYzAYwrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9cDAs3c0BDNB0tQwcQXg8DGgcEJRMICBM0XS0DFxaNCAgaGhMPEqtSXT9oNQoIAU4uGSkEPB0iAwFxHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAEAMP/VA2sCrQBFAAkAsyRUHwArMDEFLgEnLgE/ASMHLwEzFz8BMxcVHwEHFz8BMxYfAQ8CMzcfAQYiBwYPASc1NzY3Iw8BFwYHFwcUHwIWPwEXNxUHFQcOAQINT4g5OBcFEkIaFyIRPVgnCSwRDg4f4DQJIh8FBRIIPQ1cEjB7OTA9MRUnGgVTewkFFwgFBScJI2Bleg2wEg1KnicEMDA0iExYBAw4BBDEEAgEHIAEGGwMGBAHCRwEECQkCFBIFBAYMCQsECAQUFQNHywgBBgMBAgEDBAJDAsgIAADADD/1QPIAzoARQBUAGEACQCzJFQfACswMQUuAScuAT8BIwcvATMXPwEzFxUfAQcXPwEzFh8BDwIzNx8BBiIHBg8BJzU3NjcjDwEXBgcXBxQfAhY/ARc3FQcVBw4BEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAg1PiDk4FwUSQhoXIhE9WCcJLBEODh/gNAkiHwUFEgg9DVwSMHs5MD0xFScaBVN7CQUXCAUFJwkjYGV6DbASDUqe4isxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDycEMDA0iExYBAw4BBDEEAgEHIAEGGwMGBAHCRwEECQkCFBIFBAYMCQsECAQUFQNHywgBBgMBAgEDBAJDAsgIAJ7HgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAQCE/60DPgLmAFMAAwAwMQUuAScuATc+ATcjDgEPAQYHJyYnPgE3Mz8BIwYHJiczFjc+AT8BMxcVFxYHBg8BIw8EIxUzPwEzNTcWNx8BFg8CJw8CIw8BDgEXHgEXIxUCYSRCEBcaAwIiGgooUSQETEsRGgpEjDoHAycPKy4iDwUfKjhqMQMQHjkMAzUrcgcHChMKAwcH1QMHLhEbAkIRAwouDjUDSAcbEx4WAw0+GwpTEjUjMmw7LFImDiMVBh0YDyYsL2E+CCQMAykvEgMJGBcGBgYXDBILJ2ASAxoDCQk+CQUeDwMJGgwSCwYDGAZDIxUjVTI+bzsGAAAAAwCE/60D4AM+AFMAYgBvAAMAMDEFLgEnLgE3PgE3Iw4BDwEGBycmJz4BNzM/ASMGByYnMxY3PgE/ATMXFRcWBwYPASMPBCMVMz8BMzU3FjcfARYPAicPAiMPAQ4BFx4BFyMVEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAmEkQhAXGgMCIhoKKFEkBExLERoKRIw6BwMnDysuIg8FHyo4ajEDEB45DAM1K3IHBwoTCgMHB9UDBy4RGwJCEQMKLg41A0gHGxMeFgMNPhsK8ysxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD1MSNSMybDssUiYOIxUGHRgPJiwvYT4IJAwDKS8SAwkYFwYGBhcMEgsnYBIDGgMJCT4JBR4PAwkaDBILBgMYBkMjFSNVMj5vOwYCpx4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwADAGv/zAN7AwsALABIAFcAAwAwMQUnJjc+ATcjBxQjLwEmNTMWPwInMx8BBxcHMzY3FwcjFSMHBgcOAQcXDgEHJScHJyYnNTcXNx4BNzY3FTMVDwEVBgcVBycHJwMGLwEzFzcXFQcjFQcnBgEEMRcHFR4OCDIRKQ0YAx4pbR4DBi0ECwMDFToyBBsLCgMpLxIUBgMDDhIBjjMfDTcvCgQRRHlHOzUICwkjJTADMw5KMyUHIRXFMwcKFB9ENCEgL12/XggOIA8ZIxUEMsYZICtMEhYEEhY1BxIWB0iYTh0yYitWCwMKKDkTAwMDBzcIBA8ICxUECxYHBwsDAwMBDAUlOQQSEhYRCAMDFQAABQBr/8wDvAMyACwASABXAGYAcwADADAxBScmNz4BNyMHFCMvASY1MxY/AiczHwEHFwczNjcXByMVIwcGBw4BBxcOAQclJwcnJic1Nxc3HgE3NjcVMxUPARUGBxUHJwcnAwYvATMXNxcVByMVBycGNyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAQQxFwcVHg4IMhEpDRgDHiltHgMGLQQLAwMVOjIEGwsKAykvEhQGAwMOEgGOMx8NNy8KBBFEeUc7NQgLCSMlMAMzDkozJQchFcUzBwoUH0SSKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PNCEgL12/XggOIA8ZIxUEMsYZICtMEhYEEhY1BxIWB0iYTh0yYitWCwMKKDkTAwMDBzcIBA8ICxUECxYHBwsDAwMBDAUlOQQSEhYRCAMDFfseBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAQBO/6wDHgMaAEcAAwAwMQUnNT8CMz8DMz8BMzc2PwEmIyYHFQ8BIycmJzY3MzcGLwE+ATc2NzMWHwEGBzM3NhcVBQYHMzcWFxYVDwEGDwIOAQcnASkZIgUxCgkZPxgKBToKCjUiDycxdGt/BRgdJwpONQoUa2ITTo1JMA8FMCcFHQVEHUk2/vQ6LArla00ZJw8OJw8FTqVhD1QDBREJIQ4NQBUNLhUnLy8RBBoIMxUIKjhWXTcEDSYEGwxATQkeFR4mBAQvHRVbYQgESCczYgQrIgUML0UDAwAAAAMATv+sA8wDSgBHAFYAYwADADAxBSc1PwIzPwMzPwEzNzY/ASYjJgcVDwEjJyYnNjczNwYvAT4BNzY3MxYfAQYHMzc2FxUFBgczNxYXFhUPAQYPAg4BBycBJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBKRkiBTEKCRk/GAoFOgoKNSIPJzF0a38FGB0nCk41ChRrYhNOjUkwDwUwJwUdBUQdSTb+9DosCuVrTRknDw4nDwVOpWEPAg4rMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9UAwURCSEODUAVDS4VJy8vEQQaCDMVCCo4Vl03BA0mBBsMQE0JHhUeJgQELx0VW2EIBEgnM2IEKyIFDC9FAwMCsR4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAACAM4AGQM7Aa4AJwArAAkAsykoAwArMDElJzc1Mz8DMz8BNj8BJicOAQ8CLwE1Jz4BFxYXFgcGDwEUBw4BBzUjFQGsDzsHDgsDWwcMEjYhB0ZTSIo+CyQOGwpb3ndUQSgHHTAKDz6VEgoZCSMIGAIMTRAQJzIjIAQJJh0UBAkUDAY6KQMJMiU3RD0DDgksKwYJCQAAAgAVAAsDwgJTACcAKwAJALMpOwMAKzAxJSc3NTM/AzM/ATY/ASYnDgEPAi8BNSc2JBcWFxYHBg8BFAcOAQc1IxUBZBVYCxYQBooLEBtTMQxpf27QXhE3FicQiQFRtX5jPQsrSRAWXuEcEAsNMg0iBBBuGRU6SDIvBA02Kh0FDR0RCFU6BA1INlBgWQQVDD8/CQ0NAAQAFQALA9QDSgAnACsAOgBHAAkAsyk7AwArMDElJzc1Mz8DMz8BNj8BJicOAQ8CLwE1JzYkFxYXFgcGDwEUBw4BBzUjFQEmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwFkFVgLFhAGigsQG1MxDGl/btBeETcWJxCJAVG1fmM9CytJEBZe4RwQAaArMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg8LDTINIgQQbhkVOkgyLwQNNiodBQ0dEQhVOgQNSDZQYFkEFQw/PwkNDQJRHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAABAGn/1QMkAvIAMAADADAxBS4BJy4BNT4BNyMOAQcVIycjJic2JDc1Mx8DBg8FIw4BFRYfATMVMx8BFQKTPHkvOCkOUy8TQYxACgoTJAqIASl9KxwTLgVQPQ0XHAkTCjMqCkENCglYPSsSNC80fUtNhkEWJxkJDS89JxE9CRsIJysFLxUXDRUSQJNTSTQSCEENBQAAAwBp/9UD1ALyADAAPwBMAAMAMDEFLgEnLgE1PgE3Iw4BBxUjJyMmJzYkNzUzHwMGDwUjDgEVFh8BMxUzHwEVEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHApM8eS84KQ5TLxNBjEAKChMkCogBKX0rHBMuBVA9DRccCRMKMyoKQQ0KCVg9fisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDysSNC80fUtNhkEWJxkJDS89JxE9CRsIJysFLxUXDRUSQJNTSTQSCEENBQFnHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAAIAl//vA6gCqwA6AD4ACbM9cAoAKwAwMQUuAScmNz4BPwI1Jy4BJzMWFxYXMzY/ATYzFxYfAQciBxUOAQcGBwYHFx4BMz4BNxcVDgEHFQ4BLwEDNSMVAe5NnjoyCA82KhAPCx8rCw86LiMECycuCDJFBBcTEw8mIy5dIjoqFAQMKmQycON0CzJkNjJoORBRCw0MHT8uRz94MhEMDQkpYDYWLSY2JhARNg0HGSYUEgcdVDM5QzI6FREEDQgMBAgVIQ0JFBkEBQHSDAwAAAQAl//vA7gDEgA6AD4ATQBaAAmzPXAKACsAMDEFLgEnJjc+AT8CNScuASczFhcWFzM2PwE2MxcWHwEHIgcVDgEHBgcGBxceATM+ATcXFQ4BBxUOAS8BAzUjFSUmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwHuTZ46MggPNioQDwsfKwsPOi4jBAsnLggyRQQXExMPJiMuXSI6KhQEDCpkMnDjdAsyZDYyaDkQUQsBmSsxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDw0MHT8uRz94MhEMDQkpYDYWLSY2JhARNg0HGSYUEgcdVDM5QzI6FREEDQgMBAgVIQ0JFBkEBQHSDAxeHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAAQAW/++A9ADGQAjADEASgBYAAmzH1QkACsAMDEFJi8CJic3PgEfATY3JzM1JzcfAQceAR8BIxUjLgEnFAYPASc1NjcmJw8BBgcVFjc2JS8BNjcGLwE2PwEnNzMfATIfAQcGBw4BBwEuAS8BMzUzHgEfAQcXAgpENAMNOA8wJ1w4dxAJCQQEDBwMBDBgKDsHDTtsOxEcBCMMA1NcJAQ0HzNET/5uJAQgJDQfDUhABAQECBsNV0gIFEdMFCggAtJEgDchBRQ/gDsZDARCBCsOBDpKTyI2BRZcXB8IDQUJyToVMSZUGhJTGThuMASmCSgwJxEVDR80GywEFokeLGVkBDAnDRsfIwgNJx8aJxsNRohCAUEVRzhLCR9LKzUWBAAAAAYAY/+fA4sDAwCrALIAvgDEAPsBFABqQBX3GPkA7QXvAJ0btQB0NwJyAWptFQArKysrKwBAOw4DB7IBngWcAJIPkAC5Po4ACX92AGUKYwBnCH1hBEYFRABGD0EAPwI9AD8ROwA/IjkAHwLPIQQaAhwAKysrKysrKysrKysrKyswMQU3IzUjFSMnBycjJgcVFyMmJyY3LgE1JzUzNSM1MzUnIzUzNSY3PgE3MzUzFzcXFR8BFgcOAQczFQczBzMVMxUjFTMVBzMVIwcXDwEjFR8BNxUGBycVMyMHFwczFwYfATcXMzczFSMHIwcjFRcVMxUHMxc1MxUHMzcjNjczNzM/ATY3MzcVBgcjBgczFQYHMzUzFyMHMzcVBxczNwczFSMGBycHNzM1Iw8BIxU9ATc1IxUXPwI1MzUnIwcjBxcnNycjBxclJi8CJic3NTMWMz4BNxczFQcXBxcHIwczBicHIxU1IwcjNSMVIw8BFSM1IxUGBzUjBxUHNSMTJwcjLgEnByYvAjYyNx4BFwcVMxUPARcBEwUKBwMMBwMHBQoCAhwgCgMSEwgFAgICAwMIAwovJQoFDwcPBwgWAg0bBwIKAwUCAwUCAgIHAxIPAwUDDAgIBQcCAgMDAwMCCgMHBQMHBQMFAwUCBQcDCAMKAgICDAIUDwUCBRQHKCAFBQoRBQoPAxQKBwMCAgUHCAgDBQwKBQUFDwoKBQMFFAIFBxECIAoIBQUKBQcDBVkCBQUCBwGoOzICEgcKFggsMk2NRgIHBAICAg8HAwMNEQgEBQUIBwgCJQUIGx4PDxgIuhsDEyZMKww5Mh0NHkAhRYE5BwoNCghhCgMFBQMHCAMFBBEHDxYmVC0FAgoCFxQCCBYZfvp6CgUCCQUFBRcdPHQ+BRwRDwIIAggFFAUHBw0FAgIHEhEDDSoRCg0CDQICHQoKCA8FBA0CCAcCDAoZFBsKHQMtLwwKJSMnJgIWHAoPGBEHJgcPJQUUCgIPCAUNDAUUBQIIBQoPGQUFBA8WIANkAgoKBWEHGQcFFBIHAgwWQSUHDQcPDAoeFAoDCgMFDAIHCAwIBQUOBQICBQMDAYUKCA8NAgICDx4ZBwMFHiMCCAIFEgUABABGAA0DcQL0AFEAWABpAHcAFLdVTjkAVVQ3ACsrALMNCRAAKzAxNyYnJi8BNTQ/AjUmJyM1FTM1Mx8BMz4BFzczNTMfAQYHMhYXFgcGBx8BDwEjLwEGDwEmJyYvATUzNSc+ARcWFzYnJicmDwEnDgEHFwcjJw4BJSYPARUWNyU/AicjDwIVBgcGFxY3Mj8BMz4BPwIjDgEHFRfJKB4OIg0iVFgKBwcLAxshCjdvQR4GCx0FEgM6Xyg2BBEdMgcOAwgNRyEsRDwpBh8GBgMlUDM2Mz0HDTMpNhseIWAyFxEGQCJHAdUoNjkoL/6QEAgKHwk+BxMiFA8EGB85mBQHFzMUCwMOKE0vJw0ELC4mCThQPWk5DFpdDQQWJ5oeNARzEQ0WLjMnM1ZuUk1ENwkNG0MuHwQJPCYZBAoNDCYiBA0iQGJJOBkJBARmvF5lG00hQa8rCBoSGQQjCA0mvCsREQgsMiY0FQiNKy9aLgUVFTwIDpkAAwAtAA0D1AL2AG0AdwB+AAMAMDElLwE1LwE3JyMHBg8DIyc1JyYnPwE+ATcjDwImJzU3PgE3FzUnMzUzFx4BFzM3MzczNz4BNxYXFg8BFwcXFRcVHwMHJzUnBgcGIycHJzUmJyYnNz4BHwE+ATUnJicGDwMVEwcXIycHJT8BJicGBxUWMyU3NS8BBzMBZCIQCwwIBAsINi4QBxsICAsTGw8MHjYjCDIEGyIUDDZgMhMDBwwmFAsICAsIBAsEQYtRVT0nDAQEEzoLIwQLBCNcGxMbHyMLLlEjGyYfDydYOoMMDwgqNmBNBGAuFwgEDAsIAWoEEzpJMiY9Sf5JOggLLgQNERAJBDNdXRVARw4QKgMJBS4iIgRMmUwrDAQQIg4HFkMeCFgeCRkzajgSDA0zSAgEOztVDQy7MwkECB0OBCUORQgNLy8VBQkZCQklNzgdKzcFMjt3PxYdBBFADFQ3PP71HgwEDdQNHS8IGTMNIqYqJzIFjAAAAAIAf//WA5QC4AAwAD0ACQCzDVQdACswMQU1IzU+ATczNicmJy4BIwYCDwEmJyY/ASc+ATc+ATMeARcVFx4BFQ4BByMHIw8DJTU+ATcjDwEOAQcfAQKZDyJMHggbBAQmMX1IEG5iLjFEEwcEBBM5OUGQV0yBOQsxHxAxGggIBxsTDyb+W0RMKghXRB4mBAsXKggHUJhPSFg8LjUxo/7VhQQ9LTU9FzFMkD01OQhENQgHPZRQNWIyEy0TCCa2CGr3dTFBRJBQSAMAAwA1/6cDqwL2ABoATwBYAAMAMDEXJi8BNyc+ATczHwEGHwEHFw8BFzM3MxUWBgclJgcvASY3PgEfASYnNyMHLwE+ATc2NzMWFwc3FzY3Fg8BBiMHFwcXBx4BHwEHBiYnFA8BFSc3Jg8BFRcWN61GGxMECBAqDDcIBAwECAgEBAgXCDgEIyE0AZxdTgQgWBkjYDxLEwMeFI4mBCZkNgwLDBsHAxMIKi4fBA82QgQEBBAMOpYbDBQ5bDomDCYLQVEuFyYyWR9BaBNdf/Z/BCoTG02HDwTXinIXP4UbcwQSBAwzhEktBTtRXD4uExc8Jgw7WUVNDAQPIBcoFx8fIgwPg1UjNTYXDA9COUU6BAh7OhsIKg8XGAQAAAUANf+nA/QDWgAaAE8AWABnAHQAAwAwMRcmLwE3Jz4BNzMfAQYfAQcXDwEXMzczFRYGByUmBy8BJjc+AR8BJic3IwcvAT4BNzY3MxYXBzcXNjcWDwEGIwcXBxcHHgEfAQcGJicUDwEVJzcmDwEVFxY3ASYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHrUYbEwQIECoMNwgEDAQICAQECBcIOAQjITQBnF1OBCBYGSNgPEsTAx4UjiYEJmQ2DAsMGwcDEwgqLh8EDzZCBAQEEAw6lhsMFDlsOiYMJgtBUS4XJjIBWCsxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD1kfQWgTXX/2fwQqExtNhw8E14pyFz+FG3MEEgQMM4RJLQU7UVw+LhMXPCYMO1lFTQwEDyAXKBcfHyIMD4NVIzU2FwwPQjlFOgQIezobCCoPFxgEAeoeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAAFADX/pwPgA1QAGgBPAFgAawB3AAMAMDEXJi8BNyc+ATczHwEGHwEHFw8BFzM3MxUWBgclJgcvASY3PgEfASYnNyMHLwE+ATc2NzMWFwc3FzY3Fg8BBiMHFwcXBx4BHwEHBiYnFA8BFSc3Jg8BFRcWNwEmLwQ1Mzc+AR8BFhUHIwcnNjc2JyYHBg8BFzOtRhsTBAgQKgw3CAQMBAgIBAQIFwg4BCMhNAGcXU4EIFgZI2A8SxMDHhSOJgQmZDYMCwwbBwMTCCouHwQPNkIEBAQQDDqWGwwUOWw6JgwmC0FRLhcmMgFrLScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCFkfQWgTXX/2fwQqExtNhw8E14pyFz+FG3MEEgQMM4RJLQU7UVw+LhMXPCYMO1lFTQwEDyAXKBcfHyIMD4NVIzU2FwwPQjlFOgQIezobCCoPFxgEAe4DEg0sLgQCHCAiAyIsO0gJTgYcEx8QBgofHBwAAAABACX/swPqAr4AOgAJsxlfAwArADAxBSYnJjU+ATcjBiMvAT4BNzU3HwEHBgcOAQcUHwE3NTczPgE3Jic3Fx4BHwEWFxUHLgEvASMOAQ8CBgESRDc7CTslCjI7JAU3iEAOSQQOMiQgNgpALmRoCiQ7EhYFaRYgTi0JNzsgQHoyEw0JTkkNMlJEBS1Sbmi/YCASEy0pIAkFKRcSKTdbu2RSOwQ7CW1EiU0uNg4EPHE3BTYpDgQWTjsgYKhEBTtgAAADACX/swPqAzIAOgBJAFYACbMZXwMAKwAwMQUmJyY1PgE3IwYjLwE+ATc1Nx8BBwYHDgEHFB8BNzU3Mz4BNyYnNxceAR8BFhcVBy4BLwEjDgEPAgYBJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBEkQ3Owk7JQoyOyQFN4hADkkEDjIkIDYKQC5kaAokOxIWBWkWIE4tCTc7IEB6MhMNCU5JDTJSAdUrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9EBS1Sbmi/YCASEy0pIAkFKRcSKTdbu2RSOwQ7CW1EiU0uNg4EPHE3BTYpDgQWTjsgYKhEBTtgApUeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAADACX/swPqAzAAOgBNAFkACbMZXwMAKwAwMQUmJyY1PgE3IwYjLwE+ATc1Nx8BBwYHDgEHFB8BNzU3Mz4BNyYnNxceAR8BFhcVBy4BLwEjDgEPAgYBJi8ENTM3PgEfARYVByMHJzY3NicmBwYPARczARJENzsJOyUKMjskBTeIQA5JBA4yJCA2CkAuZGgKJDsSFgVpFiBOLQk3OyBAejITDQlOSQ0yUgH4LScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCEQFLVJuaL9gIBITLSkgCQUpFxIpN1u7ZFI7BDsJbUSJTS42DgQ8cTcFNikOBBZOOyBgqEQFO2ACnQMSDSwuBAIcICIDIiw7SAlOBhwTHxAGCh8cHAAAAAMAPv/uA/sC0QAwAD0ATQAJALMZTyMAKzAxBS8CNS8BNScmJzcVFxUWFzYnLgEnNzY/ASMOAQcVIy8BPgEzFxYPAxYGBw4BByUvAT4BNx8BBg8CBiUuASc3MzUzHgEfATMfAQYB9yASExEdDyYMDwo2ORkGBy8HFSgdHAsyazcKFhdFv0gdEQNPEgMrBwQEFQv+Qw4HEVYsFRMEEwovIwNHN2VlCQQRPW83AwchAxUSBxcPBwceCwgoOAgIBAcTB1JcNFY0JQ8hLBYSCAcPWggVPBYecxMaN4ZOMGAtGgslR3c7CyI0MAdHMCkeN01PCx1aNwspDw8ABQA+/+4D+wM2ADAAPQBNAFwAaQAJALMZTyMAKzAxBS8CNS8BNScmJzcVFxUWFzYnLgEnNzY/ASMOAQcVIy8BPgEzFxYPAxYGBw4BByUvAT4BNx8BBg8CBiUuASc3MzUzHgEfATMfAQYDJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcB9yASExEdDyYMDwo2ORkGBy8HFSgdHAsyazcKFhdFv0gdEQNPEgMrBwQEFQv+Qw4HEVYsFRMEEwovIwNHN2VlCQQRPW83AwchAxWkKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PEgcXDwcHHgsIKDgICAQHEwdSXDRWNCUPISwWEggHD1oIFTwWHnMTGjeGTjBgLRoLJUd3OwsiNDAHRzApHjdNTwsdWjcLKQ8PAfoeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAAFAD7/7gP7A0gAMAA9AE0AYABsAAkAsxlPIwArMDEFLwI1LwE1JyYnNxUXFRYXNicuASc3Nj8BIw4BBxUjLwE+ATMXFg8DFgYHDgEHJS8BPgE3HwEGDwIGJS4BJzczNTMeAR8BMx8BBgMmLwQ1Mzc+AR8BFhUHIwcnNjc2JyYHBg8BFzMB9yASExEdDyYMDwo2ORkGBy8HFSgdHAsyazcKFhdFv0gdEQNPEgMrBwQEFQv+Qw4HEVYsFRMEEwovIwNHN2VlCQQRPW83AwchAxV5LScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCBIHFw8HBx4LCCg4CAgEBxMHUlw0VjQlDyEsFhIIBw9aCBU8Fh5zExo3hk4wYC0aCyVHdzsLIjQwB0cwKR43TU8LHVo3CykPDwIWAxINLC4EAhwgIgMiLDtICU4GHBMfEAYKHxwcAAAAAQBQAHcDsAIQAB0AAwAwMSUmJCcGBxcHIwcjLwMjNTY3Njc2FxYEHwEzFQcDfqT+zqogIwoKCwMPHAcdBwckGBYOMkCjAS6hFQcOdzfRLXNtGR4PChkZDwlBSzxBLQo8yEUeBRkAAAADAFAAdwOwAtIAHQAsADkAAwAwMSUmJCcGBxcHIwcjLwMjNTY3Njc2FxYEHwEzFQcDJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcDfqT+zqogIwoKCwMPHAcdBwckGBYOMkCjAS6hFQcOqCsxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeD3c30S1zbRkeDwoZGQ8JQUs8QS0KPMhFHgUZAWceBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAwBQAHcDsAMcAB0AMAA8AAMAMDElJiQnBgcXByMHIy8DIzU2NzY3NhcWBB8BMxUHAyYvBDUzNz4BHwEWFQcjByc2NzYnJgcGDwEXMwN+pP7OqiAjCgoLAw8cBx0HByQYFg4yQKMBLqEVBw65LScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCHc30S1zbRkeDwoZGQ8JQUs8QS0KPMhFHgUZAbsDEg0sLgQCHCAiAyIsO0gJTgYcEx8QBgofHBwABQB4/74DnQLYAKgArgFmAXIBdwCzuQFXATmwBLgBVbABuAE9sAW4ATuwALgBALAGuAEEsAC4AQxAHVGv4AQJB6sACQ6pAHpyZ0oEPHgiEqcCBACnBgIAKysrKysrKysrALgBWbAOuAFUsAC4AUCwILgBPLAAuAFAsB24ATqwALgBMLAFuAEuQCAAoQ4CowF5GXAAZAliAGY9WABuZ1YAW2hEAFt4QQA7HbgBHkAKOQSoDQMAqAYBACsrKysrKysrKysrKysrMDEFJzM1MzUvAQczFQ8BFxUjLwEmIyYjJyM1NycjFTU3LgEvATU3JzcnPgE3JzM1Mxc3FhcWDwEXBxcHMxUjFRcHMwczFQczFQcnFRcVBxcVDwEjFTMXDwEzFTM3FyMPAhc3NTMXIxUjFRcVBxUXByMHMzUVBxUzNxUHIxUzBhc1FQcjFRczNxUzFQczNwczFTM/BA4BBxcGFzMXBxUPASM1MzUjBxUnNTM1JwclNScHJi8BJi8BNS8DNSMnNjc+ATM3Iw8DJwcnNSYvBCY/ARc1MxY3PgE3NScjBgcmBy8BJjU3NTMXPgE3FxUzFQcVMxUPAScUDwEVBzM3NSMGBxUWFyMVFzM3FzUzHwIVFyM1IwcXNzMVIxUGBzM3FQc1IxUPAjMVIxUXBxcjFRcHFTM1MxUHFyMVFx4BHwIVIxUjJwcuAScPARUzNTMVByMHMwYHIxUPASMVFwcnNTY3JgcGDwIXFhM3JwczAQQDAwQCEgICDgIFBQIOBAwLEAICAgIHBRAOBgUCBAICAikSBQsJBwcUEBAFAgIEAg0JCQYEBAIHAgILBwcFDgcCDAcFCQMHBwcCAgMPAwcHBAUHBAkMAwMEAgkHBAwDBgICCwIFAgcFAgcFBAICEAcSHQcCFBkFBQcCDAQNCQUHCQYMJAcJBAGhEAkbHQMoKx0OAgkbBQQGFytqOAsLBBUCKAcHBx0dAw8HCRACDAsUDhIkRiQCDjI0GyEHBQkQCRBPp1UlBBAHDgYJDBIPAgcJGx4JAgQEBysZBAcCFQQEBQQJBwIFGQ8JFj0JDQ4HBwQCAgIFAwwJBQUDBQktVikEEBQFIg8iPSIHBwUECQQCBgYQBQkCEgUDOAkCEBQmIAkLEi36AxAHB0IGBwULBAYDAgkCAgkGBwkOBAcOBQUNJlQrAgQTTCQJYb5cBwUDAwcOHycGFRAJUx0HBwsLCQcHBQMFAgcLBQQCBQQVAgcGAhASCQcCAgcJCwkDAgQJBQQOAgQCEBAFEAQOBAICBwcNBgIHCwIGBw0VKAIHJFErCwkOHwcHAhQCBwMPFgUJAg4rCQMFEhAHFBIZBwYHAiAEEBsSIgtzCwkHCQMDAwQLDAsJBwkLFAMFAgsCECALLzAQBwsCEgIQEgUCBBsdBxIFBAUHAgQJAgsDBAUEAgcHAhAbHQUNCwICAg4EDgICDgIHAhIDCwUDFAUDCwI0BQsQCRIECwUFAwUNDgQMCxsSCQUCIgkCCR0HIgQLBAcLECQfEAUGBwIOaBQrLQcCBRIHHRAbAVcCAgsABwA0/8YD9ANWAKgArgFmAXIBdwGGAZMAs7kBVwE5sAS4AVWwAbgBPbAFuAE7sAC4AQCwBrgBBLAAuAEMQB1Rr+AECQerAAkOqQB6cmdKBDx4IhKnAgQApwYCACsrKysrKysrKwC4AVmwDrgBVLAAuAFAsCC4ATywALgBQLAduAE6sAC4ATCwBbgBLkAgAKEOAqMBeRlwAGQJYgBmPVgAbmdWAFtoRABbeEEAOx24AR5ACjkEqA0DAKgGAQArKysrKysrKysrKysrKzAxFyczNTM1LwEHMxUPARcVIy8BJiMmIycjNTcnIxU1Ny4BLwE1Nyc3Jz4BNyczNTMXNxYXFg8BFwcXBzMVIxUXBzMHMxUHMxUHJxUXFQcXFQ8BIxUzFw8BMxUzNxcjDwIXNzUzFyMVIxUXFQcVFwcjBzM1FQcVMzcVByMVMwYXNRUHIxUXMzcVMxUHMzcHMxUzPwQOAQcXBhczFwcVDwEjNTM1IwcVJzUzNScHJTUnByYvASYvATUvAzUjJzY3PgEzNyMPAycHJzUmLwQmPwEXNTMWNz4BNzUnIwYHJgcvASY1NzUzFz4BNxcVMxUHFTMVDwEnFA8BFQczNzUjBgcVFhcjFRczNxc1Mx8CFRcjNSMHFzczFSMVBgczNxUHNSMVDwIzFSMVFwcXIxUXBxUzNTMVBxcjFRceAR8CFSMVIycHLgEnDwEVMzUzFQcjBzMGByMVDwEjFRcHJzU2NyYHBg8CFxYTNycHMzcmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BB8ADAwQCEgICDgIFBQIOBAwLEAICAgIHBRAOBgUCBAICAikSBQsJBwcUEBAFAgIEAg0JCQYEBAIHAgILBwcFDgcCDAcFCQMHBwcCAgMPAwcHBAUHBAkMAwMEAgkHBAwDBgICCwIFAgcFAgcFBAICEAcSHQcCFBkFBQcCDAQNCQUHCQYMJAcJBAGhEAkbHQMoKx0OAgkbBQQGFytqOAsLBBUCKAcHBx0dAw8HCRACDAsUDhIkRiQCDjI0GyEHBQkQCRBPp1UlBBAHDgYJDBIPAgcJGx4JAgQEBysZBAcCFQQEBQQJBwIFGQ8JFj0JDQ4HBwQCAgIFAwwJBQUDBQktVikEEBQFIg8iPSIHBwUECQQCBgYQBQkCEgUDOAkCEBQmIAkLEi36AxAHB6crMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg86BgcFCwQGAwIJAgIJBgcJDgQHDgUFDSZUKwIEE0wkCWG+XAcFAwMHDh8nBhUQCVMdBwcLCwkHBwUDBQIHCwUEAgUEFQIHBgIQEgkHAgIHCQsJAwIECQUEDgIEAhAQBRAEDgQCAgcHDQYCBwsCBgcNFSgCByRRKwsJDh8HBwIUAgcDDxYFCQIOKwkDBRIQBxQSGQcGBwIgBBAbEiILcwsJBwkDAwMECwwLCQcJCxQDBQILAhAgCy8wEAcLAhICEBIFAgQbHQcSBQQFBwIECQILAwQFBAIHBwIQGx0FDQsCAgIOBA4CAg4CBwISAwsFAxQFAwsCNAULEAkSBAsFBQMFDQ4EDAsbEgkFAiIJAgkdByIECwQHCxAkHxAFBgcCDmgUKy0HAgUSBx0QGwFXAgILmR4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAHACT/pgPgA1gAqACuAWYBcgF3AYoBlgCzuQFXATmwBLgBVbABuAE9sAW4ATuwALgBALAGuAEEsAC4AQxAHVGv4AQJB6sACQ6pAHpyZ0oEPHgiEqcCBACnBgIAKysrKysrKysrALgBWbAOuAFUsAC4AUCwILgBPLAAuAFAsB24ATqwALgBMLAFuAEuQCAAoQ4CowF5GXAAZAliAGY9WABuZ1YAW2hEAFt4QQA7HbgBHkAKOQSoDQMAqAYBACsrKysrKysrKysrKysrMDEXJzM1MzUvAQczFQ8BFxUjLwEmIyYjJyM1NycjFTU3LgEvATU3JzcnPgE3JzM1Mxc3FhcWDwEXBxcHMxUjFRcHMwczFQczFQcnFRcVBxcVDwEjFTMXDwEzFTM3FyMPAhc3NTMXIxUjFRcVBxUXByMHMzUVBxUzNxUHIxUzBhc1FQcjFRczNxUzFQczNwczFTM/BA4BBxcGFzMXBxUPASM1MzUjBxUnNTM1JwclNScHJi8BJi8BNS8DNSMnNjc+ATM3Iw8DJwcnNSYvBCY/ARc1MxY3PgE3NScjBgcmBy8BJjU3NTMXPgE3FxUzFQcVMxUPAScUDwEVBzM3NSMGBxUWFyMVFzM3FzUzHwIVFyM1IwcXNzMVIxUGBzM3FQc1IxUPAjMVIxUXBxcjFRcHFTM1MxUHFyMVFx4BHwIVIxUjJwcuAScPARUzNTMVByMHMwYHIxUPASMVFwcnNTY3JgcGDwIXFhM3JwczNyYvBDUzNz4BHwEWFQcjByc2NzYnJgcGDwEXM7ADAwQCEgICDgIFBQIOBAwLEAICAgIHBRAOBgUCBAICAikSBQsJBwcUEBAFAgIEAg0JCQYEBAIHAgILBwcFDgcCDAcFCQMHBwcCAgMPAwcHBAUHBAkMAwMEAgkHBAwDBgICCwIFAgcFAgcFBAICEAcSHQcCFBkFBQcCDAQNCQUHCQYMJAcJBAGhEAkbHQMoKx0OAgkbBQQGFytqOAsLBBUCKAcHBx0dAw8HCRACDAsUDhIkRiQCDjI0GyEHBQkQCRBPp1UlBBAHDgYJDBIPAgcJGx4JAgQEBysZBAcCFQQEBQQJBwIFGQ8JFj0JDQ4HBwQCAgIFAwwJBQUDBQktVikEEBQFIg8iPSIHBwUECQQCBgYQBQkCEgUDOAkCEBQmIAkLEi36AxAHB8otJwYjFwUCDB9FLDgeOgUDQyEZFAYOEycfCBwIWgYHBQsEBgMCCQICCQYHCQ4EBw4FBQ0mVCsCBBNMJAlhvlwHBQMDBw4fJwYVEAlTHQcHCwsJBwcFAwUCBwsFBAIFBBUCBwYCEBIJBwICBwkLCQMCBAkFBA4CBAIQEAUQBA4EAgIHBw0GAgcLAgYHDRUoAgckUSsLCQ4fBwcCFAIHAw8WBQkCDisJAwUSEAcUEhkHBgcCIAQQGxIiC3MLCQcJAwMDBAsMCwkHCQsUAwUCCwIQIAsvMBAHCwISAhASBQIEGx0HEgUEBQcCBAkCCwMEBQQCBwcCEBsdBQ0LAgICDgQOAgIOAgcCEgMLBQMUBQMLAjQFCxAJEgQLBQUDBQ0OBAwLGxIJBQIiCQIJHQciBAsEBwsQJB8QBQYHAg5oFCstBwIFEgcdEBsBVwICC8UDEg0sLgQCHCAiAyIsO0gJTgYcEx8QBgofHBwAAgCk/9QDWgMqAE8AWAAJALMZHhsAKzAxBS4BJyYvATU0NzM3MzU3Nh8BPgE3IwcVIycjJzMXPwEjBgcvAzczFzc+ATcfAQcXMzcfASIHBgczNh8BFQcGDwEeAR8BDwEuASMHFwYHJz8BLwEPARY3AZ0rWicTJRURCAQHE0VZPgQLCwdjIhoHCBMWlw8SQzsoBAsSBgwawggPByULAwMINjgEQzMLDwc+SxISS0UaUplPAgI4PH9HBwMHIFYTBwRqPhNCWCwOGxggEgYJGBUJBQ8hBgYqUCYUBiMeAydkCxUSDAIeDAMtNWsyF5IPCQYPJhs1NhIDDwkgBhLQDCMVGwkDFSQ8CyoeVgk/CQURJyYCAAAAAgBd/+wD2QKxAD4ATgAJALMNNRUAKzAxBSYvASYnNjczNT4BPwEjDwEmLwE+ATM3MxYfAQcGBx4BFzczFxUHHgEfASMuAQcGDwEGDwMnNT4BNycOASc1PgE3IwYHFSMHFh8BNxcBUTguXScKEzIHNXA4NQo/EB4aDiRdMgMKKCEDGxYYOXA0KQklBDJpLAMRK1wyGisOCRsdBC4GCTIa0BoyYxsdEQpJOwcUCigQCwkUBSRnRVJCJQgYCRDBMgwMFR0kEQgQJREcUlIEDQx7LTUlEBElEAwRBV5WBDEpEAkQBAxSnEoUYsElCDp7PQQlCEJJPgQEBAADAFr/ygPNAvEAPwBJAFkAAwAwMQUuAS8BJi8BNTY3NjMXNyMGBycHLwI1MzUzFz8CFhUyHwEGDwEXFAYHFhcWNzY3NjcnNj8BFxYXBgcGBw4BATU3LwEGBxcWNyUmLwI1LwE3FhcVFhcWFQILQHcvIj0rQQosGylAEQ4bIh4UHxcHFRQybBIXIj02CjY5BwMNDg4oLz1ILyINAwMmLxUGBxEsHxcpVP6+DhsVHgoKFBsCwEtDFw4NBxtDNiUfFDIEMjM+AzdJEEo2IxBWDAQECBArAxAICA+rDEpdEyMYB2UfN2QvRjYfBARCOkYbNicLCzo7XU0UHxMfAR8IOkYEMzobEASfJ0IXFBcEEwQMKggXJxsnAAAAAwBJAAADpQLyAF0AdgCAAAMAMDEhJzc1MzU/ATU3NT8CNTY3JjcmNy4BJwcnDgEPARcHJic1Iw8EBgcnByYnJi8CPgE3PgE3LwEmNzMXFhczPgE3Nj8BFwceAR8BMxcWFxYVByMHIwYHDgEHJyU/AzM3Mz8BLwEjBg8CFQ8DHwI/AyMHFRYXMwJUAxMDICIMHQIWOA4IEBwEEUgmCiU8LCYlGRUZEAUZDB0KBiAoCQ0rPxwHBgkJLCUdRCICDw8dEx8JFgwpVSsWPwwNEyV8MwIHHAwHFQYGAwYDEDuNTgn+rBwDEA8KDwcGCQcyCRgdBg0MBxASIgkirjEWEyVbFgYGEQ8NBykQCAMJBA8FDCQ3Fy0zIRFLNgQERXs5PFRGEyEIIwgrBQspAwMDGyUwOAQkPGgsJTwYCg5QTBBAOBAQCDhEBDBIFDhADDgJFDtFGw0YFFBYEQSBGAgMGCQQBBO9C0QNBwkECxl8LBAM9GAhPCkPQEgAAAEAlv+rA4wDIABIAAMAMDEFJicuASc3Bi8BNxc2Ny8BMxc3FzczFR8BBzYWFQcVBycGBzY/ARUHBicHHgEfATY/ATM/AjM+ATcfAQ4BDwIjBgcGByMHBgHfPCUmLQUIUTIVbjILD24zCx8maDIDMgcXcHETJ7IfB2I1MQNabwcLKiYXPTETCHILAwgXMgswAwNVNRQrCBUHCyIIGjBVBlo4e0haAgdJBARTUgtPAwMrngMaGXoSEi4IBwMKR1AOBAcHC2kigTpoLgcjOhKTAw8uWzIIIVKQZBshHg0GFyAcAAAAAAEAyP+tA3wCOwCyADVAFV0FXwCvPggAAgoGALEPAwCxBI8ABCsrKysrAEAQskmsAIQGhwCJP3sAiUh5ACsrKyswMQU1JxU1Iwc1JzUjNScuAScjByMPAiMVDwEjJwcvAzUnNSMnNTczFzc1LgE/ATMXHgEfATc1PgE/AS4BJzMXHgEVMzceARcWFQYHFyMVIxUXDwYnBwYHFSM1IwcvAjU3NTc1NzUzNjcuASMGBwYHFyMVMxUzFQcWDwEWDwEjMzUzNSMPAScHJzUnJicjBxUGDwEXMx8EFhcWFzMVMwYXFh8BMxcjFSMVAicLBQUYBBYYNRoGEwYCCgsDBwMLDwcGAg4fBgQOAgcRaxQxAwIPJQkdFwUHH0AhAgQECgouFhEJRDVhKhYCCQMGAwEUBAYCFAQmCwkhJwUHFgcIDRhBKwQiERo6ISomAwICBQYCBQUCAQYDAgMCAwgEDwkKFQcSBAQKIiQCCQQNBQIHBgcCCwYFAwMNBAgIBRoJDVMFBAQCAgQJAwUKPX08DgcCCwMFCgICBAYDHAMDBAoHAwZIBypWMg8cI0MdAgIFFSQQECVPJBwZPCIICSAgICkVEAcEBQgNDQEJCAgQBQcLAgMFBAIJAgQLBSwEHAgkKA8TBhEVFgcFCQIPCw0ICA0EBgUJAgICCQMDHB8EBRAQDhcgAhUDEAwOFBUFDgIXGAM3CwcAAAABAFj/0gPOAzcAsgA1QBVdBl8Ar08IAAIMBgCxFAMAsQaPAAQrKysrKwBAELJgrACECIcAiVV7AIlgeQArKysrMDEFNScVNSMHNSc1IzUnLgEnIwcjDwIjFQ8BIycHLwM1JzUjJzU3Mxc3NS4BPwEzFx4BHwE3NT4BPwEuASczFx4BFTM3HgEXFhUGBxcjFSMVFw8GJwcGBxUjNSMHLwI1NzU3NTc1MzY3LgEjBgcGBxcjFTMVMxUHFg8BFg8BIzM1MzUjDwEnByc1JyYnIwcVBg8BFzMfBBYXFhczFTMGFxYfATMXIxUjFQIZDgYGHwUcH0QiBhkIAwwOBQkDDhMJCAMRKAgGEQMJFogaPgMDFC8MJB0ICSdSKgMGBQwMOxwXC1dEfDYcAwsDBgUCGQYIAxkGMA4LKzIGCRwICxEfVDYFKxYhSio2MAUDAwYIAwgIAwIIAwMFAwULBhMMCxwJFgYFDC0tAwsGEQYCCQgJAw4IBgMDEQUJCwYiDBAuBgYGAwMGCwUGDlKkURMJAw4FBg4DAwYIAyUFAwYOCAYJYAk4cUQTJDBYJwMDBhwwFhQzaDAlIU8uCQsrKio2HBcIBgUMERECDAsLFAYJDgMFCAYDDAIGDgY7BiQMMDUUGQgXHBwJCAsDFA4RCwwQBggGCwMDAwsGAyQrBgYWFBQfKgMcAxYPExocBhMDHx8GSQ4JAAAABgC6/5wDUAJdAIwAkgCYAKIAswC+ABpADIcViQCODQQAkAICACsrKwCzM0gvACswMQU3JzUjNTY/ATY3LwY1IyYnIxUXIy8BDwEVIxUGFTUjBxcHIwYHIxUXDwEzFQcXIxUXIyYvATUnNSMnIzU/ATUuAS8BNTcXHgEXBzMXMz8BPgE3NhcWFxYXHgEfARUXHgEHBg8CIxUjFSMHNSMHFQYHFSMHFw8BMxUGDwI1Iwc1IxUHNSMGLwEVMxUzJzcnIxUXNzU3JwYHFR4BFz8BNjc2NyYnJgcOARUXBgczAzUmJyYPAQYHFzYB5wIEEBwhDAsMIwIJAhMLBgMZCQUCAgkHAgcFBgcDAwcEAwkCAgcCBQgFBwICHhYbCgYKBAIMCCIgBBQ3ExYLAQQCBSAOMikbGyUwJhoEID4cFAkTCwIQHAcEBQkHBAUXJCkMBAcDBAIKFgcEBQUGFQUkIAwFB3sCAgcF1hkXMCQECBumAyQOEgICDiEvBgMDBQcHPgISDhQVCwMOImQCAwQONC4MICETBwQFCBcCBSMqEAUeAg0FBAgHDAULFhAcFw4RBQ4EIyEHCwQTFwUDBAkFDgwQVqlNAgMEGiNNJQcYOxE/lUkUAgcmKTYFEhMWBgoeQyY2LwIOBAoHAgkFDgYFIQIFCQMxLAMJAwMDBQMKEAIHBwW+AgcFB0YM7AUPJQouYCUQBBMmLzYUERUDGz0eCjYzASYHKCAMBBYgJgQJAAYAZv+4A6EDFQCMAJIAmACiALMAvgAaQAyHGokAjhEEAJADAgArKysAszNYLwArMDEFNyc1IzU2PwE2Ny8GNSMmJyMVFyMvAQ8BFSMVBhU1IwcXByMGByMVFw8BMxUHFyMVFyMmLwE1JzUjJyM1PwE1LgEvATU3Fx4BFwczFzM/AT4BNzYXFhcWFx4BHwEVFx4BBwYPAiMVIxUjBzUjBxUGBxUjBxcPATMVBg8CNSMHNSMVBzUjBi8BFTMVMyc3JyMVFyU1EycGBxUeARc/ATY3NjcmJyYHDgEVFwYHMwM1JicmDwEGBxc2Ad4DBhQjKg8ODisDCwMXDggDIAsGAwMLCQMIBggJAwMJBQMLAwMJAwYJBgkDAyUcIgwIDAUCDwkrKAUZRRccDgIFAwYoET8zIiIuPDAgBShNIxkMFw4DFCIJBQYMCAYGHC4zDgYJAwYDDBwJBQYGCBoGLSgPBgmaAwMJBgEMHxw8LgYJItADLRIWAwMRKjoIAwMGCAhNAxYSGRoOAxErSAMDBRE/OQ4oKBcJBQYJHAMGKzMUBiUDEQYFCQkOBg4aFCIdERQGEQUrKAkOBhccBgMFDAYRDhRpzl4DAwUfK14uCB1IFE22WRkDCC4zQgUXFxoIDCVSLkI5AxEFDAgCCwYRCAYoAwYLAzw2AwsDAwMGAwwUAgkJBecDCAYIVQ8BIAYSLQw5dS0UBRcuOUIZFBoDIkolDEI+AWcJMCgOBRooLgULAAAAAgDf/9cDBAJWAEYAVAADADAxBSYvBTUjJzU2Nz4BFx4BFzcnNyc+ATczHwEHFwczPgEzMh8BDwIXBxcVFxUfAgcjFSMuAScGDwEVIw8ENSMnPwEuAScGDwEWFx4BNwGpNy4iCgISEAwJCSUXNyAgPh4CAgIJAhMEExkCBwICBR5BIBkSAwWfAgQCWFwJBwIHBwIzWzEMFwcEBQ0OAhMEIRoiG0EiHBQQAgsaOSApCRkdBQkLEA4LBysfExIDAgsJXSkrVClNJhJqQAcNBAMQEAkOCVtbHwMmBQIHDRIHCzAQLiYCDBINBQcCBUoOVA0LAwMSKBcUDgsCAAAAAgB//78DTQMOAEYAVAADADAxBSYvBTUjJzU2Nz4BFx4BFzcnNyc+ATczHwEHFwczPgEzMh8BDwIXBxcVFxUfAgcjFSMuAScGDwEVIw8ENSMnPwEuAScGDwEWFx4BNwGHSDwtDAMYFQ8MDDAeSCoqUScDAwMMAxgGGCEDCQMDBihUKiEYAwbQAwYDc3gMCQMJCQNCeEAPHgkGBhISAxgGKiEtJFQtJBsVAw8hSypBDCEnBgwPFRIPCTkqGBgDAw8MfDY5bzZmMxiNVAkSBgMVFQwSDHl4KgMzBgMJEhgJDz8VPDMDDxgSBgkDBmMSbxIPAwMYNh4bEg8DAAAAAgDE/+QC/QMZAGEAggAKtGdcE14BKwAwMQUmJzUnNSMvATczNjcXNz4BNz4BNSYnJgcGDwQjByMnByMnIy8EIyc1PgE3MzUzFxUXFhcHDgEHMzY3MhYXFh8BFhcUBwYPBCMVDwQjFQ8CFQc1IwYTLwQVIyYnNSMnIy8BJic3HgEfAxYfAiYVFxUB0CMfDgkUAgoGJy4IAitJHg8WCB8+TDgvBBUXAwUGBg4CBgMQBgYFDgMIFCE2GRAMMBAGCAoGHQoOLC9CczIUCwoaAxcCBggDCAQKDAsGDgIPGQIaEwYtexADCAYUAxkeBkYJDAgCCwUnRh8OERQXBAoCGQkcBQ8HAwwODwwIBwIHAiAdID0lJRoZBwgYCA4IBw8PBQgJAwwCDQ4jS59OBRgFChsbAi5YLwcDHSMRFg4lLDMoDA4DEQUODQkFDQQIBQkFAwcFBw4CWwUKAggCBxYWBU4MAxoZAgkqGA0YDBEWAxMFFgMFAAAAAgDz/7ADAALoAB0APQAPsxw3AAArALM6ZjIAKzAxBTU3NhI3LwE3FhcWBw4BByMOAQcjFQcVIw8DFQMvBTY3IzU3FzUzFzcXBxcHMzcVBgcXIycjBicBWjxZdzARCSsmHhUIDTwnCA0zIgwOCBEmBS88HQ4UBQ0RCRUJERYaKwwJCQUJCUwvEQUJBAkEFlAEOa4BbrkPEwQID0RLX7VXOWIxCAcIGhMIBwgBzQ8MEw8DZlRLDAMHBwcEIhtTSCoIOUQSBw8EAAACAIX/qgOJAtoAQQBKAAMAMDEFJi8CNzM1NhceARc+ATcnJgcOAQcnPwE1PgE3MzUzPwEzNyMHLwEjJz4BNx8BMxUHBg8CMzYzFhcWBw4BBw4BNzUmDwIfATYBzkU0WgxRCEFOOGoxLUEEDTRJi+d6IQgxKVklCAgIIQhJDIIVBAgURY5FOQQIKAgZDCAMPUVlViwEEF1FOYJRUWo5CAwxZVIMKGItVQgdBAkgGDx+TiAlCB2eRV0QHQgcOSUIDCVhFAwMJQgQCCAMCB0cFQQ1EQ00RVpls1ElGLYRNQUwHRAIBAACAC3/7QPkAsMAUABXAAMAMDEFLwE3Iw8BIy8BNT4BNyMPAic+ATcXNjcnMxcWFQcXBxc+AT8BMxUfAw8BDgEXHgEXFhcHLgEnLgE1NDY3Iw4BBxUGDwEGHwEVFA8BIxUDPwEjBgczAUEzBAsHZjYPIBYkSSQHIQMhJDZmMxISBwMVFhoEBAQOWK5XGQ8kBBIEDxYgEgMHQi8vOi8+bS8oKB0TCzNpNyEgCAoDBA8LCm0kBAQkDwsTN0yDbTMzCxVJkUkSCwQ6CywSB0VIEhIvOlsdDgQvWyseCBILCw4WB0WZUDplLCgLBwc6LyxmOjZmMyQ+HQgOEgsSFgTPLysLCAFzGUkvNwACAJ7/ugN9AwoAqACwABlAEKEXpACbEp0ArhgIAK4VBQArKysrADAxBTUmJwcnNSM3NSM1NzU/ASM+ATc+AT8BJicuAQcOAQcVBxUOAQ8BFSMnJiczNSc/AjU/AzU/AiMiBycVIy8FPgE3HwIHFyM1Iw8JBgcVMzY3MhYfARYfAhUzFTMXBxcGFSMVFwcjFgcjFQ8CFTMPAjMHMyMPARUjBxUPASMVIxUXBxUPATMVBxUjNSMHIxUHMzUjBy8BNzM3IwcVFwHJGhoNCA0KAhcXAwNBgDkdNBIPBSciUC88aDYTHz4dDQUSDRICAgUfKicaIVQfAiUVMS0aBRcDDQUIB1OmVhwgAgUDAwgFCBISDRIdEhgCGiIIPD4+ay8CFRAaBwYFBQMICAUFBwYDCAgKDQ8HBRUCAg8IAwMaBQ0PAxANAxAuAwgiEggDDR8IDSIkMgMFAwUNBUYDCAUDAwgCCAUNCwUIEjEqGj4iUS4iGhIFBTEVBQMFECcVDQoNJCIFDRAQNAUiHCI8BRoIJBAGAwoIBRMCGhAaCBgVDQ0KBQgSFRIIEhUUCwcgCgoPBSQiCAUSMQMNFRIIFxAVBxASEg0VBSUCCAgKCAgKCAUFDQMIBQgFCgYFCgMKBQULBQgICAMQBQ0IBQgAAAACADoAHQPoAusA1QDbADVAFMkFywA3DEAANwU+ADwCOgDZBQIAKysrKysAQBEBB9oAmAiWAJgPlABTPwhVASsrKyswMSU3IzUnPwM1PgE3PgE3Ji8CJicHJwcnBgcnFQYHFQ8FIwcGFR4BFwcVFwcXDwEVJgcVFzM1MxUHNSM1IzUnJj8BJzcnIw8BDgEHIw8BIyczNS8BNSc1JyYnPgE3IwYPASMnFSMnFSMvAjc+ATcXNyYnMxceARcHFzM+ARcWHwEWFzUnMxcVMx8DFQczFTMVIxUXFhcHFyMVMwYPARcVDwEGFyMVMxUPAiMHIwczFQ8DIw8DNSMVBxUHJwcVIzU3Iw8GNycjBxUzApoFBQUbCBQKJVUUDw8FAyMPChkgFC0MKzkvCislEQUKCgoDBQUPCAoKCAoFBQIIDwoDCgIUBxwHIAoCAgIHBRcHKDwZCgIIBQICFhQIBwUFJVAqBRQPAgceCAwFAwoFAy9VMhsDAwUIExwMBQIFBUamYj43BRkZAwM2CAIFAwUFBwoKDw8DBQUIAwMMCgcCBQ0DBQIKBQcFAwoCAgwCDQoFAgoDFgUZHAoRBQ8REgIXAgoFCA8CCgoWHQoKBTkDGwMHHjkwKFQtKh4KChICAgUFAgUZAwUSGwUICQMPAggHDRE6dTYFBRwKGQ8CAwMIBQcFBQMPCg0FGSg0GQdQGQIwZjcRCAgFBRYFAwoCEg9UrFUFEgUIBQwCGwgeDA8yBQ8qKCYNFkEgCklBRgoFFwcKDAUCNwUHAwoCAwoHCAUFJy0KCgooKBQCAwUMChIHAwUUCQoNAgUIBQ8HAwcNAwUIBQUDBQgFDQgFBwgCCAkTCgINAAAAAAMASv+1A24C9ABIAFIAWQAJALNNPwgAKzAxBS8BIy8BNjc2MxYXNjc2NzQnJg8BDgEHIw8BBgcvASYnPwEzNT4BPwEjBiMvAT4BNx8BMxUPATYWHwEzFgcOAQ8FFQ4BNzY/ASYjBg8BFyU3IwYPATMB20gPByUHDyBKYlhJMBIWAyRNXD0hYzYHEx4vOjMTIBMaLAdNqFd1OkZUIAdIpUxJBAclZUV4LAMIGgQLMxkWCA4EKC9yBEU3AzNFRTcPV/76dQhMOwoKSyUdJRw7LzgLMCEzNDsoGRYICjtbJRkbJAMWESUsNDIIMzQWqCEWISAIGiwPDxadByA7D0FKNmMwCwsIChIHIiVyEzMLIAMsSgb/YBZCFgACACz/jQPbAx0AkQCdAAMAMDEXNSc3Nj8CIwcvATUnJic3Nj8CPgEXFh8CNzY/ASYjDgEPAhUjJi8CPwE+AT8BNjcjDgEHFSMvAiY3PgE3HwEHJg8BIw8CIxUHFQczNxYfAhYHBgcjDwQjBwYPAiMVMzYXFh8BMz4BFxYXFhUHIyc1JyYnJgcGDwMjJyMmNSYHBg8BDgETNj8BIw4BBwYVFjdZIgpOQQcUFBEmKRERAwoKFRgGMHRAKRsHCjApGwM9R1yqSwcRAxUNBwQLA0FmOkAzJg4sVTAKEQMYDgRVt2AiBgMbFQMHDQsDBxFODmJBLAMOEQcNHAYwChEbOgoELCYDFAcNMz4sHwoKPY9SUT4bBxsYChstJTBVRAMRSAoYBhUYIkc9BylYnB8bOjAzYyUON0BzB0QYGz4KGwMKLwcKFRgDGxUNCiYYBAMbDgMzLDMiGxtVQREDBCkpBBEGCxdmKSwYMA4pCgoHChsRGB8eBxsfBgMRDhQECgcGB0sDAzAKDSItLylEBBcRMAoRGwcRBxQDBx4OLCkHDTobIyURBwcsGw4EAzMHETYoHykOBBswChssARMKFVUHFCkRFRQDAAEA0v/aA5UDLACYABqzhB2CACsAQAyLA4kAixaGAEgTRAArKyswMQU1IwcnBzUjBycHJicHJi8BIycmNzY/BicHFSMvATUjJzcjBgcnNSMmJzcXPwEzNzMfAQ4BBzM+ATMfAiMVFzMVBzMjBw4BBwYHFhc1PgE3NT4BNxcVByMnDgEHFRcVHwMHFSMHIxUjJxUjLwIHDgEVHwEzFjc+AR8BNTMVBzMVBzMVIxUPASMHNSMHIycHJwLKGhcUMQkWHRdCPAgmHQIFCSMGEhkJFBYYCBQwEgIJDwUPOg4sKhIJFAIOFbE8BRoJDA0HIwYIN208MwQJCQIHBwcJBlCmVCgLMC4gOSIjRSUfHwkULl8qKAsLDQsUBAIFBhICGzAUNB8uDyWMJigwXjVDHQIGBAYUCAMJAg0CCQkZGiYFAwMDBQIJAwMKAw4dCQgjNCsmAyMfDgwaBwUGEAkRO1kFDgQKKS4DCRyKNAUkI0EnCxYTCgQFCgkKDhMcCjlFDBoHDC8KBwwcCCQaIQ4WLBsLKQUFFQQgBAoJAgICE0IFISRMLQ4ICQQFBQIMCQkHBQ4DDgUQBQUIAwMDAAAAAAQASf/AA60C8gCRAJgAnQCjACRAFGcVbgBgEWUARDc/ABoDGAAFBgcAKysrKysAs049SgArMDEXLwEjByMVIzUvAzUnNSc1NzM2Ej8BMzUzFRcWFw4BByMHIxQHNh8BFRceAR8BFRY3Njc2NzM/ATM/ATM/ATQ/ARczFTMVBzMVMx8BByMGBzM3FQYPAiMHBgcVDwIVDwE1MzUjFTMVIycHJzUjByYvAjUnNSMvATUjNScuAS8BDwIVDwMjDgEPARUlNTcjBhUzNzU3Iwc/ASYHFRe2CwMHAhAGCgoDDAsSDwU6lkMLCgMdHAINJw8FBgUHRTQVChAXGAoaIhoUIhoICgUGLgsFAxEOHgMIAwMFCwIFAwQNDgURERkgAgcDGh8LBRURBgYdDQYKBQ0FECQgAR0LCgoIBQ0kHRMmCAUHCwYhAwUfORUHAoAKBQ8KQwMFBiIDAw0LQAMVCQYPBQwPAwUDBgMJK68BTqwGAwMMICsyWi8UDgkGKRoSBitaJgMGDgIMHSwxGAhPCwkPDgMJDAgGEgsvBggmKRoROjIUBg8aCwwDDAUGAwkJCwsJAwMGAwYDDgkJAwMLDwMGCAMyejoGAxEDCQMJJghPplQGBrgDIhEaZggJEasDDAMGCQAAAAACACsCUAEwAzoADgAbAAMAMDETJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQeuKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PAlAeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAAAAgA8AlABMAMwABIAHgADADAxEyYvBDUzNz4BHwEWFQcjByc2NzYnJgcGDwEXM9UtJwYjFwUCDB9FLDgeOgUDQyEZFAYOEycfCBwIAlADEg0sLgQCHCAiAyIsO0gJTgYcEx8QBgofHBwAAAAAAQCv/5ADLwJhADcACbM1WgoAKwAwMQUnJic/AjMfATM1Jj8BIw4BByInPgE3NSMHJic1Mxc3Fz8BJzcfAQcVFzM3MhcWBwYvAQ4BFRcCN3MiDAUMBAQYJhENBAQMRohPGQhSplsVmTIUCAwRIbYEBBlOBBAEMUclGRAENT5PCAkEcGsxOhIECRpDETpDDRs5BBE2YSQkGxY1DgQEBBakDgQoFgUoRw4bDRsXBQRZtl1wAAAAAQE7/9cDewMWAB4AAwAwMQUmJyY3Eyc3NSczFzcfAQcXHgEXFRcVBiclBxcRFAcBujgrHAkTBBcFChMOPQ4EBGTKZA4rNP7EBQUXKQoqMEIBCAm0xg4FBS8hbYkJGA4JBRgcBSY+Bf70MCoAAQCgACADSgKxAB4AAwAwMSUnNT8BMz4BJyMOAQcvATcXPgE3HwEHFw4BDwMGAZEeHlEKUZAFIXTmbysTGGV34nlHFAUFD0hHDwpWUSAECBZVZd2DEBUaGjcEBAw0AyE3DThitkwEEj4rAAAAAgCY/9IDqAKiABgAIwADADAxBS8CNjMXNhI3Mz8BFw4BByMPAiMGBwYDIiYnJjUzHgEfAQF/TyAEGyESeOKGCU4OCQ1TMwkhEnMKIDw8EkqBOBcqPHg3Fy4qGxMOBYEBDIFcBS5PgTxBCaZAOBsB2zIvGyUcKSUzAAAAAAIAk//UA6ADSgBDAFoAAwAwMQUvAiM1NzU3FjM+ATcjDgEHLwE1PgE/AScjBxUjJzU3MxclNSc3JzcWHwE3HwEzFQcGIxUXMz4BNxcGBxUOAQcOAQcDJwcnNT4BNxcVHwEPAiMPAiMPAQYB6EMTRw0XESQtJB8TCj+UQzYkY71aBAQO3BI/Dg0fAQEGBgYhIwkRTTYECQ06SQYRRIpJDRMfQ3U+DTI6mSQEDkN/SzYNBg4tCQkJFgUIBhFDLCMPTRoDCAMSPIBAGRISFRoKDicZLhkqCCsNCwYxDhkdJwYqMgMNCgsDDhk8ChEZCyAVBQYLJBFu1WMCfgcEBAc5fC4gBwMZDxURCwoLCw4rAAAABQBo/7EDuwNEABIAGAAhAIIAiQAVtB8WUQEBKwC3hTNeAA5GFwArKzAxBSY0Jzc+ATcfAQcXBg8BIycHIzcvAQcVMzc1NyMGBycVFyUiLwE/AT4BPwEjByYnPwIjDwEnNS8BNzM1Mxc/ASMOAQcGJyYvAT4BPwEjDwEvAjM1Mxc/ASc3MxYXMzcXFgczNjcXFQYHJwYHBg8BJwcfAQ8CMz4BMx8BBi8BDgETNTcjDwEzAZYqERE9iUEiBQgIRVIFDDgJEq0MG2hBQgwJOD0RPf7SJxYEGgRFi0kEETAvGhZ5AwwjFRYWHQQNDCRRBQpEgkEIFiMZBVu2XwQOUSIWERoMCQ2gBQUNFRsDHzAvDQQRZGc8QUQjRjgMLB0fBT0JDTQNEUqOTj0DIi9wh/n+DR8aAwxPK3k3CxAIBwwToxQfBAwbD0IgAw8cUw8uFwgFIwVeHgwFCA8fBysPDyMQGC4bCAgHDCsIDAQXJxQyFxAEByAQIzoPOycUCA87CAQrDxRCKzIHEx8nFwgUCxMFBQ0eRz0JBTcTEQsTNgsUFxQXAwQMNwG5CDIEPgABAFf/xQPBAzEAWwADADAxBS4BJy4BJyMPASMvAzczFz8BIwYPASM1LwE2NzYnIwc1PwI+ATczHwEPAhUXBzM3FhcVBg8BMzcXNxcVMxUHIw8BJwcGFRcHFhceATM3MzY/ARYPARcHBgLzaspKIAQFDI0FFR8IFwQEGhLgEhYsLAQSFS1pawwFPSMbDCQsbjAJRQUjUBkEDRs5Kx9PVBIbcj4VJAUJCQUwkDUbBQUFHzyOSzwJJCwQFwkFCRJTMAQaQDF4PR8HEhsIDxYENVoPBwgIBz0LHhoeBAcXCxMqRyYqFhM8BAsMRgYGFxQVD18LBwQiBwgMCwsHD1ZiFg8bEhoFeD00BD9IXhchIgAAAAQAOv+FA5QDPQBlAGwAcwC1AAmzY1QDACsAMDEFJy4BNTcnDgEHLwE+AT8BJxUjLwE2NzUjBy8BMzUzFz8BIw4BBy8BPgE/ASMHLwE3Mxc/AjMfAjcXNxUfATM3Nh8BDwEmBwYHBgcjJwYXFhc3HwEGIwczNhc2HwEPAScHBhQHEzcnIw8BFz8BJw8BFzMlJzU+ATc2NSc3HwEHMzY3FzY3Jz8BMx8CNjIzFxUzFQYHBgcGByc/AicGDwEvAiMHFRcPAScmLwEPBQHlEQgFBTIycjYtCUyiTwUqGSoNO0MJSx0FDggyLgQIWKxcGQNcv2UECFAUGgwJNzoEDQwvAw4yNhQqDSUWMioMESEdJi4hHjYiHA4FHSEODxEuPggZR0tcRw0RQ6dgBR1gBQUMLwM6JgNKEQUFDP4wKio3IR0DIEMFCQlDSyodBAQNAw4pDCo2dTsWCEtRFC8lMiENCDpCFiUZBQwFCDINGRENIgMeHQUUCCIdewssXS8eBBYTCA8bEh0MGQQHFhUTAyIEDxYLBA8iDykIDxMhLBMaGgs7DAUMVAshLwUFBQUIEx0EAxYeEgcSAwQaMyUDEhoIAwMDHh0eDAQEIhIPBA8PO3IwAc0EIQgdA3kPBAcPDzsLBylcLC03CwgbEkISBAwlMQcDDCIsAwoOCAoTCC8pHgMZBAtHByISBA8EGRYPMzcDDh0lBAQLBBIhFgAAAAMBmP/WAkEDCwAVAGgAbQBCQBBUUEknVx8DZFpeGQEMYwQAKysrAEAgWQ1WAFkcUgBZLE8AWWhKAEMIPwA6CjcAOgM1ADMIMQArKysrKysrKzAxBS8BPwE1NzMXNxc3FxUzFwcXByMVBhMvATM1Jz4BNyM1Nyc3HwMUHwI1JyMVIxUzFSMHMzczFQcjBzMVBzM3FQcjJxUzFQYVMxUHFwczFQczNxUHMxUHIxUzFQcXFQcXBzMVBycHNzU3IwcBwyYFBQoKDSYKBwgNBQIFBRcHFwUcAgIHCg8CBQgDCBwcCggKBQICBQUFBQMFBQMDBQICAgUMCgIIBQcFAwMKBQgFAwUHAggDAwUCBQ0FCAoFFAMFCCocMA8ICAoKAgICCgUPEhIXBwoBGRQLB0xUp1YPPQgCFhcfAhQSAxQKBRcMCBkHBQURCAoZBxoDEgoSEgUMCCMDDQMFDQcGDBwNAggIDw8FBQIHwAYMEgABApn/+gO3Az0AIwADADAxBS4BJy4BNz4BPwE1Mz8CNjcXFQYPAQYHDgEHHgEfARUfAQcDnDJgKyUhAwovGgoHGxAEJy8hFBoENSgQFAQEKxtCFyUNBhhHMjaES0uOQgkMMhASHQwiHBkNCTVGO31COlwtQwgWMgsAAAAAAQA1//IBUwM1ACMAAwAwMRcjJz8BNTc+ATcuAScmLwEmJzU3Fh8DMxUXHgEXFgYHDgFQDg0lF0IbKwQEFBAoNQQaFCEvJwQQGwcKGi8KAyElK2AOCzIWCEMtXDpCfTtGNQkNGRwiDB0SEDIMCUKOS0uENjJHAAAAAgFl/6sDHwMTABAAdQAOALcnPE4ANgdAACsrMDEFJicmNzY/ARYXFRcWDwIVAycjNSc1JyY3PgE/BDY3NjUmJyYjBwYPARYXDwEVBy8DIxUjJyMvAjcXMzUvASMnJj8BJzY3PgEzHgEfATMfARUzFhcHFwcXBg8BFSMVDwEGDwEjDwMOAQcXDwEnAekjGQ8FChQKIysMCgIIDA8DBxIMFAUCGSERAxsDLSgZCCgqNS0REgoFDQgHCg0CFBIFAgUKAwUCBw8ICggFBQcCAwMXGyNOLTJaKgUFBQcFEgUDAwMDBQ8KBQoDHSECCgUhAhIPDwICBSMPVQIZFxseGQMSAgUIFh4UAwUBDggHBQUFGSMyXCYKBQ8FChkWITcoHhQUFDwhGw0CBQoFBwohAwgHAwwDFwgCFw8FCgcNJSMXHgowIA0PAgUcIAgKDwcZFwcFDQIIFA8FBw0HCCVQKg0PBwUAAAABAA7/5wPfArwAOQADADAxBS8DJgInMxc3Fx4BFwcXPgE/ARYXHgEfAT4BNyc2HwIGAgcXByMmJy4BLwEOAQcjFSMGDwEGBwEAHQsSIARzIQsLC1MyRQoDGStQHSckISdTJAsoaBoIFh06Cj1WNgMHISchMkEzCho9CwcHDxIKFh0ZCw8KJa0BOaYDAz1avGgLB0GFSAsLEkyXTwRhuGlPEgMaHYn+55AOGgskU7hTBD5zQQcvLwQnKAAAAAIA/v/YAugCFgA4AEkAAwAwMQUuAScmJz4BNzYXFhcVMz4BLwEmJwYPBC8BNjc2Fx4BFxYPARcGBxYfAgcmLwEPASMPARUGJz4BNzUuAQcGDwEjBgcXFhcBvSlQJA8TDy8bM0Y8MwsLCAMQKzgqJBsYBRgjDh4+NkMlQB0wBwMDCBMbNhIIKyAbIikOBBAVHBAbNg4cQCgeFQMFKwIENj4hEScjLSwkPh4nCggsByhNLCEvAw4bJx0ZCBokRSAYBgUrHThRCg4+OT4zCRQDCB4tPA8dDwYYaxs5IxMdHgMJHAUzRAweAwACAPD/zwLKAf4AIwAwAAMAMDEFLgEnJic/AT4BNzYzHgEXFg8BBi8BBycGHwEWNzY3FwcGBycDNyYvAQ8CBgceATMCHEp+NC0DCwsLNykaJj53NDALEzNDFlVsFwQlR2BZTgQXISkLFggTKSkdBDQhCC1cMTEJNz9AU0sHNFsoFBAsKztYGx0FBAQMJCtENwgTNDssHAwFATREMxwPDwgoKDMICAAAAAACAVr/3gKyAw8AFAAqAAmzDh0RACsAMDEFJyY3PgE3MxYfAQcTIycVByc1IxUDJicmJzM1MzUnNxcVFzc2HwEVBgcGAd5EDwUKGAoiNx0FBQoKFBMKDwUsIywYCRQPLTFKLCwyGE8xHSJJNztAgEAUMUAP/uIFCgQEBQkCOxMeMTsKCicFFAkPNg8FFBRTXh0AAAAAAQGq/9wCOwMPABMAAwAwMQUvAT4BLwE3NTcnNx8BBxYSFwcVAftICQkNBQQECQ0iLwUFDR4IHSREXkB8RGIEq1UnBB4RJrT+mrMECQAAAAABAOn/8QLvAjQALQAJsxdOIQArADAxBS8DNicmNCc3HwEzPgE3NjMWHwIWFQYUDwEnJjc+ATUvAQYPAiMOAQcXAUYjLQQJIAoGChYuDAcWPSQ6RD0wAyAkCQsqDCoGAx1KIyYkBgoGJFAHAw8WPg0WUGo5eDUEEo0wVR8jFzUNHzBDT6RPCQ5GYjlqOWIEDhoSF1y6biMAAAMAWv/RA5YC+wBmAHAAdwAJALNtA2sAKzAxBSc1LwUjNS8CMzUnFSMHIxUHFQ4BBxUGByc1IycjLwI3MzczNj8BNjcvBTczFzY3Mxc+AT8FFx4BFx4BFzcfBAcGDwEOAQ8BHgEXMxYXBxcjJxUjJxUlNycjBzMVIxUzAzcnNScVFwL9LwsFIAUVMAVFFwsICggDCBAqVy0iKyIIBQgDHwMNBgIDAxIIGhglJxYIBQoKBQswMowXGzwgIgYFEiUwHQoOIkUfGw0CExAKAh0bAiA9HQIaGAUDCA8CAg0IChD97QMKBgICAgU1AwgNDy8fCAYNEBANLQUdFQMFBQIICAYFFSoNBhcGEAUICBMQLBAjGgM6OholHQ0DMhMDCggCJ1AkIwgQDwMSPYlCBgoLBgYKCBMXCAYNCBAiFQsqXzI9OggIAwUFBZsLCwsDDQE6CAMIAgUSAAAAAgBnAA0DzwL7AGcArQAJs4MGhQArADAxJS4BLwEmLwEjDwEGBxUjFSMVFyMHIw8CBgcnNSYnJjc+ATcmJwY1Jic/ARc3HgEXNz4BPwMfAhUzFx4BHwE2HwE1Mx8BMxUHBg8DIxUHFQ8CFQcVBgcWHwEeAR8CByMnJT8CPgE3HwE3HgEXFRc3LgE/AT4BPwIjBiMVIzUmLwEHJy4BLwEHIwcjBg8BBg8BFSMHIycuAScHFRYfARUfAQ4BBxcDPUKPRAgVEAILCgMvKgoIAwgKCAgSAycyEiUfDQIOMRUyHA0VBQcdCB0kTCUvFzQNFQgaLwYFBRUdMRU3NDcYD0QDBQUgHAYXCAUNPAUQGh0SDxgIGjcVBwYICA39xg4aBSpZLAMNCic8JTQFHCoCECpJIgMVKBwiBhoVDQUKIicqCAsFAgYKCAgSCAgNBQ0DKVktPhUnQRUICyQLAw0qNyUKAxIIBQgNGggDBQoOFAYIFwUFBQsVDxVBeT4tNAMNLTQSDQIFCAIGDSVGKggLAg8LAwUaLF4vAwgDAgcfCgYKDRUKBg0KAwUnDQUGCgULFSQiBSVHJwIdCANgEA0IHSQVEAUNBS8IBQ0NJUsyEg0yHQUXCgUCAw0VCAUqYScDEw0VFQIqLwMKFQgQDQUFCC0nLwULEjdrNwIABABJ/8ADrQMoAOwBCAEOARQAXrFYBrgBD0AOAH1sjwCIJIsAzME7JwErKysrALFpE7gBE0ARAJI9mgB5G2sAZhRhAGYQXwC4ARGyAlIAuAERQAsGUABXN0wASgdIALgBEbJVRQArKysrKysrKysrMDEFJic1IwcuAScuATc2PwQ2NzY3FzcfAzMVHwEVHwMzPgE1Jic3Jj8BJzY3JzMWFxUXFRcVHgEfARUzHwEVHwEzFxUzFSMVMxcPATMVMzcVIxUjFQcVFzcVBzM1MyMVFwcjNTcjFTM1FQ8BMzc1FQcVBzM3IwczBxUzNxUnBxUjJyMHFQcnNScjBzUjNyMHNSMHJzY3Mz8BNicmLwE1Iwc1JwcnNSMVIyYHNSMVIy8EJi8BIxUXBxcjFTMXBxcHFxUHFwYVIxUXBxYXIycHIycHFyMVHwEHIwcXDwIjFRcGBycjJzY1IwcOASMmJyYnJj8BIwcXBx4BHwEVHgE3NgM3JgcVFyU1NyMHMwFWJiUEByZEHB8SBQQYBwQWLBgdIyQGCTAJFg0FFAgQAhQNBwQFCQICCQICAgkLAgQQDyEWQos5EgQHBgsFBAUEAgQCBA0CCQsFDQ8JCAIHAgICAgcCGAsNAgYJCQQHBAICCBoNEAMnAwILBhkLDREHBAQHGgkGBRIfBgIhEgIFIw8FDQ0LCQYLAw8NEgIJBBQCGRMDCAYCBAQEAwUFAwcEAgkCCQMJAgINBwQLAgYIBgICBAICFAkJAgIeJAIPHR0HCxY5HSolFg0UBgUFCwMDAxwWBRxHJxYpAgkPEwJECBECBEACCQQCDyohJmE1KSQCDxY3FBILCQMDEAkGDQULCQQJBw8PHD4fGh8NMzkFKTUzFgQHBRoEEAQbLDISBBQCBQYOEQkHBBINCwQCBwQEBwQFBwUIBAQLBQkHCwIFBgcCAwUCBAcCBgUHAwMDCQUFAgUEBAUGAgcJBQcCCx4UBxEWHSwhBwYCBQYCBAcCDQIEBAYDBgIJCQ0HED8QKAYdCQYJEgYUCQ8WJmELLC4CDwYPBwgDDwcYD0IFEQUIFw0FQBglDxQHCRYWHSw3Hy4OLBwxFgIEFg4DAgFVAgkCBQZ1BAcOAAABAk4BCgPZA08AGAADADAxAScmPwEzNSc3Mxc3NhcWDwMGLwEVFwYCtR9ICBoPAwMUNGtXQQ8ECxAERE9JEBABCg58u7QOIg4OFQdFFSMiBw4wDg0NrW8AAQAl/6kBsAHuABgAAwAwMQEXFg8BIxUXByMnBwYnJj8DNh8BNSc2AUkfSAgaDwMDFDRrV0EPBAsQBERPSRAQAe4OfLu0DiIODhUHRRUjIgcOMA4NDa1vAAcAlP/qA00DAgAvAKYAsgDBAMYBGAEcAIy4AROwC7gBGbIA/jm4AQawALgBG7IFzgC4ARWyFswAuAEVtAvJAI0IuAEBQBuQBMQpigDEEPmGBHpKggB6A3wAmW0/AJ8xPAArKysrKysrKysrKysAuQEHAQJAJWLuAd0F3wCFRW/IAYVFBcUBnhmbAGIpZgBiGWQASgNMADEFMwArKysrKysrKyswMQUnIwcuAS8BJic3FzcfATMXHgE3FjY3FxUHIxUjDwQVByMnFQcVBxUOASMnFTcnIzUzNScVMxUHLwE1JyY1NycjBycjByMHNSM1MzUjDwE1IxUGBxUjJxUjJyMvBCMnMzUzFz4BNxc+ATMyFxUXFQcfAQ8BJxUjNSMHJwYHNScGIzUjDwE1IwcVIzM1Jw8BFwcXBxcVBzMXByMVMxUHFw8BNy8CNTMmNxYfAQcFJzUvAT8DFzcWHwEHJScjFTMlJzM1LwE1MzUzNyMHLwE3IzM1IzUnNSM1MzUvATc1JzU3FxY3PgE3Mh8BBhcjFRcHNSM1IxUXBxUnBzUjBzUzNSMVBzUzNScHIg8BFxUHFSMWNzUnFQHjGw4CJ0khMSMODg0RKxMGGyNVMVqWTwgGAgYNEQUcEAsFCB4cJkkpCB4GBQMOAwYFER4KGAMLCAIOAwgIBgMIBQkIKS4IEwMOCgYWDRkFBggLAytix2UIJEkmIR4WCQMICBYKAw4NDhAODhsjCAYLCBAOBg4jAwUCAggGAwUDAxYOCAMDC7YKFhEJBhYeIwYI/k9PCQICEwkVCwkbFgITAWgDCwv/AAMGAwgDAgMFFggJAxYGAxAICAYYExERAxMbK1IsMykIAgsGBgMICAIWCBUWCwULFQgRCiceAggQBgMIExYIAwYWFSw2PwMDBRArJCEYBQJJGwIIDggTCAscAgYLAwUJCgMGBRACBdQOBQYFBQMDDgUODhshmwgFCAgJBgMFDgIFAw0DCAgDEQgFERAIGRAIDRELAwsFDQ4DAhEICBsJAwUFAwMFBgYCFQsLAwgDBQUDEAgkHghnAwYVEwYIAwsCCQJUBiALCCkZEwYrJAgmBgIWBgUhAgUDAw45I8QFCGgCBgUDDgILAxwFCAkIAgYFCwsZAggDAwULEAMDDQMWBQ4FCRAIAwINBgIJAwMGCwMIBgoCBgIKDgsDBQYNCyEFCAsAAAIBAf/BA0YBtwAiAD0AAwAwMQUvAiYnJi8CNj8CNhcWFxYVMzYzFhcWBwYPARUOAQ8BPwE+ATcnBg8EJzU3JicGBwYXFh8BFh8BAckbEBMYFBcnCBgEJwwQHy8/LyAIQlozKCMIGzdqJ1srBCRGK3IjLzMvBD4UFDobGB8fFBsHBBAIEygMPysIEwgQS0IEaj8vBBAbCA8sGys3CCcgLzMbOwgfMxwnbis7WjsICBgIRj8EOwyhEwQIGyMwJx8EU04EAAAEAGn/pgNyA0YA1gD1APsBCgA0AEAm3TLgANJUzwDSXswAoAOeAMSYB5UBxJgckAH4A40AiT1+AIlldgArKysrKysrKyswMQUnNQYnNRc1JicjDwEGLwU1Ji8BNzM3JzY/ATUzNj8BMz8BMzc+ATc+ATcnDgEHJwcvAzMWMz4BNz4BNyc3HwEGBzM+AR8BMxUHFTMVBxUXDwEOAQcOAQcXBzM+ATc2PwE1MxYXFg8BHgEfARUzFxUHMx8BFSMVIxUzFxUHMxUHMxUHFSMVIxUzNxUzNxUPATM1ByM1IwcjFTMVIxUPARUzFQ8JNzUjNSMHNT4BNzYnIyYvAQ4BByMPBjMVBzMXByMPARcnPwE1JzQ3Iyc3MzUjNTcnNyMHIxUPAgYHHwM2JTU3IxUXJT4BNyMGDwEXBzMXBx8BAakFDAoFGQ0IFAo1RA8FDRQKFA8DBQUDAwMRCAUFDQoHAxQFDxk6HwUHCAokRCMPCAURIQgaDxQwYi4HHgoFJBQFDwoKNWc9DAoKDQgDDQw4bzoMCgMDAwUeQiEUIQwFDwoVBRozWysMBQgDCgMFAwIHCAMDAwMNCgUIBwUFBQcHBQUHBQUKBQgKBRIFNQoWAw8DFhIFAggNIT0MAx4FHyYeETUaBQ8HHAgUBwMDBQcFBQUCCwOGBSYCBwUFAwUIAwMDBRUFIAUuGQgKBgUZHgJbAgcC/lQeMBEKNSsFAwUFAgULAloCCgIHAwMFFx4HEh4CCwcIIAYHBQ8KEg8SKCMDChIMCgsUFBkoEi1ZKwIRJAwCAgcIISgKDyEWNWMyFwUKXTM1DyQDFAMCBQUDBwUFDQoUCCNOJgMWDxQHOjUDBQMKERw6CjAhDwUKCggKAhIFBQgHDQUNBwUDBQcCDAICAxIDCgwPBwMHAwcNBQMMMAMMCAcFCBcDBQIHAj1+RzcrHhIFPXY6HAIrAx4FDwMHJDAPBQKACCEUAhoULQUNCg0ZBxQFFwcwNT0PAggCB44CDxEDCDBpNREmJhIRLhYDCgACABz/igPfAsUAOwB4AAMAMDEFLwIHJzUmJzUnLgEnLgE1PgE/ATU+ATceARceARUzNzM3PgE3FhcWDwEjDwMGByMVDwEjDgEPASYnPgE3Mz8CMzc2PwEnJgcOAQ8BIwcOAQcXBy8ENyYnJicmBgcGBx4BHwEeARcVHwMVMxUfARUXAfgTAggQCDstCEWYNQ0YAh4aRSBLKCpNIyAFBiUFLTt/SzorKwYSBhUdGxo2KgU2OgYaNRAQDh04nXAFCAgDBRMnGwMgIyowVSYfBgUjMhUCGBUQAwoGDgMTIig7XyslAwg1NgUgRSMKAwgoBQgTIHYQCAMDAwULKAUFU5pbKlsvI0AaLgUVGwICEBgwdT0oMis4BQgrL0NAKB0aGCMwBS1GLVUwEgJYcshFDQMIGCgyIyoYAgsqIyAIJVUrCgsNDggHFsU9NRgFAzUoLTtKgzgCJj8mBQULAycGBQUQBhAAAAIAXf/lA4UCyQAhAC4AAwAwMQUnNScuAT8BJzMfAwcWDwEUFhczNzU/AhUGByMOAQcBJyY0JzcfAh4BBwYBFBk9NSwIEAQhKAwRDAwQBAQYFA1ZJQg9CBUIDEUQAhAlICUZKAQRGBwEBBsQCBlp8ILHERkQCBUoSVIUVZ9JPQgZDDENLCk1VTEBIRRBmj0EFAwMNXJBGAAABQBF/68C+wH9ABIAHAApADQAPAADADAxFyYnJjc2PwEXNxcWHwEGHwEHBic/AS8BBh8BFjclJg8BJzY3FxUWFxUHJSc1PwEVMxcPAQYnJj8CHwEH5Uo2IAQSLkUtJRcuKQQNBAkXQEkODg5OIAkTGyUB2yQqSRdAZSUSBBb+9gkgUwkJKQ4bwCAJJCUpCUBRFzcgLTwyIBsECSUpGxwgEiQuRAVSFxwlNyAXBa4SBQQSUgUlCQQTEheOBBcuMgkgLg0cQCAuNw4cIFcAAgDs/8MDFAMdAJEAsAAUQAyFAoMAfQN/AFkIYAArKysAMDEFJzcnPgE/AT4BNyYnJgcGDwIVDwQjFSMnByYjFTMjLwIzNSc1NzY/AT4BFzIWHwIVHwIVHwEVMxUzFyMVMxUXBzMXDgEHIwcjDwEGBzMVBwYPARUzBxUHMzc1MzczNyMHMxUHFQcGJxUXBxUzFQ8BIw8EIxUjNSMHFzUzFQ8CFQcGJw8DEy4BLwMzNxc3HgEXFSMVFzcXBxUHFRcPASMVBxcBnAICBREmGwgwXw8HFyY2KSMKEg8EDxkVCgcKCAoPAgQNGQgGCwU4LAgqYjgoRiECDA0CCggPCAUEAggFAwUIBRAPBAgFAgwEBAgLBQ8HAhIHAg0FAwUKBg8DBwgDDgIPEQwNBAYWCgYJBQMEDQcCBxIsEgUKAw4IEX0mUSoCGQoIBBEGLF4qBQsJBQ4QCg0CAgYIPQIHDidMIwVQpFweGh4HCRMHCwwHCw4MFAMDAwkGEgsTCQIHBxAjDBkeAhESBwIFBAcDBAULDgcTBwsHCSAhPBsaCwMJBwcCHBkCCgkEAwcMCR4MAgUJAg4CBgcDBwIFCw4XAgcMCwQNAwMFCQMlBAUHAwoECQoC1RIjBg4MKQUCAg4eFQcEBQkGAwICBQcFCQQHCQAAAAIAkv+3A48C0QBNAFgADgC3PUczAEU3LQArKzAxFycmJz8BMzU/ATU3MzU+ATcjBi8DNTYfAT4BPwEzHwEGByMPAgYHIw8BFTIXFhceATM2NxUPARUPAQYjJwcmJy4BJyMPBAYHASYnJic3HgEfAQfJHRAKND0HEBoKBiprKjQzSCAQBwcTDUSYSAMQOgcTFwcQFzAkGgYaCjcqGiorVzE3NBENJgoxNwoJVT0hHQkULTcUA0EqIAFAOi0dDQ0qVCQGCkkaHSRLQAcTGgcJCjdrOioEFhoDBxADAxYUEwchFhcQGho0GicqAw0dRD4QFwoXByMEBhANFwMDBjggTioqJxQJThokAp8KJx0nBgogGhcWAAMAJ//iA90DWgBRAFwAaQAJs2RRYAArADAxBS4BJyYnIzU2Nz4BPwEjBgcvATc1Mxc3PgE/ARcWDwEXMzcXNxcHIwcGBw4BBzMeARcWBwYPASMHDgEHLwI1PgE3NScjLwEHJwcOAQ8BIycGJz4BNyMPAxYXAS4BJzU2HwEVFhcWFwENLVcqIBEHGEYqWy0ZC0lNDhgOESeLBBgLDgctCgQEBz8fGQcLBwM4Lg4DBJA7aSotAw4VCwoLKlQtEQQKI1MqDgcjPkY4Kg4OEh8LChkmDgoHEWIKCx87SQKqKjsgCxguIxsgAx4VLh8qLg5QPxgjC7ISDQZDBwoKKjRmMQMDOE0gCgcEBCcODgMZLWIxAyMqQ1MjIAoOEhgECwoEDi1NIyMqGAcDAwpKmUYgBByMKl4tLRwETBwEAUUZSSYSDgQYBxIiHCoAAAAAAgAe/7QDoQLlADYASQADADAxBScmJzczPwEXPgE3Jg8BDgEPAScmNz4BNyMHBicmJz8BNjc+ATczHwEHNh8BMxcOAQ8CBgcnASYnLgEnMzUzFh8BFhcHIzUjFQFjLikDAwgICicpMQsaIi0eUzYpDw8DDC0XBzILHh8PPQNBSAsqDw8lEBNaQAwHCAw0JgsIExoEAgU4MS5LEwgHJRuyHgsTDwtMHCw8CBUECU2sWBAFCFScSBcLHCE0ZC8bGQkQJCQHLRM0YTQZK2gHNyE7aMlbBRAPBQUBpCA7QYxQEBAk6SArGQkQAAQAHv+0A9gDSgA2AEkAWABlAAMAMDEFJyYnNzM/ARc+ATcmDwEOAQ8BJyY3PgE3IwcGJyYnPwE2Nz4BNzMfAQc2HwEzFw4BDwIGBycBJicuASczNTMWHwEWFwcjNSMVAyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAWMuKQMDCAgKJykxCxoiLR5TNikPDwMMLRcHMgseHw89A0FICyoPDyUQE1pADAcIDDQmCwgTGgQCBTgxLksTCAclG7IeCxMPCx4rMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9MHCw8CBUECU2sWBAFCFScSBcLHCE0ZC8bGQkQJCQHLRM0YTQZK2gHNyE7aMlbBRAPBQUBpCA7QYxQEBAk6SArGQkQAQMeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAACALz/zAMmAyAAEABUAAMAMDEFLgEnNS8BNx8BHgEXFhcHBjcnByYjNTY/ASY3JwYjIi8BPwEzFjMFNScjByYvATc1Mxc3NSczFzcXFh8BNx8BDwEGBxUfATcXNxcVFw8BBg8BHgEXAhY7ajBFKh0WC1tRK1RcJShJNzsWHTMaBCILGVVfSUMTDwQWDxYBASwHohkTCwMLE5odBBIoFggbA3ovCwgESU45AnYOKQsLJQQ+SQgTKA80BCElBzdfAw4IMTAQGgssEu8OCw8HNBULNEIEFkooBAcPBxJuFgcTGRgIBCELSAQEEyARDBAeCBsHEwsOUiAvAw4DCANJCB0LDzdqNwAAAAAEALz/zAPoA04AEABUAGMAcAADADAxBS4BJzUvATcfAR4BFxYXBwY3JwcmIzU2PwEmNycGIyIvAT8BMxYzBTUnIwcmLwE3NTMXNzUnMxc3FxYfATcfAQ8BBgcVHwE3FzcXFRcPAQYPAR4BFxMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwIWO2owRSodFgtbUStUXCUoSTc7Fh0zGgQiCxlVX0lDEw8EFg8WAQEsB6IZEwsDCxOaHQQSKBYIGwN6LwsIBElOOQJ2DikLCyUEPkkIEygPrisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDzQEISUHN18DDggxMBAaCywS7w4LDwc0FQs0QgQWSigEBw8HEm4WBxMZGAgEIQtIBAQTIBEMEB4IGwcTCw5SIC8DDgMIA0kIHQsPN2o3AZ4eBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAEAp//YAwgDDAAwAAMAMDEFLgEnJjc2PwE1PgE3NTY3FhcVBxcHBg8BIw8FIw8DFQYPAR4BFx4BHwICxIjpdTcHAxdaUaJOGicnKgcKEBoXDQYKCglRCjQGDRQNGi0xAydeLTdvNycJKDS8VzRLGg0qBjR1PQogBx0QBw0dEA0aFBADE0gDNw0XAxoGGhcNKjcdHUUgJy0AAwCn/9gDxAMMADAAPwBMAAMAMDEFLgEnJjc2PwE1PgE3NTY3FhcVBxcHBg8BIw8FIw8DFQYPAR4BFx4BHwITJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcCxIjpdTcHAxdaUaJOGicnKgcKEBoXDQYKCglRCjQGDRQNGi0xAydeLTdvNycJOisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDyg0vFc0SxoNKgY0dT0KIAcdEAcNHRANGhQQAxNIAzcNFwMaBhoXDSo3HR1FICctAY4eBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAACAF7/sQNuAsQAJQBAAAmzJHUBACsAMDEFJzU2EicjBgcmLwE+ATc1JzM1MxYfATcfAQcGIxQCDwMVIxUlLwEjLwE+ATczNTMfAQ4BFTM2NzM1MxcGBwYCIy9NRgcjSkIgFxQ/fD8MEA87EF0fEAQEP0YHLyMFDhD+Yi4FBywHDCoMDAskCAQPBz8vBwcFDBwqTxcJdQEUmgkXChsfDRgIPzsFNkkNBQoODReC/vpyFg4ECQoXFw0xZHXjdQUOemfNbE5VCRtsaSMAAAAEAF7/sQPsA0oAJQBAAE8AXAAJsyR1AQArADAxBSc1NhInIwYHJi8BPgE3NSczNTMWHwE3HwEHBiMUAg8DFSMVJS8BIy8BPgE3MzUzHwEOARUzNjczNTMXBgcGASYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAiMvTUYHI0pCIBcUP3w/DBAPOxBdHxAEBD9GBy8jBQ4Q/mIuBQcsBwwqDAwLJAgEDwc/LwcHBQwcKgJkKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PTxcJdQEUmgkXChsfDRgIPzsFNkkNBQoODReC/vpyFg4ECQoXFw0xZHXjdQUOemfNbE5VCRtsaSMCgR4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAACAKD/tAOIArIAEwAqAAMAMDEFBiYvATMeATc+ATcVByMHDgEPAQMnNTciJi8BNx4BFxY/ATMfARUPAQ4BAi1ys1IWHnL9hTpqMhAHCEKQThhKEx5NlTkgH0KQSycXCysQWgsJOmZBB1g9ZEEjBQgnFRAWNTQ8DAsB8QkIWg0vQSUeDgMFHhEJdg0VDQ08AAAEAKD/tAPMAyYAEwAqADkARgADADAxBQYmLwEzHgE3PgE3FQcjBw4BDwEDJzU3IiYvATceARcWPwEzHwEVDwEOASUmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwItcrNSFh5y/YU6ajIQBwhCkE4YShMeTZU5IB9CkEsnFwsrEFoLCTpmAS0rMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9BB1g9ZEEjBQgnFRAWNTQ8DAsB8QkIWg0vQSUeDgMFHhEJdg0VDQ08hh4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAACAHn/pAM6AzsAEABAAAMAMDEFLgEnJic3FxYXHgEfAgcGAyc1NzM/ATUmLwEGByYnNS8BJTUmJzcXFhczNxc3HwEPAQYPARUeAR8EDwEnAkl2zlcnDhs9JEtIyGAHBBExTlQ+CQg5Zw5XRkooDhYWASk0CR8wFixBfx8eGwQJQU4lHwpPDQkeFgkFOD5cBEtOOUYFGzEtGjoIHAkWDQE7DQk5EhoNT0UEFg0JPgkNHxENU2UJI1hOCAQEER8eDg0FBQkUWDQENRIjCAUNAAAABAB5/6QD5ANeABAAQABPAFwAAwAwMQUuAScmJzcXFhceAR8CBwYDJzU3Mz8BNSYvAQYHJic1LwElNSYnNxcWFzM3FzcfAQ8BBg8BFR4BHwQPAScTJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcCSXbOVycOGz0kS0jIYAcEETFOVD4JCDlnDldGSigOFhYBKTQJHzAWLEF/Hx4bBAlBTiUfCk8NCR4WCQU4PtMrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9cBEtOOUYFGzEtGjoIHAkWDQE7DQk5EhoNT0UEFg0JPgkNHxENU2UJI1hOCAQEER8eDg0FBQkUWDQENRIjCAUNAYQeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAQDf/5wDkQMbADMAAwAwMQUmJy4BNz4BNyczFxYVBxcOARcWNxY3Nj8BMz4BNzM2NzM3MxUOAQ8CIwcjFQcjDwIGAcJPQSopAxA8BA8PZxMHAws2CA8WGylIQC4IIk0eBwwPCEAECFs8HxMLCAcMCwQTB0hgDzk5gUiE/4gmEjU5LQxu1XVbChoHGxMxLTYuHhqUHmq2VyYbFwcMCwgPRAAAAAADAN//nAORAxsAMwBCAE8AAwAwMQUmJy4BNz4BNyczFxYVBxcOARcWNxY3Nj8BMz4BNzM2NzM3MxUOAQ8CIwcjFQcjDwIGEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAcJPQSopAxA8BA8PZxMHAws2CA8WGylIQC4IIk0eBwwPCEAECFs8HxMLCAcMCwQTB0iZKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PYA85OYFIhP+IJhI1OS0MbtV1WwoaBxsTMS02Lh4alB5qtlcmGxcHDAsID0QCfB4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAgBh/6QDQAMdADEAOgAPszBdAQArALMVCBcAKzAxBSc1PgE3Ii8CNzYfATUnLgEPAS8BIzUzFzc0Nj8BHwEHMzcWHwEPAQUHFgcOAQ8BFRM3JzcnDwEfAQFmISFFFGBANgUdP2YuCER/RhFACAku1HEODBkmBREuhzcqCQUQ/voMGQUIOyYiIgQEBDJECSYzXAwLN3NAQzQdLUMHEF4PAxoHBCUTCAgTNF0tAxcWjQgIGhoTDxKrUl0/aDUKCAFOLhkpBDwdIgMAAAAABABh/6QDsANSADEAOgBJAFYAD7MwXQEAKwCzFQgXACswMQUnNT4BNyIvAjc2HwE1Jy4BDwEvASM1Mxc3NDY/AR8BBzM3Fh8BDwEFBxYHDgEPARUTNyc3Jw8BHwEBJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBZiEhRRRgQDYFHT9mLghEf0YRQAgJLtRxDgwZJgURLoc3KgkFEP76DBkFCDsmIiIEBAQyRAkmMwGMKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PXAwLN3NAQzQdLUMHEF4PAxoHBCUTCAgTNF0tAxcWjQgIGhoTDxKrUl0/aDUKCAFOLhkpBDwdIgMBcR4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwABADD/1QNrAq0ARQAJALMkVB8AKzAxBS4BJy4BPwEjBy8BMxc/ATMXFR8BBxc/ATMWHwEPAjM3HwEGIgcGDwEnNTc2NyMPARcGBxcHFB8CFj8BFzcVBxUHDgECDU+IOTgXBRJCGhciET1YJwksEQ4OH+A0CSIfBQUSCD0NXBIwezkwPTEVJxoFU3sJBRcIBQUnCSNgZXoNsBINSp4nBDAwNIhMWAQMOAQQxBAIBByABBhsDBgQBwkcBBAkJAhQSBQQGDAkLBAgEFBUDR8sIAQYDAQIBAwQCQwLICAAAwAw/9UDyAM6AEUAVABhAAkAsyRUHwArMDEFLgEnLgE/ASMHLwEzFz8BMxcVHwEHFz8BMxYfAQ8CMzcfAQYiBwYPASc1NzY3Iw8BFwYHFwcUHwIWPwEXNxUHFQcOARMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwINT4g5OBcFEkIaFyIRPVgnCSwRDg4f4DQJIh8FBRIIPQ1cEjB7OTA9MRUnGgVTewkFFwgFBScJI2Bleg2wEg1KnuIrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg8nBDAwNIhMWAQMOAQQxBAIBByABBhsDBgQBwkcBBAkJAhQSBQQGDAkLBAgEFBUDR8sIAQYDAQIBAwQCQwLICACex4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAEAhP+tAz4C5gBTAAMAMDEFLgEnLgE3PgE3Iw4BDwEGBycmJz4BNzM/ASMGByYnMxY3PgE/ATMXFRcWBwYPASMPBCMVMz8BMzU3FjcfARYPAicPAiMPAQ4BFx4BFyMVAmEkQhAXGgMCIhoKKFEkBExLERoKRIw6BwMnDysuIg8FHyo4ajEDEB45DAM1K3IHBwoTCgMHB9UDBy4RGwJCEQMKLg41A0gHGxMeFgMNPhsKUxI1IzJsOyxSJg4jFQYdGA8mLC9hPggkDAMpLxIDCRgXBgYGFwwSCydgEgMaAwkJPgkFHg8DCRoMEgsGAxgGQyMVI1UyPm87BgAAAAMAhP+tA+ADPgBTAGIAbwADADAxBS4BJy4BNz4BNyMOAQ8BBgcnJic+ATczPwEjBgcmJzMWNz4BPwEzFxUXFgcGDwEjDwQjFTM/ATM1NxY3HwEWDwInDwIjDwEOARceARcjFRMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwJhJEIQFxoDAiIaCihRJARMSxEaCkSMOgcDJw8rLiIPBR8qOGoxAxAeOQwDNStyBwcKEwoDBwfVAwcuERsCQhEDCi4ONQNIBxsTHhYDDT4bCvMrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9TEjUjMmw7LFImDiMVBh0YDyYsL2E+CCQMAykvEgMJGBcGBgYXDBILJ2ASAxoDCQk+CQUeDwMJGgwSCwYDGAZDIxUjVTI+bzsGAqceBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAwBr/8wDewMLACwASABXAAMAMDEFJyY3PgE3IwcUIy8BJjUzFj8CJzMfAQcXBzM2NxcHIxUjBwYHDgEHFw4BByUnBycmJzU3FzceATc2NxUzFQ8BFQYHFQcnBycDBi8BMxc3FxUHIxUHJwYBBDEXBxUeDggyESkNGAMeKW0eAwYtBAsDAxU6MgQbCwoDKS8SFAYDAw4SAY4zHw03LwoEEUR5Rzs1CAsJIyUwAzMOSjMlByEVxTMHChQfRDQhIC9dv14IDiAPGSMVBDLGGSArTBIWBBIWNQcSFgdImE4dMmIrVgsDCig5EwMDAwc3CAQPCAsVBAsWBwcLAwMDAQwFJTkEEhIWEQgDAxUAAAUAa//MA7wDMgAsAEgAVwBmAHMAAwAwMQUnJjc+ATcjBxQjLwEmNTMWPwInMx8BBxcHMzY3FwcjFSMHBgcOAQcXDgEHJScHJyYnNTcXNx4BNzY3FTMVDwEVBgcVBycHJwMGLwEzFzcXFQcjFQcnBjcmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwEEMRcHFR4OCDIRKQ0YAx4pbR4DBi0ECwMDFToyBBsLCgMpLxIUBgMDDhIBjjMfDTcvCgQRRHlHOzUICwkjJTADMw5KMyUHIRXFMwcKFB9EkisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDzQhIC9dv14IDiAPGSMVBDLGGSArTBIWBBIWNQcSFgdImE4dMmIrVgsDCig5EwMDAwc3CAQPCAsVBAsWBwcLAwMDAQwFJTkEEhIWEQgDAxX7HgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAEATv+sAx4DGgBHAAMAMDEFJzU/AjM/AzM/ATM3Nj8BJiMmBxUPASMnJic2NzM3Bi8BPgE3NjczFh8BBgczNzYXFQUGBzM3FhcWFQ8BBg8CDgEHJwEpGSIFMQoJGT8YCgU6Cgo1Ig8nMXRrfwUYHScKTjUKFGtiE06NSTAPBTAnBR0FRB1JNv70OiwK5WtNGScPDicPBU6lYQ9UAwURCSEODUAVDS4VJy8vEQQaCDMVCCo4Vl03BA0mBBsMQE0JHhUeJgQELx0VW2EIBEgnM2IEKyIFDC9FAwMAAAADAE7/rAPMA0oARwBWAGMAAwAwMQUnNT8CMz8DMz8BMzc2PwEmIyYHFQ8BIycmJzY3MzcGLwE+ATc2NzMWHwEGBzM3NhcVBQYHMzcWFxYVDwEGDwIOAQcnASYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHASkZIgUxCgkZPxgKBToKCjUiDycxdGt/BRgdJwpONQoUa2ITTo1JMA8FMCcFHQVEHUk2/vQ6LArla00ZJw8OJw8FTqVhDwIOKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PVAMFEQkhDg1AFQ0uFScvLxEEGggzFQgqOFZdNwQNJgQbDEBNCR4VHiYEBC8dFVthCARIJzNiBCsiBQwvRQMDArEeBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMAAAAAAgDOABkDOwGuACcAKwAJALMpKAMAKzAxJSc3NTM/AzM/ATY/ASYnDgEPAi8BNSc+ARcWFxYHBg8BFAcOAQc1IxUBrA87Bw4LA1sHDBI2IQdGU0iKPgskDhsKW953VEEoBx0wCg8+lRIKGQkjCBgCDE0QECcyIyAECSYdFAQJFAwGOikDCTIlN0Q9Aw4JLCsGCQkAAAIAFQALA8ICUwAnACsACQCzKTsDACswMSUnNzUzPwMzPwE2PwEmJw4BDwIvATUnNiQXFhcWBwYPARQHDgEHNSMVAWQVWAsWEAaKCxAbUzEMaX9u0F4RNxYnEIkBUbV+Yz0LK0kQFl7hHBALDTINIgQQbhkVOkgyLwQNNiodBQ0dEQhVOgQNSDZQYFkEFQw/PwkNDQAEABUACwPUA0oAJwArADoARwAJALMpOwMAKzAxJSc3NTM/AzM/ATY/ASYnDgEPAi8BNSc2JBcWFxYHBg8BFAcOAQc1IxUBJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcBZBVYCxYQBooLEBtTMQxpf27QXhE3FicQiQFRtX5jPQsrSRAWXuEcEAGgKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PCw0yDSIEEG4ZFTpIMi8EDTYqHQUNHREIVToEDUg2UGBZBBUMPz8JDQ0CUR4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAQBp/9UDJALyADAAAwAwMQUuAScuATU+ATcjDgEHFSMnIyYnNiQ3NTMfAwYPBSMOARUWHwEzFTMfARUCkzx5LzgpDlMvE0GMQAoKEyQKiAEpfSscEy4FUD0NFxwJEwozKgpBDQoJWD0rEjQvNH1LTYZBFicZCQ0vPScRPQkbCCcrBS8VFw0VEkCTU0k0EghBDQUAAAMAaf/VA9QC8gAwAD8ATAADADAxBS4BJy4BNT4BNyMOAQcVIycjJic2JDc1Mx8DBg8FIw4BFRYfATMVMx8BFRMmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BBwKTPHkvOCkOUy8TQYxACgoTJAqIASl9KxwTLgVQPQ0XHAkTCjMqCkENCglYPX4rMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg8rEjQvNH1LTYZBFicZCQ0vPScRPQkbCCcrBS8VFw0VEkCTU0k0EghBDQUBZx4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAACAJf/7wOoAqsAOgA+AAmzPXAKACsAMDEFLgEnJjc+AT8CNScuASczFhcWFzM2PwE2MxcWHwEHIgcVDgEHBgcGBxceATM+ATcXFQ4BBxUOAS8BAzUjFQHuTZ46MggPNioQDwsfKwsPOi4jBAsnLggyRQQXExMPJiMuXSI6KhQEDCpkMnDjdAsyZDYyaDkQUQsNDB0/Lkc/eDIRDA0JKWA2Fi0mNiYQETYNBxkmFBIHHVQzOUMyOhURBA0IDAQIFSENCRQZBAUB0gwMAAAEAJf/7wO4AxIAOgA+AE0AWgAJsz1wCgArADAxBS4BJyY3PgE/AjUnLgEnMxYXFhczNj8BNjMXFh8BByIHFQ4BBwYHBgcXHgEzPgE3FxUOAQcVDgEvAQM1IxUlJic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQcB7k2eOjIIDzYqEA8LHysLDzouIwQLJy4IMkUEFxMTDyYjLl0iOioUBAwqZDJw43QLMmQ2Mmg5EFELAZkrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg8NDB0/Lkc/eDIRDA0JKWA2Fi0mNiYQETYNBxkmFBIHHVQzOUMyOhURBA0IDAQIFSENCRQZBAUB0gwMXh4EEw8qNRIeOQ4+CwdLDAcHOUUHDyJbEwAAAAAEAFv/vgPQAxkAIwAxAEoAWAAJsx9UJAArADAxBSYvAiYnNz4BHwE2NyczNSc3HwEHHgEfASMVIy4BJxQGDwEnNTY3JicPAQYHFRY3NiUvATY3Bi8BNj8BJzczHwEyHwEHBgcOAQcBLgEvATM1Mx4BHwEHFwIKRDQDDTgPMCdcOHcQCQkEBAwcDAQwYCg7Bw07bDsRHAQjDANTXCQENB8zRE/+biQEICQ0Hw1IQAQEBAgbDVdICBRHTBQoIALSRIA3IQUUP4A7GQwEQgQrDgQ6Sk8iNgUWXFwfCA0FCck6FTEmVBoSUxk4bjAEpgkoMCcRFQ0fNBssBBaJHixlZAQwJw0bHyMIDScfGicbDUaIQgFBFUc4SwkfSys1FgQAAAAGAGP/nwOLAwMAqwCyAL4AxAD7ARQAakAV9xj5AO0F7wCdG7UAdDcCcgFqbRUAKysrKysAQDsOAweyAZ4FnACSD5AAuT6OAAl/dgBlCmMAZwh9YQRGBUQARg9BAD8CPQA/ETsAPyI5AB8CzyEEGgIcACsrKysrKysrKysrKysrMDEFNyM1IxUjJwcnIyYHFRcjJicmNy4BNSc1MzUjNTM1JyM1MzUmNz4BNzM1Mxc3FxUfARYHDgEHMxUHMwczFTMVIxUzFQczFSMHFw8BIxUfATcVBgcnFTMjBxcHMxcGHwE3FzM3MxUjByMHIxUXFTMVBzMXNTMVBzM3IzY3MzczPwE2NzM3FQYHIwYHMxUGBzM1MxcjBzM3FQcXMzcHMxUjBgcnBzczNSMPASMVPQE3NSMVFz8CNTM1JyMHIwcXJzcnIwcXJSYvAiYnNzUzFjM+ATcXMxUHFwcXByMHMwYnByMVNSMHIzUjFSMPARUjNSMVBgc1IwcVBzUjEycHIy4BJwcmLwI2MjceARcHFTMVDwEXARMFCgcDDAcDBwUKAgIcIAoDEhMIBQICAgMDCAMKLyUKBQ8HDwcIFgINGwcCCgMFAgMFAgICBwMSDwMFAwwICAUHAgIDAwMDAgoDBwUDBwUDBQMFAgUHAwgDCgICAgwCFA8FAgUUByggBQUKEQUKDwMUCgcDAgIFBwgIAwUMCgUFBQ8KCgUDBRQCBQcRAiAKCAUFCgUHAwVZAgUFAgcBqDsyAhIHChYILDJNjUYCBwQCAgIPBwMDDREIBAUFCAcIAiUFCBseDw8YCLobAxMmTCsMOTIdDR5AIUWBOQcKDQoIYQoDBQUDBwgDBQQRBw8WJlQtBQIKAhcUAggWGX76egoFAgkFBQUXHTx0PgUcEQ8CCAIIBRQFBwcNBQICBxIRAw0qEQoNAg0CAh0KCggPBQQNAggHAgwKGRQbCh0DLS8MCiUjJyYCFhwKDxgRByYHDyUFFAoCDwgFDQwFFAUCCAUKDxkFBQQPFiADZAIKCgVhBxkHBRQSBwIMFkElBw0HDwwKHhQKAwoDBQwCBwgMCAUFDgUCAgUDAwGFCggPDQICAg8eGQcDBR4jAggCBRIFAAQARgANA3EC9ABRAFgAaQB3ABS3VU45AFVUNwArKwCzDQkQACswMTcmJyYvATU0PwI1JicjNRUzNTMfATM+ARc3MzUzHwEGBzIWFxYHBgcfAQ8BIy8BBg8BJicmLwE1MzUnPgEXFhc2JyYnJg8BJw4BBxcHIycOASUmDwEVFjclPwInIw8CFQYHBhcWNzI/ATM+AT8CIw4BBxUXySgeDiINIlRYCgcHCwMbIQo3b0EeBgsdBRIDOl8oNgQRHTIHDgMIDUchLEQ8KQYfBgYDJVAzNjM9Bw0zKTYbHiFgMhcRBkAiRwHVKDY5KC/+kBAICh8JPgcTIhQPBBgfOZgUBxczFAsDDihNLycNBCwuJgk4UD1pOQxaXQ0EFieaHjQEcxENFi4zJzNWblJNRDcJDRtDLh8ECTwmGQQKDQwmIgQNIkBiSTgZCQQEZrxeZRtNIUGvKwgaEhkEIwgNJrwrEREILDImNBUIjSsvWi4FFRU8CA6ZAAMALQANA9QC9gBtAHcAfgADADAxJS8BNS8BNycjBwYPAyMnNScmJz8BPgE3Iw8CJic1Nz4BNxc1JzM1MxceARczNzM3Mzc+ATcWFxYPARcHFxUXFR8DByc1JwYHBiMnByc1JicmJzc+AR8BPgE1JyYnBg8DFRMHFyMnByU/ASYnBgcVFjMlNzUvAQczAWQiEAsMCAQLCDYuEAcbCAgLExsPDB42IwgyBBsiFAw2YDITAwcMJhQLCAgLCAQLBEGLUVU9JwwEBBM6CyMECwQjXBsTGx8jCy5RIxsmHw8nWDqDDA8IKjZgTQRgLhcIBAwLCAFqBBM6STImPUn+SToICy4EDREQCQQzXV0VQEcOECoDCQUuIiIETJlMKwwEECIOBxZDHghYHgkZM2o4EgwNM0gIBDs7VQ0MuzMJBAgdDgQlDkUIDS8vFQUJGQkJJTc4HSs3BTI7dz8WHQQRQAxUNzz+9R4MBA3UDR0vCBkzDSKmKicyBYwAAAACAH//1gOUAuAAMAA9AAkAsw1UHQArMDEFNSM1PgE3MzYnJicuASMGAg8BJicmPwEnPgE3PgEzHgEXFRceARUOAQcjByMPAyU1PgE3Iw8BDgEHHwECmQ8iTB4IGwQEJjF9SBBuYi4xRBMHBAQTOTlBkFdMgTkLMR8QMRoICAcbEw8m/ltETCoIV0QeJgQLFyoIB1CYT0hYPC41MaP+1YUEPS01PRcxTJA9NTkIRDUIBz2UUDViMhMtEwgmtghq93UxQUSQUEgDAAMANf+nA6sC9gAaAE8AWAADADAxFyYvATcnPgE3Mx8BBh8BBxcPARczNzMVFgYHJSYHLwEmNz4BHwEmJzcjBy8BPgE3NjczFhcHNxc2NxYPAQYjBxcHFwceAR8BBwYmJxQPARUnNyYPARUXFjetRhsTBAgQKgw3CAQMBAgIBAQIFwg4BCMhNAGcXU4EIFgZI2A8SxMDHhSOJgQmZDYMCwwbBwMTCCouHwQPNkIEBAQQDDqWGwwUOWw6JgwmC0FRLhcmMlkfQWgTXX/2fwQqExtNhw8E14pyFz+FG3MEEgQMM4RJLQU7UVw+LhMXPCYMO1lFTQwEDyAXKBcfHyIMD4NVIzU2FwwPQjlFOgQIezobCCoPFxgEAAAFADX/pwP0A1oAGgBPAFgAZwB0AAMAMDEXJi8BNyc+ATczHwEGHwEHFw8BFzM3MxUWBgclJgcvASY3PgEfASYnNyMHLwE+ATc2NzMWFwc3FzY3Fg8BBiMHFwcXBx4BHwEHBiYnFA8BFSc3Jg8BFRcWNwEmJzU3Jic3MxYfAg8BNyc1JyYnMzUzFh8BB61GGxMECBAqDDcIBAwECAgEBAgXCDgEIyE0AZxdTgQgWBkjYDxLEwMeFI4mBCZkNgwLDBsHAxMIKi4fBA82QgQEBBAMOpYbDBQ5bDomDCYLQVEuFyYyAVgrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg9ZH0FoE11/9n8EKhMbTYcPBNeKchc/hRtzBBIEDDOESS0FO1FcPi4TFzwmDDtZRU0MBA8gFygXHx8iDA+DVSM1NhcMD0I5RToECHs6GwgqDxcYBAHqHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAABQA1/6cD4ANUABoATwBYAGsAdwADADAxFyYvATcnPgE3Mx8BBh8BBxcPARczNzMVFgYHJSYHLwEmNz4BHwEmJzcjBy8BPgE3NjczFhcHNxc2NxYPAQYjBxcHFwceAR8BBwYmJxQPARUnNyYPARUXFjcBJi8ENTM3PgEfARYVByMHJzY3NicmBwYPARczrUYbEwQIECoMNwgEDAQICAQECBcIOAQjITQBnF1OBCBYGSNgPEsTAx4UjiYEJmQ2DAsMGwcDEwgqLh8EDzZCBAQEEAw6lhsMFDlsOiYMJgtBUS4XJjIBay0nBiMXBQIMH0UsOB46BQNDIRkUBg4TJx8IHAhZH0FoE11/9n8EKhMbTYcPBNeKchc/hRtzBBIEDDOESS0FO1FcPi4TFzwmDDtZRU0MBA8gFygXHx8iDA+DVSM1NhcMD0I5RToECHs6GwgqDxcYBAHuAxINLC4EAhwgIgMiLDtICU4GHBMfEAYKHxwcAAAAAQAl/7MD6gK+ADoACbMZXwMAKwAwMQUmJyY1PgE3IwYjLwE+ATc1Nx8BBwYHDgEHFB8BNzU3Mz4BNyYnNxceAR8BFhcVBy4BLwEjDgEPAgYBEkQ3Owk7JQoyOyQFN4hADkkEDjIkIDYKQC5kaAokOxIWBWkWIE4tCTc7IEB6MhMNCU5JDTJSRAUtUm5ov2AgEhMtKSAJBSkXEik3W7tkUjsEOwltRIlNLjYOBDxxNwU2KQ4EFk47IGCoRAU7YAAAAwAl/7MD6gMyADoASQBWAAmzGV8DACsAMDEFJicmNT4BNyMGIy8BPgE3NTcfAQcGBw4BBxQfATc1NzM+ATcmJzcXHgEfARYXFQcuAS8BIw4BDwIGASYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHARJENzsJOyUKMjskBTeIQA5JBA4yJCA2CkAuZGgKJDsSFgVpFiBOLQk3OyBAejITDQlOSQ0yUgHVKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4PRAUtUm5ov2AgEhMtKSAJBSkXEik3W7tkUjsEOwltRIlNLjYOBDxxNwU2KQ4EFk47IGCoRAU7YAKVHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAwAl/7MD6gMwADoATQBZAAmzGV8DACsAMDEFJicmNT4BNyMGIy8BPgE3NTcfAQcGBw4BBxQfATc1NzM+ATcmJzcXHgEfARYXFQcuAS8BIw4BDwIGASYvBDUzNz4BHwEWFQcjByc2NzYnJgcGDwEXMwESRDc7CTslCjI7JAU3iEAOSQQOMiQgNgpALmRoCiQ7EhYFaRYgTi0JNzsgQHoyEw0JTkkNMlIB+C0nBiMXBQIMH0UsOB46BQNDIRkUBg4TJx8IHAhEBS1Sbmi/YCASEy0pIAkFKRcSKTdbu2RSOwQ7CW1EiU0uNg4EPHE3BTYpDgQWTjsgYKhEBTtgAp0DEg0sLgQCHCAiAyIsO0gJTgYcEx8QBgofHBwAAAADAD7/7gP7AtEAMAA9AE0ACQCzGU8jACswMQUvAjUvATUnJic3FRcVFhc2Jy4BJzc2PwEjDgEHFSMvAT4BMxcWDwMWBgcOAQclLwE+ATcfAQYPAgYlLgEnNzM1Mx4BHwEzHwEGAfcgEhMRHQ8mDA8KNjkZBgcvBxUoHRwLMms3ChYXRb9IHREDTxIDKwcEBBUL/kMOBxFWLBUTBBMKLyMDRzdlZQkEET1vNwMHIQMVEgcXDwcHHgsIKDgICAQHEwdSXDRWNCUPISwWEggHD1oIFTwWHnMTGjeGTjBgLRoLJUd3OwsiNDAHRzApHjdNTwsdWjcLKQ8PAAUAPv/uA/sDNgAwAD0ATQBcAGkACQCzGU8jACswMQUvAjUvATUnJic3FRcVFhc2Jy4BJzc2PwEjDgEHFSMvAT4BMxcWDwMWBgcOAQclLwE+ATcfAQYPAgYlLgEnNzM1Mx4BHwEzHwEGAyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHAfcgEhMRHQ8mDA8KNjkZBgcvBxUoHRwLMms3ChYXRb9IHREDTxIDKwcEBBUL/kMOBxFWLBUTBBMKLyMDRzdlZQkEET1vNwMHIQMVpCsxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDxIHFw8HBx4LCCg4CAgEBxMHUlw0VjQlDyEsFhIIBw9aCBU8Fh5zExo3hk4wYC0aCyVHdzsLIjQwB0cwKR43TU8LHVo3CykPDwH6HgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAABQA+/+4D+wNIADAAPQBNAGAAbAAJALMZTyMAKzAxBS8CNS8BNScmJzcVFxUWFzYnLgEnNzY/ASMOAQcVIy8BPgEzFxYPAxYGBw4BByUvAT4BNx8BBg8CBiUuASc3MzUzHgEfATMfAQYDJi8ENTM3PgEfARYVByMHJzY3NicmBwYPARczAfcgEhMRHQ8mDA8KNjkZBgcvBxUoHRwLMms3ChYXRb9IHREDTxIDKwcEBBUL/kMOBxFWLBUTBBMKLyMDRzdlZQkEET1vNwMHIQMVeS0nBiMXBQIMH0UsOB46BQNDIRkUBg4TJx8IHAgSBxcPBwceCwgoOAgIBAcTB1JcNFY0JQ8hLBYSCAcPWggVPBYecxMaN4ZOMGAtGgslR3c7CyI0MAdHMCkeN01PCx1aNwspDw8CFgMSDSwuBAIcICIDIiw7SAlOBhwTHxAGCh8cHAAAAAEAUAB3A7ACEAAdAAMAMDElJiQnBgcXByMHIy8DIzU2NzY3NhcWBB8BMxUHA36k/s6qICMKCgsDDxwHHQcHJBgWDjJAowEuoRUHDnc30S1zbRkeDwoZGQ8JQUs8QS0KPMhFHgUZAAAAAwBQAHcDsALSAB0ALAA5AAMAMDElJiQnBgcXByMHIy8DIzU2NzY3NhcWBB8BMxUHAyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHA36k/s6qICMKCgsDDxwHHQcHJBgWDjJAowEuoRUHDqgrMQMhCQMSNC0NFQ8DbRwSJA8GCSQiHg93N9Etc20ZHg8KGRkPCUFLPEEtCjzIRR4FGQFnHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAMAUAB3A7ADHAAdADAAPAADADAxJSYkJwYHFwcjByMvAyM1Njc2NzYXFgQfATMVBwMmLwQ1Mzc+AR8BFhUHIwcnNjc2JyYHBg8BFzMDfqT+zqogIwoKCwMPHAcdBwckGBYOMkCjAS6hFQcOuS0nBiMXBQIMH0UsOB46BQNDIRkUBg4TJx8IHAh3N9Etc20ZHg8KGRkPCUFLPEEtCjzIRR4FGQG7AxINLC4EAhwgIgMiLDtICU4GHBMfEAYKHxwcAAUAeP++A50C2ACoAK4BZgFyAXcAs7kBVwE5sAS4AVWwAbgBPbAFuAE7sAC4AQCwBrgBBLAAuAEMQB1Rr+AECQerAAkOqQB6cmdKBDx4IhKnAgQApwYCACsrKysrKysrKwC4AVmwDrgBVLAAuAFAsCC4ATywALgBQLAduAE6sAC4ATCwBbgBLkAgAKEOAqMBeRlwAGQJYgBmPVgAbmdWAFtoRABbeEEAOx24AR5ACjkEqA0DAKgGAQArKysrKysrKysrKysrKzAxBSczNTM1LwEHMxUPARcVIy8BJiMmIycjNTcnIxU1Ny4BLwE1Nyc3Jz4BNyczNTMXNxYXFg8BFwcXBzMVIxUXBzMHMxUHMxUHJxUXFQcXFQ8BIxUzFw8BMxUzNxcjDwIXNzUzFyMVIxUXFQcVFwcjBzM1FQcVMzcVByMVMwYXNRUHIxUXMzcVMxUHMzcHMxUzPwQOAQcXBhczFwcVDwEjNTM1IwcVJzUzNScHJTUnByYvASYvATUvAzUjJzY3PgEzNyMPAycHJzUmLwQmPwEXNTMWNz4BNzUnIwYHJgcvASY1NzUzFz4BNxcVMxUHFTMVDwEnFA8BFQczNzUjBgcVFhcjFRczNxc1Mx8CFRcjNSMHFzczFSMVBgczNxUHNSMVDwIzFSMVFwcXIxUXBxUzNTMVBxcjFRceAR8CFSMVIycHLgEnDwEVMzUzFQcjBzMGByMVDwEjFRcHJzU2NyYHBg8CFxYTNycHMwEEAwMEAhICAg4CBQUCDgQMCxACAgICBwUQDgYFAgQCAgIpEgULCQcHFBAQBQICBAINCQkGBAQCBwICCwcHBQ4HAgwHBQkDBwcHAgIDDwMHBwQFBwQJDAMDBAIJBwQMAwYCAgsCBQIHBQIHBQQCAhAHEh0HAhQZBQUHAgwEDQkFBwkGDCQHCQQBoRAJGx0DKCsdDgIJGwUEBhcrajgLCwQVAigHBwcdHQMPBwkQAgwLFA4SJEYkAg4yNBshBwUJEAkQT6dVJQQQBw4GCQwSDwIHCRseCQIEBAcrGQQHAhUEBAUECQcCBRkPCRY9CQ0OBwcEAgICBQMMCQUFAwUJLVYpBBAUBSIPIj0iBwcFBAkEAgYGEAUJAhIFAzgJAhAUJiAJCxIt+gMQBwdCBgcFCwQGAwIJAgIJBgcJDgQHDgUFDSZUKwIEE0wkCWG+XAcFAwMHDh8nBhUQCVMdBwcLCwkHBwUDBQIHCwUEAgUEFQIHBgIQEgkHAgIHCQsJAwIECQUEDgIEAhAQBRAEDgQCAgcHDQYCBwsCBgcNFSgCByRRKwsJDh8HBwIUAgcDDxYFCQIOKwkDBRIQBxQSGQcGBwIgBBAbEiILcwsJBwkDAwMECwwLCQcJCxQDBQILAhAgCy8wEAcLAhICEBIFAgQbHQcSBQQFBwIECQILAwQFBAIHBwIQGx0FDQsCAgIOBA4CAg4CBwISAwsFAxQFAwsCNAULEAkSBAsFBQMFDQ4EDAsbEgkFAiIJAgkdByIECwQHCxAkHxAFBgcCDmgUKy0HAgUSBx0QGwFXAgILAAcANP/GA/QDVgCoAK4BZgFyAXcBhgGTALO5AVcBObAEuAFVsAG4AT2wBbgBO7AAuAEAsAa4AQSwALgBDEAdUa/gBAkHqwAJDqkAenJnSgQ8eCISpwIEAKcGAgArKysrKysrKysAuAFZsA64AVSwALgBQLAguAE8sAC4AUCwHbgBOrAAuAEwsAW4AS5AIAChDgKjAXkZcABkCWIAZj1YAG5nVgBbaEQAW3hBADsduAEeQAo5BKgNAwCoBgEAKysrKysrKysrKysrKyswMRcnMzUzNS8BBzMVDwEXFSMvASYjJiMnIzU3JyMVNTcuAS8BNTcnNyc+ATcnMzUzFzcWFxYPARcHFwczFSMVFwczBzMVBzMVBycVFxUHFxUPASMVMxcPATMVMzcXIw8CFzc1MxcjFSMVFxUHFRcHIwczNRUHFTM3FQcjFTMGFzUVByMVFzM3FTMVBzM3BzMVMz8EDgEHFwYXMxcHFQ8BIzUzNSMHFSc1MzUnByU1JwcmLwEmLwE1LwM1Iyc2Nz4BMzcjDwMnByc1Ji8EJj8BFzUzFjc+ATc1JyMGByYHLwEmNTc1Mxc+ATcXFTMVBxUzFQ8BJxQPARUHMzc1IwYHFRYXIxUXMzcXNTMfAhUXIzUjBxc3MxUjFQYHMzcVBzUjFQ8CMxUjFRcHFyMVFwcVMzUzFQcXIxUXHgEfAhUjFSMnBy4BJw8BFTM1MxUHIwczBgcjFQ8BIxUXByc1NjcmBwYPAhcWEzcnBzM3Jic1NyYnNzMWHwIPATcnNScmJzM1MxYfAQfAAwMEAhICAg4CBQUCDgQMCxACAgICBwUQDgYFAgQCAgIpEgULCQcHFBAQBQICBAINCQkGBAQCBwICCwcHBQ4HAgwHBQkDBwcHAgIDDwMHBwQFBwQJDAMDBAIJBwQMAwYCAgsCBQIHBQIHBQQCAhAHEh0HAhQZBQUHAgwEDQkFBwkGDCQHCQQBoRAJGx0DKCsdDgIJGwUEBhcrajgLCwQVAigHBwcdHQMPBwkQAgwLFA4SJEYkAg4yNBshBwUJEAkQT6dVJQQQBw4GCQwSDwIHCRseCQIEBAcrGQQHAhUEBAUECQcCBRkPCRY9CQ0OBwcEAgICBQMMCQUFAwUJLVYpBBAUBSIPIj0iBwcFBAkEAgYGEAUJAhIFAzgJAhAUJiAJCxIt+gMQBwenKzEDIQkDEjQtDRUPA20cEiQPBgkkIh4POgYHBQsEBgMCCQICCQYHCQ4EBw4FBQ0mVCsCBBNMJAlhvlwHBQMDBw4fJwYVEAlTHQcHCwsJBwcFAwUCBwsFBAIFBBUCBwYCEBIJBwICBwkLCQMCBAkFBA4CBAIQEAUQBA4EAgIHBw0GAgcLAgYHDRUoAgckUSsLCQ4fBwcCFAIHAw8WBQkCDisJAwUSEAcUEhkHBgcCIAQQGxIiC3MLCQcJAwMDBAsMCwkHCQsUAwUCCwIQIAsvMBAHCwISAhASBQIEGx0HEgUEBQcCBAkCCwMEBQQCBwcCEBsdBQ0LAgICDgQOAgIOAgcCEgMLBQMUBQMLAjQFCxAJEgQLBQUDBQ0OBAwLGxIJBQIiCQIJHQciBAsEBwsQJB8QBQYHAg5oFCstBwIFEgcdEBsBVwICC5keBBMPKjUSHjkOPgsHSwwHBzlFBw8iWxMABwAk/6YD4ANYAKgArgFmAXIBdwGKAZYAs7kBVwE5sAS4AVWwAbgBPbAFuAE7sAC4AQCwBrgBBLAAuAEMQB1Rr+AECQerAAkOqQB6cmdKBDx4IhKnAgQApwYCACsrKysrKysrKwC4AVmwDrgBVLAAuAFAsCC4ATywALgBQLAduAE6sAC4ATCwBbgBLkAgAKEOAqMBeRlwAGQJYgBmPVgAbmdWAFtoRABbeEEAOx24AR5ACjkEqA0DAKgGAQArKysrKysrKysrKysrKzAxFyczNTM1LwEHMxUPARcVIy8BJiMmIycjNTcnIxU1Ny4BLwE1Nyc3Jz4BNyczNTMXNxYXFg8BFwcXBzMVIxUXBzMHMxUHMxUHJxUXFQcXFQ8BIxUzFw8BMxUzNxcjDwIXNzUzFyMVIxUXFQcVFwcjBzM1FQcVMzcVByMVMwYXNRUHIxUXMzcVMxUHMzcHMxUzPwQOAQcXBhczFwcVDwEjNTM1IwcVJzUzNScHJTUnByYvASYvATUvAzUjJzY3PgEzNyMPAycHJzUmLwQmPwEXNTMWNz4BNzUnIwYHJgcvASY1NzUzFz4BNxcVMxUHFTMVDwEnFA8BFQczNzUjBgcVFhcjFRczNxc1Mx8CFRcjNSMHFzczFSMVBgczNxUHNSMVDwIzFSMVFwcXIxUXBxUzNTMVBxcjFRceAR8CFSMVIycHLgEnDwEVMzUzFQcjBzMGByMVDwEjFRcHJzU2NyYHBg8CFxYTNycHMzcmLwQ1Mzc+AR8BFhUHIwcnNjc2JyYHBg8BFzOwAwMEAhICAg4CBQUCDgQMCxACAgICBwUQDgYFAgQCAgIpEgULCQcHFBAQBQICBAINCQkGBAQCBwICCwcHBQ4HAgwHBQkDBwcHAgIDDwMHBwQFBwQJDAMDBAIJBwQMAwYCAgsCBQIHBQIHBQQCAhAHEh0HAhQZBQUHAgwEDQkFBwkGDCQHCQQBoRAJGx0DKCsdDgIJGwUEBhcrajgLCwQVAigHBwcdHQMPBwkQAgwLFA4SJEYkAg4yNBshBwUJEAkQT6dVJQQQBw4GCQwSDwIHCRseCQIEBAcrGQQHAhUEBAUECQcCBRkPCRY9CQ0OBwcEAgICBQMMCQUFAwUJLVYpBBAUBSIPIj0iBwcFBAkEAgYGEAUJAhIFAzgJAhAUJiAJCxIt+gMQBwfKLScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCFoGBwULBAYDAgkCAgkGBwkOBAcOBQUNJlQrAgQTTCQJYb5cBwUDAwcOHycGFRAJUx0HBwsLCQcHBQMFAgcLBQQCBQQVAgcGAhASCQcCAgcJCwkDAgQJBQQOAgQCEBAFEAQOBAICBwcNBgIHCwIGBw0VKAIHJFErCwkOHwcHAhQCBwMPFgUJAg4rCQMFEhAHFBIZBwYHAiAEEBsSIgtzCwkHCQMDAwQLDAsJBwkLFAMFAgsCECALLzAQBwsCEgIQEgUCBBsdBxIFBAUHAgQJAgsDBAUEAgcHAhAbHQUNCwICAg4EDgICDgIHAhIDCwUDFAUDCwI0BQsQCRIECwUFAwUNDgQMCxsSCQUCIgkCCR0HIgQLBAcLECQfEAUGBwIOaBQrLQcCBRIHHRAbAVcCAgvFAxINLC4EAhwgIgMiLDtICU4GHBMfEAYKHxwcAAIApP/UA1oDKgBPAFgACQCzGR4bACswMQUuAScmLwE1NDczNzM1NzYfAT4BNyMHFSMnIyczFz8BIwYHLwM3Mxc3PgE3HwEHFzM3HwEiBwYHMzYfARUHBg8BHgEfAQ8BLgEjBxcGByc/AS8BDwEWNwGdK1onEyUVEQgEBxNFWT4ECwsHYyIaBwgTFpcPEkM7KAQLEgYMGsIIDwclCwMDCDY4BEMzCw8HPksSEktFGlKZTwICODx/RwcDByBWEwcEaj4TQlgsDhsYIBIGCRgVCQUPIQYGKlAmFAYjHgMnZAsVEgwCHgwDLTVrMheSDwkGDyYbNTYSAw8JIAYS0AwjFRsJAxUkPAsqHlYJPwkFEScmAgAAAAIAXf/sA9kCsQA+AE4ACQCzDTUVACswMQUmLwEmJzY3MzU+AT8BIw8BJi8BPgEzNzMWHwEHBgceARc3MxcVBx4BHwEjLgEHBg8BBg8DJzU+ATcnDgEnNT4BNyMGBxUjBxYfATcXAVE4Ll0nChMyBzVwODUKPxAeGg4kXTIDCighAxsWGDlwNCkJJQQyaSwDEStcMhorDgkbHQQuBgkyGtAaMmMbHREKSTsHFAooEAsJFAUkZ0VSQiUIGAkQwTIMDBUdJBEIECURHFJSBA0Mey01JRARJRAMEQVeVgQxKRAJEAQMUpxKFGLBJQg6ez0EJQhCST4EBAQAAwBa/8oDzQLxAD8ASQBZAAMAMDEFLgEvASYvATU2NzYzFzcjBgcnBy8CNTM1Mxc/AhYVMh8BBg8BFxQGBxYXFjc2NzY3JzY/ARcWFwYHBgcOAQE1Ny8BBgcXFjclJi8CNS8BNxYXFRYXFhUCC0B3LyI9K0EKLBspQBEOGyIeFB8XBxUUMmwSFyI9Ngo2OQcDDQ4OKC89SC8iDQMDJi8VBgcRLB8XKVT+vg4bFR4KChQbAsBLQxcODQcbQzYlHxQyBDIzPgM3SRBKNiMQVgwEBAgQKwMQCAgPqwxKXRMjGAdlHzdkL0Y2HwQEQjpGGzYnCws6O11NFB8THwEfCDpGBDM6GxAEnydCFxQXBBMEDCoIFycbJwAAAAMASQAAA6UC8gBdAHYAgAADADAxISc3NTM1PwE1NzU/AjU2NyY3JjcuAScHJw4BDwEXByYnNSMPBAYHJwcmJyYvAj4BNz4BNy8BJjczFxYXMz4BNzY/ARcHHgEfATMXFhcWFQcjByMGBw4BByclPwMzNzM/AS8BIwYPAhUPAx8CPwMjBxUWFzMCVAMTAyAiDB0CFjgOCBAcBBFIJgolPCwmJRkVGRAFGQwdCgYgKAkNKz8cBwYJCSwlHUQiAg8PHRMfCRYMKVUrFj8MDRMlfDMCBxwMBxUGBgMGAxA7jU4J/qwcAxAPCg8HBgkHMgkYHQYNDAcQEiIJIq4xFhMlWxYGBhEPDQcpEAgDCQQPBQwkNxctMyERSzYEBEV7OTxURhMhCCMIKwULKQMDAxslMDgEJDxoLCU8GAoOUEwQQDgQEAg4RAQwSBQ4QAw4CRQ7RRsNGBRQWBEEgRgIDBgkEAQTvQtEDQcJBAsZfCwQDPRgITwpD0BIAAABAJb/qwOMAyAASAADADAxBSYnLgEnNwYvATcXNjcvATMXNxc3MxUfAQc2FhUHFQcnBgc2PwEVBwYnBx4BHwE2PwEzPwIzPgE3HwEOAQ8CIwYHBgcjBwYB3zwlJi0FCFEyFW4yCw9uMwsfJmgyAzIHF3BxEyeyHwdiNTEDWm8HCyomFz0xEwhyCwMIFzILMAMDVTUUKwgVBwsiCBowVQZaOHtIWgIHSQQEU1ILTwMDK54DGhl6EhIuCAcDCkdQDgQHBwtpIoE6aC4HIzoSkwMPLlsyCCFSkGQbIR4NBhcgHAAAAAABAM//wQNJAkcAUwAPsy05PQArALM/MykAKzAxBS8BNScuAScjDwEVIyYvAjc2NzUuASc3Mx8BMz4BNz4BNzMWDwEXPgEzFhcWFQYHIwcOAS8CNj8ENScjDgEHBg8BIyc1NicjBg8BHgEXBwIXHjMJKDQQCAg8CxMCEQULLjEREAUCAxsxCCZMKQgNDgUWCAYTJEYmMSYYBR4GAiZUNCgDNi4GKAM2ICwjTCMIEw4NEBUDBTw2AhhfIAI/GjkGAy9sPA05EwcTCRcWJSMNJ04qBhB5GiMTJlIjIy83AgkNCS0dKS8mCSMzAwkKECYKKQk/FCIPCglGQxAKCjI9HSYJWZtWEAAAAAABAFj/0gPOAzcAsgA1QBVdBl8Ar08IAAIMBgCxFAMAsQaPAAQrKysrKwBAELJgrACECIcAiVV7AIlgeQArKysrMDEFNScVNSMHNSc1IzUnLgEnIwcjDwIjFQ8BIycHLwM1JzUjJzU3Mxc3NS4BPwEzFx4BHwE3NT4BPwEuASczFx4BFTM3HgEXFhUGBxcjFSMVFw8GJwcGBxUjNSMHLwI1NzU3NTc1MzY3LgEjBgcGBxcjFTMVMxUHFg8BFg8BIzM1MzUjDwEnByc1JyYnIwcVBg8BFzMfBBYXFhczFTMGFxYfATMXIxUjFQIZDgYGHwUcH0QiBhkIAwwOBQkDDhMJCAMRKAgGEQMJFogaPgMDFC8MJB0ICSdSKgMGBQwMOxwXC1dEfDYcAwsDBgUCGQYIAxkGMA4LKzIGCRwICxEfVDYFKxYhSio2MAUDAwYIAwgIAwIIAwMFAwULBhMMCxwJFgYFDC0tAwsGEQYCCQgJAw4IBgMDEQUJCwYiDBAuBgYGAwMGCwUGDlKkURMJAw4FBg4DAwYIAyUFAwYOCAYJYAk4cUQTJDBYJwMDBhwwFhQzaDAlIU8uCQsrKio2HBcIBgUMERECDAsLFAYJDgMFCAYDDAIGDgY7BiQMMDUUGQgXHBwJCAsDFA4RCwwQBggGCwMDAwsGAyQrBgYWFBQfKgMcAxYPExocBhMDHx8GSQ4JAAAABAD+/7QDNwJDADMAQQBNAFgAAwAwMQUnNT4BNyYnJi8BBgcXByc3LgEnMxceARczPgE/AhYXFhceARcWFQ4BBw4BBw4BDwIGNzU+ATcjDgEHBhcWFxYXNzY3JyYnBgcXBzMnNjc1Ji8BBg8BMwHNCRsmDi0nEiIIFxAFDTkNEgMVEBoQBwYFNissCioxIhoGLlkiEAYsJBpBIBQgHQ0DF0IMGAIKJUQcFQgDHyeFUScLCDpBBQMDDRCqNEIGHxonEBIFSQMQKVQuECMjHQMxMyMVOyE4hTkNJFEpR6VJCg4LKyMrBhYjGCEzXCYVDg4jSyEGBxH5CzNtOQMZGCAsKx4TAjg5RBMTBiwrCIXrJAMKKRsOHC5AAAYAZv+4A6EDFQCMAJIAmACiALMAvgAaQAyHGokAjhEEAJADAgArKysAszNYLwArMDEFNyc1IzU2PwE2Ny8GNSMmJyMVFyMvAQ8BFSMVBhU1IwcXByMGByMVFw8BMxUHFyMVFyMmLwE1JzUjJyM1PwE1LgEvATU3Fx4BFwczFzM/AT4BNzYXFhcWFx4BHwEVFx4BBwYPAiMVIxUjBzUjBxUGBxUjBxcPATMVBg8CNSMHNSMVBzUjBi8BFTMVMyc3JyMVFyU1EycGBxUeARc/ATY3NjcmJyYHDgEVFwYHMwM1JicmDwEGBxc2Ad4DBhQjKg8ODisDCwMXDggDIAsGAwMLCQMIBggJAwMJBQMLAwMJAwYJBgkDAyUcIgwIDAUCDwkrKAUZRRccDgIFAwYoET8zIiIuPDAgBShNIxkMFw4DFCIJBQYMCAYGHC4zDgYJAwYDDBwJBQYGCBoGLSgPBgmaAwMJBgEMHxw8LgYJItADLRIWAwMRKjoIAwMGCAhNAxYSGRoOAxErSAMDBRE/OQ4oKBcJBQYJHAMGKzMUBiUDEQYFCQkOBg4aFCIdERQGEQUrKAkOBhccBgMFDAYRDhRpzl4DAwUfK14uCB1IFE22WRkDCC4zQgUXFxoIDCVSLkI5AxEFDAgCCwYRCAYoAwYLAzw2AwsDAwMGAwwUAgkJBecDCAYIVQ8BIAYSLQw5dS0UBRcuOUIZFBoDIkolDEI+AWcJMCgOBRooLgULAAAAAgDY/7kC9wJdADoARQADADAxBSYnJic1Iy8BNTY3PgEfATcuATU3JzczHwEHFhczPgEXFQcGJxUGBycHHgEHHgEXFQYnLgEnBgcGByc/AiYHBgcGHwIBeR8aJhkGGgkOICBLKFAGCQ4OAgIMEQYDBQYMLmo2BjM/JisIAwYRAzRhNxQgK1MoBiMzPwM2Fw83RSIXEQMcNEcHGh8sBiAECTAmGRADDUk2bzlfBwkMIBBFQxMJAwkNIAMGEwYDFyhTLRZDEAwTBg0mE0M5Jg0Ekg82HQcCHhgjHQcAAAIAf/+/A00DDgBGAFQAAwAwMQUmLwU1Iyc1Njc+ARceARc3JzcnPgE3Mx8BBxcHMz4BMzIfAQ8CFwcXFRcVHwIHIxUjLgEnBg8BFSMPBDUjJz8BLgEnBg8BFhceATcBh0g8LQwDGBUPDAwwHkgqKlEnAwMDDAMYBhghAwkDAwYoVCohGAMG0AMGA3N4DAkDCQkDQnhADx4JBgYSEgMYBiohLSRULSQbFQMPIUsqQQwhJwYMDxUSDwk5KhgYAwMPDHw2OW82ZjMYjVQJEgYDFRUMEgx5eCoDMwYDCRIYCQ8/FTwzAw8YEgYJAwZjEm8SDwMDGDYeGxIPAwAAAAIAxP/kAv0DGQBhAIIACrRnXBNeASsAMDEFJic1JzUjLwE3MzY3Fzc+ATc+ATUmJyYHBg8EIwcjJwcjJyMvBCMnNT4BNzM1MxcVFxYXBw4BBzM2NzIWFxYfARYXFAcGDwQjFQ8EIxUPAhUHNSMGEy8EFSMmJzUjJyMvASYnNx4BHwMWHwImFRcVAdAjHw4JFAIKBicuCAIrSR4PFggfPkw4LwQVFwMFBgYOAgYDEAYGBQ4DCBQhNhkQDDAQBggKBh0KDiwvQnMyFAsKGgMXAgYIAwgECgwLBg4CDxkCGhMGLXsQAwgGFAMZHgZGCQwIAgsFJ0YfDhEUFwQKAhkJHAUPBwMMDg8MCAcCBwIgHSA9JSUaGQcIGAgOCAcPDwUICQMMAg0OI0ufTgUYBQobGwIuWC8HAx0jERYOJSwzKAwOAxEFDg0JBQ0ECAUJBQMHBQcOAlsFCgIIAgcWFgVODAMaGQIJKhgNGAwRFgMTBRYDBQAAAAIA8/+wAwAC6AAdAD0AD7McNwAAKwCzOmYyACswMQU1NzYSNy8BNxYXFgcOAQcjDgEHIxUHFSMPAxUDLwU2NyM1Nxc1Mxc3FwcXBzM3FQYHFyMnIwYnAVo8WXcwEQkrJh4VCA08JwgNMyIMDggRJgUvPB0OFAUNEQkVCREWGisMCQkFCQlMLxEFCQQJBBZQBDmuAW65DxMECA9ES1+1VzliMQgHCBoTCAcIAc0PDBMPA2ZUSwwDBwcHBCIbU0gqCDlEEgcPBAAAAgCF/6oDiQLaAEEASgADADAxBSYvAjczNTYXHgEXPgE3JyYHDgEHJz8BNT4BNzM1Mz8BMzcjBy8BIyc+ATcfATMVBwYPAjM2MxYXFgcOAQcOATc1Jg8CHwE2Ac5FNFoMUQhBTjhqMS1BBA00SYvneiEIMSlZJQgICCEISQyCFQQIFEWORTkECCgIGQwgDD1FZVYsBBBdRTmCUVFqOQgMMWVSDChiLVUIHQQJIBg8fk4gJQgdnkVdEB0IHDklCAwlYRQMDCUIEAggDAgdHBUENRENNEVaZbNRJRi2ETUFMB0QCAQAAgAt/+0D5ALDAFAAVwADADAxBS8BNyMPASMvATU+ATcjDwInPgE3FzY3JzMXFhUHFwcXPgE/ATMVHwMPAQ4BFx4BFxYXBy4BJy4BNTQ2NyMOAQcVBg8BBh8BFRQPASMVAz8BIwYHMwFBMwQLB2Y2DyAWJEkkByEDISQ2ZjMSEgcDFRYaBAQEDliuVxkPJAQSBA8WIBIDB0IvLzovPm0vKCgdEwszaTchIAgKAwQPCwptJAQEJA8LEzdMg20zMwsVSZFJEgsEOgssEgdFSBISLzpbHQ4EL1srHggSCwsOFgdFmVA6ZSwoCwcHOi8sZjo2ZjMkPh0IDhILEhYEzy8rCwgBcxlJLzcAAgCe/7oDfQMKAKgAsAAZQBChF6QAmxKdAK4YCACuFQUAKysrKwAwMQU1JicHJzUjNzUjNTc1PwEjPgE3PgE/ASYnLgEHDgEHFQcVDgEPARUjJyYnMzUnPwI1PwM1PwIjIgcnFSMvBT4BNx8CBxcjNSMPCQYHFTM2NzIWHwEWHwIVMxUzFwcXBhUjFRcHIxYHIxUPAhUzDwIzBzMjDwEVIwcVDwEjFSMVFwcVDwEzFQcVIzUjByMVBzM1IwcvATczNyMHFRcByRoaDQgNCgIXFwMDQYA5HTQSDwUnIlAvPGg2Ex8+HQ0FEg0SAgIFHyonGiFUHwIlFTEtGgUXAw0FCAdTplYcIAIFAwMIBQgSEg0SHRIYAhoiCDw+PmsvAhUQGgcGBQUDCAgFBQcGAwgICg0PBwUVAgIPCAMDGgUNDwMQDQMQLgMIIhIIAw0fCA0iJDIDBQMFDQVGAwgFAwMIAggFDQsFCBIxKho+IlEuIhoSBQUxFQUDBRAnFQ0KDSQiBQ0QEDQFIhwiPAUaCCQQBgMKCAUTAhoQGggYFQ0NCgUIEhUSCBIVFAsHIAoKDwUkIggFEjEDDRUSCBcQFQcQEhINFQUlAggICggICggFBQ0DCAUIBQoGBQoDCgUFCwUICAgDEAUNCAUIAAAAAgA6AB0D6ALrANUA2wA1QBTJBcsANwxAADcFPgA8AjoA2QUCACsrKysrAEARAQfaAJgIlgCYD5QAUz8IVQErKysrMDElNyM1Jz8DNT4BNz4BNyYvAiYnBycHJwYHJxUGBxUPBSMHBhUeARcHFRcHFw8BFSYHFRczNTMVBzUjNSM1JyY/ASc3JyMPAQ4BByMPASMnMzUvATUnNScmJz4BNyMGDwEjJxUjJxUjLwI3PgE3FzcmJzMXHgEXBxczPgEXFh8BFhc1JzMXFTMfAxUHMxUzFSMVFxYXBxcjFTMGDwEXFQ8BBhcjFTMVDwIjByMHMxUPAyMPAzUjFQcVBycHFSM1NyMPBjcnIwcVMwKaBQUFGwgUCiVVFA8PBQMjDwoZIBQtDCs5LworJREFCgoKAwUFDwgKCggKBQUCCA8KAwoCFAccByAKAgICBwUXByg8GQoCCAUCAhYUCAcFBSVQKgUUDwIHHggMBQMKBQMvVTIbAwMFCBMcDAUCBQVGpmI+NwUZGQMDNggCBQMFBQcKCg8PAwUFCAMDDAoHAgUNAwUCCgUHBQMKAgIMAg0KBQIKAxYFGRwKEQUPERICFwIKBQgPAgoKFh0KCgU5AxsDBx45MChULSoeCgoSAgIFBQIFGQMFEhsFCAkDDwIIBw0ROnU2BQUcChkPAgMDCAUHBQUDDwoNBRkoNBkHUBkCMGY3EQgIBQUWBQMKAhIPVKxVBRIFCAUMAhsIHgwPMgUPKigmDRZBIApJQUYKBRcHCgwFAjcFBwMKAgMKBwgFBSctCgoKKCgUAgMFDAoSBwMFFAkKDQIFCAUPBwMHDQMFCAUFAwUIBQ0IBQcIAggJEwoCDQAAAAADAEr/tQNuAvQASABSAFkACQCzTT8IACswMQUvASMvATY3NjMWFzY3Njc0JyYPAQ4BByMPAQYHLwEmJz8BMzU+AT8BIwYjLwE+ATcfATMVDwE2Fh8BMxYHDgEPBRUOATc2PwEmIwYPARclNyMGDwEzAdtIDwclBw8gSmJYSTASFgMkTVw9IWM2BxMeLzozEyATGiwHTahXdTpGVCAHSKVMSQQHJWVFeCwDCBoECzMZFggOBCgvcgRFNwMzRUU3D1f++nUITDsKCkslHSUcOy84CzAhMzQ7KBkWCAo7WyUZGyQDFhElLDQyCDM0FqghFiEgCBosDw8WnQcgOw9BSjZjMAsLCAoSByIlchMzCyADLEoG/2AWQhYAAgAs/40D2wMdAJEAnQADADAxFzUnNzY/AiMHLwE1JyYnNzY/Aj4BFxYfAjc2PwEmIw4BDwIVIyYvAj8BPgE/ATY3Iw4BBxUjLwImNz4BNx8BByYPASMPAiMVBxUHMzcWHwIWBwYHIw8EIwcGDwIjFTM2FxYfATM+ARcWFxYVByMnNScmJyYHBg8DIycjJjUmBwYPAQ4BEzY/ASMOAQcGFRY3WSIKTkEHFBQRJikREQMKChUYBjB0QCkbBwowKRsDPUdcqksHEQMVDQcECwNBZjpAMyYOLFUwChEDGA4EVbdgIgYDGxUDBw0LAwcRTg5iQSwDDhEHDRwGMAoRGzoKBCwmAxQHDTM+LB8KCj2PUlE+GwcbGAobLSUwVUQDEUgKGAYVGCJHPQcpWJwfGzowM2MlDjdAcwdEGBs+ChsDCi8HChUYAxsVDQomGAQDGw4DMywzIhsbVUERAwQpKQQRBgsXZiksGDAOKQoKBwobERgfHgcbHwYDEQ4UBAoHBgdLAwMwCg0iLS8pRAQXETAKERsHEQcUAwceDiwpBw06GyMlEQcHLBsOBAMzBxE2KB8pDgQbMAobLAETChVVBxQpERUUAwABANL/2gOVAywAmAAas4QdggArAEAMiwOJAIsWhgBIE0QAKysrMDEFNSMHJwc1IwcnByYnByYvASMnJjc2PwYnBxUjLwE1Iyc3IwYHJzUjJic3Fz8BMzczHwEOAQczPgEzHwIjFRczFQczIwcOAQcGBxYXNT4BNzU+ATcXFQcjJw4BBxUXFR8DBxUjByMVIycVIy8CBw4BFR8BMxY3PgEfATUzFQczFQczFSMVDwEjBzUjByMnBycCyhoXFDEJFh0XQjwIJh0CBQkjBhIZCRQWGAgUMBICCQ8FDzoOLCoSCRQCDhWxPAUaCQwNByMGCDdtPDMECQkCBwcHCQZQplQoCzAuIDkiI0UlHx8JFC5fKigLCw0LFAQCBQYSAhswFDQfLg8ljCYoMF41Qx0CBgQGFAgDCQINAgkJGRomBQMDAwUCCQMDCgMOHQkIIzQrJgMjHw4MGgcFBhAJETtZBQ4ECikuAwkcijQFJCNBJwsWEwoEBQoJCg4THAo5RQwaBwwvCgcMHAgkGiEOFiwbCykFBRUEIAQKCQICAhNCBSEkTC0OCAkEBQUCDAkJBwUOAw4FEAUFCAMDAwAAAAAEAEn/wAOtAvIAkQCYAJ0AowAkQBRnFW4AYBFlAEQ3PwAaAxgABQYHACsrKysrALNOPUoAKzAxFy8BIwcjFSM1LwM1JzUnNTczNhI/ATM1MxUXFhcOAQcjByMUBzYfARUXHgEfARUWNzY3NjczPwEzPwEzPwE0PwEXMxUzFQczFTMfAQcjBgczNxUGDwIjBwYHFQ8CFQ8BNTM1IxUzFSMnByc1IwcmLwI1JzUjLwE1IzUnLgEvAQ8CFQ8DIw4BDwEVJTU3IwYVMzc1NyMHPwEmBxUXtgsDBwIQBgoKAwwLEg8FOpZDCwoDHRwCDScPBQYFB0U0FQoQFxgKGiIaFCIaCAoFBi4LBQMRDh4DCAMDBQsCBQMEDQ4FEREZIAIHAxofCwUVEQYGHQ0GCgUNBRAkIAEdCwoKCAUNJB0TJggFBwsGIQMFHzkVBwKACgUPCkMDBQYiAwMNC0ADFQkGDwUMDwMFAwYDCSuvAU6sBgMDDCArMlovFA4JBikaEgYrWiYDBg4CDB0sMRgITwsJDw4DCQwIBhILLwYIJikaEToyFAYPGgsMAwwFBgMJCQsLCQMDBgMGAw4JCQMDCw8DBggDMno6BgMRAwkDCSYIT6ZUBga4AyIRGmYICRGrAwwDBgkAAAAAAgArAlABMAM6AA4AGwADADAxEyYnNTcmJzczFh8CDwE3JzUnJiczNTMWHwEHrisxAyEJAxI0LQ0VDwNtHBIkDwYJJCIeDwJQHgQTDyo1Eh45Dj4LB0sMBwc5RQcPIlsTAAAAAAIAPAJQATADMAASAB4AAwAwMRMmLwQ1Mzc+AR8BFhUHIwcnNjc2JyYHBg8BFzPVLScGIxcFAgwfRSw4HjoFA0MhGRQGDhMnHwgcCAJQAxINLC4EAhwgIgMiLDtICU4GHBMfEAYKHxwcAAAAAAEAr/+QAy8CYQA3AAmzNVoKACsAMDEFJyYnPwIzHwEzNSY/ASMOAQciJz4BNzUjByYnNTMXNxc/ASc3HwEHFRczNzIXFgcGLwEOARUXAjdzIgwFDAQEGCYRDQQEDEaITxkIUqZbFZkyFAgMESG2BAQZTgQQBDFHJRkQBDU+TwgJBHBrMToSBAkaQxE6Qw0bOQQRNmEkJBsWNQ4EBAQWpA4EKBYFKEcOGw0bFwUEWbZdcAAAAAEBO//XA3sDFgAeAAMAMDEFJicmNxMnNzUnMxc3HwEHFx4BFxUXFQYnJQcXERQHAbo4KxwJEwQXBQoTDj0OBARkymQOKzT+xAUFFykKKjBCAQgJtMYOBQUvIW2JCRgOCQUYHAUmPgX+9DAqAAEAoAAgA0oCsQAeAAMAMDElJzU/ATM+AScjDgEHLwE3Fz4BNx8BBxcOAQ8DBgGRHh5RClGQBSF05m8rExhld+J5RxQFBQ9IRw8KVlEgBAgWVWXdgxAVGho3BAQMNAMhNw04YrZMBBI+KwAAAAIAmP/SA6gCogAYACMAAwAwMQUvAjYzFzYSNzM/ARcOAQcjDwIjBgcGAyImJyY1Mx4BHwEBf08gBBshEnjihglODgkNUzMJIRJzCiA8PBJKgTgXKjx4NxcuKhsTDgWBAQyBXAUuT4E8QQmmQDgbAdsyLxslHCklMwAAAAADAZj/1gJBAwsAFQBoAG0AQkAQVFBJJ1cfA2RaXhkBDGMEACsrKwBAIFkNVgBZHFIAWSxPAFloSgBDCD8AOgo3ADoDNQAzCDEAKysrKysrKyswMQUvAT8BNTczFzcXNxcVMxcHFwcjFQYTLwEzNSc+ATcjNTcnNx8DFB8CNScjFSMVMxUjBzM3MxUHIwczFQczNxUHIycVMxUGFTMVBxcHMxUHMzcVBzMVByMVMxUHFxUHFwczFQcnBzc1NyMHAcMmBQUKCg0mCgcIDQUCBQUXBxcFHAICBwoPAgUIAwgcHAoICgUCAgUFBQUDBQUDAwUCAgIFDAoCCAUHBQMDCgUIBQMFBwIIAwMFAgUNBQgKBRQDBQgqHDAPCAgKCgICAgoFDxISFwcKARkUCwdMVKdWDz0IAhYXHwIUEgMUCgUXDAgZBwUFEQgKGQcaAxIKEhIFDAgjAw0DBQ0HBgwcDQIICA8PBQUCB8AGDBIAAQKZ//oDtwM9ACMAAwAwMQUuAScuATc+AT8BNTM/AjY3FxUGDwEGBw4BBx4BHwEVHwEHA5wyYCslIQMKLxoKBxsQBCcvIRQaBDUoEBQEBCsbQhclDQYYRzI2hEtLjkIJDDIQEh0MIhwZDQk1Rjt9QjpcLUMIFjILAAAAAAEANf/yAVMDNQAjAAMAMDEXIyc/ATU3PgE3LgEnJi8BJic1NxYfAzMVFx4BFxYGBw4BUA4NJRdCGysEBBQQKDUEGhQhLycEEBsHChovCgMhJStgDgsyFghDLVw6Qn07RjUJDRkcIgwdEhAyDAlCjktLhDYyRwAAAAIBZf+rAx8DEwAQAHUADgC3JzxOADYHQAArKzAxBSYnJjc2PwEWFxUXFg8CFQMnIzUnNScmNz4BPwQ2NzY1JicmIwcGDwEWFw8BFQcvAyMVIycjLwI3FzM1LwEjJyY/ASc2Nz4BMx4BHwEzHwEVMxYXBxcHFwYPARUjFQ8BBg8BIw8DDgEHFw8BJwHpIxkPBQoUCiMrDAoCCAwPAwcSDBQFAhkhEQMbAy0oGQgoKjUtERIKBQ0IBwoNAhQSBQIFCgMFAgcPCAoIBQUHAgMDFxsjTi0yWioFBQUHBRIFAwMDAwUPCgUKAx0hAgoFIQISDw8CAgUjD1UCGRcbHhkDEgIFCBYeFAMFAQ4IBwUFBRkjMlwmCgUPBQoZFiE3KB4UFBQ8IRsNAgUKBQcKIQMIBwMMAxcIAhcPBQoHDSUjFx4KMCANDwIFHCAICg8HGRcHBQ0CCBQPBQcNBwglUCoNDwcFAAAAAQAO/+cD3wK8ADkAAwAwMQUvAyYCJzMXNxceARcHFz4BPwEWFx4BHwE+ATcnNh8CBgIHFwcjJicuAS8BDgEHIxUjBg8BBgcBAB0LEiAEcyELCwtTMkUKAxkrUB0nJCEnUyQLKGgaCBYdOgo9VjYDByEnITJBMwoaPQsHBw8SChYdGQsPCiWtATmmAwM9WrxoCwdBhUgLCxJMl08EYbhpTxIDGh2J/ueQDhoLJFO4UwQ+c0EHLy8EJygAAAACAP7/2ALoAhYAOABJAAMAMDEFLgEnJic+ATc2FxYXFTM+AS8BJicGDwQvATY3NhceARcWDwEXBgcWHwIHJi8BDwEjDwEVBic+ATc1LgEHBg8BIwYHFxYXAb0pUCQPEw8vGzNGPDMLCwgDECs4KiQbGAUYIw4ePjZDJUAdMAcDAwgTGzYSCCsgGyIpDgQQFRwQGzYOHEAoHhUDBSsCBDY+IREnIy0sJD4eJwoILAcoTSwhLwMOGycdGQgaJEUgGAYFKx04UQoOPjk+MwkUAwgeLTwPHQ8GGGsbOSMTHR4DCRwFM0QMHgMAAgDw/88CygH+ACMAMAADADAxBS4BJyYnPwE+ATc2Mx4BFxYPAQYvAQcnBh8BFjc2NxcHBgcnAzcmLwEPAgYHHgEzAhxKfjQtAwsLCzcpGiY+dzQwCxMzQxZVbBcEJUdgWU4EFyEpCxYIEykpHQQ0IQgtXDExCTc/QFNLBzRbKBQQLCs7WBsdBQQEDCQrRDcIEzQ7LBwMBQE0RDMcDw8IKCgzCAgAAAAAAgFa/94CsgMPABQAKgAJsw4dEQArADAxBScmNz4BNzMWHwEHEyMnFQcnNSMVAyYnJiczNTM1JzcXFRc3Nh8BFQYHBgHeRA8FChgKIjcdBQUKChQTCg8FLCMsGAkUDy0xSiwsMhhPMR0iSTc7QIBAFDFAD/7iBQoEBAUJAjsTHjE7CgonBRQJDzYPBRQUU14dAAAAAAEBqv/cAjsDDwATAAMAMDEFLwE+AS8BNzU3JzcfAQcWEhcHFQH7SAkJDQUEBAkNIi8FBQ0eCB0kRF5AfERiBKtVJwQeESa0/pqzBAkAAAAAAQDp//EC7wI0AC0ACbMXTiEAKwAwMQUvAzYnJjQnNx8BMz4BNzYzFh8CFhUGFA8BJyY3PgE1LwEGDwIjDgEHFwFGIy0ECSAKBgoWLgwHFj0kOkQ9MAMgJAkLKgwqBgMdSiMmJAYKBiRQBwMPFj4NFlBqOXg1BBKNMFUfIxc1DR8wQ0+kTwkORmI5ajliBA4aEhdcum4jAA==";
+
+  it('Unicode: Japanese - vertical writing mode', function() {
+    const doc = new jsPDF({filters: ['ASCIIHexEncode']});
+
+    doc.addFileToVFS("MouhitsuBold.ttf", MouhitsuBold);
+    doc.addFont('MouhitsuBold.ttf', 'Mouhitsu', 'bold');
+    doc.setFont('Mouhitsu', 'bold');
+    doc.setFontSize(20);
+
+    doc.text("なにABCに。\nにな", 100, 20, {writingMode: 'vertical'});
+    doc.text("なになになにな", 40, 20, {writingMode: 'vertical', maxWidth: 50});
+
+    var output = doc.output();
+    expect(output).toContain('/Encoding /Identity-V');
+    expect(output).toContain('/W2 [0 [-1000 500 859] 35 [-1000 250 880]');
+    comparePdf(output, 'japanese-vertical.pdf', 'unicode')
+  })
+
+  it('Unicode: Japanese - measures vertical text in column height', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("MouhitsuBold.ttf", MouhitsuBold);
+    doc.addFont('MouhitsuBold.ttf', 'Mouhitsu', 'bold');
+    doc.setFont('Mouhitsu', 'bold');
+    doc.setFontSize(20);
+
+    expect(doc.getVerticalTextRuns("なにABCに")).toEqual([
+      {text: 'なに', upright: true, height: 2},
+      {text: 'ABC', upright: false, height: 1.5},
+      {text: 'に', upright: true, height: 1}
+    ]);
+    expect(doc.splitTextToSize("なになになにABC", 30, {writingMode: 'vertical'})).toEqual(['なになに', 'なにABC']);
+  })
+
+  it('Unicode: Japanese - vertical writing mode requires an embedded font', function() {
+    const doc = new jsPDF();
+    expect(function () {
+      doc.text("なに", 20, 20, {writingMode: 'vertical'});
+    }).toThrow(new Error('Vertical writing mode requires an embedded font with Identity-H encoding.'));
+  })
+})
@@ -0,0 +1,65 @@
+/* global describe, it, expect, jsPDF, comparePdf */
+/**
+ * Standard spec tests
+ *
+ * These tests return the datauristring so that reference files can be generated.
+ * We compare the exact output.
+ */
+
+describe('Unicode: OpenType CFF', function() {
+  // minimal OpenType font with CFF outlines: .notdef, space, A and B (B uses a local subroutine)
+  var TestCFF = "T1RUTwAIAEAAAwBAQ0ZGIAAAAAAAAACMAAAAoGNtYXAAAAAAAAABLAAAADRoZWFkAAAAAAAAAWAAAAA2aGhlYQAAAAAAAAGYAAAAJGhtdHgAAAAAAAABvAAAABBtYXhwAAAAAAAAAcwAAAAGbmFtZQAAAAAAAAHUAAAAJXBvc3QAAAAAAAAB/AAAACABAAQBAAEBAQhUZXN0Q0ZGAAEBATP4GwD4HAIeCgAfi4seCgAfi4sMB4uL+Lr5UAUdAAAAXA8dAAAAYxEdAAAACx0AAACFEgACAQEGDjEuMDAwVGVzdCBDRkYAAAAAAQAiACMABAEBAgUTGw73jg747L2LFfiIi/uO+VAFDvjsvYsVIAoO+IgUixUdAAAACxMAAQEBDPiIi4v5UPyIiwULAAAAAQADAAEAAAAMAAQAKAAAAAYABAABAAIAIABC//8AAAAgAEH////h/8EAAQAAAAAAAAABAAAAAQAAAAAAAF8PPPUAAwPoAAAAAAAAAAAAAAAAAAAAAAAAAAACJgK8AAAACAACAAAAAAAAAAEAAAMg/zgAAAJYAAAAAAImAAEAAAAAAAAAAAAAAAAAAAAEAfQAAAD6AAACWAAyAlgAMgAAUAAABAAAAAAAAgAeAAEAAAAAAAQABwAAAAEAAAAAAAYABwAAVGVzdENGRgAAAAADAAAAAAAA/5wAMgAAAAAAAAAAAAAAAAAAAAAAAAAA";
+
+  it('embeds a subset as CIDFontType0C font program', function() {
+    const doc = new jsPDF({filters: ['ASCIIHexEncode']});
+
+    doc.addFileToVFS("TestCFF.otf", TestCFF);
+    doc.addFont('TestCFF.otf', 'TestCFF', 'normal');
+
+    doc.setFont('TestCFF');
+    doc.setFontSize(20);
+    doc.text("AB A", 10, 20);
+
+    comparePdf(doc.output(), 'opentype-cff.pdf', 'unicode')
+  })
+
+  it('measures text with the hmtx widths of the CFF font', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestCFF.otf", TestCFF);
+    doc.addFont('TestCFF.otf', 'TestCFF', 'normal');
+    doc.setFont('TestCFF');
+    doc.setFontSize(10);
+
+    expect(doc.getStringUnitWidth('AB A')).toEqual(2.05);
+  })
+
+  it('writes a CIDFontType0 descendant font without CIDToGIDMap', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestCFF.otf", TestCFF);
+    doc.addFont('TestCFF.otf', 'TestCFF', 'normal');
+    doc.setFont('TestCFF');
+    doc.text("B", 10, 20);
+
+    var output = doc.output();
+    expect(output).toContain('/Subtype /CIDFontType0C');
+    expect(output).toContain('/FontFile3 ');
+    expect(output).toContain('/Subtype /CIDFontType0\n');
+    expect(output).not.toContain('/CIDToGIDMap');
+  })
+
+  it('embeds the bare CFF table as Type1C font program with WinAnsiEncoding', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("TestCFF.otf", TestCFF);
+    doc.addFont('TestCFF.otf', 'TestCFF', 'normal', 'WinAnsiEncoding');
+    doc.setFont('TestCFF');
+    doc.text("AB", 10, 20);
+
+    var output = doc.output();
+    expect(output).toContain('/Subtype /Type1C');
+    expect(output).not.toContain('/OpenType');
+    expect(output.substr(0, 8)).toEqual('%PDF-1.3');
+  })
+})
@@ -145,4 +145,15 @@ describe('arabicParser', function() {
   it('ligatures', function() {
     expect(jsPDF.API.processArabic("الله").charCodeAt(0)).toEqual(65010);
   });
-});
\ No newline at end of file
+
+  it('persian and urdu letters', function() {
+    expect(jsPDF.API.__arabicParser__.getJoiningForms("پی")).toEqual(['init', 'fina']);
+    expect(jsPDF.API.__arabicParser__.getJoiningForms("بۃب")).toEqual(['init', 'fina', 'isol']);
+    expect(jsPDF.API.__arabicParser__.getJoiningForms("بَـب a")).toEqual(['init', undefined, undefined, 'fina']);
+
+    expect(jsPDF.API.processArabic("پی").charCodeAt(0)).toEqual(0xFB58);
+    expect(jsPDF.API.processArabic("پی").charCodeAt(1)).toEqual(0xFBFD);
+    expect(jsPDF.API.processArabic("بۃب").charCodeAt(1)).toEqual(0x06C3);
+    expect(jsPDF.API.processArabic("بۃب").charCodeAt(2)).toEqual(0xFE8F);
+  });
+});
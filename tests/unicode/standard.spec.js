@@ -38,6 +38,133 @@ describe('Unicode: Russian', function() {
 
     comparePdf(doc.output(), 'russian-2line.pdf', 'unicode')
 	  });
+  it('pdf with kerning and ligatures', function() {
+    const doc = new jsPDF({filters: ['ASCIIHexEncode']});
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont('PTSans');
+    doc.setFontSize(16);
+    doc.setFontFeatures({kerning: true, ligatures: true});
+    doc.text(["AVATAR To", "Ту-104 fine flowers"], 10, 10);
+
+    comparePdf(doc.output(), 'kerning-ligatures.pdf', 'unicode')
+  });
+
+  it('measures text with the enabled font features', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont('PTSans');
+    doc.setFontSize(16);
+    var width = doc.getTextWidth('AVATAR To');
+    doc.setFontFeatures({kerning: true});
+    // AV, VA, AT, TA, R and T, T and o
+    expect(doc.getTextWidth('AVATAR To')).toBeCloseTo(width - (45 + 45 + 67 + 67 + 31 + 128) * 16 / 1000 / doc.internal.scaleFactor, 6);
+    expect(doc.getStringUnitWidth('AVATAR To') * 16 / doc.internal.scaleFactor).toBeCloseTo(doc.getTextWidth('AVATAR To'), 6);
+    expect(doc.getCharWidthsArray('To').length).toEqual(2);
+
+    doc.setFontFeatures({kerning: false, ligatures: true});
+    expect(doc.getCharWidthsArray('fi')[1]).toEqual(0);
+  });
+
+  it('writes ligatures to the ToUnicode cmap', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont('PTSans');
+    doc.setFontFeatures({ligatures: true});
+    doc.text("fi", 10, 10);
+
+    expect(doc.output()).toContain('<02cb><00660069>');
+  });
+
+  it('throws an error when setting font features of a standard font', function() {
+    const doc = new jsPDF();
+
+    expect(function () {
+      doc.setFontFeatures({kerning: true});
+    }).toThrow(new Error('Invalid argument(s) passed to jsPDF.setFontFeatures'));
+  });
+
+  it('pdf with fallback font for mixed text', function() {
+    const doc = new jsPDF({filters: ['ASCIIHexEncode']});
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont(['helvetica', ['PTSans', 'normal']], 'normal');
+    doc.setFontSize(16);
+    doc.text(["Hello, Привет!", "Мир world"], 10, 10);
+    doc.text("Привет", 200, 40, {align: 'right'});
+
+    comparePdf(doc.output(), 'fallback-fonts.pdf', 'unicode')
+  });
+
+  it('measures text in the fallback fonts', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont('PTSans');
+    var cyrillicWidth = doc.getTextWidth('Привет');
+    doc.setFont('helvetica');
+    var latinWidth = doc.getTextWidth('Hello ');
+    doc.setFont(['helvetica', ['PTSans', 'normal']], 'normal');
+
+    expect(doc.getTextWidth('Hello Привет')).toBeCloseTo(latinWidth + cyrillicWidth, 6);
+    expect(doc.getFontRuns('Hello Привет').map(function (run) {
+      return run.text;
+    })).toEqual(['Hello ', 'Привет']);
+    expect(doc.splitTextToSize('Hello Привет', latinWidth + cyrillicWidth - 1)).toEqual(['Hello', 'Привет']);
+
+    doc.setFont('helvetica');
+    expect(doc.internal.getFallbackFonts()).toEqual([]);
+  });
+
+  it('replaces the total pages expression in kerned text', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont('PTSans');
+    doc.setFontFeatures({kerning: true});
+    doc.text("Total {Tot}", 10, 10);
+    doc.addPage();
+    doc.text("Sum 2", 10, 10);
+
+    expect(doc.pdfEscape16('{Tot}', doc.internal.getFont())).toEqual('005e0037005200570060');
+    doc.putTotalPages('{Tot}');
+
+    var output = doc.output();
+    expect(output).toContain('[<0037> 128 <005200570044004f00030015>] TJ');
+    // lines without kerning pairs keep the Tj operator
+    expect(output).toContain('<00360058005000030015> Tj');
+  });
+
+  it('encodes the fallback runs of standard fonts with their encoding', function() {
+    const doc = new jsPDF();
+
+    doc.addFileToVFS("PTSans.ttf", PTSans);
+    doc.addFont('PTSans.ttf', 'PTSans', 'normal');
+
+    doc.setFont(['helvetica', ['PTSans', 'normal']], 'normal');
+    doc.text("5 € — Мир", 10, 10);
+
+    // the euro sign and the em dash are 0x80 and 0x97 in WinAnsiEncoding
+    expect(doc.getFontRuns("5 € — Мир").map(function (run) {
+      return run.text;
+    })).toEqual(['5 € — ', 'Мир']);
+    expect(doc.output()).toContain('<352080209720> Tj\n/F15 16 Tf\n<015501710179> Tj');
+  });
+
   xit('throw error when font isnt in vfs', function() {
 
     const doc = new jsPDF({filters: ['ASCIIHexEncode']});